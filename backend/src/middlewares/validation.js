@@ -41,9 +41,127 @@ const cotizacionSchema = z.object({
     cantidad: z.union([z.number(), z.string()]).optional(),
     cant: z.union([z.number(), z.string()]).optional()
   }).passthrough()).optional(),
-  total: z.union([z.number(), z.string()]).optional()
+  total: z.union([z.number(), z.string()]).optional(),
+  // Misma regla de cantidad que kitSchema: entera y positiva.
+  kits: z.array(z.object({
+    kit_id: z.coerce.number().int().positive(),
+    cantidad: z.coerce.number().int().positive().max(100000).optional().default(1)
+  }).passthrough()).optional()
 }).passthrough();
 
+const kitSchema = z.object({
+  nombre: z.string().trim().min(1).max(150),
+  descripcion: z.string().trim().max(500).optional().default(''),
+  items: z.array(z.object({
+    producto_id: z.coerce.number().int().positive(),
+    cantidad: z.coerce.number().int().positive().optional().default(1)
+  })).min(1)
+});
+
+const gpPisoSchema = z.object({
+  origen: z.enum(['QNAP', 'AXIS']),
+  marca: z.string().trim().max(100).optional().default(''),
+  gp_min: z.coerce.number().min(0).lt(1)
+});
+
+const validezCotizacionSchema = z.object({
+  origen: z.enum(['QNAP', 'AXIS']),
+  marca: z.string().trim().max(100).optional().default(''),
+  dias: z.coerce.number().int().positive().max(365)
+});
+
+const clienteExentoIvaSchema = z.object({
+  empresa: z.string().trim().min(1).max(100),
+  motivo: z.string().trim().max(500).optional().default('')
+});
+
+const motivoPerdidaSchema = z.object({
+  nombre: z.string().trim().min(1).max(100),
+  activo: z.boolean().optional().default(true)
+});
+
+const seguimientoSchema = z.object({
+  fecha: z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
+});
+
+const cotizacionBoSchema = z.object({
+  bo: z.string().trim().min(1).max(100)
+});
+
+const aprobacionSchema = z.object({
+  decision: z.enum(['aprobada', 'rechazada']),
+  comentario: z.string().trim().max(1000).optional().default('')
+});
+
+// gp, precio_disty, partner_category y rebate_proyecto solo se respetan para admins.
+const pricingPreviewSchema = z.object({
+  items: z.array(z.object({
+    producto_id: z.coerce.number().int().positive(),
+    cantidad: z.coerce.number().int().positive().max(100000).optional().default(1),
+    gp: z.coerce.number().min(0).lt(1).optional(),
+    precio_disty: z.coerce.number().min(0).optional(),
+    partner_category: z.string().trim().max(50).optional(),
+    rebate_proyecto: z.coerce.number().min(0).optional()
+  })).min(1).max(500)
+});
+
+// Lineas de un JSON de Axis Site Designer ya leido en el navegador (parseAxisJson).
+const axisImportSchema = z.object({
+  lines: z.array(z.object({
+    partNumber: z.string().trim().min(1).max(100),
+    quantity: z.coerce.number().int().positive().max(100000).optional().default(1),
+    rebateProject: z.coerce.number().min(0).optional().default(0)
+  })).min(1).max(500)
+});
+
+const respuestaPublicaSchema = z.object({
+  decision: z.enum(['aceptar', 'rechazar']),
+  nombre: z.string().trim().min(2).max(150),
+  comentario: z.string().trim().max(1000).optional().default(''),
+  // ids de cotizacion_items opcionales/alternativos que el cliente elige al aceptar
+  opciones: z.array(z.coerce.number().int().positive()).max(200).optional().default([]),
+  // motivo de perdida activo; el backend lo exige al rechazar, igual que al rechazar desde el cotizador
+  motivo_perdida_id: z.coerce.number().int().positive().optional()
+});
+
+const tipoCambioSchema = z.object({
+  moneda: z.string().trim().toUpperCase().length(3).optional().default('CLP'),
+  valor: z.coerce.number().finite().positive(),
+  vigente_desde: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'vigente_desde debe tener formato YYYY-MM-DD')
+});
+
+const optionalMonto = z.preprocess(
+  value => (value === '' || value === undefined ? null : value),
+  z.coerce.number().finite().min(0).nullable()
+);
+
+// Montos siempre positivos; un descuento se resta al cotizarlo. Sin precio fijo se exige un maximo.
+const conceptoAdicionalSchema = z.object({
+  tipo: z.enum(['servicio', 'mano_obra', 'flete', 'descuento']),
+  nombre: z.string().trim().min(1).max(150),
+  descripcion: z.string().trim().max(500).optional().default(''),
+  precio: optionalMonto,
+  precio_min: optionalMonto,
+  precio_max: optionalMonto,
+  activo: z.boolean().optional().default(true)
+}).refine(data => data.precio !== null || data.precio_max !== null, {
+  message: 'Define un precio fijo o un monto maximo',
+  path: ['precio_max']
+}).refine(data => data.precio_min === null || data.precio_max === null || data.precio_min <= data.precio_max, {
+  message: 'El minimo no puede superar al maximo',
+  path: ['precio_min']
+});
+
+// interes va como fraccion (0.12 = 12%), igual que se guarda.
+const parametrosPrecioSchema = z.object({
+  origen: z.enum(['QNAP', 'AXIS']),
+  inbound_freight: z.coerce.number().finite().min(1).max(3),
+  ic: z.coerce.number().finite().positive().max(1),
+  interes: z.coerce.number().finite().min(0).lt(1),
+  vigente_desde: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'vigente_desde debe tener formato YYYY-MM-DD'),
+  comentario: z.string().trim().max(500).optional().default('')
+});
+
 const validate = (schema, pick = 'body') => (req, res, next) => {
   const result = schema.safeParse(req[pick] || {});
   if (!result.success) {
@@ -62,6 +180,20 @@ const validateBulkProductosInput = validate(bulkProductosSchema);
 const validatePasswordInput = validate(passwordSchema);
 const validateCreateUserInput = validate(createUserSchema);
 const validateCotizacionInput = validate(cotizacionSchema);
+const validateTipoCambioInput = validate(tipoCambioSchema);
+const validateKitInput = validate(kitSchema);
+const validateGpPisoInput = validate(gpPisoSchema);
+const validateValidezCotizacionInput = validate(validezCotizacionSchema);
+const validateClienteExentoIvaInput = validate(clienteExentoIvaSchema);
+const validateMotivoPerdidaInput = validate(motivoPerdidaSchema);
+const validateSeguimientoInput = validate(seguimientoSchema);
+const validateCotizacionBoInput = validate(cotizacionBoSchema);
+const validateAprobacionInput = validate(aprobacionSchema);
+const validateRespuestaPublicaInput = validate(respuestaPublicaSchema);
+const validatePricingPreviewInput = validate(pricingPreviewSchema);
+const validateAxisImportInput = validate(axisImportSchema);
+const validateParametrosPrecioInput = validate(parametrosPrecioSchema);
+const validateConceptoAdicionalInput = validate(conceptoAdicionalSchema);
 
 module.exports = {
   validateLoginInput,
@@ -69,5 +201,19 @@ module.exports = {
   validateBulkProductosInput,
   validatePasswordInput,
   validateCreateUserInput,
-  validateCotizacionInput
+  validateCotizacionInput,
+  validateTipoCambioInput,
+  validateKitInput,
+  validateGpPisoInput,
+  validateValidezCotizacionInput,
+  validateClienteExentoIvaInput,
+  validateMotivoPerdidaInput,
+  validateSeguimientoInput,
+  validateCotizacionBoInput,
+  validateAprobacionInput,
+  validateRespuestaPublicaInput,
+  validatePricingPreviewInput,
+  validateAxisImportInput,
+  validateParametrosPrecioInput,
+  validateConceptoAdicionalInput
 };
@@ -17,7 +17,21 @@ const {
   validateBulkProductosInput,
   validatePasswordInput,
   validateCreateUserInput,
-  validateCotizacionInput
+  validateCotizacionInput,
+  validateTipoCambioInput,
+  validateKitInput,
+  validateGpPisoInput,
+  validateValidezCotizacionInput,
+  validateClienteExentoIvaInput,
+  validateMotivoPerdidaInput,
+  validateSeguimientoInput,
+  validateCotizacionBoInput,
+  validateAprobacionInput,
+  validateRespuestaPublicaInput,
+  validatePricingPreviewInput,
+  validateAxisImportInput,
+  validateParametrosPrecioInput,
+  validateConceptoAdicionalInput
 } = require('../middlewares/validation');
 const { requestLogger, logError, logger } = require('../utils/logger');
 
@@ -85,8 +99,42 @@ const SHEETS_SCOPE_READONLY = 'https://www.googleapis.com/auth/spreadsheets.read
 const SHEETS_SCOPE_RW = 'https://www.googleapis.com/auth/spreadsheets';
 const DEFAULT_ORIGIN = 'QNAP';
 const SHEETS_SYNC_HOURS = parseFloat(process.env.GOOGLE_SHEETS_SYNC_HOURS || '12');
+const COTIZACION_VALIDEZ_DIAS = parseInt(process.env.COTIZACION_VALIDEZ_DIAS || '15', 10);
+// Validez por origen; si no se define se usa COTIZACION_VALIDEZ_DIAS.
+const COTIZACION_VALIDEZ_DIAS_BY_ORIGIN = {
+  QNAP: parseInt(process.env.COTIZACION_VALIDEZ_DIAS_QNAP || '', 10),
+  AXIS: parseInt(process.env.COTIZACION_VALIDEZ_DIAS_AXIS || '', 10)
+};
+const COTIZACION_EXPIRY_CHECK_HOURS = parseFloat(process.env.COTIZACION_EXPIRY_CHECK_HOURS || '6');
+const COTIZACION_LINK_DIAS = parseInt(process.env.COTIZACION_LINK_DIAS || '7', 10);
+// Seguimiento de cotizaciones enviadas: fecha por defecto a N dias del envio y revision
+// periodica que genera los recordatorios y, si hay SMTP, manda el resumen diario por correo.
+const COTIZACION_SEGUIMIENTO_DIAS = parseInt(process.env.COTIZACION_SEGUIMIENTO_DIAS || '3', 10);
+const SEGUIMIENTO_CHECK_HOURS = parseFloat(process.env.SEGUIMIENTO_CHECK_HOURS || '1');
+const SEGUIMIENTO_RESUMEN_HORA = parseInt(process.env.SEGUIMIENTO_RESUMEN_HORA || '8', 10);
+const SMTP_HOST = (process.env.SMTP_HOST || '').trim();
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE = String(process.env.SMTP_SECURE || 'false').toLowerCase() === 'true';
+const SMTP_USER = (process.env.SMTP_USER || '').trim();
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const SMTP_FROM = (process.env.SMTP_FROM || SMTP_USER).trim();
+const COTIZACION_LINK_DIAS_MAX = 60;
+// Secreto derivado: un token de enlace no sirve como token de sesion ni al reves.
+const COTIZACION_LINK_SECRET = `${JWT_SECRET}:cotizacion_link`;
+// Los montos de la cotizacion se guardan siempre en USD; tipo_cambio solo convierte al exportar.
+const COTIZACION_MONEDAS = ['USD', 'CLP'];
+// Holgura para el redondeo a 2 decimales del precio unitario al comparar contra el GP minimo.
+const GP_PISO_TOLERANCIA = 0.0005;
+// IVA como fraccion (0.19 = 19%). cotizaciones.total sigue siendo el neto; la tasa queda fijada
+// en la cotizacion al guardarla y los clientes de clientes_exentos_iva cotizan con tasa 0.
+const IVA_TASA = (() => {
+  const value = parseFloat(process.env.IVA_TASA || '0.19');
+  return Number.isFinite(value) && value >= 0 && value < 1 ? value : 0.19;
+})();
+// Valores iniciales de parametros_precio; solo se usan directo si la tabla no tiene version vigente.
 const QNAP_CONSTANTS = { INBOUND_FREIGHT: 1.011, IC: 0.95, INT: 0.12 };
 const AXIS_CONSTANTS = { INBOUND_FREIGHT: 1.015, IC: 0.97, INT: 0.12 };
+const PRICING_ORIGINS = ['QNAP', 'AXIS'];
 const SESSION_TTL_MIN = parseInt(process.env.SESSION_TTL_MIN || '10', 10);
 const ADMIN_SESSION_TTL_MIN = parseInt(process.env.ADMIN_SESSION_TTL_MIN || '43200', 10);
 const SESSION_TTL_MS = SESSION_TTL_MIN * 60 * 1000;
@@ -115,11 +163,48 @@ const canManageCotizadorStock = (role) => {
 
 // Columnas de cotizacion_items visibles para no-admin: excluye precio_disty (costo) y gp (margen).
 const COTIZACION_ITEM_PUBLIC_COLUMNS =
-  'id, cotizacion_id, producto_id, marca, sku, mpn, descripcion, cantidad, precio_unitario, precio_total, tiempo_entrega';
+  'id, cotizacion_id, producto_id, marca, sku, mpn, descripcion, cantidad, precio_unitario, precio_total, tiempo_entrega, tipo_linea, opcional, grupo_alternativa, seleccionada, seccion';
+// Lineas fuera del catalogo. Se valorizan contra conceptos_adicionales; descuento se guarda en negativo.
+const COTIZACION_LINEA_TIPOS = ['servicio', 'mano_obra', 'flete', 'descuento'];
+const COTIZACION_LINEA_TIPO_LABELS = {
+  servicio: 'Servicio',
+  mano_obra: 'Mano de obra',
+  flete: 'Flete',
+  descuento: 'Descuento'
+};
+const normalizeTipoLinea = (value) => (COTIZACION_LINEA_TIPOS.includes(value) ? value : 'producto');
+// Lineas opcionales y alternativas (mismo grupo_alternativa = excluyentes) quedan fuera del total
+// hasta que el cliente las elige al aceptar la cotizacion; ahi se marcan como seleccionadas.
+const getLineaOpciones = (item) => {
+  const grupo = String(item?.grupo_alternativa ?? '').trim().slice(0, 50) || null;
+  return { opcional: !grupo && item?.opcional === true, grupo_alternativa: grupo };
+};
+// Seccion (sede, edificio) de la linea. El orden dentro de la cotizacion es el de insercion (id).
+const normalizeSeccion = (value) => String(value ?? '').trim().slice(0, 100) || null;
+const isLineaFueraDelTotal = (item) =>
+  (item?.opcional === true || Boolean(item?.grupo_alternativa)) && item?.seleccionada !== true;
+const sumTotalPrincipal = (items) => Number((Array.isArray(items) ? items : [])
+  .filter(item => !isLineaFueraDelTotal(item))
+  .reduce((sum, item) => sum + parseNumber(item.precio_total, 0), 0)
+  .toFixed(2));
 
 const responseCache = new Map();
 
 const toPositiveInt = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+// Desglose neto / IVA / bruto. El IVA se calcula sobre el neto total, no por linea, para no
+// tocar la valorizacion por GP; en CLP se redondea a pesos.
+const calcularImpuestos = (neto, tasa, moneda = 'USD') => {
+  const decimales = moneda === 'CLP' ? 0 : 2;
+  const netoValue = Number(parseNumber(neto, 0).toFixed(decimales));
+  const ivaMonto = Number((netoValue * parseNumber(tasa, 0)).toFixed(decimales));
+  return {
+    neto: netoValue,
+    iva_tasa: parseNumber(tasa, 0),
+    iva_monto: ivaMonto,
+    total_bruto: Number((netoValue + ivaMonto).toFixed(decimales))
+  };
+};
 const STOCK_CACHE_TTL_MS = toPositiveInt(STOCK_CACHE_TTL_SEC, 120) * 1000;
 const STOCK_CATALOG_CACHE_TTL_MS = toPositiveInt(STOCK_CATALOG_CACHE_TTL_SEC, 180) * 1000;
 const OSO_ORDERS_CACHE_TTL_MS = toPositiveInt(OSO_ORDERS_CACHE_TTL_SEC, 120) * 1000;
@@ -222,6 +307,15 @@ const loginRateLimiter = rateLimit({
   message: { error: 'Demasiados intentos de inicio de sesion. Intenta mas tarde.' }
 });
 
+// Rate limit de los enlaces publicos de cotizacion (sin login).
+const publicLinkRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Demasiadas solicitudes. Intenta mas tarde.' }
+});
+
 const getSessionTtlMsForRole = (role) =>
   (String(role || '').toLowerCase() === 'admin' ? ADMIN_SESSION_TTL_MS : SESSION_TTL_MS);
 
@@ -232,7 +326,13 @@ const COLUMN_MAP = {
   desc: ['descripciÃ³n', 'descripcion', 'description', 'producto', 'nombre', 'product name', 'item description'],
   precio: ['pricedisty', 'precio disty', 'preciodisty', 'precio', 'cost', 'price'],
   gp: ['gp', 'margen', 'margin', 'gp (%)', 'gp %'],
-  tiempo: ['tiempo', 'entrega', 'leadtime', 'tiempo entrega']
+  tiempo: ['tiempo', 'entrega', 'leadtime', 'tiempo entrega'],
+  // Columnas opcionales: si la hoja no las trae, el sync no toca categoría ni atributos.
+  categoria: ['categoria', 'categoría', 'category'],
+  bahias: ['bahias', 'bahías', 'bays', 'drive bays'],
+  resolucion: ['resolucion', 'resolución', 'resolution'],
+  poe_clase: ['poe', 'clase poe', 'poe class', 'poe clase'],
+  factor_forma: ['factor forma', 'factor de forma', 'form factor', 'formato']
 };
 
 const sanitizeSpreadsheetRef = (value) => String(value || '').replace(/[\r\n]/g, '').trim();
@@ -261,6 +361,29 @@ const PDF_USD_FORMATTER = new Intl.NumberFormat('en-US', {
 
 const formatPdfCurrency = (value) => PDF_USD_FORMATTER.format(parseNumber(value, 0));
 
+const PDF_CLP_FORMATTER = new Intl.NumberFormat('es-CL', {
+  style: 'currency',
+  currency: 'CLP',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0
+});
+
+const formatPdfAmount = (value, moneda = 'USD') => (
+  moneda === 'CLP' ? PDF_CLP_FORMATTER.format(parseNumber(value, 0)) : formatPdfCurrency(value)
+);
+
+// Convierte items y total (USD) a la moneda de la cotizacion. En CLP se redondea el
+// precio unitario y el total de linea sale de unitario x cantidad para que cuadre.
+const convertPdfAmounts = ({ items, total, moneda, tipoCambio }) => {
+  if (moneda !== 'CLP') return { items, total };
+  const rate = parseNumber(tipoCambio, 0);
+  const converted = items.map(item => {
+    const precioUnitario = Math.round(parseNumber(item.precio_unitario, 0) * rate);
+    return { ...item, precio_unitario: precioUnitario, precio_total: precioUnitario * item.cantidad };
+  });
+  return { items: converted, total: sumTotalPrincipal(converted) };
+};
+
 const escapeHtml = (value) =>
   String(value ?? '')
     .replace(/&/g, '&amp;')
@@ -285,11 +408,13 @@ const getPdfDateKey = (value) => {
   return date.toLocaleDateString('en-CA');
 };
 
-const buildPdfFilename = (dateValue, projectName, integratorName) => {
+// Con folio el nombre es unico (COT-2026-000123_proyecto); sin folio se mantiene fecha_proyecto_v1.
+const buildPdfFilename = (dateValue, projectName, integratorName, folio = '') => {
   const dateKey = getPdfDateKey(dateValue) || getPdfDateKey(new Date());
   const project = sanitizePdfFilenamePart(projectName);
   const integrator = sanitizePdfFilenamePart(integratorName);
   const namePart = project || integrator || 'cotizacion';
+  if (folio) return `${folio}_${namePart}`;
   return `${dateKey || 'export'}_${namePart}_v1`;
 };
 
@@ -299,6 +424,13 @@ const formatPdfDateEs = (value) => {
   return date.toLocaleDateString('es-CL', { year: 'numeric', month: 'long', day: 'numeric' });
 };
 
+// Columnas DATE (YYYY-MM-DD): se fijan a mediodia para que la zona horaria no corra el dia.
+const formatPdfDateOnlyEs = (value) => {
+  const key = String(value || '').slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) return formatPdfDateEs(value);
+  return formatPdfDateEs(`${key}T12:00:00`);
+};
+
 const buildCotizacionPdfHtml = ({ cotizacion, items, total, isClient }) => {
   const rows = items.map((item) => `
     <tr>
@@ -415,7 +547,7 @@ const resolvePdfLogoPath = () => {
   return null;
 };
 
-const generateCotizacionPdfBuffer = ({ cotizacion, items, total, isClient, isAxisProfile }) => new Promise((resolve, reject) => {
+const generateCotizacionPdfBuffer = ({ cotizacion, items, total, impuestos = null, isClient, isAxisProfile, moneda = 'USD', tipoCambio = 1 }) => new Promise((resolve, reject) => {
   try {
     const doc = new PDFDocument({ size: 'A4', margin: 36, info: { Title: 'Cotizacion' } });
     const chunks = [];
@@ -432,8 +564,18 @@ const generateCotizacionPdfBuffer = ({ cotizacion, items, total, isClient, isAxi
     } else {
       doc.font('Helvetica-Bold').fontSize(26).fillColor('#0f2f63').text('INTCOMEX', doc.page.margins.left, y);
     }
+    // Con folio, fecha y validez bajan una linea para dejarle espacio.
+    const headerOffset = cotizacion.folio ? 8 : 0;
+    if (cotizacion.folio) {
+      doc.font('Helvetica-Bold').fontSize(12).fillColor('#0f2f63')
+        .text(`Cotizacion ${cotizacion.folio}`, doc.page.margins.left, y, { align: 'right' });
+    }
     doc.font('Helvetica').fontSize(11).fillColor('#374151')
-      .text(`Fecha: ${formatPdfDateEs(cotizacion.fecha)}`, doc.page.margins.left, y + 8, { align: 'right' });
+      .text(`Fecha: ${formatPdfDateEs(cotizacion.fecha)}`, doc.page.margins.left, y + 8 + headerOffset, { align: 'right' });
+    if (cotizacion.valida_hasta) {
+      doc.fontSize(9)
+        .text(`Valida hasta: ${formatPdfDateOnlyEs(cotizacion.valida_hasta)}`, doc.page.margins.left, y + 24 + headerOffset, { align: 'right' });
+    }
     y += 54;
 
     doc.roundedRect(doc.page.margins.left, y, pageWidth, 54, 6).fill('#f3f4f6');
@@ -449,6 +591,15 @@ const generateCotizacionPdfBuffer = ({ cotizacion, items, total, isClient, isAxi
       .text(String(cotizacion.proyecto || 'N/A'), doc.page.margins.left + (pageWidth / 2) + 110, y + 30, { width: (pageWidth / 2) - 120, ellipsis: true });
     y += 68;
 
+    // Servicios, fletes y descuentos van en su propia tabla bajo los productos; opcionales y
+    // alternativas no elegidas se listan despues del total porque no suman.
+    const incluidos = items.filter(item => !isLineaFueraDelTotal(item));
+    const productItems = incluidos.filter(item => normalizeTipoLinea(item?.tipo_linea) === 'producto');
+    const adicionales = incluidos.filter(item => normalizeTipoLinea(item?.tipo_linea) !== 'producto');
+    const opciones = items
+      .filter(isLineaFueraDelTotal)
+      .sort((a, b) => String(a.grupo_alternativa || '').localeCompare(String(b.grupo_alternativa || '')));
+
     const baseCols = {
       marca: Math.round(pageWidth * 0.11),
       cant: Math.round(pageWidth * 0.06),
@@ -470,8 +621,8 @@ const generateCotizacionPdfBuffer = ({ cotizacion, items, total, isClient, isAxi
       return maxWidth + 14;
     };
 
-    const descDemand = measureDemand(['Descripcion', ...items.map(item => item?.descripcion || '')]);
-    const entregaDemand = measureDemand(['Entrega', ...items.map(item => item?.tiempo_entrega || '')]);
+    const descDemand = measureDemand(['Descripcion', ...productItems.map(item => item?.descripcion || '')]);
+    const entregaDemand = measureDemand(['Entrega', ...productItems.map(item => item?.tiempo_entrega || '')]);
     const demandSum = Math.max(1, descDemand + entregaDemand);
 
     const descMin = Math.round(variableSpace * 0.30);
@@ -503,25 +654,28 @@ const generateCotizacionPdfBuffer = ({ cotizacion, items, total, isClient, isAxi
       });
       y += 20;
     };
-    drawHeader();
+    // Encabezado de la tabla en curso; se repite al cambiar de pagina.
+    let currentHeader = drawHeader;
+    if (productItems.length > 0 || adicionales.length === 0) drawHeader();
+    else currentHeader = null;
 
     const addNewPageIfNeeded = (needed = 22) => {
       if (y + needed <= doc.page.height - doc.page.margins.bottom - 120) return;
       doc.addPage();
       y = doc.page.margins.top;
-      drawHeader();
+      if (currentHeader) currentHeader();
     };
 
     doc.font('Helvetica').fontSize(9).fillColor('#1f2937');
-    items.forEach((item) => {
+    const drawProductRow = (item) => {
       const row = [
         item.marca || '',
         String(item.cantidad || ''),
         item.sku || '',
         item.mpn || '',
-        item.descripcion || '',
-        formatPdfCurrency(item.precio_unitario),
-        formatPdfCurrency(item.precio_total),
+        item.atributos ? `${item.descripcion || ''}\n${item.atributos}` : (item.descripcion || ''),
+        formatPdfAmount(item.precio_unitario, moneda),
+        formatPdfAmount(item.precio_total, moneda),
         item.tiempo_entrega || ''
       ];
       const textHeights = row.map((value, idx) => {
@@ -540,21 +694,142 @@ const generateCotizacionPdfBuffer = ({ cotizacion, items, total, isClient, isAxi
       });
       doc.moveTo(doc.page.margins.left, y + rowHeight).lineTo(doc.page.margins.left + pageWidth, y + rowHeight).strokeColor('#f3f4f6').lineWidth(1).stroke();
       y += rowHeight;
+    };
+
+    // Con secciones (sedes, edificios) cada grupo lleva su encabezado y su subtotal.
+    const seccionGroups = [];
+    productItems.forEach((item) => {
+      const seccion = item.seccion || '';
+      let group = seccionGroups.find(candidate => candidate.seccion === seccion);
+      if (!group) {
+        group = { seccion, items: [] };
+        seccionGroups.push(group);
+      }
+      group.items.push(item);
+    });
+    const hasSecciones = seccionGroups.some(group => group.seccion);
+    const drawSeccionBand = (text, align) => {
+      addNewPageIfNeeded(22);
+      doc.rect(doc.page.margins.left, y, pageWidth, 18).fill('#eef2ff');
+      doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(9)
+        .text(text, doc.page.margins.left + 4, y + 5, { width: pageWidth - 8, align, ellipsis: true });
+      doc.font('Helvetica').fontSize(9).fillColor('#1f2937');
+      y += 18;
+    };
+    seccionGroups.forEach((group) => {
+      const nombre = group.seccion || 'General';
+      if (hasSecciones) drawSeccionBand(nombre, 'left');
+      group.items.forEach(drawProductRow);
+      if (hasSecciones) {
+        const subtotal = group.items.reduce((sum, item) => sum + parseNumber(item.precio_total, 0), 0);
+        drawSeccionBand(`Subtotal ${nombre}: ${formatPdfAmount(subtotal, moneda)}`, 'right');
+      }
     });
 
+    const extraCols = [
+      Math.round(pageWidth * 0.15),
+      pageWidth - Math.round(pageWidth * 0.15) - Math.round(pageWidth * 0.08) - (Math.round(pageWidth * 0.13) * 2),
+      Math.round(pageWidth * 0.08),
+      Math.round(pageWidth * 0.13),
+      Math.round(pageWidth * 0.13)
+    ];
+    const extraAlign = (idx) => (idx >= 3 ? 'right' : (idx === 2 ? 'center' : 'left'));
+    // Tablas secundarias de cinco columnas con titulo propio (servicios, opcionales).
+    const drawExtraSection = (title, extraHeaders, rows, gap) => {
+      const drawExtraHeader = () => {
+        let x = doc.page.margins.left;
+        doc.rect(x, y, pageWidth, 20).fill('#e5e7eb');
+        doc.fillColor('#111827').font('Helvetica-Bold').fontSize(9);
+        extraHeaders.forEach((header, idx) => {
+          doc.text(header, x + 4, y + 6, { width: extraCols[idx] - 8, align: extraAlign(idx), ellipsis: true });
+          x += extraCols[idx];
+        });
+        y += 20;
+      };
+      currentHeader = null;
+      y += gap;
+      addNewPageIfNeeded(60);
+      doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10).text(title, doc.page.margins.left, y);
+      y += 16;
+      currentHeader = drawExtraHeader;
+      drawExtraHeader();
+      doc.font('Helvetica').fontSize(9).fillColor('#1f2937');
+      rows.forEach((row) => {
+        const rowHeight = Math.max(18, Math.ceil(Math.max(...row.map((value, idx) =>
+          doc.heightOfString(String(value), { width: extraCols[idx] - 8, align: extraAlign(idx) })))) + 8);
+        addNewPageIfNeeded(rowHeight + 2);
+        let x = doc.page.margins.left;
+        row.forEach((value, idx) => {
+          doc.font(idx === 4 ? 'Helvetica-Bold' : 'Helvetica').text(String(value), x + 4, y + 4, { width: extraCols[idx] - 8, align: extraAlign(idx) });
+          x += extraCols[idx];
+        });
+        doc.moveTo(doc.page.margins.left, y + rowHeight).lineTo(doc.page.margins.left + pageWidth, y + rowHeight).strokeColor('#f3f4f6').lineWidth(1).stroke();
+        y += rowHeight;
+      });
+      currentHeader = null;
+    };
+
+    if (adicionales.length > 0) {
+      drawExtraSection('SERVICIOS Y OTROS CARGOS', ['Tipo', 'Descripcion', 'Cant.', 'P. Unit.', 'P. Total'], adicionales.map(item => [
+        COTIZACION_LINEA_TIPO_LABELS[normalizeTipoLinea(item.tipo_linea)] || '',
+        item.descripcion || '',
+        String(item.cantidad || ''),
+        formatPdfAmount(item.precio_unitario, moneda),
+        formatPdfAmount(item.precio_total, moneda)
+      ]), productItems.length > 0 ? 12 : 0);
+    }
+    currentHeader = null;
+
     y += 8;
+    if (impuestos) {
+      // Neto e IVA en filas simples sobre el recuadro azul del total con IVA.
+      const ivaLabel = impuestos.iva_tasa > 0
+        ? `IVA ${Number((impuestos.iva_tasa * 100).toFixed(2))}%: ${formatPdfAmount(impuestos.iva_monto, moneda)}`
+        : 'Exento de IVA';
+      addNewPageIfNeeded(70);
+      doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10)
+        .text(`NETO: ${formatPdfAmount(impuestos.neto, moneda)}`, doc.page.margins.left + pageWidth - 214, y, { width: 208, align: 'right' })
+        .text(ivaLabel, doc.page.margins.left + pageWidth - 214, y + 16, { width: 208, align: 'right' });
+      y += 34;
+    }
     doc.roundedRect(doc.page.margins.left + pageWidth - 220, y, 220, 26, 6).fill('#2563eb');
     doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(11)
-      .text(`TOTAL (No incluye IVA): ${formatPdfCurrency(total)}`, doc.page.margins.left + pageWidth - 214, y + 8, { width: 208, align: 'right' });
+      .text(
+        impuestos ? `TOTAL: ${formatPdfAmount(impuestos.total_bruto, moneda)}` : `TOTAL (No incluye IVA): ${formatPdfAmount(total, moneda)}`,
+        doc.page.margins.left + pageWidth - 214,
+        y + 8,
+        { width: 208, align: 'right' }
+      );
     y += 40;
 
+    if (opciones.length > 0) {
+      drawExtraSection('OPCIONALES Y ALTERNATIVAS (NO INCLUIDOS EN EL TOTAL)', ['Opcion', 'Descripcion', 'Cant.', 'P. Unit.', 'P. Total'], opciones.map(item => [
+        item.grupo_alternativa ? `Alternativa ${item.grupo_alternativa}` : 'Opcional',
+        item.sku ? `${item.sku} - ${item.descripcion || ''}` : (item.descripcion || ''),
+        String(item.cantidad || ''),
+        formatPdfAmount(item.precio_unitario, moneda),
+        formatPdfAmount(item.precio_total, moneda)
+      ]), 0);
+      y += 16;
+    }
+
     addNewPageIfNeeded(130);
     doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10).text('OBSERVACIONES Y CONDICIONES:', doc.page.margins.left, y);
     y += 16;
+    // Sin desglose el total se emite neto, como antes.
+    const ivaNote = !impuestos
+      ? 'No incluye IVA.'
+      : (impuestos.iva_tasa > 0 ? 'Precios unitarios netos; el IVA se detalla en el total.' : 'Cliente exento de IVA.');
     const notes = [
-      'Los valores estan expresados en dolares americanos. No incluye IVA.',
-      'La cotizacion posee una validez de 15 dias desde la fecha de emision.',
-      'El tipo de cambio a utilizar sera el dolar observado del dia anterior mas $5.',
+      moneda === 'CLP'
+        ? `Los valores estan expresados en pesos chilenos. ${ivaNote} Tipo de cambio: ${formatPdfAmount(tipoCambio, 'CLP')} por USD.`
+        : `Los valores estan expresados en dolares americanos. ${ivaNote}`,
+      cotizacion.valida_hasta
+        ? `La cotizacion es valida hasta el ${formatPdfDateOnlyEs(cotizacion.valida_hasta)}.`
+        : `La cotizacion posee una validez de ${toPositiveInt(COTIZACION_VALIDEZ_DIAS, 15)} dias desde la fecha de emision.`,
+      moneda === 'CLP'
+        ? 'El tipo de cambio queda fijado a la fecha de la cotizacion.'
+        : 'El tipo de cambio a utilizar sera el dolar observado del dia anterior mas $5.',
       'Los valores son validos considerando la compra total de la cotizacion.',
       'Las garantias son de acuerdo con las politicas de cada marca.',
       'Intcomex Chile otorga 24hrs para informar problemas de garantias en pantallas.',
@@ -764,13 +1039,52 @@ const addDaysToIso = (isoDate, days) => {
   return date.toISOString().slice(0, 10);
 };
 
-const calcularPrecioClienteQnap = (precioDisty, gp = 0.15) => {
-  const costoXUS = precioDisty * QNAP_CONSTANTS.INBOUND_FREIGHT;
-  const costoFinalXUS = costoXUS / QNAP_CONSTANTS.IC;
-  const costoXCL = costoFinalXUS * (1 + QNAP_CONSTANTS.INT);
-  return costoXCL / (1 - gp);
+// Factores {INBOUND_FREIGHT, IC, INT} de un origen a partir de una version de parametros_precio.
+const getPricingFactors = (parametros, origen) => {
+  const row = parametros?.[origen];
+  const fallback = origen === 'AXIS' ? AXIS_CONSTANTS : QNAP_CONSTANTS;
+  if (!row) return fallback;
+  return {
+    INBOUND_FREIGHT: parseNumber(row.inbound_freight, fallback.INBOUND_FREIGHT),
+    IC: parseNumber(row.ic, fallback.IC),
+    INT: parseNumber(row.interes, fallback.INT)
+  };
+};
+
+// Desglose por unidad del precio cliente; es la unica formula de precios del backend.
+// Montos sin redondear: cada componente es lo que agrega sobre el paso anterior.
+// parametros es el mapa por origen de getParametrosPrecioVigentes; sin el se usan las constantes.
+const desglosarPrecioCliente = (precioDisty, gp, { origen = DEFAULT_ORIGIN, partnerRebate = 0, projectRebate = 0, parametros = null } = {}) => {
+  const isAxis = origen === 'AXIS';
+  const params = getPricingFactors(parametros, isAxis ? 'AXIS' : 'QNAP');
+  const costoXUS = precioDisty * params.INBOUND_FREIGHT;
+  const costoFinalXUS = costoXUS / params.IC;
+  const costoXCL = costoFinalXUS * (1 + params.INT);
+  // Los rebates solo aplican a AXIS.
+  const rebatePartner = isAxis ? (partnerRebate || 0) : 0;
+  const rebateProyecto = isAxis ? (projectRebate || 0) : 0;
+  const costo = Math.max(costoXCL - rebatePartner - rebateProyecto, 0);
+  return {
+    precio_disty: precioDisty,
+    flete: costoXUS - precioDisty,
+    ic: costoFinalXUS - costoXUS,
+    interes: costoXCL - costoFinalXUS,
+    rebate_partner: rebatePartner,
+    rebate_proyecto: rebateProyecto,
+    costo,
+    gp,
+    precio_unitario: costo / (1 - gp)
+  };
 };
 
+const roundDesglose = (desglose) => Object.fromEntries(Object.entries(desglose).map(([key, value]) => [
+  key,
+  Number(value.toFixed(key === 'gp' ? 4 : 2))
+]));
+
+const calcularPrecioClienteQnap = (precioDisty, gp = 0.15, parametros = null) =>
+  desglosarPrecioCliente(precioDisty, gp, { origen: 'QNAP', parametros }).precio_unitario;
+
 const getAxisPartnerRebate = (producto, category) => {
   const selected = category || 'Partner Autorizado';
   if (selected === 'Partner Silver') return parseNumber(producto.rebate_partner_silver, 0);
@@ -779,14 +1093,8 @@ const getAxisPartnerRebate = (producto, category) => {
   return parseNumber(producto.rebate_partner_autorizado, 0);
 };
 
-const calcularPrecioClienteAxis = (precioDisty, gp, partnerRebate, projectRebate) => {
-  const costoXUS = precioDisty * AXIS_CONSTANTS.INBOUND_FREIGHT;
-  const costoFinalXUS = costoXUS / AXIS_CONSTANTS.IC;
-  const costoXCL = costoFinalXUS * (1 + AXIS_CONSTANTS.INT);
-  const rebateTotal = (partnerRebate || 0) + (projectRebate || 0);
-  const costoFinalXCL = Math.max(costoXCL - rebateTotal, 0);
-  return costoFinalXCL / (1 - gp);
-};
+const calcularPrecioClienteAxis = (precioDisty, gp, partnerRebate, projectRebate, parametros = null) =>
+  desglosarPrecioCliente(precioDisty, gp, { origen: 'AXIS', partnerRebate, projectRebate, parametros }).precio_unitario;
 
 const parseActivoValue = (value) => {
   if (value === undefined || value === null || value === '') return true;
@@ -816,7 +1124,12 @@ const getSheetColumnIndexes = (origen, headers) => {
     rebate_partner_autorizado: -1,
     rebate_partner_silver: -1,
     rebate_partner_gold: -1,
-    rebate_partner_multiregional: -1
+    rebate_partner_multiregional: -1,
+    categoria: findHeaderIndex(headers, COLUMN_MAP.categoria),
+    bahias: findHeaderIndex(headers, COLUMN_MAP.bahias),
+    resolucion: findHeaderIndex(headers, COLUMN_MAP.resolucion),
+    poe_clase: findHeaderIndex(headers, COLUMN_MAP.poe_clase),
+    factor_forma: findHeaderIndex(headers, COLUMN_MAP.factor_forma)
   };
   if (origen === 'AXIS') {
     idx.rebate_partner_autorizado = 5;
@@ -1029,12 +1342,33 @@ const writeProductoToSheet = async (origen, producto, action = 'upsert') => {
   }
 };
 
-const recordSyncLog = async ({ origen, trigger, status, result = {}, errorMessage = null, durationMs = 0 }) => {
+// Abre el registro del sync antes de correrlo para que producto_precio_historial apunte a el.
+const startSyncLog = async ({ origen, trigger }) => {
+  try {
+    const result = await pool.query(
+      `INSERT INTO sync_logs (origen, trigger_source, status)
+       VALUES ($1, $2, 'running')
+       RETURNING id`,
+      [origen, trigger]
+    );
+    return result.rows[0]?.id || null;
+  } catch (error) {
+    logger.error({ event: 'sync_log_failed', message: error.message }, 'No se pudo registrar el sync en sync_logs');
+    return null;
+  }
+};
+
+const recordSyncLog = async ({ id = null, origen, trigger, status, result = {}, errorMessage = null, durationMs = 0 }) => {
   const toCount = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : 0);
   try {
     await pool.query(
-      `INSERT INTO sync_logs (origen, trigger_source, status, inserted, updated, skipped, rejected, total, warnings, error, duration_ms)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      id
+        ? `UPDATE sync_logs
+           SET origen = $1, trigger_source = $2, status = $3, inserted = $4, updated = $5, skipped = $6, rejected = $7,
+               total = $8, warnings = $9, error = $10, duration_ms = $11
+           WHERE id = $12`
+        : `INSERT INTO sync_logs (origen, trigger_source, status, inserted, updated, skipped, rejected, total, warnings, error, duration_ms)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
       [
         origen,
         trigger,
@@ -1046,7 +1380,8 @@ const recordSyncLog = async ({ origen, trigger, status, result = {}, errorMessag
         toCount(result.total),
         result.warnings || null,
         errorMessage || result.reason || null,
-        toCount(durationMs)
+        toCount(durationMs),
+        ...(id ? [id] : [])
       ]
     );
   } catch (error) {
@@ -1058,41 +1393,148 @@ const syncProductosFromSheet = async (options = {}) => {
   const startedAt = Date.now();
   const origen = String(options.origen || DEFAULT_ORIGIN).toUpperCase();
   const trigger = options.trigger || 'manual';
+  const syncLogId = await startSyncLog({ origen, trigger });
   try {
-    const result = await runProductosSync(options);
+    const result = await runProductosSync({ ...options, syncLogId });
     const status = result.skipped === true ? 'skipped' : (result.aborted ? 'aborted' : 'ok');
-    await recordSyncLog({ origen, trigger, status, result, durationMs: Date.now() - startedAt });
+    await recordSyncLog({ id: syncLogId, origen, trigger, status, result, durationMs: Date.now() - startedAt });
     return result;
   } catch (error) {
-    await recordSyncLog({ origen, trigger, status: 'error', errorMessage: error.message, durationMs: Date.now() - startedAt });
+    await recordSyncLog({ id: syncLogId, origen, trigger, status: 'error', errorMessage: error.message, durationMs: Date.now() - startedAt });
     throw error;
   }
 };
 
-const runProductosSync = async (options = {}) => {
+// Campos cuyo cambio queda en producto_precio_historial (gp con 4 decimales, montos con 2).
+const PRODUCTO_HISTORIAL_CAMPOS = [
+  'precio_disty',
+  'gp',
+  'rebate_partner_autorizado',
+  'rebate_partner_silver',
+  'rebate_partner_gold',
+  'rebate_partner_multiregional',
+  'tiempo_entrega'
+];
+
+// { campo: { antes, despues } } con lo que cambio; sin fila anterior (producto nuevo) todo es alta.
+const diffProductoHistorial = (anterior, nuevo) => {
+  const cambios = {};
+  PRODUCTO_HISTORIAL_CAMPOS.forEach((campo) => {
+    if (campo === 'tiempo_entrega') {
+      const antes = anterior ? String(anterior[campo] ?? '') : null;
+      const despues = String(nuevo[campo] ?? '');
+      if (antes !== despues) cambios[campo] = { antes, despues };
+      return;
+    }
+    const decimales = campo === 'gp' ? 4 : 2;
+    const antes = anterior ? Number(parseNumber(anterior[campo], 0).toFixed(decimales)) : null;
+    const despues = Number(parseNumber(nuevo[campo], 0).toFixed(decimales));
+    if (antes !== despues) cambios[campo] = { antes, despues };
+  });
+  return cambios;
+};
+
+const recordProductoHistorial = async (db, productoId, producto, cambios, syncLogId) => {
+  if (Object.keys(cambios).length === 0) return;
+  await db.query(
+    `INSERT INTO producto_precio_historial (
+       producto_id, sync_log_id, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver,
+       rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, cambios
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      productoId,
+      syncLogId || null,
+      producto.precio_disty,
+      producto.gp,
+      producto.rebate_partner_autorizado,
+      producto.rebate_partner_silver,
+      producto.rebate_partner_gold,
+      producto.rebate_partner_multiregional,
+      producto.tiempo_entrega,
+      JSON.stringify(cambios)
+    ]
+  );
+};
+
+// Atributos técnicos tipados de productos (bahias es entero; el resto texto libre normalizado).
+const PRODUCTO_ATRIBUTO_CAMPOS = ['bahias', 'resolucion', 'poe_clase', 'factor_forma'];
+
+// " Cámaras >Domo> Exterior " -> "Cámaras > Domo > Exterior"; vacío -> null.
+const normalizeCategoriaRuta = (value) => {
+  const partes = String(value || '')
+    .split('>')
+    .map((parte) => parte.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  return partes.length > 0 ? partes.join(' > ') : null;
+};
+
+// Solo devuelve las claves cuya columna existe en la hoja: una celda vacía limpia el valor,
+// una columna ausente lo deja como está.
+const readProductoAtributos = (idx, row) => {
+  const atributos = {};
+  const celda = (campo) => String(row[idx[campo]] ?? '').trim();
+  if (idx.categoria >= 0) atributos.categoria = normalizeCategoriaRuta(celda('categoria'));
+  if (idx.bahias >= 0) {
+    const bahias = parseInt(celda('bahias').replace(/[^0-9]/g, ''), 10);
+    atributos.bahias = Number.isFinite(bahias) && bahias > 0 ? bahias : null;
+  }
+  if (idx.resolucion >= 0) atributos.resolucion = celda('resolucion').slice(0, 30) || null;
+  if (idx.poe_clase >= 0) atributos.poe_clase = celda('poe_clase').slice(0, 30) || null;
+  if (idx.factor_forma >= 0) atributos.factor_forma = celda('factor_forma').slice(0, 50) || null;
+  return atributos;
+};
+
+// Crea (si faltan) los nodos de la ruta y devuelve el id de la hoja del árbol.
+const ensureCategoriaRuta = async (db, ruta) => {
+  const partes = normalizeCategoriaRuta(ruta)?.split(' > ') || [];
+  let parentId = null;
+  for (let i = 0; i < partes.length; i += 1) {
+    const result = await db.query(
+      `INSERT INTO categorias (nombre, parent_id, ruta)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (ruta) DO UPDATE SET nombre = EXCLUDED.nombre
+       RETURNING id`,
+      [partes[i], parentId, partes.slice(0, i + 1).join(' > ')]
+    );
+    parentId = result.rows[0].id;
+  }
+  return parentId;
+};
+
+// Texto de atributos para el PDF y listados: "8 bahias · Resolucion 4MP · PoE Clase 3 · Domo".
+const formatProductoAtributos = (producto) => [
+  producto?.bahias ? `${producto.bahias} bahias` : '',
+  producto?.resolucion ? `Resolucion ${producto.resolucion}` : '',
+  producto?.poe_clase ? `PoE ${producto.poe_clase}` : '',
+  producto?.factor_forma || ''
+].filter(Boolean).join(' · ');
+
+// Lee la pestaña del origen y la normaliza a productos (fila = número de fila en la hoja).
+// Si una guarda corta el sync devuelve { guard } con el resultado skipped/aborted tal cual.
+const readProductosSheet = async (origen, tab) => {
   const sheetId = extractSheetId(process.env.GOOGLE_SHEETS_ID || process.env.GOOGLE_SHEETS_URL);
   if (!sheetId) {
-    return { skipped: true, reason: 'GOOGLE_SHEETS_ID no configurado' };
+    return { guard: { skipped: true, reason: 'GOOGLE_SHEETS_ID no configurado' } };
   }
-  const origen = String(options.origen || DEFAULT_ORIGIN).toUpperCase();
-  const tabName = String(options.tab || (origen === 'AXIS' ? SHEETS_TAB_AXIS : SHEETS_TAB_QNAP)).trim();
+  const tabName = String(tab || (origen === 'AXIS' ? SHEETS_TAB_AXIS : SHEETS_TAB_QNAP)).trim();
   const sheets = getSheetsClient();
   const tabId = await getSheetIdByName(sheets, sheetId, tabName);
   if (tabId === undefined || tabId === null) {
-    return { skipped: true, reason: `La pestana "${tabName}" no existe en la hoja` };
+    return { guard: { skipped: true, reason: `La pestana "${tabName}" no existe en la hoja` } };
   }
   const { rows } = await getSheetData(sheets, sheetId, tabName);
   // Guarda: una hoja vacía aborta el sync en vez de desactivar todo el catálogo
   // (antes una lectura vacía/errónea apagaba silenciosamente todos los productos del origen).
   if (rows.length === 0) {
-    return { aborted: true, reason: 'La pestaña no tiene filas; se mantiene el catálogo actual', inserted: 0, updated: 0, skipped: 0, total: 0 };
+    return { guard: { aborted: true, reason: 'La pestaña no tiene filas; se mantiene el catálogo actual', inserted: 0, updated: 0, skipped: 0, total: 0 } };
   }
   const headerRowIndex = detectHeaderRowIndex(rows, origen);
   const headers = (rows[headerRowIndex] || []).map((h) => String(h || '').trim());
   const dataRows = rows.slice(headerRowIndex + 1);
 
   if (dataRows.length === 0) {
-    return { aborted: true, reason: 'La pestaña solo tiene encabezados; se mantiene el catálogo actual', inserted: 0, updated: 0, skipped: 0, total: 0 };
+    return { guard: { aborted: true, reason: 'La pestaña solo tiene encabezados; se mantiene el catálogo actual', inserted: 0, updated: 0, skipped: 0, total: 0 } };
   }
 
   const idx = getSheetColumnIndexes(origen, headers);
@@ -1108,41 +1550,40 @@ const runProductosSync = async (options = {}) => {
   }).length;
   if (readableRows === 0 || readableRows < dataRows.length / 2) {
     return {
-      aborted: true,
-      reason: `Solo ${readableRows} de ${dataRows.length} filas son legibles con el layout esperado; sync abortado`,
-      inserted: 0,
-      updated: 0,
-      skipped: 0,
-      total: dataRows.length
+      guard: {
+        aborted: true,
+        reason: `Solo ${readableRows} de ${dataRows.length} filas son legibles con el layout esperado; sync abortado`,
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        total: dataRows.length
+      }
     };
   }
 
-  const client = await pool.connect();
-  let inserted = 0;
-  let updated = 0;
+  const productos = [];
+  const rechazados = [];
   let skipped = 0;
-  let rejected = 0;
-  try {
-    await client.query('BEGIN');
-    await client.query('UPDATE productos SET activo = false WHERE origen = $1', [origen]);
-    for (let i = 0; i < dataRows.length; i += 1) {
-      const row = dataRows[i] || [];
-      const sku = idx.sku >= 0 ? String(row[idx.sku] || '').trim() : '';
-      const mpn = idx.mpn >= 0 ? String(row[idx.mpn] || '').trim() : '';
-      const descripcion = idx.desc >= 0 ? String(row[idx.desc] || '').trim() : '';
-      if (!sku && !mpn && !descripcion) {
-        skipped += 1;
-        continue;
-      }
-      const precioDisty = parseNumber(idx.precio >= 0 ? row[idx.precio] : 0, 0);
-      if (precioDisty < 0) {
-        rejected += 1;
-        skipped += 1;
-        continue;
-      }
-      const axisTiempoEntrega = origen === 'AXIS' ? String(row[9] || '').trim() : '';
-      const activo = parseActivoValue(idx.activo >= 0 ? row[idx.activo] : true);
-      const producto = {
+  for (let i = 0; i < dataRows.length; i += 1) {
+    const row = dataRows[i] || [];
+    const fila = headerRowIndex + i + 2;
+    const sku = idx.sku >= 0 ? String(row[idx.sku] || '').trim() : '';
+    const mpn = idx.mpn >= 0 ? String(row[idx.mpn] || '').trim() : '';
+    const descripcion = idx.desc >= 0 ? String(row[idx.desc] || '').trim() : '';
+    if (!sku && !mpn && !descripcion) {
+      skipped += 1;
+      continue;
+    }
+    const precioDisty = parseNumber(idx.precio >= 0 ? row[idx.precio] : 0, 0);
+    if (precioDisty < 0) {
+      rechazados.push({ fila, sku, mpn, descripcion, motivo: `Precio disty negativo (${precioDisty})` });
+      skipped += 1;
+      continue;
+    }
+    const axisTiempoEntrega = origen === 'AXIS' ? String(row[9] || '').trim() : '';
+    productos.push({
+      fila,
+      producto: {
         origen,
         marca: idx.marca >= 0 ? String(row[idx.marca] || '').trim() : '',
         rebate_partner_autorizado: origen === 'AXIS' ? parseNumber(row.length > 5 ? row[5] : 0, 0) : 0,
@@ -1155,40 +1596,224 @@ const runProductosSync = async (options = {}) => {
         precio_disty: precioDisty,
         gp: parseGpValue(idx.gp >= 0 ? row[idx.gp] : 0, 0.15),
         tiempo_entrega: axisTiempoEntrega || (idx.tiempo >= 0 ? String(row[idx.tiempo] || '').trim() : '') || 'ETA por confirmar',
-        activo
-      };
+        activo: parseActivoValue(idx.activo >= 0 ? row[idx.activo] : true),
+        ...readProductoAtributos(idx, row)
+      }
+    });
+  }
+
+  return {
+    productos,
+    rechazados,
+    skipped,
+    total: dataRows.length,
+    warnings: idx.usedPositionalFallback
+      ? 'Encabezados no detectados: se usó mapeo posicional de columnas (verificar layout de la hoja)'
+      : null
+  };
+};
+
+// Huella del catálogo de un origen: si cambia entre la vista previa y el "Aplicar", el diff ya no es válido.
+// FOR UPDATE bloquea las filas del origen hasta el COMMIT del que aplica.
+const getCatalogVersion = async (db, origen, { lock = false } = {}) => {
+  const result = await db.query(
+    `SELECT md5(COALESCE(string_agg(p::text, ',' ORDER BY p.id), '')) AS version
+     FROM (SELECT * FROM productos WHERE origen = $1 ORDER BY id${lock ? ' FOR UPDATE' : ''}) p`,
+    [origen]
+  );
+  return result.rows[0]?.version || null;
+};
+
+// Misma regla de match que usaba el UPDATE fila a fila: sku+mpn, solo mpn, solo sku o descripción.
+const matchProductoSync = (actual, producto) => {
+  if (producto.sku && producto.mpn) return actual.sku === producto.sku && actual.mpn === producto.mpn;
+  if (producto.mpn) return actual.mpn === producto.mpn;
+  if (producto.sku) return actual.sku === producto.sku;
+  return Boolean(producto.descripcion) && actual.descripcion === producto.descripcion;
+};
+
+const diffProductoSync = (anterior, producto) => {
+  const cambios = {};
+  ['marca', 'sku', 'mpn', 'descripcion'].forEach((campo) => {
+    const antes = String(anterior[campo] ?? '');
+    const despues = String(producto[campo] ?? '');
+    if (antes !== despues) cambios[campo] = { antes, despues };
+  });
+  Object.assign(cambios, diffProductoHistorial(anterior, producto));
+  [...PRODUCTO_ATRIBUTO_CAMPOS, 'categoria'].forEach((campo) => {
+    if (producto[campo] === undefined) return;
+    const antes = anterior[campo] ?? null;
+    const despues = producto[campo] ?? null;
+    if (String(antes ?? '') !== String(despues ?? '')) cambios[campo] = { antes, despues };
+  });
+  if (Boolean(anterior.activo) !== Boolean(producto.activo)) {
+    cambios.activo = { antes: Boolean(anterior.activo), despues: Boolean(producto.activo) };
+  }
+  return cambios;
+};
+
+// Diff completo de la hoja contra el catálogo del origen, sin escribir nada. Las filas se recorren
+// en orden sobre una copia de trabajo para reproducir el resultado del sync secuencial (una fila
+// repetida pisa a la anterior; los productos nuevos ganan el match por tener el id más alto).
+const planProductosSync = async (db, origen, lectura) => {
+  const actuales = await db.query(
+    `SELECT id, marca, sku, mpn, descripcion, ${PRODUCTO_HISTORIAL_CAMPOS.join(', ')}, activo,
+            ${PRODUCTO_ATRIBUTO_CAMPOS.join(', ')},
+            (SELECT c.ruta FROM categorias c WHERE c.id = productos.categoria_id) AS categoria
+     FROM productos
+     WHERE origen = $1
+     ORDER BY id DESC`,
+    [origen]
+  );
+  const originales = new Map(actuales.rows.map((row) => [row.id, row]));
+  const trabajo = actuales.rows.map((row) => ({ ...row }));
+  const nuevos = [];
+  const tocados = new Map();
+
+  lectura.productos.forEach(({ fila, producto }) => {
+    const nuevo = [...nuevos].reverse().find((n) => matchProductoSync(n.producto, producto));
+    if (nuevo) {
+      nuevo.fila = fila;
+      nuevo.producto = producto;
+      return;
+    }
+    const actual = trabajo.find((row) => matchProductoSync(row, producto));
+    if (!actual) {
+      nuevos.push({ fila, producto });
+      return;
+    }
+    Object.assign(actual, producto);
+    tocados.set(actual.id, { fila, id: actual.id, producto });
+  });
+
+  const cambios = [];
+  let sinCambios = 0;
+  tocados.forEach((entry) => {
+    const diff = diffProductoSync(originales.get(entry.id), entry.producto);
+    if (Object.keys(diff).length === 0) {
+      sinCambios += 1;
+    } else {
+      cambios.push({ ...entry, cambios: diff });
+    }
+  });
+  const desactivados = actuales.rows
+    .filter((row) => row.activo && !tocados.has(row.id))
+    .map((row) => ({ id: row.id, marca: row.marca, sku: row.sku, mpn: row.mpn, descripcion: row.descripcion }));
+
+  return {
+    origen,
+    nuevos,
+    cambios: cambios.sort((a, b) => a.fila - b.fila),
+    desactivados,
+    rechazados: lectura.rechazados,
+    sin_cambios: sinCambios,
+    skipped: lectura.skipped,
+    total: lectura.total,
+    warnings: lectura.warnings
+  };
+};
+
+// Columnas que un sync reescribe y que un restore devuelve desde el snapshot.
+const PRODUCTO_SNAPSHOT_CAMPOS = [
+  'marca', 'sku', 'mpn', 'descripcion', ...PRODUCTO_HISTORIAL_CAMPOS, 'activo', 'categoria_id', ...PRODUCTO_ATRIBUTO_CAMPOS
+];
+
+// Escribe categoría y atributos presentes en la fila de la hoja (las claves ausentes no se tocan).
+const applyProductoAtributos = async (client, productoId, producto) => {
+  const params = [productoId];
+  const sets = PRODUCTO_ATRIBUTO_CAMPOS
+    .filter((campo) => producto[campo] !== undefined)
+    .map((campo) => {
+      params.push(producto[campo]);
+      return `${campo} = $${params.length}`;
+    });
+  if (producto.categoria !== undefined) {
+    params.push(producto.categoria ? await ensureCategoriaRuta(client, producto.categoria) : null);
+    sets.push(`categoria_id = $${params.length}`);
+  }
+  if (sets.length === 0) return;
+  await client.query(`UPDATE productos SET ${sets.join(', ')} WHERE id = $1`, params);
+};
+
+// Guarda la fila completa de cada producto antes de que el sync la modifique.
+const recordProductosSnapshot = async (client, syncLogId, ids) => {
+  if (!syncLogId || ids.length === 0) return;
+  await client.query(
+    `INSERT INTO productos_sync_snapshots (sync_log_id, producto_id, datos)
+     SELECT $1, p.id, to_jsonb(p) FROM productos p WHERE p.id = ANY($2::int[])`,
+    [syncLogId, ids]
+  );
+};
 
-      const existing = await client.query(
-        `SELECT id
-         FROM productos
-         WHERE origen = $1
-           AND (
-             ($2 <> '' AND $3 <> '' AND sku = $2 AND mpn = $3)
-             OR ($2 = '' AND $3 <> '' AND mpn = $3)
-             OR ($2 <> '' AND $3 = '' AND sku = $2)
-             OR ($2 = '' AND $3 = '' AND $4 <> '' AND descripcion = $4)
-           )
-         ORDER BY id DESC
-         LIMIT 1`,
-        [producto.origen, producto.sku, producto.mpn, producto.descripcion]
+// Escribe exactamente el diff del plan; corre dentro de la transacción del caller.
+const applyProductosSyncPlan = async (client, plan, syncLogId) => {
+  await recordProductosSnapshot(client, syncLogId, [...plan.desactivados, ...plan.cambios].map((row) => row.id));
+  if (plan.desactivados.length > 0) {
+    await client.query(
+      'UPDATE productos SET activo = false, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])',
+      [plan.desactivados.map((row) => row.id)]
+    );
+  }
+  for (const { id, producto, cambios } of plan.cambios) {
+    await client.query(
+      `UPDATE productos
+       SET origen = $1, marca = $2, sku = $3, mpn = $4, descripcion = $5, precio_disty = $6, gp = $7, rebate_partner_autorizado = $8, rebate_partner_silver = $9, rebate_partner_gold = $10, rebate_partner_multiregional = $11, tiempo_entrega = $12, activo = $13, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $14`,
+      [producto.origen, producto.marca, producto.sku, producto.mpn, producto.descripcion, producto.precio_disty, producto.gp, producto.rebate_partner_autorizado, producto.rebate_partner_silver, producto.rebate_partner_gold, producto.rebate_partner_multiregional, producto.tiempo_entrega, producto.activo, id]
+    );
+    const historial = Object.fromEntries(Object.entries(cambios).filter(([campo]) => PRODUCTO_HISTORIAL_CAMPOS.includes(campo)));
+    await recordProductoHistorial(client, id, producto, historial, syncLogId);
+    if ([...PRODUCTO_ATRIBUTO_CAMPOS, 'categoria'].some((campo) => cambios[campo])) {
+      await applyProductoAtributos(client, id, producto);
+    }
+  }
+  for (const { producto } of plan.nuevos) {
+    const insertedRow = await client.query(
+      `INSERT INTO productos (origen, marca, sku, mpn, descripcion, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver, rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, activo)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [producto.origen, producto.marca, producto.sku, producto.mpn, producto.descripcion, producto.precio_disty, producto.gp, producto.rebate_partner_autorizado, producto.rebate_partner_silver, producto.rebate_partner_gold, producto.rebate_partner_multiregional, producto.tiempo_entrega, producto.activo]
+    );
+    await recordProductoHistorial(client, insertedRow.rows[0].id, producto, diffProductoHistorial(null, producto), syncLogId);
+    await applyProductoAtributos(client, insertedRow.rows[0].id, producto);
+    if (syncLogId) {
+      // Sin datos: el producto lo creó este sync y un restore lo desactiva.
+      await client.query(
+        'INSERT INTO productos_sync_snapshots (sync_log_id, producto_id, datos) VALUES ($1, $2, NULL)',
+        [syncLogId, insertedRow.rows[0].id]
       );
-      if (existing.rows.length > 0) {
-        await client.query(
-          `UPDATE productos
-           SET origen = $1, marca = $2, sku = $3, mpn = $4, descripcion = $5, precio_disty = $6, gp = $7, rebate_partner_autorizado = $8, rebate_partner_silver = $9, rebate_partner_gold = $10, rebate_partner_multiregional = $11, tiempo_entrega = $12, activo = $13, updated_at = CURRENT_TIMESTAMP
-           WHERE id = $14`,
-          [producto.origen, producto.marca, producto.sku, producto.mpn, producto.descripcion, producto.precio_disty, producto.gp, producto.rebate_partner_autorizado, producto.rebate_partner_silver, producto.rebate_partner_gold, producto.rebate_partner_multiregional, producto.tiempo_entrega, producto.activo, existing.rows[0].id]
-        );
-        updated += 1;
-      } else {
-        await client.query(
-          `INSERT INTO productos (origen, marca, sku, mpn, descripcion, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver, rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, activo)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
-          [producto.origen, producto.marca, producto.sku, producto.mpn, producto.descripcion, producto.precio_disty, producto.gp, producto.rebate_partner_autorizado, producto.rebate_partner_silver, producto.rebate_partner_gold, producto.rebate_partner_multiregional, producto.tiempo_entrega, producto.activo]
-        );
-        inserted += 1;
-      }
     }
+  }
+  return {
+    inserted: plan.nuevos.length,
+    updated: plan.cambios.length,
+    deactivated: plan.desactivados.length,
+    unchanged: plan.sin_cambios,
+    skipped: plan.skipped,
+    rejected: plan.rechazados.length,
+    total: plan.total,
+    warnings: plan.warnings
+  };
+};
+
+// options.dryRun devuelve el plan (con la huella del catálogo) sin tocar productos.
+const runProductosSync = async (options = {}) => {
+  const origen = String(options.origen || DEFAULT_ORIGIN).toUpperCase();
+  const lectura = await readProductosSheet(origen, options.tab);
+  if (lectura.guard) return lectura.guard;
+
+  if (options.dryRun) {
+    const plan = await planProductosSync(pool, origen, lectura);
+    return { ...plan, version: await getCatalogVersion(pool, origen) };
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    await getCatalogVersion(client, origen, { lock: true });
+    const plan = await planProductosSync(client, origen, lectura);
+    result = await applyProductosSyncPlan(client, plan, options.syncLogId);
     await client.query('COMMIT');
   } catch (error) {
     await client.query('ROLLBACK');
@@ -1198,16 +1823,134 @@ const runProductosSync = async (options = {}) => {
   }
 
   invalidateOperationalCaches();
-  return {
-    inserted,
-    updated,
-    skipped,
-    rejected,
-    total: dataRows.length,
-    warnings: idx.usedPositionalFallback
-      ? 'Encabezados no detectados: se usó mapeo posicional de columnas (verificar layout de la hoja)'
-      : null
-  };
+  return result;
+};
+
+// Aplica una vista previa guardada tal como se revisó. Si el catálogo del origen cambió desde
+// entonces (otro sync, una edición manual) se rechaza con 409 para que se genere una nueva.
+const applyProductosSyncPreview = async (previewId, usuarioId) => {
+  const client = await pool.connect();
+  const startedAt = Date.now();
+  let preview;
+  let syncLogId = null;
+  try {
+    await client.query('BEGIN');
+    const found = await client.query(
+      'SELECT id, origen, plan, version, applied_at FROM productos_sync_previews WHERE id = $1 FOR UPDATE',
+      [previewId]
+    );
+    preview = found.rows[0];
+    if (!preview) {
+      const error = new Error('Vista previa no encontrada');
+      error.status = 404;
+      throw error;
+    }
+    if (preview.applied_at) {
+      const error = new Error('La vista previa ya fue aplicada');
+      error.status = 409;
+      throw error;
+    }
+    const version = await getCatalogVersion(client, preview.origen, { lock: true });
+    if (version !== preview.version) {
+      const error = new Error('El catálogo cambió desde la vista previa; genere una nueva');
+      error.status = 409;
+      throw error;
+    }
+    syncLogId = await startSyncLog({ origen: preview.origen, trigger: 'preview' });
+    const result = await applyProductosSyncPlan(client, preview.plan, syncLogId);
+    await client.query(
+      'UPDATE productos_sync_previews SET applied_at = CURRENT_TIMESTAMP, applied_by = $2, sync_log_id = $3 WHERE id = $1',
+      [preview.id, usuarioId, syncLogId]
+    );
+    await client.query('COMMIT');
+    await recordSyncLog({ id: syncLogId, origen: preview.origen, trigger: 'preview', status: 'ok', result, durationMs: Date.now() - startedAt });
+    invalidateOperationalCaches();
+    return { origen: preview.origen, ...result };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (syncLogId) {
+      await recordSyncLog({ id: syncLogId, origen: preview.origen, trigger: 'preview', status: 'error', errorMessage: error.message, durationMs: Date.now() - startedAt });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Devuelve el catálogo del origen al estado previo al sync indicado: por producto se toma el
+// snapshot más antiguo desde ese sync, lo que deshace también los syncs posteriores. El restore
+// se registra como un sync más (trigger 'restore') con su propio snapshot, así que se puede deshacer.
+const restoreProductosSnapshot = async (syncLogId) => {
+  const client = await pool.connect();
+  const startedAt = Date.now();
+  let log;
+  let restoreLogId = null;
+  try {
+    await client.query('BEGIN');
+    const found = await client.query('SELECT id, origen FROM sync_logs WHERE id = $1', [syncLogId]);
+    log = found.rows[0];
+    if (!log) {
+      const error = new Error('Sync no encontrado');
+      error.status = 404;
+      throw error;
+    }
+    await getCatalogVersion(client, log.origen, { lock: true });
+    const snapshots = await client.query(
+      `SELECT DISTINCT ON (s.producto_id) s.producto_id, s.datos
+       FROM productos_sync_snapshots s
+       JOIN sync_logs l ON l.id = s.sync_log_id
+       WHERE l.origen = $1 AND s.sync_log_id >= $2
+       ORDER BY s.producto_id, s.sync_log_id ASC`,
+      [log.origen, log.id]
+    );
+    if (snapshots.rows.length === 0) {
+      const error = new Error('Ese sync no tiene snapshot para restaurar');
+      error.status = 409;
+      throw error;
+    }
+    restoreLogId = await startSyncLog({ origen: log.origen, trigger: 'restore' });
+    const ids = snapshots.rows.map((row) => row.producto_id);
+    const actuales = await client.query(
+      `SELECT id, ${PRODUCTO_HISTORIAL_CAMPOS.join(', ')} FROM productos WHERE id = ANY($1::int[])`,
+      [ids]
+    );
+    const actualesById = new Map(actuales.rows.map((row) => [row.id, row]));
+    await recordProductosSnapshot(client, restoreLogId, ids);
+    let restored = 0;
+    let deactivated = 0;
+    for (const { producto_id: productoId, datos } of snapshots.rows) {
+      if (!datos) {
+        await client.query('UPDATE productos SET activo = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [productoId]);
+        deactivated += 1;
+        continue;
+      }
+      await client.query(
+        `UPDATE productos p
+         SET ${PRODUCTO_SNAPSHOT_CAMPOS.map((campo) => `${campo} = r.${campo}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         FROM jsonb_populate_record(NULL::productos, $2::jsonb) r
+         WHERE p.id = $1`,
+        [productoId, JSON.stringify(datos)]
+      );
+      const actual = actualesById.get(productoId);
+      if (actual) {
+        await recordProductoHistorial(client, productoId, datos, diffProductoHistorial(actual, datos), restoreLogId);
+      }
+      restored += 1;
+    }
+    await client.query('COMMIT');
+    const result = { inserted: 0, updated: restored + deactivated, restored, deactivated, total: ids.length };
+    await recordSyncLog({ id: restoreLogId, origen: log.origen, trigger: 'restore', status: 'ok', result, durationMs: Date.now() - startedAt });
+    invalidateOperationalCaches();
+    return { origen: log.origen, sync_log_id: restoreLogId, ...result };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (restoreLogId) {
+      await recordSyncLog({ id: restoreLogId, origen: log.origen, trigger: 'restore', status: 'error', errorMessage: error.message, durationMs: Date.now() - startedAt });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
 };
 
 const startSheetsSyncJob = () => {
@@ -1229,34 +1972,187 @@ const startSheetsSyncJob = () => {
   }, intervalMs);
 };
 
-// Inicializar base de datos
-const initDB = async () => {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS usuarios (
-        id SERIAL PRIMARY KEY,
-        usuario VARCHAR(50) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        nombre VARCHAR(100),
-        empresa VARCHAR(150),
-        logo_url TEXT,
-        role VARCHAR(20) DEFAULT 'client',
-        gp DECIMAL(5,4) DEFAULT 0.15,
-        gp_qnap DECIMAL(5,4) DEFAULT 0.15,
-        gp_axis DECIMAL(5,4) DEFAULT 0.15,
-        partner_category VARCHAR(50) DEFAULT 'Partner Autorizado',
-        intcomex_profile VARCHAR(20),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
+// Pasa a 'vencida' las cotizaciones abiertas cuya valida_hasta ya paso y deja la transicion
+// en el historial de estados (sin usuario: la hace el sistema).
+const expireCotizacionesVencidas = async () => {
+  const result = await pool.query(
+    `WITH vencidas AS (
+       SELECT id, CASE WHEN estado = 'pendiente' OR estado IS NULL THEN 'revision' ELSE estado END AS estado_anterior
+       FROM cotizaciones
+       WHERE valida_hasta < CURRENT_DATE
+         AND COALESCE(estado, 'revision') IN ('enviada', 'revision', 'pendiente')
+       FOR UPDATE
+     ), actualizadas AS (
+       UPDATE cotizaciones c
+       SET estado = 'vencida'
+       FROM vencidas v
+       WHERE c.id = v.id
+       RETURNING c.id, v.estado_anterior
+     )
+     INSERT INTO cotizacion_estado_historial (cotizacion_id, estado_anterior, estado_nuevo, comentario)
+     SELECT id, estado_anterior, 'vencida', 'Vencimiento automatico'
+     FROM actualizadas
+     RETURNING cotizacion_id`
+  );
+  return result.rows.length;
+};
 
-      CREATE TABLE IF NOT EXISTS productos (
-        id SERIAL PRIMARY KEY,
-        origen VARCHAR(50) DEFAULT 'QNAP',
-        marca VARCHAR(100),
-        sku VARCHAR(100),
-        mpn VARCHAR(100),
-        descripcion TEXT,
-        precio_disty DECIMAL(12,2) DEFAULT 0,
+const startCotizacionesExpiryJob = () => {
+  if (!Number.isFinite(COTIZACION_EXPIRY_CHECK_HOURS) || COTIZACION_EXPIRY_CHECK_HOURS <= 0) return;
+  const run = async () => {
+    try {
+      const expired = await expireCotizacionesVencidas();
+      if (expired > 0) console.log(`Cotizaciones vencidas: ${expired}`);
+    } catch (error) {
+      console.error('Error venciendo cotizaciones:', error);
+    }
+  };
+  run();
+  setInterval(run, COTIZACION_EXPIRY_CHECK_HOURS * 60 * 60 * 1000);
+};
+
+// Crea el recordatorio del dueño para cada cotizacion enviada cuya fecha de seguimiento ya llego.
+// UNIQUE (cotizacion_id, fecha) evita duplicados entre corridas; reprogramar genera uno nuevo.
+const generarRecordatoriosSeguimiento = async () => {
+  const result = await pool.query(
+    `INSERT INTO cotizacion_recordatorios (cotizacion_id, usuario_id, fecha)
+     SELECT id, usuario_id, seguimiento_fecha
+     FROM cotizaciones
+     WHERE estado = 'enviada'
+       AND usuario_id IS NOT NULL
+       AND seguimiento_fecha <= CURRENT_DATE
+     ON CONFLICT (cotizacion_id, fecha) DO NOTHING
+     RETURNING id`
+  );
+  return result.rows.length;
+};
+
+let mailTransport = null;
+const getMailTransport = () => {
+  if (!SMTP_HOST) return null;
+  if (!mailTransport) {
+    // Se carga solo si hay SMTP configurado.
+    const nodemailer = require('nodemailer');
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+};
+
+// Resumen diario por correo: una vez al dia, desde SEGUIMIENTO_RESUMEN_HORA, cada usuario con
+// email recibe sus seguimientos pendientes. notificado_at marca lo ya informado en el dia.
+const enviarResumenSeguimiento = async () => {
+  const transport = getMailTransport();
+  if (!transport || new Date().getHours() < SEGUIMIENTO_RESUMEN_HORA) return 0;
+  const result = await pool.query(
+    `SELECT r.id, r.usuario_id, r.fecha, u.email, u.nombre AS usuario_nombre,
+            c.folio, c.cliente_empresa, c.cliente_nombre, c.total
+     FROM cotizacion_recordatorios r
+     JOIN cotizaciones c ON c.id = r.cotizacion_id
+     JOIN usuarios u ON u.id = r.usuario_id
+     WHERE r.completado_at IS NULL
+       AND c.estado = 'enviada'
+       AND COALESCE(u.email, '') <> ''
+       AND r.usuario_id IN (
+         SELECT usuario_id FROM cotizacion_recordatorios
+         WHERE completado_at IS NULL
+           AND (notificado_at IS NULL OR notificado_at::date < CURRENT_DATE)
+       )
+     ORDER BY r.usuario_id, r.fecha, r.id`
+  );
+  const porUsuario = new Map();
+  result.rows.forEach((row) => {
+    if (!porUsuario.has(row.usuario_id)) porUsuario.set(row.usuario_id, []);
+    porUsuario.get(row.usuario_id).push(row);
+  });
+  let enviados = 0;
+  for (const rows of porUsuario.values()) {
+    const lineas = rows.map((row) => {
+      const cliente = row.cliente_empresa || row.cliente_nombre || 'Sin cliente';
+      return `- ${row.folio || 'Sin folio'} | ${cliente} | ${formatPdfCurrency(row.total)} neto | seguimiento ${formatPdfDateOnlyEs(row.fecha)}`;
+    });
+    try {
+      await transport.sendMail({
+        from: SMTP_FROM,
+        to: rows[0].email,
+        subject: `Pendientes de seguimiento (${rows.length})`,
+        text: [
+          rows[0].usuario_nombre ? `Hola ${rows[0].usuario_nombre},` : 'Hola,',
+          '',
+          'Estas cotizaciones enviadas esperan seguimiento:',
+          ...lineas
+        ].join('\n')
+      });
+      await pool.query(
+        'UPDATE cotizacion_recordatorios SET notificado_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])',
+        [rows.map(row => row.id)]
+      );
+      enviados += 1;
+    } catch (error) {
+      console.error(`Error enviando resumen de seguimiento a ${rows[0].email}:`, error);
+    }
+  }
+  return enviados;
+};
+
+const startSeguimientoJob = () => {
+  if (!Number.isFinite(SEGUIMIENTO_CHECK_HOURS) || SEGUIMIENTO_CHECK_HOURS <= 0) return;
+  const run = async () => {
+    try {
+      const creados = await generarRecordatoriosSeguimiento();
+      if (creados > 0) console.log(`Recordatorios de seguimiento: ${creados}`);
+      const enviados = await enviarResumenSeguimiento();
+      if (enviados > 0) console.log(`Resumenes de seguimiento enviados: ${enviados}`);
+    } catch (error) {
+      console.error('Error generando recordatorios de seguimiento:', error);
+    }
+  };
+  run();
+  setInterval(run, SEGUIMIENTO_CHECK_HOURS * 60 * 60 * 1000);
+};
+
+// Inicializar base de datos
+const initDB = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS usuarios (
+        id SERIAL PRIMARY KEY,
+        usuario VARCHAR(50) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        nombre VARCHAR(100),
+        empresa VARCHAR(150),
+        logo_url TEXT,
+        role VARCHAR(20) DEFAULT 'client',
+        gp DECIMAL(5,4) DEFAULT 0.15,
+        gp_qnap DECIMAL(5,4) DEFAULT 0.15,
+        gp_axis DECIMAL(5,4) DEFAULT 0.15,
+        partner_category VARCHAR(50) DEFAULT 'Partner Autorizado',
+        intcomex_profile VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Arbol de categorias de producto. ruta es el camino completo ("Camaras > Domo > Exterior")
+      -- y es la clave con que el sync de Sheets crea o encuentra cada nodo.
+      CREATE TABLE IF NOT EXISTS categorias (
+        id SERIAL PRIMARY KEY,
+        nombre VARCHAR(100) NOT NULL,
+        parent_id INTEGER REFERENCES categorias(id) ON DELETE CASCADE,
+        ruta VARCHAR(500) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS productos (
+        id SERIAL PRIMARY KEY,
+        origen VARCHAR(50) DEFAULT 'QNAP',
+        marca VARCHAR(100),
+        sku VARCHAR(100),
+        mpn VARCHAR(100),
+        descripcion TEXT,
+        precio_disty DECIMAL(12,2) DEFAULT 0,
         gp DECIMAL(5,4) DEFAULT 0.15,
         rebate_partner_autorizado DECIMAL(12,2) DEFAULT 0,
         rebate_partner_silver DECIMAL(12,2) DEFAULT 0,
@@ -1389,8 +2285,238 @@ const initDB = async () => {
         duration_ms INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      -- Una fila por producto y sync en que cambio precio, GP, rebates o plazo: valores vigentes
+      -- tras el cambio y en cambios el detalle { campo: { antes, despues } }.
+      CREATE TABLE IF NOT EXISTS producto_precio_historial (
+        id SERIAL PRIMARY KEY,
+        producto_id INTEGER REFERENCES productos(id) ON DELETE CASCADE,
+        sync_log_id INTEGER REFERENCES sync_logs(id) ON DELETE SET NULL,
+        precio_disty DECIMAL(12,2),
+        gp DECIMAL(5,4),
+        rebate_partner_autorizado DECIMAL(12,2),
+        rebate_partner_silver DECIMAL(12,2),
+        rebate_partner_gold DECIMAL(12,2),
+        rebate_partner_multiregional DECIMAL(12,2),
+        tiempo_entrega VARCHAR(200),
+        cambios JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Fila completa de cada producto antes de que un sync la tocara (datos NULL = la creo ese sync).
+      -- Con esto POST /api/sync/logs/:id/restore devuelve el origen al estado previo a un sync.
+      CREATE TABLE IF NOT EXISTS productos_sync_snapshots (
+        id SERIAL PRIMARY KEY,
+        sync_log_id INTEGER REFERENCES sync_logs(id) ON DELETE CASCADE,
+        producto_id INTEGER REFERENCES productos(id) ON DELETE CASCADE,
+        datos JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Vistas previas del sync (dry-run): el diff revisado y la huella del catalogo del origen
+      -- al generarlo. "Aplicar" escribe exactamente este plan o falla si la huella cambio.
+      CREATE TABLE IF NOT EXISTS productos_sync_previews (
+        id SERIAL PRIMARY KEY,
+        origen VARCHAR(50) NOT NULL,
+        plan JSONB NOT NULL,
+        version VARCHAR(32),
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        applied_at TIMESTAMP,
+        applied_by INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        sync_log_id INTEGER REFERENCES sync_logs(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS cotizacion_revisiones (
+        id SERIAL PRIMARY KEY,
+        cotizacion_id INTEGER REFERENCES cotizaciones(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        motivo VARCHAR(20),
+        header JSONB,
+        items JSONB,
+        total DECIMAL(12,2),
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (cotizacion_id, revision)
+      );
+
+      CREATE TABLE IF NOT EXISTS tipos_cambio (
+        id SERIAL PRIMARY KEY,
+        moneda VARCHAR(3) NOT NULL,
+        valor DECIMAL(14,4) NOT NULL,
+        vigente_desde DATE NOT NULL,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (moneda, vigente_desde)
+      );
+
+      CREATE TABLE IF NOT EXISTS kits (
+        id SERIAL PRIMARY KEY,
+        nombre VARCHAR(150) NOT NULL,
+        descripcion TEXT,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS kit_items (
+        id SERIAL PRIMARY KEY,
+        kit_id INTEGER REFERENCES kits(id) ON DELETE CASCADE,
+        producto_id INTEGER REFERENCES productos(id),
+        cantidad INTEGER DEFAULT 1,
+        UNIQUE (kit_id, producto_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS gp_pisos (
+        id SERIAL PRIMARY KEY,
+        origen VARCHAR(20) NOT NULL,
+        marca VARCHAR(100) NOT NULL DEFAULT '',
+        gp_min DECIMAL(6,4) NOT NULL,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (origen, marca)
+      );
+
+      -- Dias de validez por origen/marca (marca vacia = todo el origen), como gp_pisos.
+      CREATE TABLE IF NOT EXISTS validez_cotizacion (
+        id SERIAL PRIMARY KEY,
+        origen VARCHAR(20) NOT NULL,
+        marca VARCHAR(100) NOT NULL DEFAULT '',
+        dias INTEGER NOT NULL CHECK (dias > 0),
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (origen, marca)
+      );
+
+      CREATE TABLE IF NOT EXISTS cotizacion_estado_historial (
+        id SERIAL PRIMARY KEY,
+        cotizacion_id INTEGER REFERENCES cotizaciones(id) ON DELETE CASCADE,
+        estado_anterior VARCHAR(30),
+        estado_nuevo VARCHAR(30) NOT NULL,
+        comentario TEXT,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS cotizacion_folios (
+        anio INTEGER PRIMARY KEY,
+        ultimo INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS cotizacion_links (
+        id SERIAL PRIMARY KEY,
+        cotizacion_id INTEGER REFERENCES cotizaciones(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        creado_por_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        creado_por VARCHAR(50),
+        respuesta VARCHAR(20),
+        respondido_nombre VARCHAR(150),
+        respondido_ip VARCHAR(64),
+        respondido_comentario TEXT,
+        respondido_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Motivos de perdida que se exigen al rechazar una cotizacion. No se borran, se
+      -- desactivan, para que el analisis de perdidas conserve el historico.
+      CREATE TABLE IF NOT EXISTS motivos_perdida (
+        id SERIAL PRIMARY KEY,
+        nombre VARCHAR(100) NOT NULL UNIQUE,
+        activo BOOLEAN DEFAULT true,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Vinculo cotizacion <-> BO (muchos a muchos): una cotizacion puede partirse en varias
+      -- ordenes y una BO puede juntar varias cotizaciones. Traza cotizacion -> orden -> factura.
+      CREATE TABLE IF NOT EXISTS cotizacion_bos (
+        id SERIAL PRIMARY KEY,
+        cotizacion_id INTEGER REFERENCES cotizaciones(id) ON DELETE CASCADE,
+        bo VARCHAR(100) NOT NULL REFERENCES bo_meta(bo) ON DELETE CASCADE,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (cotizacion_id, bo)
+      );
+
+      -- Recordatorios de seguimiento de cotizaciones enviadas; uno por cotizacion y fecha.
+      CREATE TABLE IF NOT EXISTS cotizacion_recordatorios (
+        id SERIAL PRIMARY KEY,
+        cotizacion_id INTEGER REFERENCES cotizaciones(id) ON DELETE CASCADE,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE CASCADE,
+        fecha DATE NOT NULL,
+        completado_at TIMESTAMP,
+        notificado_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (cotizacion_id, fecha)
+      );
+
+      -- Empresas que cotizan sin IVA (exportaciones, zonas francas, organismos exentos).
+      CREATE TABLE IF NOT EXISTS clientes_exentos_iva (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(100) NOT NULL,
+        motivo TEXT,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Lista de precios de servicios, mano de obra, fletes y descuentos. precio fija el monto;
+      -- sin precio, el vendedor lo ingresa dentro de [precio_min, precio_max].
+      CREATE TABLE IF NOT EXISTS conceptos_adicionales (
+        id SERIAL PRIMARY KEY,
+        tipo VARCHAR(20) NOT NULL,
+        nombre VARCHAR(150) NOT NULL,
+        descripcion TEXT,
+        precio DECIMAL(12,2),
+        precio_min DECIMAL(12,2),
+        precio_max DECIMAL(12,2),
+        activo BOOLEAN DEFAULT true,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Versiones de los factores de costo por origen. Solo se agregan filas: una cotizacion
+      -- guardada apunta a la version que uso y debe poder recalcularse igual despues.
+      CREATE TABLE IF NOT EXISTS parametros_precio (
+        id SERIAL PRIMARY KEY,
+        origen VARCHAR(20) NOT NULL,
+        inbound_freight DECIMAL(8,4) NOT NULL,
+        ic DECIMAL(8,4) NOT NULL,
+        interes DECIMAL(8,4) NOT NULL,
+        vigente_desde DATE NOT NULL,
+        comentario TEXT,
+        usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        usuario VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS cotizacion_aprobaciones (
+        id SERIAL PRIMARY KEY,
+        cotizacion_id INTEGER REFERENCES cotizaciones(id) ON DELETE CASCADE,
+        estado VARCHAR(20) DEFAULT 'pendiente',
+        lineas JSONB,
+        solicitado_por_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        solicitado_por VARCHAR(50),
+        resuelto_por_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+        resuelto_por VARCHAR(50),
+        comentario TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resuelto_at TIMESTAMP
+      );
     `);
     await pool.query(`CREATE INDEX IF NOT EXISTS sync_logs_origen_created_idx ON sync_logs(origen, created_at DESC);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS producto_precio_historial_producto_idx ON producto_precio_historial(producto_id, created_at);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS productos_sync_snapshots_log_idx ON productos_sync_snapshots(sync_log_id);`);
 
     await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS origen VARCHAR(50) DEFAULT 'QNAP';`);
     await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS rebate_partner_autorizado DECIMAL(12,2) DEFAULT 0;`);
@@ -1399,14 +2525,26 @@ const initDB = async () => {
     await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS rebate_partner_multiregional DECIMAL(12,2) DEFAULT 0;`);
     await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS activo BOOLEAN DEFAULT true;`);
     await pool.query(`ALTER TABLE productos ALTER COLUMN tiempo_entrega TYPE VARCHAR(200);`);
+    await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS categoria_id INTEGER REFERENCES categorias(id) ON DELETE SET NULL;`);
+    await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS bahias INTEGER;`);
+    await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS resolucion VARCHAR(30);`);
+    await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS poe_clase VARCHAR(30);`);
+    await pool.query(`ALTER TABLE productos ADD COLUMN IF NOT EXISTS factor_forma VARCHAR(50);`);
     await pool.query(`UPDATE productos SET origen = 'QNAP' WHERE origen IS NULL;`);
     await pool.query(`UPDATE productos SET activo = true WHERE activo IS NULL;`);
 
     await pool.query(`ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'client';`);
     await pool.query(`ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS empresa VARCHAR(150);`);
     await pool.query(`ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS logo_url TEXT;`);
+    await pool.query(`ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS email VARCHAR(255);`);
 
     await pool.query(`ALTER TABLE cotizacion_items ALTER COLUMN tiempo_entrega TYPE VARCHAR(200);`);
+    await pool.query(`ALTER TABLE cotizacion_items ADD COLUMN IF NOT EXISTS tipo_linea VARCHAR(20) DEFAULT 'producto';`);
+    await pool.query(`ALTER TABLE cotizacion_items ADD COLUMN IF NOT EXISTS concepto_id INTEGER REFERENCES conceptos_adicionales(id) ON DELETE SET NULL;`);
+    await pool.query(`ALTER TABLE cotizacion_items ADD COLUMN IF NOT EXISTS opcional BOOLEAN DEFAULT false;`);
+    await pool.query(`ALTER TABLE cotizacion_items ADD COLUMN IF NOT EXISTS grupo_alternativa VARCHAR(50);`);
+    await pool.query(`ALTER TABLE cotizacion_items ADD COLUMN IF NOT EXISTS seleccionada BOOLEAN DEFAULT false;`);
+    await pool.query(`ALTER TABLE cotizacion_items ADD COLUMN IF NOT EXISTS seccion VARCHAR(100);`);
 
     await pool.query(`ALTER TABLE bo_meta ADD COLUMN IF NOT EXISTS project_name TEXT;`);
     await pool.query(`ALTER TABLE bo_meta ADD COLUMN IF NOT EXISTS po_axis TEXT;`);
@@ -1496,6 +2634,86 @@ const initDB = async () => {
     await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS vms VARCHAR(100);`);
     await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS usuario_id INTEGER REFERENCES usuarios(id);`);
     await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS usuario VARCHAR(50);`);
+    // Sin backfill: las cotizaciones antiguas quedan sin valida_hasta y no vencen solas.
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS valida_hasta DATE;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS cotizaciones_valida_hasta_idx ON cotizaciones(valida_hasta);`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS moneda VARCHAR(3) DEFAULT 'USD';`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS tipo_cambio DECIMAL(14,4) DEFAULT 1;`);
+    // aprobacion: NULL (no requiere), 'pendiente', 'aprobada' o 'rechazada'.
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS aprobacion VARCHAR(20);`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS aprobacion_comentario TEXT;`);
+    // Estado que tenia la cotizacion al pasar a pendiente_aprobacion; se restaura al aprobar el margen.
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS estado_previo VARCHAR(20);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS cotizacion_estado_historial_cotizacion_idx ON cotizacion_estado_historial(cotizacion_id, created_at);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS parametros_precio_origen_idx ON parametros_precio(origen, vigente_desde DESC, id DESC);`);
+    // Version inicial con los valores historicos, vigente para todas las cotizaciones previas.
+    for (const [origen, factores] of [['QNAP', QNAP_CONSTANTS], ['AXIS', AXIS_CONSTANTS]]) {
+      await pool.query(
+        `INSERT INTO parametros_precio (origen, inbound_freight, ic, interes, vigente_desde, comentario)
+         SELECT $1::varchar, $2, $3, $4, DATE '2000-01-01', 'Valores iniciales'
+         WHERE NOT EXISTS (SELECT 1 FROM parametros_precio WHERE origen = $1::varchar)`,
+        [origen, factores.INBOUND_FREIGHT, factores.IC, factores.INT]
+      );
+    }
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS parametros_precio_qnap_id INTEGER REFERENCES parametros_precio(id) ON DELETE SET NULL;`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS parametros_precio_axis_id INTEGER REFERENCES parametros_precio(id) ON DELETE SET NULL;`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS iva_tasa NUMERIC(5,4);`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS iva_monto DECIMAL(12,2);`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS total_bruto DECIMAL(12,2);`);
+    // Cotizaciones anteriores al desglose: se les resuelve la tasa por empresa igual que
+    // resolveIvaTasa (0 para clientes exentos, la general para el resto) sobre el neto guardado.
+    await pool.query(
+      `UPDATE cotizaciones c
+       SET iva_tasa = t.tasa,
+           iva_monto = ROUND(COALESCE(c.total, 0) * t.tasa, 2),
+           total_bruto = COALESCE(c.total, 0) + ROUND(COALESCE(c.total, 0) * t.tasa, 2)
+       FROM (
+         SELECT c2.id, CASE WHEN COUNT(e.id) > 0 THEN 0 ELSE $1::numeric END AS tasa
+         FROM cotizaciones c2
+         LEFT JOIN clientes_exentos_iva e
+           ON TRIM(COALESCE(c2.cliente_empresa, '')) <> ''
+          AND LOWER(e.empresa) = LOWER(TRIM(c2.cliente_empresa))
+         WHERE c2.iva_tasa IS NULL
+         GROUP BY c2.id
+       ) t
+       WHERE c.id = t.id`,
+      [IVA_TASA]
+    );
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS clientes_exentos_iva_empresa_idx ON clientes_exentos_iva (LOWER(empresa));`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS motivo_perdida_id INTEGER REFERENCES motivos_perdida(id) ON DELETE SET NULL;`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS competidor_marca VARCHAR(100);`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS competidor_precio DECIMAL(12,2);`);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS seguimiento_fecha DATE;`);
+    // Lista inicial solo si la tabla esta vacia: despues la administra el admin.
+    await pool.query(`
+      INSERT INTO motivos_perdida (nombre)
+      SELECT nombre FROM (VALUES ('Precio'), ('Plazo de entrega'), ('Competidor'), ('Proyecto cancelado')) AS iniciales(nombre)
+      WHERE NOT EXISTS (SELECT 1 FROM motivos_perdida)
+    `);
+    await pool.query(`ALTER TABLE cotizaciones ADD COLUMN IF NOT EXISTS folio VARCHAR(20);`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS cotizaciones_folio_idx ON cotizaciones(folio);`);
+    // Backfill: las cotizaciones sin folio se numeran por año de creacion, a continuacion
+    // del contador de ese año, y luego el contador se adelanta al maximo asignado.
+    await pool.query(`
+      WITH numeradas AS (
+        SELECT c.id,
+               EXTRACT(YEAR FROM c.created_at)::int AS anio,
+               COALESCE(f.ultimo, 0) + ROW_NUMBER() OVER (PARTITION BY EXTRACT(YEAR FROM c.created_at) ORDER BY c.id) AS numero
+        FROM cotizaciones c
+        LEFT JOIN cotizacion_folios f ON f.anio = EXTRACT(YEAR FROM c.created_at)::int
+        WHERE c.folio IS NULL AND c.created_at IS NOT NULL
+      ),
+      asignadas AS (
+        UPDATE cotizaciones c
+        SET folio = 'COT-' || n.anio || '-' || LPAD(n.numero::text, 6, '0')
+        FROM numeradas n
+        WHERE c.id = n.id
+        RETURNING n.anio, n.numero
+      )
+      INSERT INTO cotizacion_folios (anio, ultimo)
+      SELECT anio, MAX(numero) FROM asignadas GROUP BY anio
+      ON CONFLICT (anio) DO UPDATE SET ultimo = GREATEST(cotizacion_folios.ultimo, EXCLUDED.ultimo)
+    `);
 
     console.log('Base de datos inicializada correctamente');
   } catch (error) {
@@ -1816,82 +3034,722 @@ const resolveCotizacionOwnerId = async (req) => {
   return result.rows[0].usuario_id;
 };
 
-const authenticateToken = requireAuth;
-// ==================== RUTAS ====================
+const COTIZACION_ITEM_PUBLIC_FIELDS = COTIZACION_ITEM_PUBLIC_COLUMNS.split(',').map(column => column.trim());
+
+// Snapshot inmutable (cabecera + items) del estado actual de una cotizacion.
+// Debe correr dentro de la transaccion que la guarda: el numero de revision se
+// calcula sobre la fila ya bloqueada, asi dos ediciones no comparten numero.
+const recordCotizacionRevision = async (client, cotizacionId, { motivo, user } = {}) => {
+  const headerResult = await client.query('SELECT * FROM cotizaciones WHERE id = $1', [cotizacionId]);
+  const header = headerResult.rows[0];
+  if (!header) return null;
+  const itemsResult = await client.query(
+    'SELECT * FROM cotizacion_items WHERE cotizacion_id = $1 ORDER BY id',
+    [cotizacionId]
+  );
+  const result = await client.query(
+    `INSERT INTO cotizacion_revisiones (cotizacion_id, revision, motivo, header, items, total, usuario_id, usuario)
+     SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3::jsonb, $4::jsonb, $5, $6, $7
+     FROM cotizacion_revisiones
+     WHERE cotizacion_id = $1
+     RETURNING id, revision`,
+    [
+      cotizacionId,
+      motivo || null,
+      JSON.stringify(header),
+      JSON.stringify(itemsResult.rows),
+      header.total,
+      user?.id || null,
+      user?.usuario || null
+    ]
+  );
+  return result.rows[0] || null;
+};
 
-// Health check
-app.get('/', (req, res) => {
-  // commit y deploy los inyecta Railway en cada build. Sirven para saber que
-  // codigo esta realmente corriendo sin tener que adivinar por el comportamiento.
-  res.json({
-    status: 'OK',
-    message: 'API Cotizador funcionando',
-    version: APP_VERSION,
-    commit: (process.env.RAILWAY_GIT_COMMIT_SHA || '').slice(0, 7) || null,
-    deploy: process.env.RAILWAY_DEPLOYMENT_ID || null
-  });
-});
+// Dias de validez de un producto: la fila de su marca en validez_cotizacion, luego la del origen
+// y, sin filas, COTIZACION_VALIDEZ_DIAS_<ORIGEN> o COTIZACION_VALIDEZ_DIAS.
+const getValidezDias = (reglas, origen, marca) => {
+  const origenKey = String(origen || DEFAULT_ORIGIN).toUpperCase();
+  const porEntorno = toPositiveInt(COTIZACION_VALIDEZ_DIAS_BY_ORIGIN[origenKey], toPositiveInt(COTIZACION_VALIDEZ_DIAS, 15));
+  const regla = findReglaOrigenMarca(reglas, origenKey, marca);
+  return regla ? toPositiveInt(regla.dias, porEntorno) : porEntorno;
+};
 
-// LOGIN
-app.post('/api/login', loginRateLimiter, validateLoginInput, async (req, res) => {
-  try {
-    const { usuario, password } = req.body;
-    const { sessionId, deviceId } = getSessionHeaders(req);
-    const dbLimited = await isDbLoginRateLimited({ usuario, req });
-    if (dbLimited) {
-      return res.status(429).json({ error: 'Demasiados intentos de inicio de sesion. Intenta mas tarde.' });
-    }
+// Dias de validez por defecto: el menor entre los origenes/marcas de los productos cotizados.
+const resolveValidezDias = async (client, items) => {
+  const productIds = [...new Set(
+    (Array.isArray(items) ? items : [])
+      .map(item => parseInt(item?.producto_id, 10))
+      .filter(id => Number.isFinite(id))
+  )];
+  const productos = productIds.length > 0
+    ? (await client.query('SELECT DISTINCT origen, marca FROM productos WHERE id = ANY($1::int[])', [productIds])).rows
+    : [];
+  const reglas = (await client.query('SELECT origen, marca, dias FROM validez_cotizacion')).rows;
+  return Math.min(...(productos.length > 0 ? productos : [{ origen: DEFAULT_ORIGIN, marca: '' }])
+    .map(producto => getValidezDias(reglas, producto.origen, producto.marca)));
+};
 
-    const result = await pool.query('SELECT * FROM usuarios WHERE usuario = $1', [usuario]);
+const normalizeDateOnly = (value) => {
+  const trimmed = String(value ?? '').trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? trimmed : null;
+};
 
-    if (result.rows.length === 0) {
-      await recordLoginAttempt({ userId: null, usuario, success: false, req, sessionId, deviceId });
-      return res.status(401).json({ error: 'Usuario o contrase??a incorrectos' });
-    }
+const normalizeMoneda = (value) => {
+  const moneda = String(value || '').trim().toUpperCase();
+  return COTIZACION_MONEDAS.includes(moneda) ? moneda : null;
+};
 
-    const user = result.rows[0];
-    const validPassword = await bcrypt.compare(password, user.password);
+// Tipo de cambio vigente (el de mayor vigente_desde que no sea futuro). db puede ser pool o client.
+const getTipoCambioVigente = async (db, moneda) => {
+  if (moneda === 'USD') return { moneda, valor: 1, vigente_desde: null };
+  const result = await db.query(
+    `SELECT moneda, valor, vigente_desde
+     FROM tipos_cambio
+     WHERE moneda = $1 AND vigente_desde <= CURRENT_DATE
+     ORDER BY vigente_desde DESC
+     LIMIT 1`,
+    [moneda]
+  );
+  return result.rows[0] || null;
+};
 
-    if (!validPassword) {
-      await recordLoginAttempt({ userId: user.id, usuario: user.usuario, success: false, req, sessionId, deviceId });
-      return res.status(401).json({ error: 'Usuario o contrase??a incorrectos' });
-    }
+// Fija el tipo de cambio al guardar; lanza 400 si la moneda no tiene uno vigente.
+const lockTipoCambio = async (client, moneda) => {
+  const vigente = await getTipoCambioVigente(client, moneda);
+  if (!vigente) {
+    const badRequest = new Error(`No hay tipo de cambio vigente para ${moneda}`);
+    badRequest.status = 400;
+    throw badRequest;
+  }
+  return parseNumber(vigente.valor, 1);
+};
 
-    const sessionInfo = await upsertSession(user, req);
-    await recordLoginAttempt({ userId: user.id, usuario: user.usuario, success: true, req, sessionId: sessionInfo.sessionId || sessionId, deviceId });
+const PARAMETROS_PRECIO_COLUMNS = 'id, origen, inbound_freight, ic, interes, vigente_desde, comentario, usuario, created_at';
 
-    const token = jwt.sign(
-      {
-        id: user.id,
-        usuario: user.usuario,
-        empresa: user.empresa || '',
-        role: user.role,
-        partner_category: user.partner_category,
-        intcomex_profile: user.intcomex_profile || null
-      },
-      JWT_SECRET,
-      { expiresIn: (user.role === 'admin' ? ADMIN_JWT_EXPIRES_IN : '24h') }
-    );
+// Version vigente de parametros_precio por origen ({QNAP, AXIS}); la mas reciente entre las no futuras.
+// Un origen sin version queda undefined y getPricingFactors usa las constantes.
+const getParametrosPrecioVigentes = async (db) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (origen) ${PARAMETROS_PRECIO_COLUMNS}
+     FROM parametros_precio
+     WHERE vigente_desde <= CURRENT_DATE
+     ORDER BY origen, vigente_desde DESC, id DESC`
+  );
+  return Object.fromEntries(result.rows.map(row => [row.origen, row]));
+};
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        usuario: user.usuario,
-        nombre: user.nombre,
-        empresa: user.empresa || '',
-        logo_url: user.logo_url || '',
-        role: user.role,
-        partner_category: user.partner_category,
-        intcomex_profile: user.intcomex_profile || null
-      },
-      session: {
-        session_id: sessionInfo.sessionId,
-        revoked_sessions: sessionInfo.revokedSessions || []
-      }
+// Versiones con las que se guardo una cotizacion; las que falten (cotizaciones previas) se toman vigentes.
+const getParametrosPrecioCotizacion = async (db, cotizacion) => {
+  const ids = [cotizacion?.parametros_precio_qnap_id, cotizacion?.parametros_precio_axis_id]
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isFinite(id));
+  const vigentes = await getParametrosPrecioVigentes(db);
+  if (ids.length === 0) return vigentes;
+  const result = await db.query(
+    `SELECT ${PARAMETROS_PRECIO_COLUMNS} FROM parametros_precio WHERE id = ANY($1::int[])`,
+    [ids]
+  );
+  return { ...vigentes, ...Object.fromEntries(result.rows.map(row => [row.origen, row])) };
+};
+
+// Valoriza lineas {producto_id, cantidad} con el GP y la categoria partner del usuario.
+// Es el unico camino de precios para clientes: nunca se confia en precios del payload.
+// allowOverrides (solo admins) respeta gp, precio_disty, partner_category y rebate_proyecto de cada linea.
+// parametros fija las versiones de parametros_precio (las de una cotizacion guardada); por defecto, las vigentes.
+const priceItemsForUser = async (client, usuarioId, requestedItems, { allowOverrides = false, parametros: parametrosFijos = null } = {}) => {
+  const userResult = await client.query('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios WHERE id = $1', [usuarioId]);
+  const userRow = userResult.rows[0] || {};
+  const gpQnap = parseGpValue(userRow.gp_qnap ?? userRow.gp ?? 0.15, 0.15);
+  const gpAxis = parseGpValue(userRow.gp_axis ?? userRow.gp ?? 0.15, 0.15);
+  const partnerCategory = userRow.partner_category || 'Partner Autorizado';
+  const parametros = parametrosFijos || await getParametrosPrecioVigentes(client);
+  let totalSum = 0;
+  const computedItems = [];
+  const requestedProductIds = [...new Set(
+    requestedItems
+      .map(item => parseInt(item?.producto_id, 10))
+      .filter(id => Number.isFinite(id))
+  )];
+  const productsResult = requestedProductIds.length > 0
+    ? await client.query('SELECT * FROM productos WHERE id = ANY($1::int[])', [requestedProductIds])
+    : { rows: [] };
+  const productById = new Map(productsResult.rows.map(producto => [Number(producto.id), producto]));
+  for (const item of requestedItems) {
+    const productoId = parseInt(item?.producto_id, 10);
+    if (!Number.isFinite(productoId)) {
+      const badRequest = new Error('producto_id invalido');
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    const cantidad = parseInt(item.cantidad || item.cant || 1, 10);
+    const producto = productById.get(productoId);
+    if (!producto) {
+      const badRequest = new Error(`Producto no encontrado: ${productoId}`);
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    const origenValue = producto.origen || DEFAULT_ORIGIN;
+    const override = allowOverrides ? item : {};
+    const precioDistyOverride = parseFloat(override.precio_disty);
+    const precioDisty = Number.isFinite(precioDistyOverride) && precioDistyOverride >= 0
+      ? precioDistyOverride
+      : parseNumber(producto.precio_disty, 0);
+    const gpOverride = parseFloat(override.gp);
+    const gpUsed = Number.isFinite(gpOverride) && gpOverride >= 0 && gpOverride < 1
+      ? gpOverride
+      : (origenValue === 'AXIS' ? gpAxis : gpQnap);
+    const desglose = desglosarPrecioCliente(precioDisty, gpUsed, {
+      origen: origenValue,
+      partnerRebate: getAxisPartnerRebate(producto, override.partner_category || partnerCategory),
+      projectRebate: parseNumber(override.rebate_proyecto, 0),
+      parametros
     });
-  } catch (error) {
-    logError(req, error, 'login_failed');
+    const precioUnitario = desglose.precio_unitario;
+    const precioTotal = precioUnitario * cantidad;
+    const lineaOpciones = getLineaOpciones(item);
+    if (!isLineaFueraDelTotal(lineaOpciones)) totalSum += precioTotal;
+    computedItems.push({
+      producto_id: productoId,
+      marca: producto.marca || '',
+      sku: producto.sku || '',
+      mpn: producto.mpn || '',
+      descripcion: producto.descripcion || '',
+      precio_disty: precioDisty,
+      gp: gpUsed,
+      cantidad,
+      precio_unitario: Number(precioUnitario.toFixed(2)),
+      precio_total: Number(precioTotal.toFixed(2)),
+      tiempo_entrega: producto.tiempo_entrega || '',
+      origen: origenValue,
+      desglose: roundDesglose(desglose),
+      seccion: normalizeSeccion(item.seccion),
+      ...lineaOpciones
+    });
+  }
+  return { items: computedItems, total: Number(totalSum.toFixed(2)), parametros };
+};
+
+// Folio correlativo por año (COT-2026-000123). El upsert bloquea la fila del año,
+// asi dos cotizaciones simultaneas nunca reciben el mismo numero.
+const nextCotizacionFolio = async (client) => {
+  const result = await client.query(
+    `INSERT INTO cotizacion_folios (anio, ultimo)
+     VALUES (EXTRACT(YEAR FROM CURRENT_DATE)::int, 1)
+     ON CONFLICT (anio) DO UPDATE SET ultimo = cotizacion_folios.ultimo + 1
+     RETURNING anio, ultimo`
+  );
+  const { anio, ultimo } = result.rows[0];
+  return `COT-${anio}-${String(ultimo).padStart(6, '0')}`;
+};
+
+const isConceptoLine = (item) => Number.isFinite(parseInt(item?.concepto_id, 10));
+
+// Valoriza lineas {concepto_id, cantidad, precio_unitario, detalle} contra conceptos_adicionales.
+// Con precio fijo se ignora el monto enviado; sin el, el monto debe caer en el rango del concepto.
+// omitInvalid (duplicado de cotizaciones) devuelve las lineas invalidas en omitidos en vez de lanzar 400.
+const priceConceptoLines = async (client, lines, { omitInvalid = false } = {}) => {
+  const requested = Array.isArray(lines) ? lines : [];
+  if (requested.length === 0) return { items: [], total: 0, omitidos: [] };
+  const ids = [...new Set(requested.map(line => parseInt(line?.concepto_id, 10)).filter(id => Number.isFinite(id)))];
+  const result = await client.query('SELECT * FROM conceptos_adicionales WHERE id = ANY($1::int[])', [ids]);
+  const conceptoById = new Map(result.rows.map(concepto => [Number(concepto.id), concepto]));
+  const items = [];
+  const omitidos = [];
+  let totalSum = 0;
+  const reject = (line, motivo, message) => {
+    if (omitInvalid) {
+      omitidos.push({ line, motivo });
+      return;
+    }
+    const badRequest = new Error(message);
+    badRequest.status = 400;
+    throw badRequest;
+  };
+  for (const line of requested) {
+    const conceptoId = parseInt(line?.concepto_id, 10);
+    const concepto = conceptoById.get(conceptoId);
+    if (!concepto) {
+      reject(line, 'no_encontrado', `Concepto no encontrado: ${line?.concepto_id}`);
+      continue;
+    }
+    if (concepto.activo === false) {
+      reject(line, 'inactivo', `Concepto no disponible: ${concepto.nombre}`);
+      continue;
+    }
+    const cantidad = Math.max(parseInt(line.cantidad || line.cant || 1, 10) || 1, 1);
+    const precioFijo = concepto.precio === null || concepto.precio === undefined ? null : parseNumber(concepto.precio, 0);
+    let monto = precioFijo;
+    if (monto === null) {
+      const min = parseNumber(concepto.precio_min, 0);
+      const max = concepto.precio_max === null || concepto.precio_max === undefined ? Infinity : parseNumber(concepto.precio_max, 0);
+      monto = Math.abs(parseFloat(line.precio_unitario));
+      if (!Number.isFinite(monto) || monto < min || monto > max) {
+        const rango = Number.isFinite(max) ? `entre ${min} y ${max}` : `mayor o igual a ${min}`;
+        reject(line, 'fuera_de_rango', `El monto de "${concepto.nombre}" debe estar ${rango}`);
+        continue;
+      }
+    }
+    const precioUnitario = Number((concepto.tipo === 'descuento' ? -monto : monto).toFixed(2));
+    const precioTotal = Number((precioUnitario * cantidad).toFixed(2));
+    const detalle = String(line.detalle || '').trim().slice(0, 200);
+    const lineaOpciones = getLineaOpciones(line);
+    if (!isLineaFueraDelTotal(lineaOpciones)) totalSum += precioTotal;
+    items.push({
+      producto_id: null,
+      concepto_id: conceptoId,
+      tipo_linea: normalizeTipoLinea(concepto.tipo),
+      marca: '',
+      sku: '',
+      mpn: '',
+      descripcion: detalle ? `${concepto.nombre} - ${detalle}` : concepto.nombre,
+      precio_disty: 0,
+      gp: 0,
+      cantidad,
+      precio_unitario: precioUnitario,
+      precio_total: precioTotal,
+      tiempo_entrega: '',
+      seccion: normalizeSeccion(line.seccion),
+      ...lineaOpciones
+    });
+  }
+  return { items, total: Number(totalSum.toFixed(2)), omitidos };
+};
+
+// Tasa de IVA para la empresa del cliente: 0 si esta en clientes_exentos_iva.
+const resolveIvaTasa = async (db, empresa) => {
+  const nombre = String(empresa || '').trim();
+  if (!nombre) return IVA_TASA;
+  const result = await db.query(
+    'SELECT id FROM clientes_exentos_iva WHERE LOWER(empresa) = LOWER($1) LIMIT 1',
+    [nombre]
+  );
+  return result.rows.length > 0 ? 0 : IVA_TASA;
+};
+
+// Al rechazar se exige un motivo de perdida activo; marca y precio del competidor son opcionales.
+// competidor_precio es el total neto de la oferta del competidor en USD, comparable con total.
+const readPerdidaCotizacion = async (db, body) => {
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+  const motivoId = parseInt(body?.motivo_perdida_id, 10);
+  if (!Number.isFinite(motivoId)) throw badRequest('Motivo de perdida requerido para rechazar');
+  const motivo = await db.query('SELECT id, nombre FROM motivos_perdida WHERE id = $1 AND activo = true', [motivoId]);
+  if (motivo.rows.length === 0) throw badRequest('Motivo de perdida invalido');
+  const precioRaw = body?.competidor_precio;
+  const precio = precioRaw === undefined || precioRaw === null || precioRaw === '' ? null : Number(precioRaw);
+  if (precio !== null && (!Number.isFinite(precio) || precio < 0)) throw badRequest('Precio del competidor invalido');
+  return {
+    motivo_perdida_id: motivoId,
+    motivo: motivo.rows[0].nombre,
+    competidor_marca: String(body?.competidor_marca ?? '').trim().slice(0, 100) || null,
+    competidor_precio: precio === null ? null : Number(precio.toFixed(2))
+  };
+};
+
+// Al aceptar una cotizacion con opcionales o alternativas se confirma lo que eligio el cliente:
+// una linea por grupo de alternativas y cualquier subconjunto de opcionales. Recalcula el total.
+const confirmarOpcionesCotizacion = async (client, cotizacionId, opcionIds) => {
+  const itemsResult = await client.query(
+    'SELECT id, opcional, grupo_alternativa, precio_total FROM cotizacion_items WHERE cotizacion_id = $1',
+    [cotizacionId]
+  );
+  const opciones = itemsResult.rows.filter(item => item.opcional === true || item.grupo_alternativa);
+  if (opciones.length === 0) return null;
+  const elegidas = new Set((Array.isArray(opcionIds) ? opcionIds : [])
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isFinite(id)));
+  const opcionIdSet = new Set(opciones.map(item => Number(item.id)));
+  const invalidas = [...elegidas].filter(id => !opcionIdSet.has(id));
+  const grupos = [...new Set(opciones.map(item => item.grupo_alternativa).filter(Boolean))];
+  const grupoSinEleccion = grupos.find(grupo => opciones
+    .filter(item => item.grupo_alternativa === grupo && elegidas.has(Number(item.id))).length !== 1);
+  if (invalidas.length > 0 || grupoSinEleccion) {
+    const badRequest = new Error(invalidas.length > 0
+      ? `Opciones invalidas: ${invalidas.join(', ')}`
+      : `Elige una opcion de la alternativa "${grupoSinEleccion}"`);
+    badRequest.status = 400;
+    throw badRequest;
+  }
+  await client.query(
+    `UPDATE cotizacion_items SET seleccionada = (id = ANY($2::int[]))
+     WHERE cotizacion_id = $1 AND (opcional = true OR grupo_alternativa IS NOT NULL)`,
+    [cotizacionId, [...elegidas]]
+  );
+  const total = sumTotalPrincipal(itemsResult.rows.map(item => ({ ...item, seleccionada: elegidas.has(Number(item.id)) })));
+  // El IVA se recalcula con la tasa que quedo fijada al guardar la cotizacion.
+  await client.query(
+    `UPDATE cotizaciones SET total = $1::numeric,
+           iva_monto = ROUND($1::numeric * COALESCE(iva_tasa, 0), 2),
+           total_bruto = $1::numeric + ROUND($1::numeric * COALESCE(iva_tasa, 0), 2)
+     WHERE id = $2`,
+    [total, cotizacionId]
+  );
+  return { total, seleccionadas: [...elegidas] };
+};
+
+// Inserta las lineas de una cotizacion nueva en un solo INSERT.
+const insertCotizacionItems = async (client, cotizacionId, items) => {
+  if (items.length === 0) return;
+  const values = [];
+  const placeholders = items.map((item, index) => {
+    const base = index * 17;
+    const lineaOpciones = getLineaOpciones(item);
+    values.push(
+      cotizacionId,
+      item.producto_id || null,
+      item.marca || '',
+      item.sku || '',
+      item.mpn || '',
+      item.descripcion || '',
+      parseNumber(item.precio_disty, 0),
+      parseNumber(item.gp, 0),
+      parseInt(item.cantidad || item.cant || 1, 10) || 1,
+      parseNumber(item.precio_unitario, 0),
+      parseNumber(item.precio_total, 0),
+      item.tiempo_entrega || '',
+      normalizeTipoLinea(item.tipo_linea),
+      item.concepto_id || null,
+      lineaOpciones.opcional,
+      lineaOpciones.grupo_alternativa,
+      normalizeSeccion(item.seccion)
+    );
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9}, $${base + 10}, $${base + 11}, $${base + 12}, $${base + 13}, $${base + 14}, $${base + 15}, $${base + 16}, $${base + 17})`;
+  });
+  await client.query(
+    `INSERT INTO cotizacion_items
+     (cotizacion_id, producto_id, marca, sku, mpn, descripcion, precio_disty, gp, cantidad, precio_unitario, precio_total, tiempo_entrega, tipo_linea, concepto_id, opcional, grupo_alternativa, seccion)
+     VALUES ${placeholders.join(', ')}`,
+    values
+  );
+};
+
+// Expande [{kit_id, cantidad}] a lineas {producto_id, cantidad} (cantidad del kit x cantidad de la linea).
+const expandKitRequests = async (client, kits) => {
+  const requests = Array.isArray(kits) ? kits : [];
+  if (requests.length === 0) return [];
+  const kitIds = [...new Set(requests.map(kit => parseInt(kit?.kit_id, 10)).filter(id => Number.isFinite(id)))];
+  const result = kitIds.length > 0
+    ? await client.query(
+      'SELECT kit_id, producto_id, cantidad FROM kit_items WHERE kit_id = ANY($1::int[]) ORDER BY id',
+      [kitIds]
+    )
+    : { rows: [] };
+  const itemsByKit = result.rows.reduce((acc, row) => {
+    if (!acc[row.kit_id]) acc[row.kit_id] = [];
+    acc[row.kit_id].push(row);
+    return acc;
+  }, {});
+  const expanded = [];
+  for (const request of requests) {
+    const kitId = parseInt(request?.kit_id, 10);
+    const kitItems = itemsByKit[kitId];
+    if (!kitItems) {
+      const badRequest = new Error(`Kit no encontrado: ${request?.kit_id}`);
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    // cotizacionSchema ya la valida; una cantidad invalida no se corrige a 1 en silencio.
+    const kitCantidad = Number(request.cantidad ?? 1);
+    if (!Number.isInteger(kitCantidad) || kitCantidad < 1) {
+      const badRequest = new Error(`Cantidad invalida para el kit ${kitId}`);
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    kitItems.forEach(item => {
+      expanded.push({ producto_id: item.producto_id, cantidad: (parseInt(item.cantidad, 10) || 1) * kitCantidad });
+    });
+  }
+  return expanded;
+};
+
+const normalizeCotizacionEstado = (estado) => (!estado || estado === 'pendiente' ? 'revision' : estado);
+
+// Registra una transicion de estado. from null = creacion; si el estado no cambia no se guarda nada.
+const recordEstadoTransition = async (db, cotizacionId, { from = null, to, user, comentario } = {}) => {
+  const anterior = from === null ? null : normalizeCotizacionEstado(from);
+  const nuevo = normalizeCotizacionEstado(to);
+  if (anterior === nuevo) return null;
+  const result = await db.query(
+    `INSERT INTO cotizacion_estado_historial (cotizacion_id, estado_anterior, estado_nuevo, comentario, usuario_id, usuario)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [cotizacionId, anterior, nuevo, comentario || null, user?.id || null, user?.usuario || null]
+  );
+  return result.rows[0] || null;
+};
+
+// El piso por marca tiene prioridad sobre el piso general del origen (marca vacia).
+// Fila de una tabla por origen/marca (gp_pisos, validez_cotizacion): la de la marca y, si no hay,
+// la general del origen (marca vacia).
+const findReglaOrigenMarca = (reglas, origen, marca) => {
+  const marcaKey = String(marca || '').trim().toLowerCase();
+  const delOrigen = reglas.filter(regla => regla.origen === origen);
+  const porMarca = marcaKey
+    ? delOrigen.find(regla => String(regla.marca || '').trim().toLowerCase() === marcaKey)
+    : null;
+  return porMarca || delOrigen.find(regla => !String(regla.marca || '').trim()) || null;
+};
+
+const findGpPiso = (pisos, origen, marca) => {
+  const piso = findReglaOrigenMarca(pisos, origen, marca);
+  return piso ? parseNumber(piso.gp_min, 0) : null;
+};
+
+// GP implicito en el precio de venta. En AXIS se descuenta el mayor rebate partner
+// del producto para no marcar como bajo el piso un precio valido de otra categoria.
+const getGpImplicito = (producto, precioUnitario, parametros = null) => {
+  const precioDisty = parseNumber(producto.precio_disty, 0);
+  if (precioUnitario <= 0 || precioDisty <= 0) return null;
+  const costo = (producto.origen || DEFAULT_ORIGIN) === 'AXIS'
+    ? calcularPrecioClienteAxis(precioDisty, 0, Math.max(
+      parseNumber(producto.rebate_partner_autorizado, 0),
+      parseNumber(producto.rebate_partner_silver, 0),
+      parseNumber(producto.rebate_partner_gold, 0),
+      parseNumber(producto.rebate_partner_multiregional, 0)
+    ), 0, parametros)
+    : calcularPrecioClienteQnap(precioDisty, 0, parametros);
+  return 1 - (costo / precioUnitario);
+};
+
+// Devuelve las lineas cuyo GP (el menor entre el declarado y el implicito en el precio)
+// queda bajo el piso de su origen/marca. Sin pisos configurados no hay control.
+// parametros permite evaluar con las versiones de una cotizacion guardada; por defecto, las vigentes.
+const evaluateGpPisos = async (db, items, parametros = null) => {
+  const lines = Array.isArray(items) ? items : [];
+  if (lines.length === 0) return [];
+  const pisos = (await db.query('SELECT origen, marca, gp_min FROM gp_pisos')).rows;
+  if (pisos.length === 0) return [];
+  const productIds = [...new Set(lines.map(item => parseInt(item?.producto_id, 10)).filter(id => Number.isFinite(id)))];
+  const skus = [...new Set(lines
+    .filter(item => !Number.isFinite(parseInt(item?.producto_id, 10)))
+    .map(item => String(item?.sku || '').trim())
+    .filter(Boolean))];
+  if (productIds.length === 0 && skus.length === 0) return [];
+  const productsResult = await db.query(
+    'SELECT * FROM productos WHERE id = ANY($1::int[]) OR sku = ANY($2::text[])',
+    [productIds, skus]
+  );
+  const productById = new Map(productsResult.rows.map(producto => [Number(producto.id), producto]));
+  const productBySku = new Map(productsResult.rows.map(producto => [String(producto.sku || '').trim(), producto]));
+  const parametrosPrecio = parametros || await getParametrosPrecioVigentes(db);
+  const bajoPiso = [];
+  lines.forEach(item => {
+    const producto = productById.get(parseInt(item?.producto_id, 10)) || productBySku.get(String(item?.sku || '').trim());
+    if (!producto) return;
+    const origen = producto.origen || DEFAULT_ORIGIN;
+    const gpMin = findGpPiso(pisos, origen, producto.marca);
+    if (gpMin === null) return;
+    // gp 0 es el valor que guarda la edicion del historial; un margen real en 0 ya lo detecta el implicito.
+    const candidatos = [];
+    const declarado = parseNumber(item?.gp, 0);
+    if (declarado > 0) candidatos.push(declarado > 1 ? declarado / 100 : declarado);
+    const implicito = getGpImplicito(producto, parseNumber(item?.precio_unitario, 0), parametrosPrecio);
+    if (implicito !== null) candidatos.push(implicito);
+    if (candidatos.length === 0) return;
+    const gp = Math.min(...candidatos);
+    if (gp < gpMin - GP_PISO_TOLERANCIA) {
+      bajoPiso.push({
+        producto_id: producto.id,
+        sku: producto.sku || '',
+        marca: producto.marca || '',
+        origen,
+        gp: Number(gp.toFixed(4)),
+        gp_min: gpMin
+      });
+    }
+  });
+  return bajoPiso;
+};
+
+// Alinea la cotizacion con la ultima evaluacion de pisos. Cualquier guardado bajo el
+// piso vuelve a pedir aprobacion, aunque una version anterior ya estuviera aprobada.
+// Solo las abiertas (revision/enviada) pasan a pendiente_aprobacion y guardan su estado para
+// recuperarlo al aprobar; una cerrada (aprobada, rechazada, vencida) no se revaloriza bajo el
+// piso: lanza 409 para no perder la decision del cliente, el motivo de perdida o el vencimiento.
+const syncGpAprobacion = async (client, cotizacionId, bajoPiso, user) => {
+  const previous = await client.query('SELECT estado FROM cotizaciones WHERE id = $1', [cotizacionId]);
+  const estadoAnterior = previous.rows[0]?.estado;
+  if (bajoPiso.length === 0) {
+    await client.query(
+      `UPDATE cotizacion_aprobaciones
+       SET estado = 'anulada', resuelto_at = CURRENT_TIMESTAMP
+       WHERE cotizacion_id = $1 AND estado = 'pendiente'`,
+      [cotizacionId]
+    );
+    const result = await client.query(
+      `UPDATE cotizaciones
+       SET aprobacion = NULL,
+           aprobacion_comentario = NULL,
+           estado = CASE WHEN estado = 'pendiente_aprobacion' THEN COALESCE(estado_previo, 'revision') ELSE estado END,
+           estado_previo = NULL
+       WHERE id = $1
+       RETURNING estado, aprobacion, aprobacion_comentario`,
+      [cotizacionId]
+    );
+    if (result.rows[0]) {
+      await recordEstadoTransition(client, cotizacionId, {
+        from: estadoAnterior,
+        to: result.rows[0].estado,
+        user,
+        comentario: 'Margen sobre el GP minimo'
+      });
+    }
+    return result.rows[0] || null;
+  }
+  const estadoActual = normalizeCotizacionEstado(estadoAnterior);
+  if (!['revision', 'enviada', 'pendiente_aprobacion'].includes(estadoActual)) {
+    const conflict = new Error(`Cotizacion ${estadoActual}: no se puede guardar con lineas bajo el GP minimo`);
+    conflict.status = 409;
+    throw conflict;
+  }
+  const pending = await client.query(
+    `UPDATE cotizacion_aprobaciones
+     SET lineas = $2::jsonb, solicitado_por_id = $3, solicitado_por = $4, created_at = CURRENT_TIMESTAMP
+     WHERE cotizacion_id = $1 AND estado = 'pendiente'
+     RETURNING id`,
+    [cotizacionId, JSON.stringify(bajoPiso), user?.id || null, user?.usuario || null]
+  );
+  if (pending.rows.length === 0) {
+    await client.query(
+      `INSERT INTO cotizacion_aprobaciones (cotizacion_id, estado, lineas, solicitado_por_id, solicitado_por)
+       VALUES ($1, 'pendiente', $2::jsonb, $3, $4)`,
+      [cotizacionId, JSON.stringify(bajoPiso), user?.id || null, user?.usuario || null]
+    );
+  }
+  const result = await client.query(
+    `UPDATE cotizaciones
+     SET estado_previo = CASE WHEN estado = 'pendiente_aprobacion' THEN estado_previo ELSE $2 END,
+         estado = 'pendiente_aprobacion', aprobacion = 'pendiente', aprobacion_comentario = NULL
+     WHERE id = $1
+     RETURNING estado, aprobacion, aprobacion_comentario`,
+    [cotizacionId, estadoActual]
+  );
+  await recordEstadoTransition(client, cotizacionId, {
+    from: estadoAnterior,
+    to: 'pendiente_aprobacion',
+    user,
+    comentario: `${bajoPiso.length} linea(s) bajo el GP minimo`
+  });
+  return result.rows[0] || null;
+};
+
+// Token firmado del enlace publico. La fila en cotizacion_links permite revocarlo
+// antes de que expire la firma.
+const signCotizacionLinkToken = (link) => jwt.sign(
+  { typ: 'cotizacion_link', lid: link.id, cid: link.cotizacion_id },
+  COTIZACION_LINK_SECRET,
+  { expiresIn: Math.max(1, Math.floor((new Date(link.expires_at).getTime() - Date.now()) / 1000)) }
+);
+
+// Devuelve la fila del enlace si el token es valido, no expiro y no fue revocado.
+const resolveCotizacionLink = async (db, token, { forUpdate = false } = {}) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), COTIZACION_LINK_SECRET);
+  } catch {
+    return null;
+  }
+  if (payload?.typ !== 'cotizacion_link') return null;
+  const result = await db.query(
+    `SELECT * FROM cotizacion_links
+     WHERE id = $1 AND cotizacion_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [payload.lid, payload.cid]
+  );
+  return result.rows[0] || null;
+};
+
+// El cliente solo puede responder una cotizacion abierta, vigente y sin aprobacion de margen pendiente.
+const canRespondCotizacionLink = (cotizacion, link) => {
+  if (!cotizacion || !link || link.respuesta) return false;
+  if (!['enviada', 'revision'].includes(normalizeCotizacionEstado(cotizacion.estado))) return false;
+  if (['pendiente', 'rechazada'].includes(cotizacion.aprobacion)) return false;
+  return cotizacion.vigente !== false;
+};
+
+const toPublicRevisionItems = (items) => (Array.isArray(items) ? items : []).map(item => (
+  COTIZACION_ITEM_PUBLIC_FIELDS.reduce((acc, field) => {
+    acc[field] = item?.[field] ?? null;
+    return acc;
+  }, {})
+));
+
+const authenticateToken = requireAuth;
+// ==================== RUTAS ====================
+
+// Health check
+app.get('/', (req, res) => {
+  // commit y deploy los inyecta Railway en cada build. Sirven para saber que
+  // codigo esta realmente corriendo sin tener que adivinar por el comportamiento.
+  res.json({
+    status: 'OK',
+    message: 'API Cotizador funcionando',
+    version: APP_VERSION,
+    commit: (process.env.RAILWAY_GIT_COMMIT_SHA || '').slice(0, 7) || null,
+    deploy: process.env.RAILWAY_DEPLOYMENT_ID || null
+  });
+});
+
+// LOGIN
+app.post('/api/login', loginRateLimiter, validateLoginInput, async (req, res) => {
+  try {
+    const { usuario, password } = req.body;
+    const { sessionId, deviceId } = getSessionHeaders(req);
+    const dbLimited = await isDbLoginRateLimited({ usuario, req });
+    if (dbLimited) {
+      return res.status(429).json({ error: 'Demasiados intentos de inicio de sesion. Intenta mas tarde.' });
+    }
+
+    const result = await pool.query('SELECT * FROM usuarios WHERE usuario = $1', [usuario]);
+
+    if (result.rows.length === 0) {
+      await recordLoginAttempt({ userId: null, usuario, success: false, req, sessionId, deviceId });
+      return res.status(401).json({ error: 'Usuario o contrase??a incorrectos' });
+    }
+
+    const user = result.rows[0];
+    const validPassword = await bcrypt.compare(password, user.password);
+
+    if (!validPassword) {
+      await recordLoginAttempt({ userId: user.id, usuario: user.usuario, success: false, req, sessionId, deviceId });
+      return res.status(401).json({ error: 'Usuario o contrase??a incorrectos' });
+    }
+
+    const sessionInfo = await upsertSession(user, req);
+    await recordLoginAttempt({ userId: user.id, usuario: user.usuario, success: true, req, sessionId: sessionInfo.sessionId || sessionId, deviceId });
+
+    const token = jwt.sign(
+      {
+        id: user.id,
+        usuario: user.usuario,
+        empresa: user.empresa || '',
+        role: user.role,
+        partner_category: user.partner_category,
+        intcomex_profile: user.intcomex_profile || null
+      },
+      JWT_SECRET,
+      { expiresIn: (user.role === 'admin' ? ADMIN_JWT_EXPIRES_IN : '24h') }
+    );
+
+    res.json({
+      token,
+      user: {
+        id: user.id,
+        usuario: user.usuario,
+        nombre: user.nombre,
+        empresa: user.empresa || '',
+        logo_url: user.logo_url || '',
+        role: user.role,
+        partner_category: user.partner_category,
+        intcomex_profile: user.intcomex_profile || null
+      },
+      session: {
+        session_id: sessionInfo.sessionId,
+        revoked_sessions: sessionInfo.revokedSessions || []
+      }
+    });
+  } catch (error) {
+    logError(req, error, 'login_failed');
     res.status(500).json({ error: 'Error del servidor' });
   }
 });
@@ -2259,7 +4117,7 @@ app.post('/api/session/location', authenticateToken, async (req, res) => {
 // USUARIOS - Listar
 app.get('/api/usuarios', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, usuario, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, created_at FROM usuarios ORDER BY id DESC');
+    const result = await pool.query('SELECT id, usuario, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, email, created_at FROM usuarios ORDER BY id DESC');
     res.json(result.rows);
   } catch (error) {
     console.error('Error obteniendo usuarios:', error);
@@ -2270,7 +4128,7 @@ app.get('/api/usuarios', authenticateToken, requireAdmin, async (req, res) => {
 // USUARIOS - Crear
 app.post('/api/usuarios', authenticateToken, requireAdmin, validateCreateUserInput, async (req, res) => {
   try {
-    const { usuario, password, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile } = req.body;
+    const { usuario, password, nombre, empresa, email, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile } = req.body;
     if (!usuario || !password) {
       return res.status(400).json({ error: 'Usuario y contrasena son requeridos' });
     }
@@ -2289,8 +4147,8 @@ app.post('/api/usuarios', authenticateToken, requireAdmin, validateCreateUserInp
       partnerCategory: partner_category
     });
     const result = await pool.query(
-      'INSERT INTO usuarios (usuario, password, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id, usuario, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, created_at',
-      [usuario, hashedPassword, nombre || '', empresa || '', logo_url || '', policy.role, policy.gp, policy.gpQnap, policy.gpAxis, policy.partnerCategory, policy.intcomexProfile]
+      'INSERT INTO usuarios (usuario, password, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, email) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id, usuario, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, email, created_at',
+      [usuario, hashedPassword, nombre || '', empresa || '', logo_url || '', policy.role, policy.gp, policy.gpQnap, policy.gpAxis, policy.partnerCategory, policy.intcomexProfile, String(email || '').trim()]
     );
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -2333,9 +4191,10 @@ app.put('/api/usuarios/:id', authenticateToken, requireAdmin, async (req, res) =
            gp_qnap = $7,
            gp_axis = $8,
            partner_category = $9,
-           intcomex_profile = $10
+           intcomex_profile = $10,
+           email = COALESCE($12, email)
        WHERE id = $11
-       RETURNING id, usuario, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, created_at`,
+       RETURNING id, usuario, nombre, empresa, logo_url, role, gp, gp_qnap, gp_axis, partner_category, intcomex_profile, email, created_at`,
       [
         payload.usuario ?? null,
         payload.nombre ?? null,
@@ -2347,7 +4206,8 @@ app.put('/api/usuarios/:id', authenticateToken, requireAdmin, async (req, res) =
         policy.gpAxis,
         policy.partnerCategory,
         policy.intcomexProfile,
-        id
+        id,
+        typeof payload.email === 'string' ? payload.email.trim() : null
       ]
     );
     res.json(result.rows[0]);
@@ -2862,6 +4722,69 @@ app.get('/api/bo-meta', authenticateToken, requireAdminOrIntcomexCompras, async
   }
 });
 
+// COTIZACION <-> BO - Listar vinculos (admin)
+app.get('/api/cotizacion-bos', authenticateToken, requireAdminOrIntcomexCompras, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT cb.cotizacion_id, cb.bo, cb.usuario, cb.created_at,
+              c.folio, c.cliente_nombre, c.cliente_empresa, c.estado, c.total,
+              m.project_name, m.invoiced, m.invoiced_at
+       FROM cotizacion_bos cb
+       JOIN cotizaciones c ON c.id = cb.cotizacion_id
+       LEFT JOIN bo_meta m ON m.bo = cb.bo
+       ORDER BY cb.cotizacion_id DESC, cb.bo ASC`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'cotizacion_bos_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACION <-> BO - Vincular (admin). La BO puede no haber aparecido aun en OSO:
+// se crea su fila en bo_meta para que el vinculo exista desde ya.
+app.post('/api/cotizaciones/:id/bos', authenticateToken, requireAdminOrIntcomexCompras, validateCotizacionBoInput, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bo } = req.body;
+    const cotizacion = await pool.query('SELECT id FROM cotizaciones WHERE id = $1', [id]);
+    if (cotizacion.rows.length === 0) {
+      return res.status(404).json({ error: 'Cotizacion no encontrada' });
+    }
+    await pool.query('INSERT INTO bo_meta (bo) VALUES ($1) ON CONFLICT (bo) DO NOTHING', [bo]);
+    const result = await pool.query(
+      `INSERT INTO cotizacion_bos (cotizacion_id, bo, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (cotizacion_id, bo) DO UPDATE SET bo = EXCLUDED.bo
+       RETURNING cotizacion_id, bo, usuario, created_at`,
+      [id, bo, req.user?.id || null, req.user?.usuario || null]
+    );
+    invalidateCacheByPrefix([CACHE_KEY_OSO_ORDERS]);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'cotizacion_bo_link_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACION <-> BO - Desvincular (admin)
+app.delete('/api/cotizaciones/:id/bos/:bo', authenticateToken, requireAdminOrIntcomexCompras, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM cotizacion_bos WHERE cotizacion_id = $1 AND bo = $2 RETURNING id',
+      [req.params.id, String(req.params.bo || '').trim()]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Vinculo no encontrado' });
+    }
+    invalidateCacheByPrefix([CACHE_KEY_OSO_ORDERS]);
+    res.json({ ok: true });
+  } catch (error) {
+    logError(req, error, 'cotizacion_bo_unlink_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
 // BO Meta - Guardar datos manuales (admin)
 let boMetaSchemaReady = false;
 const ensureBoMetaSchema = async () => {
@@ -3158,6 +5081,38 @@ app.post('/api/bo-meta/:bo/delete', authenticateToken, requireAdminOrIntcomexCom
   }
 });
 
+// Vista de cliente de un listado de productos: sin costos, con el precio calculado para su GP y categoría.
+const mapProductosParaCliente = async (usuarioId, rows) => {
+  const userResult = await pool.query('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios WHERE id = $1', [usuarioId]);
+  const userRow = userResult.rows[0] || {};
+  const gpQnap = parseGpValue(userRow.gp_qnap ?? userRow.gp ?? 0.15, 0.15);
+  const gpAxis = parseGpValue(userRow.gp_axis ?? userRow.gp ?? 0.15, 0.15);
+  const partnerCategory = userRow.partner_category || 'Partner Autorizado';
+  const parametros = await getParametrosPrecioVigentes(pool);
+  return rows.map((producto) => {
+    const origenValue = producto.origen || DEFAULT_ORIGIN;
+    const precioDisty = parseNumber(producto.precio_disty, 0);
+    const precioCliente = origenValue === 'AXIS'
+      ? calcularPrecioClienteAxis(precioDisty, gpAxis, getAxisPartnerRebate(producto, partnerCategory), 0, parametros)
+      : calcularPrecioClienteQnap(precioDisty, gpQnap, parametros);
+    return {
+      id: producto.id,
+      origen: origenValue,
+      marca: producto.marca || '',
+      sku: producto.sku || '',
+      mpn: producto.mpn || '',
+      descripcion: producto.descripcion || '',
+      tiempo_entrega: producto.tiempo_entrega || '',
+      categoria_id: producto.categoria_id ?? null,
+      bahias: producto.bahias ?? null,
+      resolucion: producto.resolucion ?? null,
+      poe_clase: producto.poe_clase ?? null,
+      factor_forma: producto.factor_forma ?? null,
+      precio_cliente: Number(precioCliente.toFixed(2))
+    };
+  });
+};
+
 // PRODUCTOS - Obtener todos
 app.get('/api/productos', authenticateToken, async (req, res) => {
   try {
@@ -3210,87 +5165,264 @@ app.get('/api/productos', authenticateToken, async (req, res) => {
     if (isAdmin) {
       return res.json(result.rows);
     }
-    const userResult = await pool.query('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios WHERE id = $1', [req.user.id]);
-    const userRow = userResult.rows[0] || {};
-    const gpQnap = parseGpValue(userRow.gp_qnap ?? userRow.gp ?? 0.15, 0.15);
-    const gpAxis = parseGpValue(userRow.gp_axis ?? userRow.gp ?? 0.15, 0.15);
-    const partnerCategory = userRow.partner_category || 'Partner Autorizado';
-    const payload = result.rows.map((producto) => {
-      const origenValue = producto.origen || DEFAULT_ORIGIN;
-      const precioDisty = parseNumber(producto.precio_disty, 0);
-      const precioCliente = origenValue === 'AXIS'
-        ? calcularPrecioClienteAxis(precioDisty, gpAxis, getAxisPartnerRebate(producto, partnerCategory), 0)
-        : calcularPrecioClienteQnap(precioDisty, gpQnap);
-      return {
-        id: producto.id,
-        origen: origenValue,
-        marca: producto.marca || '',
-        sku: producto.sku || '',
-        mpn: producto.mpn || '',
-        descripcion: producto.descripcion || '',
-        tiempo_entrega: producto.tiempo_entrega || '',
-        precio_cliente: Number(precioCliente.toFixed(2))
-      };
-    });
-    res.json(payload);
+    res.json(await mapProductosParaCliente(req.user.id, result.rows));
   } catch (error) {
     logError(req, error, 'productos_list_failed');
     res.status(500).json({ error: 'Error del servidor' });
   }
 });
 
-// PRODUCTOS - Crear uno
-app.post('/api/productos', authenticateToken, requireCotizadorStockAdmin, validateProductoInput, async (req, res) => {
-  const client = await pool.connect();
+// CATEGORIAS - Árbol plano (parent_id) con el conteo de productos activos de cada nodo
+app.get('/api/categorias', authenticateToken, async (req, res) => {
   try {
-    const { marca, sku, mpn, descripcion, precio_disty, gp, tiempo_entrega, origen } = req.body;
-
-    await client.query('BEGIN');
-    const result = await client.query(
-      `INSERT INTO productos (origen, marca, sku, mpn, descripcion, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver, rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, activo)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
-      [origen || DEFAULT_ORIGIN, marca, sku, mpn, descripcion, precio_disty || 0, gp || 0.15, 0, 0, 0, 0, tiempo_entrega || 'ETA por confirmar', true]
+    const result = await pool.query(
+      `SELECT c.id, c.nombre, c.parent_id, c.ruta,
+              (SELECT COUNT(*)::int FROM productos p WHERE p.categoria_id = c.id AND p.activo = true) AS productos
+       FROM categorias c
+       ORDER BY c.ruta ASC`
     );
-
-    await writeProductoToSheet(result.rows[0].origen || DEFAULT_ORIGIN, result.rows[0], 'upsert');
-    await client.query('COMMIT');
-    invalidateOperationalCaches();
-    res.status(201).json(result.rows[0]);
+    res.json(result.rows);
   } catch (error) {
-    try {
-      await client.query('ROLLBACK');
-    } catch (rollbackError) {
-      console.error('Error haciendo rollback:', rollbackError);
-    }
-    logError(req, error, 'producto_create_failed');
+    logError(req, error, 'categorias_list_failed');
     res.status(500).json({ error: 'Error del servidor' });
-  } finally {
-    client.release();
   }
 });
 
-// PRODUCTOS - Crear muchos (bulk import desde Excel)
-app.post('/api/productos/bulk', authenticateToken, requireCotizadorStockAdmin, validateBulkProductosInput, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    const { productos, origen } = req.body;
-
-    if (!productos || !Array.isArray(productos)) {
-      return res.status(400).json({ error: 'Se requiere un array de productos' });
+// Clave de código como la compara el MCP: solo letras y números en mayúscula ("rail b02" = "RAIL-B02").
+const normalizeCodigoProducto = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const codigoProductoClaveSql = (columna) => `regexp_replace(UPPER(COALESCE(${columna}, '')), '[^A-Z0-9]', '', 'g')`;
+
+// Cruza las lineas de un JSON de Axis ({partNumber, quantity, rebateProject}) con el catálogo activo
+// por clave de MPN y, si no, de SKU. Devuelve las coincidencias en el orden del JSON y las que no
+// encontraron producto. El rebate de proyecto solo lo aplican los admins (como en /api/pricing/preview):
+// sin conRebate queda en 0 y la linea se informa en rebatesIgnorados para que el usuario lo sepa.
+const matchAxisLines = async (db, lines, { conRebate = false } = {}) => {
+  const claves = [...new Set(lines.map(line => normalizeCodigoProducto(line.partNumber)).filter(Boolean))];
+  const result = claves.length > 0
+    ? await db.query(
+      `SELECT * FROM productos
+       WHERE activo = true
+         AND (${codigoProductoClaveSql('mpn')} = ANY($1::text[]) OR ${codigoProductoClaveSql('sku')} = ANY($1::text[]))
+       ORDER BY id`,
+      [claves]
+    )
+    : { rows: [] };
+  const coincidencias = [];
+  const sinCoincidencia = [];
+  const rebatesIgnorados = [];
+  lines.forEach((line) => {
+    const clave = normalizeCodigoProducto(line.partNumber);
+    const producto = clave
+      ? result.rows.find(row => normalizeCodigoProducto(row.mpn) === clave)
+        || result.rows.find(row => normalizeCodigoProducto(row.sku) === clave)
+      : null;
+    if (!producto) {
+      sinCoincidencia.push(line);
+      return;
     }
-
-    const insertedProducts = [];
-    const origenFinal = origen || DEFAULT_ORIGIN;
-
-    await client.query('BEGIN');
-    for (const p of productos) {
-      const result = await client.query(
-        `INSERT INTO productos (origen, marca, sku, mpn, descripcion, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver, rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, activo)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
-        [origenFinal, p.marca || '', p.sku || '', p.mpn || '', p.descripcion || '', p.precio_disty || 0, p.gp || 0.15, 0, 0, 0, 0, p.tiempo_entrega || 'ETA por confirmar', true]
-      );
-      insertedProducts.push(result.rows[0]);
-      await writeProductoToSheet(origenFinal, result.rows[0], 'upsert');
+    if (!conRebate && (producto.origen || DEFAULT_ORIGIN) === 'AXIS' && line.rebateProject > 0) {
+      rebatesIgnorados.push(line);
+      coincidencias.push({ line: { ...line, rebateProject: 0 }, producto });
+      return;
+    }
+    coincidencias.push({ line, producto });
+  });
+  return { coincidencias, sinCoincidencia, rebatesIgnorados };
+};
+
+// PRODUCTOS - Búsqueda paginada en el servidor. Los códigos se comparan con normalizeCodigoProducto.
+// Orden: código exacto, código parcial, descripción con la frase completa y, al final, filas que
+// contienen todas las palabras.
+app.get('/api/productos/search', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = canManageCotizadorStock(req.user?.role);
+    const texto = String(req.query.q || '').trim();
+    const pageRaw = parseInt(req.query.page || '1', 10);
+    const pageSizeRaw = parseInt(req.query.pageSize || '50', 10);
+    const page = Number.isFinite(pageRaw) && pageRaw > 0 ? pageRaw : 1;
+    const pageSize = Number.isFinite(pageSizeRaw) && pageSizeRaw > 0 ? Math.min(pageSizeRaw, 200) : 50;
+    // Solo los admins de stock pueden ver inactivos (activo=0); el resto siempre ve el catálogo activo.
+    const soloActivos = !isAdmin || !['0', 'false'].includes(String(req.query.activo ?? '').toLowerCase());
+
+    const params = [];
+    const whereParts = [];
+    if (soloActivos) whereParts.push('activo = true');
+    if (req.query.origen) {
+      params.push(String(req.query.origen).toUpperCase());
+      whereParts.push(`origen = $${params.length}`);
+    }
+    if (req.query.marca) {
+      params.push(String(req.query.marca).trim().toLowerCase());
+      whereParts.push(`LOWER(marca) = $${params.length}`);
+    }
+    // La categoría incluye sus subcategorías ("Cámaras" trae también "Cámaras > Domo").
+    const categoriaId = parseInt(req.query.categoria_id, 10);
+    if (Number.isFinite(categoriaId)) {
+      params.push(categoriaId);
+      whereParts.push(`categoria_id IN (
+        WITH RECURSIVE sub AS (
+          SELECT id FROM categorias WHERE id = $${params.length}
+          UNION ALL
+          SELECT c.id FROM categorias c JOIN sub ON c.parent_id = sub.id
+        )
+        SELECT id FROM sub
+      )`);
+    }
+    const bahias = parseInt(req.query.bahias, 10);
+    if (Number.isFinite(bahias)) {
+      params.push(bahias);
+      whereParts.push(`bahias = $${params.length}`);
+    }
+    const bahiasMin = parseInt(req.query.bahias_min, 10);
+    if (Number.isFinite(bahiasMin)) {
+      params.push(bahiasMin);
+      whereParts.push(`bahias >= $${params.length}`);
+    }
+    ['resolucion', 'poe_clase', 'factor_forma'].forEach((campo) => {
+      if (!req.query[campo]) return;
+      params.push(String(req.query[campo]).trim().toLowerCase());
+      whereParts.push(`LOWER(${campo}) = $${params.length}`);
+    });
+
+    let rankSql = '0';
+    if (texto) {
+      const clave = normalizeCodigoProducto(texto);
+      const palabras = texto.toLowerCase().split(/\s+/).filter((palabra) => palabra.length > 1);
+      const skuClave = codigoProductoClaveSql('sku');
+      const mpnClave = codigoProductoClaveSql('mpn');
+      const campos = "LOWER(CONCAT_WS(' ', sku, mpn, marca, descripcion))";
+      const matches = [];
+      params.push(clave);
+      const claveParam = `$${params.length}`;
+      if (clave) matches.push(`strpos(${skuClave}, ${claveParam}) > 0 OR strpos(${mpnClave}, ${claveParam}) > 0`);
+      if (palabras.length > 0) {
+        matches.push(palabras.map((palabra) => {
+          params.push(palabra);
+          return `strpos(${campos}, $${params.length}) > 0`;
+        }).join(' AND '));
+      }
+      if (matches.length === 0) {
+        return res.json({ data: [], meta: { page, pageSize, total: 0, totalPages: 0, hasNext: false } });
+      }
+      whereParts.push(`(${matches.map((m) => `(${m})`).join(' OR ')})`);
+      params.push(texto.toLowerCase());
+      rankSql = `CASE
+          WHEN ${claveParam} <> '' AND (${skuClave} = ${claveParam} OR ${mpnClave} = ${claveParam}) THEN 0
+          WHEN ${claveParam} <> '' AND (strpos(${skuClave}, ${claveParam}) > 0 OR strpos(${mpnClave}, ${claveParam}) > 0) THEN 1
+          WHEN strpos(LOWER(COALESCE(descripcion, '')), $${params.length}) > 0 THEN 2
+          ELSE 3
+        END`;
+    }
+
+    const whereSql = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
+    params.push(pageSize, (page - 1) * pageSize);
+    const result = await pool.query(
+      `SELECT *, ${rankSql} AS rank, COUNT(*) OVER() AS total_count
+       FROM productos
+       ${whereSql}
+       ORDER BY rank ASC, marca ASC, sku ASC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    const total = Number(result.rows[0]?.total_count || 0);
+    const totalPages = total === 0 ? 0 : Math.ceil(total / pageSize);
+    const coincidencias = ['exacta', 'parcial', 'descripcion', 'descripcion'];
+    const rows = result.rows.map(({ rank, total_count: _totalCount, ...producto }) => ({
+      ...producto,
+      coincidencia: texto ? coincidencias[rank] : null
+    }));
+    const data = isAdmin
+      ? rows
+      : (await mapProductosParaCliente(req.user.id, rows)).map((producto, index) => ({
+        ...producto,
+        coincidencia: rows[index].coincidencia
+      }));
+    res.json({
+      data,
+      meta: {
+        page,
+        pageSize,
+        total,
+        totalPages,
+        hasNext: page < totalPages
+      }
+    });
+  } catch (error) {
+    logError(req, error, 'productos_search_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PRODUCTOS - Cruza un JSON de Axis con el catálogo para cargarlo al carrito. Solo devuelve el
+// producto_id de cada línea: el cotizador ya tiene el catálogo con los precios de cada rol.
+app.post('/api/productos/match-axis', authenticateToken, validateAxisImportInput, async (req, res) => {
+  try {
+    const { coincidencias, sinCoincidencia, rebatesIgnorados } = await matchAxisLines(pool, req.body.lines, {
+      conRebate: canManageCotizadorStock(req.user?.role)
+    });
+    res.json({
+      data: coincidencias.map(({ line, producto }) => ({ ...line, producto_id: producto.id })),
+      sin_coincidencia: sinCoincidencia,
+      rebates_ignorados: rebatesIgnorados
+    });
+  } catch (error) {
+    logError(req, error, 'productos_match_axis_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PRODUCTOS - Crear uno
+app.post('/api/productos', authenticateToken, requireCotizadorStockAdmin, validateProductoInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { marca, sku, mpn, descripcion, precio_disty, gp, tiempo_entrega, origen } = req.body;
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO productos (origen, marca, sku, mpn, descripcion, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver, rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, activo)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [origen || DEFAULT_ORIGIN, marca, sku, mpn, descripcion, precio_disty || 0, gp || 0.15, 0, 0, 0, 0, tiempo_entrega || 'ETA por confirmar', true]
+    );
+
+    await writeProductoToSheet(result.rows[0].origen || DEFAULT_ORIGIN, result.rows[0], 'upsert');
+    await client.query('COMMIT');
+    invalidateOperationalCaches();
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    logError(req, error, 'producto_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// PRODUCTOS - Crear muchos (bulk import desde Excel)
+app.post('/api/productos/bulk', authenticateToken, requireCotizadorStockAdmin, validateBulkProductosInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { productos, origen } = req.body;
+
+    if (!productos || !Array.isArray(productos)) {
+      return res.status(400).json({ error: 'Se requiere un array de productos' });
+    }
+
+    const insertedProducts = [];
+    const origenFinal = origen || DEFAULT_ORIGIN;
+
+    await client.query('BEGIN');
+    for (const p of productos) {
+      const result = await client.query(
+        `INSERT INTO productos (origen, marca, sku, mpn, descripcion, precio_disty, gp, rebate_partner_autorizado, rebate_partner_silver, rebate_partner_gold, rebate_partner_multiregional, tiempo_entrega, activo)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+        [origenFinal, p.marca || '', p.sku || '', p.mpn || '', p.descripcion || '', p.precio_disty || 0, p.gp || 0.15, 0, 0, 0, 0, p.tiempo_entrega || 'ETA por confirmar', true]
+      );
+      insertedProducts.push(result.rows[0]);
+      await writeProductoToSheet(origenFinal, result.rows[0], 'upsert');
     }
 
     await client.query('COMMIT');
@@ -3335,12 +5467,18 @@ app.post('/api/productos/sync', authenticateToken, requireCotizadorStockAdmin, a
     };
 
     const origen = req.query.origen;
+    const dryRun = ['1', 'true'].includes(String(req.query.dry_run || '').toLowerCase());
+    if (dryRun && !origen) {
+      return res.status(400).json({ error: 'La vista previa requiere un origen (QNAP o AXIS)' });
+    }
     if (origen) {
       const origenNormalized = String(origen).toUpperCase();
       if (!['QNAP', 'AXIS'].includes(origenNormalized)) {
         return res.status(400).json({ error: 'Origen invalido. Use QNAP o AXIS' });
       }
-      const result = await syncProductosFromSheet({ origen: origenNormalized });
+      const result = dryRun
+        ? await runProductosSync({ origen: origenNormalized, dryRun: true })
+        : await syncProductosFromSheet({ origen: origenNormalized });
       if (result?.skipped === true) {
         return res.status(400).json({
           error: 'Sync no configurado',
@@ -3350,6 +5488,16 @@ app.post('/api/productos/sync', authenticateToken, requireCotizadorStockAdmin, a
       if (result?.aborted === true) {
         return res.status(409).json({ error: 'Sync abortado por guardas de seguridad', detail: result.reason });
       }
+      if (dryRun) {
+        const { version, ...plan } = result;
+        const saved = await pool.query(
+          `INSERT INTO productos_sync_previews (origen, plan, version, usuario_id)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id, created_at`,
+          [origenNormalized, JSON.stringify(plan), version, req.user.id]
+        );
+        return res.json({ preview_id: saved.rows[0].id, created_at: saved.rows[0].created_at, ...plan });
+      }
       invalidateOperationalCaches();
       return res.json({ message: 'Sync completado', ...result });
     }
@@ -3391,12 +5539,27 @@ app.post('/api/productos/sync', authenticateToken, requireCotizadorStockAdmin, a
   }
 });
 
+// PRODUCTOS - Aplicar una vista previa del sync tal como se revisó
+app.post('/api/productos/sync/previews/:id/apply', authenticateToken, requireCotizadorStockAdmin, async (req, res) => {
+  try {
+    const result = await applyProductosSyncPreview(req.params.id, req.user.id);
+    res.json({ message: 'Sync aplicado', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logError(req, error, 'producto_sync_preview_apply_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
 // SYNC - Estado de la última sincronización por origen (badge de frescura en el dashboard)
 app.get('/api/sync/status', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT DISTINCT ON (origen) origen, trigger_source, status, inserted, updated, skipped, rejected, total, warnings, error, duration_ms, created_at
        FROM sync_logs
+       WHERE status <> 'running'
        ORDER BY origen, created_at DESC`
     );
     res.json({ syncs: result.rows });
@@ -3406,6 +5569,69 @@ app.get('/api/sync/status', authenticateToken, async (req, res) => {
   }
 });
 
+// SYNC - Últimos syncs de un origen, indicando cuáles tienen snapshot para restaurar
+app.get('/api/sync/logs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const origen = String(req.query.origen || '').toUpperCase();
+    const result = await pool.query(
+      `SELECT l.id, l.origen, l.trigger_source, l.status, l.inserted, l.updated, l.skipped, l.rejected, l.total,
+              l.error, l.duration_ms, l.created_at,
+              EXISTS (SELECT 1 FROM productos_sync_snapshots s WHERE s.sync_log_id = l.id) AS has_snapshot
+       FROM sync_logs l
+       WHERE ($1 = '' OR l.origen = $1)
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT 20`,
+      [origen]
+    );
+    res.json({ logs: result.rows });
+  } catch (error) {
+    logError(req, error, 'sync_logs_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// SYNC - Restaurar el catálogo del origen al estado previo a un sync
+app.post('/api/sync/logs/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await restoreProductosSnapshot(req.params.id);
+    res.json({ message: 'Catálogo restaurado', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logError(req, error, 'sync_restore_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PRODUCTOS - Historial de precio, rebates y plazo (cambios detectados en cada sync)
+app.get('/api/productos/:id/history', authenticateToken, requireCotizadorStockAdmin, async (req, res) => {
+  try {
+    const producto = await pool.query(
+      `SELECT id, origen, marca, sku, mpn, descripcion, ${PRODUCTO_HISTORIAL_CAMPOS.join(', ')}
+       FROM productos WHERE id = $1`,
+      [req.params.id]
+    );
+    if (producto.rows.length === 0) {
+      return res.status(404).json({ error: 'Producto no encontrado' });
+    }
+    const historial = await pool.query(
+      `SELECT h.id, h.sync_log_id, s.trigger_source, h.precio_disty, h.gp, h.rebate_partner_autorizado,
+              h.rebate_partner_silver, h.rebate_partner_gold, h.rebate_partner_multiregional,
+              h.tiempo_entrega, h.cambios, h.created_at
+       FROM producto_precio_historial h
+       LEFT JOIN sync_logs s ON s.id = h.sync_log_id
+       WHERE h.producto_id = $1
+       ORDER BY h.created_at ASC, h.id ASC`,
+      [req.params.id]
+    );
+    res.json({ producto: producto.rows[0], historial: historial.rows });
+  } catch (error) {
+    logError(req, error, 'producto_history_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
 // PRODUCTOS - Actualizar
 app.put('/api/productos/:id', authenticateToken, requireCotizadorStockAdmin, validateProductoInput, async (req, res) => {
   const client = await pool.connect();
@@ -3473,151 +5699,1365 @@ app.delete('/api/productos/:id', authenticateToken, requireCotizadorStockAdmin,
   }
 });
 
-// COTIZACIONES - Guardar
-app.post('/api/cotizaciones', authenticateToken, validateCotizacionInput, async (req, res) => {
-  const client = await pool.connect();
+// TIPOS DE CAMBIO - Listar historial
+app.get('/api/tipos-cambio', authenticateToken, async (req, res) => {
   try {
-    const { cliente, items, total } = req.body;
-    const usuarioId = req.user?.id || null;
-    const usuarioName = req.user?.usuario || null;
-    const isAdmin = canManageCotizadorStock(req.user?.role);
-    let totalFinal = total;
-    let itemsFinal = items;
+    const moneda = normalizeMoneda(req.query.moneda);
+    const params = [];
+    let whereSql = '';
+    if (moneda) {
+      params.push(moneda);
+      whereSql = `WHERE moneda = $${params.length}`;
+    }
+    const result = await pool.query(
+      `SELECT id, moneda, valor, vigente_desde, usuario, created_at
+       FROM tipos_cambio
+       ${whereSql}
+       ORDER BY vigente_desde DESC, moneda ASC
+       LIMIT 200`,
+      params
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'tipos_cambio_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
 
-    // Validar entrada mÃ­nima
-    if (!cliente || typeof cliente !== 'object') {
-      return res.status(400).json({ error: 'Cliente requerido' });
+// TIPOS DE CAMBIO - Vigente para una moneda
+app.get('/api/tipos-cambio/vigente', authenticateToken, async (req, res) => {
+  try {
+    const moneda = normalizeMoneda(req.query.moneda || 'CLP');
+    if (!moneda) {
+      return res.status(400).json({ error: 'Moneda invalida' });
     }
+    const vigente = await getTipoCambioVigente(pool, moneda);
+    if (!vigente) {
+      return res.status(404).json({ error: `No hay tipo de cambio vigente para ${moneda}` });
+    }
+    res.json(vigente);
+  } catch (error) {
+    logError(req, error, 'tipo_cambio_vigente_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
 
-    await client.query('BEGIN');
-    if (!isAdmin) {
-      const userResult = await client.query('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios WHERE id = $1', [usuarioId]);
-      const userRow = userResult.rows[0] || {};
-      const gpQnap = parseGpValue(userRow.gp_qnap ?? userRow.gp ?? 0.15, 0.15);
-      const gpAxis = parseGpValue(userRow.gp_axis ?? userRow.gp ?? 0.15, 0.15);
-      const partnerCategory = userRow.partner_category || 'Partner Autorizado';
-      let totalSum = 0;
-      const computedItems = [];
-      const requestedItems = Array.isArray(items) ? items : [];
-      const requestedProductIds = [...new Set(
-        requestedItems
-          .map(item => parseInt(item?.producto_id, 10))
-          .filter(id => Number.isFinite(id))
-      )];
-      const productsResult = requestedProductIds.length > 0
-        ? await client.query('SELECT * FROM productos WHERE id = ANY($1::int[])', [requestedProductIds])
-        : { rows: [] };
-      const productById = new Map(productsResult.rows.map(producto => [Number(producto.id), producto]));
-      for (const item of requestedItems) {
-        const productoId = parseInt(item?.producto_id, 10);
-        if (!Number.isFinite(productoId)) {
-          const badRequest = new Error('producto_id invalido');
-          badRequest.status = 400;
-          throw badRequest;
-        }
-        const cantidad = parseInt(item.cantidad || item.cant || 1, 10);
-        const producto = productById.get(productoId);
-        if (!producto) {
-          const badRequest = new Error(`Producto no encontrado: ${productoId}`);
-          badRequest.status = 400;
-          throw badRequest;
-        }
-        const origenValue = producto.origen || DEFAULT_ORIGIN;
-        const precioDisty = parseNumber(producto.precio_disty, 0);
-        const gpUsed = origenValue === 'AXIS' ? gpAxis : gpQnap;
-        const precioUnitario = origenValue === 'AXIS'
-          ? calcularPrecioClienteAxis(precioDisty, gpUsed, getAxisPartnerRebate(producto, partnerCategory), 0)
-          : calcularPrecioClienteQnap(precioDisty, gpUsed);
-        const precioTotal = precioUnitario * cantidad;
-        totalSum += precioTotal;
-        computedItems.push({
-          producto_id: productoId,
-          marca: producto.marca || '',
-          sku: producto.sku || '',
-          mpn: producto.mpn || '',
-          descripcion: producto.descripcion || '',
-          precio_disty: precioDisty,
-          gp: gpUsed,
-          cantidad,
-          precio_unitario: Number(precioUnitario.toFixed(2)),
-          precio_total: Number(precioTotal.toFixed(2)),
-          tiempo_entrega: producto.tiempo_entrega || ''
-        });
-      }
-      itemsFinal = computedItems;
-      totalFinal = Number(totalSum.toFixed(2));
+// TIPOS DE CAMBIO - Crear o reemplazar el valor de una fecha (admin)
+app.post('/api/tipos-cambio', authenticateToken, requireAdmin, validateTipoCambioInput, async (req, res) => {
+  try {
+    const { moneda, valor, vigente_desde: vigenteDesde } = req.body;
+    if (!normalizeMoneda(moneda) || moneda === 'USD') {
+      return res.status(400).json({ error: 'Moneda invalida' });
     }
-    
-    // Crear cotizacion
-    const cotResult = await client.query(
-      `INSERT INTO cotizaciones (
-        cliente_nombre,
-        cliente_empresa,
-        cliente_email,
-        cliente_telefono,
-        total,
-        cliente_final,
-        fecha_ejecucion,
-        fecha_implementacion,
-        vms,
-        usuario_id,
-        usuario,
-        estado
-      ) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
-      [
-        cliente.nombre,
-        cliente.empresa,
-        cliente.email,
-        cliente.telefono,
-        totalFinal,
-        cliente.cliente_final || null,
-        cliente.fecha_ejecucion || null,
-        cliente.fecha_implementacion || null,
-        cliente.vms || null,
-        usuarioId,
-        usuarioName,
-        'revision'
-      ]
+    const result = await pool.query(
+      `INSERT INTO tipos_cambio (moneda, valor, vigente_desde, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (moneda, vigente_desde) DO UPDATE
+       SET valor = EXCLUDED.valor,
+           usuario_id = EXCLUDED.usuario_id,
+           usuario = EXCLUDED.usuario,
+           created_at = CURRENT_TIMESTAMP
+       RETURNING id, moneda, valor, vigente_desde, usuario, created_at`,
+      [moneda, valor, vigenteDesde, req.user?.id || null, req.user?.usuario || null]
     );
-    
-    const cotizacionId = cotResult.rows[0].id;
-    
-    // Insertar items en batch
-    const rowsToInsert = Array.isArray(itemsFinal) ? itemsFinal : [];
-    if (rowsToInsert.length > 0) {
-      const values = [];
-      const placeholders = rowsToInsert.map((item, index) => {
-        const base = index * 12;
-        values.push(
-          cotizacionId,
-          item.producto_id || null,
-          item.marca || '',
-          item.sku || '',
-          item.mpn || '',
-          item.descripcion || '',
-          parseNumber(item.precio_disty, 0),
-          parseNumber(item.gp, 0),
-          parseInt(item.cantidad || item.cant || 1, 10) || 1,
-          parseNumber(item.precio_unitario, 0),
-          parseNumber(item.precio_total, 0),
-          item.tiempo_entrega || ''
-        );
-        return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9}, $${base + 10}, $${base + 11}, $${base + 12})`;
-      });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'tipo_cambio_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// TIPOS DE CAMBIO - Eliminar (admin). Las cotizaciones guardadas conservan su tipo_cambio.
+app.delete('/api/tipos-cambio/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM tipos_cambio WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tipo de cambio no encontrado' });
+    }
+    res.json({ message: 'Tipo de cambio eliminado', id: result.rows[0].id });
+  } catch (error) {
+    logError(req, error, 'tipo_cambio_delete_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PARAMETROS DE PRECIO - Historial de versiones (admin cotizador)
+app.get('/api/parametros-precio', authenticateToken, requireCotizadorStockAdmin, async (req, res) => {
+  try {
+    const origen = String(req.query.origen || '').trim().toUpperCase();
+    const params = [];
+    let whereSql = '';
+    if (PRICING_ORIGINS.includes(origen)) {
+      params.push(origen);
+      whereSql = `WHERE origen = $${params.length}`;
+    }
+    const result = await pool.query(
+      `SELECT ${PARAMETROS_PRECIO_COLUMNS}
+       FROM parametros_precio
+       ${whereSql}
+       ORDER BY vigente_desde DESC, id DESC
+       LIMIT 200`,
+      params
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'parametros_precio_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PARAMETROS DE PRECIO - Versiones vigentes por origen (admin cotizador)
+app.get('/api/parametros-precio/vigentes', authenticateToken, requireCotizadorStockAdmin, async (req, res) => {
+  try {
+    res.json(await getParametrosPrecioVigentes(pool));
+  } catch (error) {
+    logError(req, error, 'parametros_precio_vigentes_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PARAMETROS DE PRECIO - Nueva version (admin). No se editan ni borran: las cotizaciones
+// guardadas referencian la version que usaron.
+app.post('/api/parametros-precio', authenticateToken, requireAdmin, validateParametrosPrecioInput, async (req, res) => {
+  try {
+    const { origen, inbound_freight: inboundFreight, ic, interes, vigente_desde: vigenteDesde, comentario } = req.body;
+    const result = await pool.query(
+      `INSERT INTO parametros_precio (origen, inbound_freight, ic, interes, vigente_desde, comentario, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${PARAMETROS_PRECIO_COLUMNS}`,
+      [origen, inboundFreight, ic, interes, vigenteDesde, comentario || null, req.user?.id || null, req.user?.usuario || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'parametros_precio_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// CONCEPTOS ADICIONALES - Listar (los no admin solo ven los activos)
+app.get('/api/conceptos-adicionales', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = canManageCotizadorStock(req.user?.role);
+    const result = await pool.query(
+      `SELECT id, tipo, nombre, descripcion, precio, precio_min, precio_max, activo, usuario, updated_at
+       FROM conceptos_adicionales
+       ${isAdmin ? '' : 'WHERE activo = true'}
+       ORDER BY tipo ASC, nombre ASC`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'conceptos_adicionales_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// CONCEPTOS ADICIONALES - Crear (admin)
+app.post('/api/conceptos-adicionales', authenticateToken, requireAdmin, validateConceptoAdicionalInput, async (req, res) => {
+  try {
+    const { tipo, nombre, descripcion, precio, precio_min: precioMin, precio_max: precioMax, activo } = req.body;
+    const result = await pool.query(
+      `INSERT INTO conceptos_adicionales (tipo, nombre, descripcion, precio, precio_min, precio_max, activo, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, tipo, nombre, descripcion, precio, precio_min, precio_max, activo, usuario, updated_at`,
+      [tipo, nombre, descripcion || null, precio, precioMin, precioMax, activo, req.user?.id || null, req.user?.usuario || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'concepto_adicional_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// CONCEPTOS ADICIONALES - Actualizar (admin). Las cotizaciones guardadas conservan sus montos.
+app.put('/api/conceptos-adicionales/:id', authenticateToken, requireAdmin, validateConceptoAdicionalInput, async (req, res) => {
+  try {
+    const { tipo, nombre, descripcion, precio, precio_min: precioMin, precio_max: precioMax, activo } = req.body;
+    const result = await pool.query(
+      `UPDATE conceptos_adicionales
+       SET tipo = $1, nombre = $2, descripcion = $3, precio = $4, precio_min = $5, precio_max = $6, activo = $7,
+           usuario_id = $8, usuario = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10
+       RETURNING id, tipo, nombre, descripcion, precio, precio_min, precio_max, activo, usuario, updated_at`,
+      [tipo, nombre, descripcion || null, precio, precioMin, precioMax, activo, req.user?.id || null, req.user?.usuario || null, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Concepto no encontrado' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'concepto_adicional_update_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// CONCEPTOS ADICIONALES - Eliminar (admin). Las lineas ya cotizadas quedan sin concepto_id.
+app.delete('/api/conceptos-adicionales/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM conceptos_adicionales WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Concepto no encontrado' });
+    }
+    res.json({ message: 'Concepto eliminado', id: result.rows[0].id });
+  } catch (error) {
+    logError(req, error, 'concepto_adicional_delete_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// Une lineas repetidas del mismo producto sumando cantidades.
+const mergeKitItems = (items) => {
+  const byProducto = new Map();
+  (Array.isArray(items) ? items : []).forEach(item => {
+    const productoId = Number(item.producto_id);
+    byProducto.set(productoId, (byProducto.get(productoId) || 0) + (Number(item.cantidad) || 1));
+  });
+  return [...byProducto.entries()].map(([producto_id, cantidad]) => ({ producto_id, cantidad }));
+};
+
+const saveKitItems = async (client, kitId, items) => {
+  const merged = mergeKitItems(items);
+  const productIds = merged.map(item => item.producto_id);
+  const existing = await client.query('SELECT id FROM productos WHERE id = ANY($1::int[])', [productIds]);
+  const existingIds = new Set(existing.rows.map(row => Number(row.id)));
+  const missing = productIds.filter(id => !existingIds.has(id));
+  if (missing.length > 0) {
+    const badRequest = new Error(`Producto no encontrado: ${missing.join(', ')}`);
+    badRequest.status = 400;
+    throw badRequest;
+  }
+  await client.query('DELETE FROM kit_items WHERE kit_id = $1', [kitId]);
+  for (const item of merged) {
+    await client.query(
+      'INSERT INTO kit_items (kit_id, producto_id, cantidad) VALUES ($1, $2, $3)',
+      [kitId, item.producto_id, item.cantidad]
+    );
+  }
+};
+
+// KITS - Listar con sus productos (cualquier usuario autenticado)
+app.get('/api/kits', authenticateToken, async (req, res) => {
+  try {
+    const kitsResult = await pool.query(
+      'SELECT id, nombre, descripcion, usuario, created_at, updated_at FROM kits ORDER BY nombre ASC'
+    );
+    const itemsResult = await pool.query(
+      `SELECT ki.kit_id, ki.producto_id, ki.cantidad, p.sku, p.mpn, p.marca, p.descripcion, p.origen, p.activo
+       FROM kit_items ki
+       JOIN productos p ON p.id = ki.producto_id
+       ORDER BY ki.id ASC`
+    );
+    const itemsByKit = itemsResult.rows.reduce((acc, row) => {
+      if (!acc[row.kit_id]) acc[row.kit_id] = [];
+      acc[row.kit_id].push({
+        producto_id: row.producto_id,
+        cantidad: row.cantidad,
+        sku: row.sku || '',
+        mpn: row.mpn || '',
+        marca: row.marca || '',
+        descripcion: row.descripcion || '',
+        origen: row.origen || DEFAULT_ORIGIN,
+        activo: row.activo !== false
+      });
+      return acc;
+    }, {});
+    res.json(kitsResult.rows.map(kit => ({ ...kit, items: itemsByKit[kit.id] || [] })));
+  } catch (error) {
+    logError(req, error, 'kits_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// KITS - Crear (admin)
+app.post('/api/kits', authenticateToken, requireAdmin, validateKitInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { nombre, descripcion, items } = req.body;
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO kits (nombre, descripcion, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [nombre, descripcion || '', req.user?.id || null, req.user?.usuario || null]
+    );
+    const kitId = result.rows[0].id;
+    await saveKitItems(client, kitId, items);
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Kit creado', id: kitId });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logError(req, error, 'kit_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// KITS - Actualizar (admin). Reemplaza la lista completa de productos.
+app.put('/api/kits/:id', authenticateToken, requireAdmin, validateKitInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { nombre, descripcion, items } = req.body;
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE kits
+       SET nombre = $1, descripcion = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id`,
+      [nombre, descripcion || '', req.params.id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Kit no encontrado' });
+    }
+    await saveKitItems(client, result.rows[0].id, items);
+    await client.query('COMMIT');
+    res.json({ message: 'Kit actualizado', id: result.rows[0].id });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logError(req, error, 'kit_update_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// KITS - Eliminar (admin). Las cotizaciones ya guardadas conservan sus lineas expandidas.
+app.delete('/api/kits/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM kits WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Kit no encontrado' });
+    }
+    res.json({ message: 'Kit eliminado', id: result.rows[0].id });
+  } catch (error) {
+    logError(req, error, 'kit_delete_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// GP MINIMO - Listar pisos por origen/marca
+app.get('/api/gp-pisos', authenticateToken, requireCotizadorStockAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, origen, marca, gp_min, usuario, updated_at FROM gp_pisos ORDER BY origen ASC, marca ASC'
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'gp_pisos_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// GP MINIMO - Crear o reemplazar el piso de un origen/marca (admin). Marca vacia = todo el origen.
+app.post('/api/gp-pisos', authenticateToken, requireAdmin, validateGpPisoInput, async (req, res) => {
+  try {
+    const { origen, marca, gp_min: gpMin } = req.body;
+    const result = await pool.query(
+      `INSERT INTO gp_pisos (origen, marca, gp_min, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (origen, marca) DO UPDATE
+       SET gp_min = EXCLUDED.gp_min,
+           usuario_id = EXCLUDED.usuario_id,
+           usuario = EXCLUDED.usuario,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING id, origen, marca, gp_min, usuario, updated_at`,
+      [origen, marca || '', gpMin, req.user?.id || null, req.user?.usuario || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'gp_piso_save_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// GP MINIMO - Eliminar (admin)
+app.delete('/api/gp-pisos/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM gp_pisos WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Piso de GP no encontrado' });
+    }
+    res.json({ message: 'Piso de GP eliminado', id: result.rows[0].id });
+  } catch (error) {
+    logError(req, error, 'gp_piso_delete_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// VALIDEZ - Listar dias de validez por origen/marca (admin)
+app.get('/api/validez-cotizacion', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, origen, marca, dias, usuario, updated_at FROM validez_cotizacion ORDER BY origen ASC, marca ASC'
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'validez_cotizacion_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// VALIDEZ - Crear o reemplazar los dias de un origen/marca (admin). Marca vacia = todo el origen.
+app.post('/api/validez-cotizacion', authenticateToken, requireAdmin, validateValidezCotizacionInput, async (req, res) => {
+  try {
+    const { origen, marca, dias } = req.body;
+    const result = await pool.query(
+      `INSERT INTO validez_cotizacion (origen, marca, dias, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (origen, marca) DO UPDATE
+       SET dias = EXCLUDED.dias,
+           usuario_id = EXCLUDED.usuario_id,
+           usuario = EXCLUDED.usuario,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING id, origen, marca, dias, usuario, updated_at`,
+      [origen, marca || '', dias, req.user?.id || null, req.user?.usuario || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'validez_cotizacion_save_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// VALIDEZ - Eliminar (admin)
+app.delete('/api/validez-cotizacion/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM validez_cotizacion WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Validez no encontrada' });
+    }
+    res.json({ message: 'Validez eliminada', id: result.rows[0].id });
+  } catch (error) {
+    logError(req, error, 'validez_cotizacion_delete_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// MOTIVOS DE PERDIDA - Listar. Los vendedores ven solo los activos; ?todos=1 incluye inactivos (admin).
+app.get('/api/motivos-perdida', authenticateToken, async (req, res) => {
+  try {
+    const todos = req.query.todos === '1' && req.user?.role === 'admin';
+    const result = await pool.query(
+      `SELECT id, nombre, activo, usuario, updated_at FROM motivos_perdida
+       ${todos ? '' : 'WHERE activo = true'}
+       ORDER BY nombre ASC`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'motivos_perdida_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// MOTIVOS DE PERDIDA - Crear (admin)
+app.post('/api/motivos-perdida', authenticateToken, requireAdmin, validateMotivoPerdidaInput, async (req, res) => {
+  try {
+    const { nombre, activo } = req.body;
+    const result = await pool.query(
+      `INSERT INTO motivos_perdida (nombre, activo, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, nombre, activo, usuario, updated_at`,
+      [nombre, activo, req.user?.id || null, req.user?.usuario || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'Ya existe un motivo con ese nombre' });
+    }
+    logError(req, error, 'motivo_perdida_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// MOTIVOS DE PERDIDA - Renombrar o activar/desactivar (admin)
+app.put('/api/motivos-perdida/:id', authenticateToken, requireAdmin, validateMotivoPerdidaInput, async (req, res) => {
+  try {
+    const { nombre, activo } = req.body;
+    const result = await pool.query(
+      `UPDATE motivos_perdida
+       SET nombre = $1, activo = $2, usuario_id = $3, usuario = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING id, nombre, activo, usuario, updated_at`,
+      [nombre, activo, req.user?.id || null, req.user?.usuario || null, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Motivo de perdida no encontrado' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'Ya existe un motivo con ese nombre' });
+    }
+    logError(req, error, 'motivo_perdida_update_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// IMPUESTOS - Tasa de IVA que aplica a una empresa (el cotizador la usa para mostrar el bruto)
+app.get('/api/impuestos/iva', authenticateToken, async (req, res) => {
+  try {
+    const ivaTasa = await resolveIvaTasa(pool, req.query.empresa);
+    res.json({ tasa_general: IVA_TASA, iva_tasa: ivaTasa, exento: ivaTasa === 0 && IVA_TASA > 0 });
+  } catch (error) {
+    logError(req, error, 'iva_tasa_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// IMPUESTOS - Listar clientes exentos de IVA (admin)
+app.get('/api/clientes-exentos-iva', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, empresa, motivo, usuario, created_at FROM clientes_exentos_iva ORDER BY empresa ASC'
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'clientes_exentos_iva_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// IMPUESTOS - Marcar una empresa como exenta (admin). Solo afecta cotizaciones nuevas o editadas.
+app.post('/api/clientes-exentos-iva', authenticateToken, requireAdmin, validateClienteExentoIvaInput, async (req, res) => {
+  try {
+    const { empresa, motivo } = req.body;
+    const result = await pool.query(
+      `INSERT INTO clientes_exentos_iva (empresa, motivo, usuario_id, usuario)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT ((LOWER(empresa))) DO UPDATE
+       SET motivo = EXCLUDED.motivo,
+           usuario_id = EXCLUDED.usuario_id,
+           usuario = EXCLUDED.usuario
+       RETURNING id, empresa, motivo, usuario, created_at`,
+      [empresa, motivo || null, req.user?.id || null, req.user?.usuario || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'cliente_exento_iva_save_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// IMPUESTOS - Quitar exencion (admin)
+app.delete('/api/clientes-exentos-iva/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM clientes_exentos_iva WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cliente exento no encontrado' });
+    }
+    res.json({ message: 'Exencion de IVA eliminada', id: result.rows[0].id });
+  } catch (error) {
+    logError(req, error, 'cliente_exento_iva_delete_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// APROBACIONES - Cola de cotizaciones bajo el GP minimo (admin)
+app.get('/api/aprobaciones', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const estado = String(req.query.estado || 'pendiente').trim().toLowerCase();
+    if (!['pendiente', 'aprobada', 'rechazada', 'anulada'].includes(estado)) {
+      return res.status(400).json({ error: 'Estado invalido' });
+    }
+    const result = await pool.query(
+      `SELECT a.id, a.cotizacion_id, a.estado, a.lineas, a.solicitado_por, a.resuelto_por, a.comentario,
+              a.created_at, a.resuelto_at,
+              c.folio, c.cliente_empresa, c.cliente_telefono, c.total, c.moneda, c.usuario AS vendedor
+       FROM cotizacion_aprobaciones a
+       JOIN cotizaciones c ON c.id = a.cotizacion_id
+       WHERE a.estado = $1
+       ORDER BY a.created_at ASC
+       LIMIT 200`,
+      [estado]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'aprobaciones_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PRICING - Vista previa con desglose por linea. Usa la misma valorizacion que POST /api/cotizaciones;
+// el cotizador y el servidor MCP la consultan para no calcular precios por su cuenta.
+app.post('/api/pricing/preview', authenticateToken, validatePricingPreviewInput, async (req, res) => {
+  try {
+    const isAdmin = canManageCotizadorStock(req.user?.role);
+    const priced = await priceItemsForUser(pool, req.user?.id || null, req.body.items, { allowOverrides: isAdmin });
+    // Los clientes no ven costos, rebates ni GP: solo el precio que se les cotizaria.
+    const items = isAdmin
+      ? priced.items
+      : priced.items.map(item => ({
+        producto_id: item.producto_id,
+        marca: item.marca,
+        sku: item.sku,
+        mpn: item.mpn,
+        descripcion: item.descripcion,
+        cantidad: item.cantidad,
+        precio_unitario: item.precio_unitario,
+        precio_total: item.precio_total,
+        tiempo_entrega: item.tiempo_entrega
+      }));
+    res.json({ moneda: 'USD', items, total: priced.total });
+  } catch (error) {
+    if (error?.status === 400) {
+      return res.status(400).json({ error: error.message || 'Solicitud invalida' });
+    }
+    logError(req, error, 'pricing_preview_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACIONES - Guardar
+app.post('/api/cotizaciones', authenticateToken, validateCotizacionInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { cliente, items, total } = req.body;
+    const usuarioId = req.user?.id || null;
+    const usuarioName = req.user?.usuario || null;
+    const isAdmin = canManageCotizadorStock(req.user?.role);
+    let totalFinal = total;
+    let itemsFinal = items;
+    let parametrosPrecio = null;
+
+    // Validar entrada mÃ­nima
+    if (!cliente || typeof cliente !== 'object') {
+      return res.status(400).json({ error: 'Cliente requerido' });
+    }
+
+    await client.query('BEGIN');
+    // Los kits se expanden a lineas {producto_id, cantidad} y siempre se valorizan en servidor.
+    const kitItems = await expandKitRequests(client, req.body.kits);
+    // Las lineas de conceptos adicionales se validan en servidor para todos los roles.
+    const requestedItems = Array.isArray(items) ? items : [];
+    const conceptoLines = requestedItems.filter(isConceptoLine);
+    const catalogLines = requestedItems.filter(item => !isConceptoLine(item));
+    const conceptos = await priceConceptoLines(client, conceptoLines);
+    if (!isAdmin) {
+      const priced = await priceItemsForUser(client, usuarioId, [...catalogLines, ...kitItems]);
+      itemsFinal = [...priced.items, ...conceptos.items];
+      totalFinal = Number((priced.total + conceptos.total).toFixed(2));
+      parametrosPrecio = priced.parametros;
+    } else if (kitItems.length > 0) {
+      const priced = await priceItemsForUser(client, usuarioId, kitItems);
+      itemsFinal = [...catalogLines, ...priced.items, ...conceptos.items];
+      totalFinal = Number((parseNumber(total, 0) + priced.total).toFixed(2));
+      parametrosPrecio = priced.parametros;
+    } else if (conceptoLines.length > 0) {
+      itemsFinal = [...catalogLines, ...conceptos.items];
+    }
+    if (isAdmin && (conceptoLines.length > 0 || itemsFinal.some(item => isLineaFueraDelTotal(getLineaOpciones(item))))) {
+      // El total enviado trae los conceptos con el monto del navegador: se recalcula con los validados
+      // y sin opcionales ni alternativas, que no suman hasta que el cliente los elige.
+      totalFinal = sumTotalPrincipal(itemsFinal.map(item => ({ ...item, ...getLineaOpciones(item) })));
+    }
+    if (parseNumber(totalFinal, 0) < 0) {
+      const badRequest = new Error('Los descuentos superan el total de la cotizacion');
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    // Las lineas de admin llegan valorizadas por /api/pricing/preview con las versiones vigentes.
+    parametrosPrecio = parametrosPrecio || await getParametrosPrecioVigentes(client);
+    const validezDias = await resolveValidezDias(client, itemsFinal);
+    const moneda = normalizeMoneda(req.body.moneda) || 'USD';
+    const tipoCambio = await lockTipoCambio(client, moneda);
+    const impuestos = calcularImpuestos(totalFinal, await resolveIvaTasa(client, cliente.empresa));
+    
+    // Crear cotizacion
+    const cotResult = await client.query(
+      `INSERT INTO cotizaciones (
+        cliente_nombre,
+        cliente_empresa,
+        cliente_email,
+        cliente_telefono,
+        total,
+        cliente_final,
+        fecha_ejecucion,
+        fecha_implementacion,
+        vms,
+        usuario_id,
+        usuario,
+        estado,
+        valida_hasta,
+        moneda,
+        tipo_cambio,
+        folio,
+        parametros_precio_qnap_id,
+        parametros_precio_axis_id,
+        iva_tasa,
+        iva_monto,
+        total_bruto
+      ) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13::date, CURRENT_DATE + $14::int), $15, $16, $17, $18, $19, $20, $21, $22) RETURNING *`,
+      [
+        cliente.nombre,
+        cliente.empresa,
+        cliente.email,
+        cliente.telefono,
+        totalFinal,
+        cliente.cliente_final || null,
+        cliente.fecha_ejecucion || null,
+        cliente.fecha_implementacion || null,
+        cliente.vms || null,
+        usuarioId,
+        usuarioName,
+        'revision',
+        isAdmin ? normalizeDateOnly(cliente.valida_hasta) : null,
+        validezDias,
+        moneda,
+        tipoCambio,
+        await nextCotizacionFolio(client),
+        parametrosPrecio.QNAP?.id || null,
+        parametrosPrecio.AXIS?.id || null,
+        impuestos.iva_tasa,
+        impuestos.iva_monto,
+        impuestos.total_bruto
+      ]
+    );
+    
+    const cotizacionId = cotResult.rows[0].id;
+    
+    // Insertar items en batch
+    const rowsToInsert = Array.isArray(itemsFinal) ? itemsFinal : [];
+    await insertCotizacionItems(client, cotizacionId, rowsToInsert);
+
+    await recordEstadoTransition(client, cotizacionId, { from: null, to: 'revision', user: req.user });
+    const bajoPiso = await evaluateGpPisos(client, rowsToInsert, parametrosPrecio);
+    const aprobacionState = bajoPiso.length > 0
+      ? await syncGpAprobacion(client, cotizacionId, bajoPiso, req.user)
+      : null;
+
+    await recordCotizacionRevision(client, cotizacionId, { motivo: 'creacion', user: req.user });
+
+    await client.query('COMMIT');
+    
+    res.status(201).json({ 
+      message: 'Cotizacion guardada',
+      cotizacion: { ...cotResult.rows[0], ...(aprobacionState || {}) },
+      bajo_piso: bajoPiso
+    });
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    logError(req, error, 'cotizacion_create_failed');
+    if (error?.status === 400) {
+      return res.status(400).json({ error: error.message || 'Solicitud invalida' });
+    }
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// COTIZACIONES - Duplicar como nueva cotizacion del usuario actual, valorizada a precios de hoy.
+// Las lineas cuyo producto ya no esta activo (o no existe) se omiten y se informan.
+app.post('/api/cotizaciones/:id/clone', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    await client.query('BEGIN');
+    const sourceResult = await client.query('SELECT * FROM cotizaciones WHERE id = $1', [id]);
+    const source = sourceResult.rows[0];
+    if (!source) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Cotizacion no encontrada' });
+    }
+    const sourceItems = await client.query(
+      `SELECT ci.producto_id, ci.sku, ci.mpn, ci.descripcion, ci.cantidad, ci.precio_unitario, ci.tipo_linea, ci.concepto_id,
+              ci.opcional, ci.grupo_alternativa, ci.seccion, p.id AS producto_actual_id, p.activo
+       FROM cotizacion_items ci
+       LEFT JOIN productos p ON p.id = ci.producto_id
+       WHERE ci.cotizacion_id = $1
+       ORDER BY ci.id`,
+      [id]
+    );
+    const omitidos = [];
+    const lineas = [];
+    const conceptoLines = [];
+    sourceItems.rows.forEach(item => {
+      if (isConceptoLine(item)) {
+        conceptoLines.push({
+          concepto_id: item.concepto_id,
+          cantidad: item.cantidad,
+          precio_unitario: Math.abs(parseNumber(item.precio_unitario, 0)),
+          opcional: item.opcional,
+          grupo_alternativa: item.grupo_alternativa,
+          seccion: item.seccion,
+          source: item
+        });
+        return;
+      }
+      if (!item.producto_actual_id || item.activo === false) {
+        omitidos.push({
+          producto_id: item.producto_id,
+          sku: item.sku,
+          mpn: item.mpn,
+          descripcion: item.descripcion,
+          cantidad: item.cantidad,
+          motivo: item.producto_actual_id ? 'inactivo' : 'no_encontrado'
+        });
+        return;
+      }
+      // La copia vuelve a ofrecer las opciones: la eleccion del cliente no se hereda.
+      lineas.push({
+        producto_id: item.producto_id,
+        cantidad: item.cantidad,
+        opcional: item.opcional,
+        grupo_alternativa: item.grupo_alternativa,
+        seccion: item.seccion
+      });
+    });
+    const priced = await priceItemsForUser(client, req.user?.id || null, lineas);
+    // Los conceptos se revalidan contra la lista vigente y conservan la descripcion original.
+    const conceptos = await priceConceptoLines(client, conceptoLines, { omitInvalid: true });
+    conceptos.omitidos.forEach(({ line, motivo }) => {
+      omitidos.push({
+        producto_id: null,
+        sku: line.source.sku,
+        mpn: line.source.mpn,
+        descripcion: line.source.descripcion,
+        cantidad: line.source.cantidad,
+        motivo
+      });
+    });
+    const validConceptoLines = conceptoLines.filter(line => !conceptos.omitidos.some(omitido => omitido.line === line));
+    const conceptoItems = conceptos.items.map((item, index) => ({
+      ...item,
+      descripcion: validConceptoLines[index].source.descripcion || item.descripcion
+    }));
+    const cloneItems = [...priced.items, ...conceptoItems];
+    const cloneTotal = Number((priced.total + conceptos.total).toFixed(2));
+    if (cloneTotal < 0) {
+      const badRequest = new Error('Los descuentos superan el total de la cotizacion');
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    const validezDias = await resolveValidezDias(client, priced.items);
+    const moneda = normalizeMoneda(source.moneda) || 'USD';
+    const tipoCambio = await lockTipoCambio(client, moneda);
+    const impuestos = calcularImpuestos(cloneTotal, await resolveIvaTasa(client, source.cliente_empresa));
+    const cotResult = await client.query(
+      `INSERT INTO cotizaciones (
+        cliente_nombre,
+        cliente_empresa,
+        cliente_email,
+        cliente_telefono,
+        total,
+        cliente_final,
+        fecha_ejecucion,
+        fecha_implementacion,
+        vms,
+        usuario_id,
+        usuario,
+        estado,
+        valida_hasta,
+        moneda,
+        tipo_cambio,
+        folio,
+        parametros_precio_qnap_id,
+        parametros_precio_axis_id,
+        iva_tasa,
+        iva_monto,
+        total_bruto
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'revision', CURRENT_DATE + $12::int, $13, $14, $15, $16, $17, $18, $19, $20) RETURNING *`,
+      [
+        source.cliente_nombre,
+        source.cliente_empresa,
+        source.cliente_email,
+        source.cliente_telefono,
+        cloneTotal,
+        source.cliente_final,
+        source.fecha_ejecucion,
+        source.fecha_implementacion,
+        source.vms,
+        req.user?.id || null,
+        req.user?.usuario || null,
+        validezDias,
+        moneda,
+        tipoCambio,
+        await nextCotizacionFolio(client),
+        priced.parametros.QNAP?.id || null,
+        priced.parametros.AXIS?.id || null,
+        impuestos.iva_tasa,
+        impuestos.iva_monto,
+        impuestos.total_bruto
+      ]
+    );
+    const cotizacionId = cotResult.rows[0].id;
+    await insertCotizacionItems(client, cotizacionId, cloneItems);
+    await recordEstadoTransition(client, cotizacionId, {
+      from: null,
+      to: 'revision',
+      user: req.user,
+      comentario: `Duplicada de la cotizacion ${source.folio || `#${source.id}`}`
+    });
+    const bajoPiso = await evaluateGpPisos(client, priced.items, priced.parametros);
+    const aprobacionState = bajoPiso.length > 0
+      ? await syncGpAprobacion(client, cotizacionId, bajoPiso, req.user)
+      : null;
+    await recordCotizacionRevision(client, cotizacionId, { motivo: 'creacion', user: req.user });
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: 'Cotizacion duplicada',
+      cotizacion: { ...cotResult.rows[0], ...(aprobacionState || {}) },
+      omitidos,
+      bajo_piso: bajoPiso
+    });
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    logError(req, error, 'cotizacion_clone_failed');
+    if (error?.status === 400) {
+      return res.status(400).json({ error: error.message || 'Solicitud invalida' });
+    }
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// COTIZACIONES - Actualizar estado
+app.patch('/api/cotizaciones/:id/estado', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { estado } = req.body;
+    const comentario = typeof req.body.comentario === 'string' ? req.body.comentario.trim().slice(0, 1000) : '';
+    const allowed = ['enviada', 'revision', 'rechazada', 'aprobada', 'vencida', 'pendiente'];
+    if (!estado || !allowed.includes(estado)) {
+      return res.status(400).json({ error: 'Estado invalido' });
+    }
+    const normalized = estado === 'pendiente' ? 'revision' : estado;
+    await client.query('BEGIN');
+    const current = await client.query(
+      `SELECT estado, aprobacion, (valida_hasta IS NULL OR valida_hasta >= CURRENT_DATE) AS vigente
+       FROM cotizaciones WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'CotizaciÃ³n no encontrada' });
+    }
+    // Mientras espera aprobacion de margen (o si fue rechazado) el estado solo cambia al resolverla
+    // o al editar la cotizacion, igual que el PDF y los links publicos.
+    if (current.rows[0].aprobacion === 'pendiente') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Cotizacion pendiente de aprobacion de margen' });
+    }
+    if (current.rows[0].aprobacion === 'rechazada') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Margen rechazado: edita la cotizacion antes de cambiar su estado' });
+    }
+    // Una vencida solo sale de 'vencida' si antes se extiende valida_hasta; si no, el job la vuelve a vencer.
+    if (current.rows[0].estado === 'vencida' && normalized !== 'vencida' && !current.rows[0].vigente) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Cotizacion vencida: extiende su validez antes de cambiar el estado' });
+    }
+    const opcionesConfirmadas = normalized === 'aprobada'
+      ? await confirmarOpcionesCotizacion(client, id, req.body.opciones)
+      : null;
+    // El motivo de perdida solo vive mientras la cotizacion sigue rechazada.
+    const perdida = normalized === 'rechazada' ? await readPerdidaCotizacion(client, req.body) : null;
+    // Al enviarla queda con fecha de seguimiento (la indicada o a N dias); fuera de 'enviada' se limpia.
+    const result = await client.query(
+      `UPDATE cotizaciones SET estado = $1, motivo_perdida_id = $3, competidor_marca = $4, competidor_precio = $5,
+              seguimiento_fecha = CASE WHEN $1 = 'enviada' THEN COALESCE($6::date, seguimiento_fecha, CURRENT_DATE + $7::int) END
+       WHERE id = $2 RETURNING *`,
+      [
+        normalized,
+        id,
+        perdida?.motivo_perdida_id || null,
+        perdida?.competidor_marca || null,
+        perdida?.competidor_precio ?? null,
+        normalizeDateOnly(req.body.seguimiento_fecha),
+        toPositiveInt(COTIZACION_SEGUIMIENTO_DIAS, 3)
+      ]
+    );
+    await recordEstadoTransition(client, id, {
+      from: current.rows[0].estado,
+      to: normalized,
+      user: req.user,
+      comentario: perdida ? [`Motivo: ${perdida.motivo}`, comentario].filter(Boolean).join(' - ') : comentario
+    });
+    // La eleccion de opcionales cambia lineas y total: queda como revision propia.
+    if (opcionesConfirmadas) {
+      await recordCotizacionRevision(client, id, { motivo: 'aceptacion', user: req.user });
+    }
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    logError(req, error, 'cotizacion_estado_failed');
+    if (error?.status === 400) {
+      return res.status(400).json({ error: error.message || 'Solicitud invalida' });
+    }
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// COTIZACIONES - Reprogramar seguimiento
+app.patch('/api/cotizaciones/:id/seguimiento', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), validateSeguimientoInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE cotizaciones SET seguimiento_fecha = $1::date
+       WHERE id = $2 AND estado = 'enviada'
+       RETURNING id, estado, seguimiento_fecha`,
+      [req.body.fecha, id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Solo las cotizaciones enviadas tienen seguimiento' });
+    }
+    // Los recordatorios abiertos quedan resueltos; la nueva fecha genera el suyo al llegar.
+    await client.query(
+      `UPDATE cotizacion_recordatorios SET completado_at = CURRENT_TIMESTAMP
+       WHERE cotizacion_id = $1 AND completado_at IS NULL AND fecha <> $2::date`,
+      [id, req.body.fecha]
+    );
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    logError(req, error, 'cotizacion_seguimiento_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// RECORDATORIOS - Pendientes de seguimiento del usuario
+app.get('/api/recordatorios', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.id, r.cotizacion_id, r.fecha, c.folio, c.cliente_nombre, c.cliente_empresa,
+              c.total, c.moneda, c.valida_hasta, c.seguimiento_fecha
+       FROM cotizacion_recordatorios r
+       JOIN cotizaciones c ON c.id = r.cotizacion_id
+       WHERE r.usuario_id = $1
+         AND r.completado_at IS NULL
+         AND c.estado = 'enviada'
+       ORDER BY r.fecha ASC, r.id ASC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'recordatorios_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// RECORDATORIOS - Marcar como hecho
+app.patch('/api/recordatorios/:id/completar', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE cotizacion_recordatorios SET completado_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND usuario_id = $2 AND completado_at IS NULL
+       RETURNING id, cotizacion_id, completado_at`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recordatorio no encontrado' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    logError(req, error, 'recordatorio_completar_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACIONES - Actualizar (solo admin)
+app.put('/api/cotizaciones/:id', authenticateToken, requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { cliente, items, total } = req.body;
+    const totalValue = Number.isFinite(Number(total)) ? Number(total) : null;
+    const normalizeDate = (value) => {
+      if (value === undefined || value === null) return null;
+      const trimmed = String(value).trim();
+      return trimmed === '' ? null : trimmed;
+    };
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT id, moneda FROM cotizaciones WHERE id = $1 FOR UPDATE', [id]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'CotizaciÃ³n no encontrada' });
+    }
+    // El tipo de cambio solo se vuelve a fijar si cambia la moneda.
+    const moneda = normalizeMoneda(req.body.moneda);
+    const tipoCambio = moneda && moneda !== (existing.rows[0].moneda || 'USD')
+      ? await lockTipoCambio(client, moneda)
+      : null;
+    // Cotizaciones anteriores al historial de revisiones: se guarda su estado
+    // actual como revision base antes de sobrescribirla.
+    const revisionCount = await client.query(
+      'SELECT COUNT(*)::int AS total FROM cotizacion_revisiones WHERE cotizacion_id = $1',
+      [id]
+    );
+    if (!revisionCount.rows[0]?.total) {
+      await recordCotizacionRevision(client, id, { motivo: 'base', user: null });
+    }
+    const result = await client.query(
+      `UPDATE cotizaciones
+       SET cliente_nombre = COALESCE($1, cliente_nombre),
+           cliente_empresa = COALESCE($2, cliente_empresa),
+           cliente_email = COALESCE($3, cliente_email),
+           cliente_telefono = COALESCE($4, cliente_telefono),
+           cliente_final = COALESCE($5, cliente_final),
+           fecha_ejecucion = COALESCE($6, fecha_ejecucion),
+           fecha_implementacion = COALESCE($7, fecha_implementacion),
+           vms = COALESCE($8, vms),
+           total = COALESCE($9, total),
+           valida_hasta = COALESCE($10::date, valida_hasta),
+           moneda = COALESCE($11, moneda),
+           tipo_cambio = COALESCE($12, tipo_cambio)
+       WHERE id = $13
+       RETURNING *`,
+      [
+        cliente?.nombre ?? null,
+        cliente?.empresa ?? null,
+        cliente?.email ?? null,
+        cliente?.telefono ?? null,
+        cliente?.cliente_final ?? null,
+        normalizeDate(cliente?.fecha_ejecucion),
+        normalizeDate(cliente?.fecha_implementacion),
+        cliente?.vms ?? null,
+        totalValue,
+        normalizeDateOnly(cliente?.valida_hasta),
+        moneda,
+        tipoCambio,
+        id
+      ]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'CotizaciÃ³n no encontrada' });
+    }
+    if (Array.isArray(items)) {
+      await client.query('DELETE FROM cotizacion_items WHERE cotizacion_id = $1', [id]);
+      for (const item of items) {
+        const lineaOpciones = getLineaOpciones(item);
+        const cantidad = parseInt(item.cantidad || 1, 10);
+        const precioUnitario = parseNumber(item.precio_unitario, 0);
+        const precioTotal = Number.isFinite(Number(item.precio_total))
+          ? Number(item.precio_total)
+          : (precioUnitario * (Number.isNaN(cantidad) ? 1 : cantidad));
+        await client.query(
+          `INSERT INTO cotizacion_items
+           (cotizacion_id, producto_id, marca, sku, mpn, descripcion, precio_disty, gp, cantidad, precio_unitario, precio_total, tiempo_entrega, tipo_linea, concepto_id,
+            opcional, grupo_alternativa, seleccionada, seccion)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+          [
+            id,
+            item.producto_id || null,
+            item.marca || '',
+            item.sku || '',
+            item.mpn || '',
+            item.descripcion || '',
+            parseNumber(item.precio_disty, 0),
+            parseNumber(item.gp, 0),
+            Number.isNaN(cantidad) ? 1 : cantidad,
+            precioUnitario,
+            precioTotal,
+            item.tiempo_entrega || '',
+            normalizeTipoLinea(item.tipo_linea),
+            parseInt(item.concepto_id, 10) || null,
+            lineaOpciones.opcional,
+            lineaOpciones.grupo_alternativa,
+            (lineaOpciones.opcional || Boolean(lineaOpciones.grupo_alternativa)) && item.seleccionada === true,
+            normalizeSeccion(item.seccion)
+          ]
+        );
+      }
+    }
+    // El neto o la empresa pueden haber cambiado: la tasa se vuelve a resolver para el cliente.
+    const impuestos = calcularImpuestos(result.rows[0].total, await resolveIvaTasa(client, result.rows[0].cliente_empresa));
+    await client.query(
+      'UPDATE cotizaciones SET iva_tasa = $1, iva_monto = $2, total_bruto = $3 WHERE id = $4',
+      [impuestos.iva_tasa, impuestos.iva_monto, impuestos.total_bruto, id]
+    );
+    const savedItems = await client.query(
+      'SELECT producto_id, sku, gp, precio_unitario FROM cotizacion_items WHERE cotizacion_id = $1',
+      [id]
+    );
+    // Los pisos se evaluan con los parametros de precio con que se guardo la cotizacion.
+    const parametrosPrecio = await getParametrosPrecioCotizacion(client, result.rows[0]);
+    const bajoPiso = await evaluateGpPisos(client, savedItems.rows, parametrosPrecio);
+    const aprobacionState = await syncGpAprobacion(client, id, bajoPiso, req.user);
+    await recordCotizacionRevision(client, id, { motivo: 'edicion', user: req.user });
+    await client.query('COMMIT');
+    res.json({
+      ...result.rows[0],
+      iva_tasa: impuestos.iva_tasa,
+      iva_monto: impuestos.iva_monto,
+      total_bruto: impuestos.total_bruto,
+      ...(aprobacionState || {}),
+      bajo_piso: bajoPiso
+    });
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    console.error('Error actualizando cotizaciÃ³n:', error);
+    if (error?.status === 400) {
+      return res.status(400).json({ error: error.message || 'Solicitud invalida' });
+    }
+    if (error?.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
+
+// COTIZACIONES - Importar JSON de Axis sobre una cotizacion guardada (registro o BOM actualizado).
+// Se valoriza en servidor con lo que fijo la cotizacion: el GP de sus lineas, la categoria partner
+// de su dueño y sus versiones de parametros_precio. Cada linea del JSON reutiliza, en orden, una
+// linea del mismo producto y conserva su seccion, opcion y eleccion; las que sobran se agregan y
+// los productos que ya no vienen se quitan. Servicios, fletes y descuentos no se tocan.
+app.post('/api/cotizaciones/:id/axis-import', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), validateAxisImportInput, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    await client.query('BEGIN');
+    const cotizacionResult = await client.query('SELECT * FROM cotizaciones WHERE id = $1 FOR UPDATE', [id]);
+    const cotizacion = cotizacionResult.rows[0];
+    if (!cotizacion) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Cotizacion no encontrada' });
+    }
+    // Solo se reemplazan lineas de cotizaciones abiertas: una aceptada, rechazada, vencida o en
+    // aprobacion de margen conserva lo que el cliente o el admin ya decidieron sobre ella.
+    const estadoActual = normalizeCotizacionEstado(cotizacion.estado);
+    if (!['revision', 'enviada'].includes(estadoActual)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Cotizacion ${estadoActual}: solo se importan JSON sobre cotizaciones en revision o enviadas` });
+    }
+    const { coincidencias, sinCoincidencia, rebatesIgnorados } = await matchAxisLines(client, req.body.lines, {
+      conRebate: canManageCotizadorStock(req.user?.role)
+    });
+    if (coincidencias.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Ninguna linea del JSON coincide con el catalogo', sin_coincidencia: sinCoincidencia });
+    }
+    const revisionCount = await client.query(
+      'SELECT COUNT(*)::int AS total FROM cotizacion_revisiones WHERE cotizacion_id = $1',
+      [id]
+    );
+    if (!revisionCount.rows[0]?.total) {
+      await recordCotizacionRevision(client, id, { motivo: 'base', user: null });
+    }
+    const existentesResult = await client.query(
+      `SELECT ci.id, ci.producto_id, ci.gp, ci.precio_disty, ci.opcional, ci.grupo_alternativa, ci.seccion, p.origen
+       FROM cotizacion_items ci
+       LEFT JOIN productos p ON p.id = ci.producto_id
+       WHERE ci.cotizacion_id = $1 AND ci.concepto_id IS NULL AND COALESCE(ci.tipo_linea, 'producto') = 'producto'
+       ORDER BY ci.id`,
+      [id]
+    );
+    const existentes = existentesResult.rows;
+    // Productos nuevos toman el GP que ya usa la cotizacion para su origen; sin lineas de ese origen, el del dueño.
+    const gpPorOrigen = {};
+    existentes.forEach((item) => {
+      const origen = item.origen || DEFAULT_ORIGIN;
+      if (gpPorOrigen[origen] === undefined && item.gp !== null) gpPorOrigen[origen] = item.gp;
+    });
+    const usadas = new Set();
+    const lineas = coincidencias.map(({ line, producto }) => {
+      const existente = existentes.find(item => !usadas.has(item.id) && Number(item.producto_id) === Number(producto.id));
+      if (existente) usadas.add(existente.id);
+      return {
+        existente_id: existente?.id || null,
+        producto_id: producto.id,
+        cantidad: line.quantity,
+        gp: existente ? existente.gp : gpPorOrigen[producto.origen || DEFAULT_ORIGIN],
+        precio_disty: existente?.precio_disty,
+        rebate_proyecto: line.rebateProject,
+        opcional: existente?.opcional,
+        grupo_alternativa: existente?.grupo_alternativa,
+        seccion: existente?.seccion
+      };
+    });
+    const parametros = await getParametrosPrecioCotizacion(client, cotizacion);
+    const priced = await priceItemsForUser(client, cotizacion.usuario_id, lineas, { allowOverrides: true, parametros });
+    const nuevas = [];
+    for (const [index, item] of priced.items.entries()) {
+      const existenteId = lineas[index].existente_id;
+      if (!existenteId) {
+        nuevas.push(item);
+        continue;
+      }
       await client.query(
-        `INSERT INTO cotizacion_items
-         (cotizacion_id, producto_id, marca, sku, mpn, descripcion, precio_disty, gp, cantidad, precio_unitario, precio_total, tiempo_entrega)
-         VALUES ${placeholders.join(', ')}`,
-        values
+        `UPDATE cotizacion_items
+         SET cantidad = $1, precio_disty = $2, gp = $3, precio_unitario = $4, precio_total = $5
+         WHERE id = $6`,
+        [item.cantidad, item.precio_disty, item.gp, item.precio_unitario, item.precio_total, existenteId]
       );
     }
-
+    const quitadas = existentes.filter(item => !usadas.has(item.id)).map(item => item.id);
+    if (quitadas.length > 0) {
+      await client.query('DELETE FROM cotizacion_items WHERE cotizacion_id = $1 AND id = ANY($2::int[])', [id, quitadas]);
+    }
+    await insertCotizacionItems(client, id, nuevas);
+    const savedItems = await client.query(
+      `SELECT producto_id, sku, gp, precio_unitario, precio_total, opcional, grupo_alternativa, seleccionada
+       FROM cotizacion_items WHERE cotizacion_id = $1`,
+      [id]
+    );
+    const total = sumTotalPrincipal(savedItems.rows);
+    if (total < 0) {
+      const badRequest = new Error('Los descuentos superan el total de la cotizacion');
+      badRequest.status = 400;
+      throw badRequest;
+    }
+    // El IVA se recalcula con la tasa que quedo fijada al guardar la cotizacion.
+    const updated = await client.query(
+      `UPDATE cotizaciones SET total = $1::numeric,
+             iva_monto = ROUND($1::numeric * COALESCE(iva_tasa, 0), 2),
+             total_bruto = $1::numeric + ROUND($1::numeric * COALESCE(iva_tasa, 0), 2)
+       WHERE id = $2
+       RETURNING *`,
+      [total, id]
+    );
+    const bajoPiso = await evaluateGpPisos(client, savedItems.rows, parametros);
+    const aprobacionState = await syncGpAprobacion(client, id, bajoPiso, req.user);
+    await recordCotizacionRevision(client, id, { motivo: 'importacion', user: req.user });
     await client.query('COMMIT');
-    
-    res.status(201).json({ 
-      message: 'Cotizacion guardada',
-      cotizacion: cotResult.rows[0]
+    res.json({
+      ...updated.rows[0],
+      ...(aprobacionState || {}),
+      bajo_piso: bajoPiso,
+      agregados: coincidencias.length,
+      sin_coincidencia: sinCoincidencia,
+      rebates_ignorados: rebatesIgnorados
     });
   } catch (error) {
     try {
@@ -3625,158 +7065,349 @@ app.post('/api/cotizaciones', authenticateToken, validateCotizacionInput, async
     } catch (rollbackError) {
       console.error('Error haciendo rollback:', rollbackError);
     }
-    logError(req, error, 'cotizacion_create_failed');
+    logError(req, error, 'cotizacion_axis_import_failed');
     if (error?.status === 400) {
       return res.status(400).json({ error: error.message || 'Solicitud invalida' });
     }
+    if (error?.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Error del servidor' });
   } finally {
     client.release();
   }
 });
 
-// COTIZACIONES - Actualizar estado
-app.patch('/api/cotizaciones/:id/estado', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
+// COTIZACIONES - Historial de revisiones
+app.get('/api/cotizaciones/:id/revisions', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { estado } = req.body;
-    const allowed = ['enviada', 'revision', 'rechazada', 'aprobada', 'pendiente'];
-    if (!estado || !allowed.includes(estado)) {
-      return res.status(400).json({ error: 'Estado invalido' });
+    const isAdmin = req.user?.role === 'admin';
+    const result = await pool.query(
+      `SELECT id, cotizacion_id, revision, motivo, header, items, total, usuario_id, usuario, created_at
+       FROM cotizacion_revisiones
+       WHERE cotizacion_id = $1
+       ORDER BY revision ASC`,
+      [id]
+    );
+    const revisions = result.rows.map(row => ({
+      ...row,
+      items: isAdmin ? (row.items || []) : toPublicRevisionItems(row.items)
+    }));
+    res.json(revisions);
+  } catch (error) {
+    logError(req, error, 'cotizacion_revisions_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACIONES - Enlaces publicos para el cliente (dueño o admin)
+app.get('/api/cotizaciones/:id/links', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, cotizacion_id, expires_at, revoked_at, creado_por, respuesta, respondido_nombre,
+              respondido_ip, respondido_comentario, respondido_at, created_at
+       FROM cotizacion_links
+       WHERE cotizacion_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logError(req, error, 'cotizacion_links_list_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACIONES - Crear enlace publico. El token solo se devuelve aqui; no se guarda.
+app.post('/api/cotizaciones/:id/links', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const cotizacion = await pool.query('SELECT id, aprobacion FROM cotizaciones WHERE id = $1', [id]);
+    if (cotizacion.rows.length === 0) {
+      return res.status(404).json({ error: 'Cotizacion no encontrada' });
     }
-    const normalized = estado === 'pendiente' ? 'revision' : estado;
+    if (['pendiente', 'rechazada'].includes(cotizacion.rows[0].aprobacion)) {
+      return res.status(409).json({ error: 'Cotizacion pendiente de aprobacion de margen' });
+    }
+    const diasRaw = parseInt(req.body?.dias, 10);
+    const dias = Math.min(
+      Number.isFinite(diasRaw) && diasRaw > 0 ? diasRaw : toPositiveInt(COTIZACION_LINK_DIAS, 7),
+      COTIZACION_LINK_DIAS_MAX
+    );
+    const result = await pool.query(
+      `INSERT INTO cotizacion_links (cotizacion_id, expires_at, creado_por_id, creado_por)
+       VALUES ($1, NOW() + ($2 || ' days')::interval, $3, $4)
+       RETURNING id, cotizacion_id, expires_at, created_at`,
+      [id, String(dias), req.user?.id || null, req.user?.usuario || null]
+    );
+    const link = result.rows[0];
+    res.status(201).json({ ...link, token: signCotizacionLinkToken(link) });
+  } catch (error) {
+    logError(req, error, 'cotizacion_link_create_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// COTIZACIONES - Revocar enlace publico
+app.delete('/api/cotizaciones/:id/links/:linkId', authenticateToken, requireOwnerOrAdmin(resolveCotizacionOwnerId, 'Cotizacion no encontrada'), async (req, res) => {
+  try {
     const result = await pool.query(
-      'UPDATE cotizaciones SET estado = $1 WHERE id = $2 RETURNING *',
-      [normalized, id]
+      `UPDATE cotizacion_links
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND cotizacion_id = $2
+       RETURNING id, revoked_at`,
+      [req.params.linkId, req.params.id]
     );
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'CotizaciÃ³n no encontrada' });
+      return res.status(404).json({ error: 'Enlace no encontrado' });
     }
-    res.json(result.rows[0]);
+    res.json({ message: 'Enlace revocado', ...result.rows[0] });
   } catch (error) {
-    logError(req, error, 'cotizacion_estado_failed');
+    logError(req, error, 'cotizacion_link_revoke_failed');
     res.status(500).json({ error: 'Error del servidor' });
   }
 });
 
-// COTIZACIONES - Actualizar (solo admin)
-app.put('/api/cotizaciones/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PUBLICO - Ver cotizacion por enlace (sin login, solo columnas publicas)
+app.get('/api/public/cotizaciones/:token', publicLinkRateLimiter, async (req, res) => {
+  try {
+    const link = await resolveCotizacionLink(pool, req.params.token);
+    if (!link) {
+      return res.status(410).json({ error: 'Enlace expirado o revocado' });
+    }
+    const cotizacionResult = await pool.query(
+      `SELECT id, folio, cliente_nombre, cliente_empresa, usuario AS vendedor, created_at, valida_hasta,
+              moneda, tipo_cambio, total, iva_tasa, iva_monto, total_bruto, estado, aprobacion,
+              (valida_hasta IS NULL OR valida_hasta >= CURRENT_DATE) AS vigente
+       FROM cotizaciones WHERE id = $1`,
+      [link.cotizacion_id]
+    );
+    const cotizacion = cotizacionResult.rows[0];
+    if (!cotizacion) {
+      return res.status(410).json({ error: 'Enlace expirado o revocado' });
+    }
+    const items = await pool.query(
+      `SELECT ${COTIZACION_ITEM_PUBLIC_COLUMNS} FROM cotizacion_items WHERE cotizacion_id = $1 ORDER BY id`,
+      [link.cotizacion_id]
+    );
+    const puedeResponder = canRespondCotizacionLink(cotizacion, link);
+    // Los motivos activos solo se envian si el cliente todavia puede rechazar.
+    const motivos = puedeResponder
+      ? await pool.query('SELECT id, nombre FROM motivos_perdida WHERE activo = true ORDER BY nombre ASC')
+      : { rows: [] };
+    res.json({
+      cotizacion: {
+        id: cotizacion.id,
+        folio: cotizacion.folio,
+        cliente_nombre: cotizacion.cliente_nombre,
+        cliente_empresa: cotizacion.cliente_empresa,
+        vendedor: cotizacion.vendedor,
+        created_at: cotizacion.created_at,
+        valida_hasta: cotizacion.valida_hasta,
+        moneda: cotizacion.moneda,
+        tipo_cambio: cotizacion.tipo_cambio,
+        total: cotizacion.total,
+        iva_tasa: cotizacion.iva_tasa,
+        iva_monto: cotizacion.iva_monto,
+        total_bruto: cotizacion.total_bruto,
+        estado: normalizeCotizacionEstado(cotizacion.estado)
+      },
+      items: items.rows,
+      link: {
+        expires_at: link.expires_at,
+        respuesta: link.respuesta,
+        respondido_nombre: link.respondido_nombre,
+        respondido_at: link.respondido_at
+      },
+      puede_responder: puedeResponder,
+      motivos_perdida: motivos.rows
+    });
+  } catch (error) {
+    logError(req, error, 'cotizacion_publica_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
+// PUBLICO - Aceptar o rechazar por enlace. Registra nombre e IP de quien responde.
+app.post('/api/public/cotizaciones/:token/respuesta', publicLinkRateLimiter, validateRespuestaPublicaInput, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { cliente, items, total } = req.body;
-    const totalValue = Number.isFinite(Number(total)) ? Number(total) : null;
-    const normalizeDate = (value) => {
-      if (value === undefined || value === null) return null;
-      const trimmed = String(value).trim();
-      return trimmed === '' ? null : trimmed;
-    };
+    const { decision, nombre, comentario, opciones } = req.body;
     await client.query('BEGIN');
-    const result = await client.query(
-      `UPDATE cotizaciones
-       SET cliente_nombre = COALESCE($1, cliente_nombre),
-           cliente_empresa = COALESCE($2, cliente_empresa),
-           cliente_email = COALESCE($3, cliente_email),
-           cliente_telefono = COALESCE($4, cliente_telefono),
-           cliente_final = COALESCE($5, cliente_final),
-           fecha_ejecucion = COALESCE($6, fecha_ejecucion),
-           fecha_implementacion = COALESCE($7, fecha_implementacion),
-           vms = COALESCE($8, vms),
-           total = COALESCE($9, total)
-       WHERE id = $10
-       RETURNING *`,
-      [
-        cliente?.nombre ?? null,
-        cliente?.empresa ?? null,
-        cliente?.email ?? null,
-        cliente?.telefono ?? null,
-        cliente?.cliente_final ?? null,
-        normalizeDate(cliente?.fecha_ejecucion),
-        normalizeDate(cliente?.fecha_implementacion),
-        cliente?.vms ?? null,
-        totalValue,
-        id
-      ]
+    const link = await resolveCotizacionLink(client, req.params.token, { forUpdate: true });
+    if (!link) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ error: 'Enlace expirado o revocado' });
+    }
+    const cotizacionResult = await client.query(
+      `SELECT id, estado, aprobacion, (valida_hasta IS NULL OR valida_hasta >= CURRENT_DATE) AS vigente
+       FROM cotizaciones WHERE id = $1 FOR UPDATE`,
+      [link.cotizacion_id]
     );
-    if (result.rows.length === 0) {
+    const cotizacion = cotizacionResult.rows[0];
+    if (!canRespondCotizacionLink(cotizacion, link)) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'CotizaciÃ³n no encontrada' });
+      return res.status(409).json({ error: 'La cotizacion ya no admite respuesta' });
     }
-    if (Array.isArray(items)) {
-      await client.query('DELETE FROM cotizacion_items WHERE cotizacion_id = $1', [id]);
-      for (const item of items) {
-        const cantidad = parseInt(item.cantidad || 1, 10);
-        const precioUnitario = parseNumber(item.precio_unitario, 0);
-        const precioTotal = Number.isFinite(Number(item.precio_total))
-          ? Number(item.precio_total)
-          : (precioUnitario * (Number.isNaN(cantidad) ? 1 : cantidad));
-        await client.query(
-          `INSERT INTO cotizacion_items
-           (cotizacion_id, producto_id, marca, sku, mpn, descripcion, precio_disty, gp, cantidad, precio_unitario, precio_total, tiempo_entrega)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
-          [
-            id,
-            item.producto_id || null,
-            item.marca || '',
-            item.sku || '',
-            item.mpn || '',
-            item.descripcion || '',
-            parseNumber(item.precio_disty, 0),
-            parseNumber(item.gp, 0),
-            Number.isNaN(cantidad) ? 1 : cantidad,
-            precioUnitario,
-            precioTotal,
-            item.tiempo_entrega || ''
-          ]
-        );
-      }
+    const estado = decision === 'aceptar' ? 'aprobada' : 'rechazada';
+    const ip = String(req.ip || '').slice(0, 64);
+    const opcionesConfirmadas = estado === 'aprobada'
+      ? await confirmarOpcionesCotizacion(client, cotizacion.id, opciones)
+      : null;
+    // El rechazo por enlace tambien queda con motivo para el analisis de perdidas.
+    const perdida = estado === 'rechazada'
+      ? await readPerdidaCotizacion(client, { motivo_perdida_id: req.body.motivo_perdida_id })
+      : null;
+    await client.query(
+      'UPDATE cotizaciones SET estado = $1, motivo_perdida_id = $3 WHERE id = $2',
+      [estado, cotizacion.id, perdida?.motivo_perdida_id || null]
+    );
+    await client.query(
+      `UPDATE cotizacion_links
+       SET respuesta = $1, respondido_nombre = $2, respondido_ip = $3, respondido_comentario = $4,
+           respondido_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [estado, nombre, ip, comentario || null, link.id]
+    );
+    await recordEstadoTransition(client, cotizacion.id, {
+      from: cotizacion.estado,
+      to: estado,
+      user: null,
+      comentario: `${decision === 'aceptar' ? 'Aceptada' : 'Rechazada'} por ${nombre} via enlace (IP ${ip})${perdida ? ` - Motivo: ${perdida.motivo}` : ''}${comentario ? `: ${comentario}` : ''}`
+    });
+    if (opcionesConfirmadas) {
+      await recordCotizacionRevision(client, cotizacion.id, { motivo: 'aceptacion', user: null });
     }
     await client.query('COMMIT');
-    res.json(result.rows[0]);
+    res.json({ message: decision === 'aceptar' ? 'Cotizacion aceptada' : 'Cotizacion rechazada', estado });
   } catch (error) {
     try {
       await client.query('ROLLBACK');
     } catch (rollbackError) {
       console.error('Error haciendo rollback:', rollbackError);
     }
-    console.error('Error actualizando cotizaciÃ³n:', error);
+    logError(req, error, 'cotizacion_publica_respuesta_failed');
+    if (error?.status === 400) {
+      return res.status(400).json({ error: error.message || 'Solicitud invalida' });
+    }
     res.status(500).json({ error: 'Error del servidor' });
   } finally {
     client.release();
   }
 });
 
-// COTIZACIONES - Funnel (admin)
-app.get('/api/cotizaciones/funnel', authenticateToken, requireAdmin, async (req, res) => {
+// APROBACIONES - Aprobar o rechazar el margen de una cotizacion (admin)
+app.patch('/api/cotizaciones/:id/aprobacion', authenticateToken, requireAdmin, validateAprobacionInput, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const daysRaw = parseInt(req.query.days || '30', 10);
-    const days = Number.isFinite(daysRaw) && daysRaw > 0 ? Math.min(daysRaw, 365) : 30;
-    const empresa = (req.query.empresa || '').trim();
-    const from = (req.query.from || '').trim();
-    const to = (req.query.to || '').trim();
-    const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
-    const hasRange = isValidDate(from) || isValidDate(to);
+    const { id } = req.params;
+    const { decision, comentario } = req.body;
+    if (decision === 'rechazada' && !comentario) {
+      return res.status(400).json({ error: 'Comentario requerido para rechazar' });
+    }
+    await client.query('BEGIN');
+    const current = await client.query('SELECT estado FROM cotizaciones WHERE id = $1 FOR UPDATE', [id]);
+    const pending = await client.query(
+      `SELECT id FROM cotizacion_aprobaciones
+       WHERE cotizacion_id = $1 AND estado = 'pendiente'
+       FOR UPDATE`,
+      [id]
+    );
+    if (pending.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'La cotizacion no tiene aprobacion pendiente' });
+    }
+    await client.query(
+      `UPDATE cotizacion_aprobaciones
+       SET estado = $1, comentario = $2, resuelto_por_id = $3, resuelto_por = $4, resuelto_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [decision, comentario || null, req.user?.id || null, req.user?.usuario || null, pending.rows[0].id]
+    );
+    // Aprobada recupera el estado que tenia antes de pedir aprobacion (p. ej. enviada). Rechazada
+    // vuelve a revision, pero el PDF sigue bloqueado hasta que una edicion deje el margen sobre el piso.
+    const result = await client.query(
+      `UPDATE cotizaciones
+       SET aprobacion = $1,
+           aprobacion_comentario = $2,
+           estado = CASE
+             WHEN estado <> 'pendiente_aprobacion' THEN estado
+             WHEN $1 = 'aprobada' THEN COALESCE(estado_previo, 'revision')
+             ELSE 'revision'
+           END,
+           estado_previo = NULL
+       WHERE id = $3
+       RETURNING *`,
+      [decision, comentario || null, id]
+    );
+    await recordEstadoTransition(client, id, {
+      from: current.rows[0]?.estado,
+      to: result.rows[0].estado,
+      user: req.user,
+      comentario: `Margen ${decision}${comentario ? `: ${comentario}` : ''}`
+    });
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error haciendo rollback:', rollbackError);
+    }
+    logError(req, error, 'cotizacion_aprobacion_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  } finally {
+    client.release();
+  }
+});
 
-    const params = [];
-    let whereSql = 'WHERE 1=1';
-    if (hasRange) {
-      if (isValidDate(from)) {
-        params.push(from);
-        whereSql += ` AND created_at::date >= $${params.length}`;
-      }
-      if (isValidDate(to)) {
-        params.push(to);
-        whereSql += ` AND created_at::date <= $${params.length}`;
-      }
-    } else {
-      params.push(String(days));
-      whereSql += ` AND created_at >= NOW() - ($${params.length} || ' days')::interval`;
+// Periodo del funnel y del analisis de perdidas: rango from/to (YYYY-MM-DD) o ultimos N dias,
+// opcionalmente filtrado por empresa. whereSql aplica sobre cotizaciones sin alias.
+const buildFunnelPeriodo = (query) => {
+  const daysRaw = parseInt(query.days || '30', 10);
+  const days = Number.isFinite(daysRaw) && daysRaw > 0 ? Math.min(daysRaw, 365) : 30;
+  const empresa = (query.empresa || '').trim();
+  const from = (query.from || '').trim();
+  const to = (query.to || '').trim();
+  const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const hasRange = isValidDate(from) || isValidDate(to);
+
+  const params = [];
+  let whereSql = 'WHERE 1=1';
+  if (hasRange) {
+    if (isValidDate(from)) {
+      params.push(from);
+      whereSql += ` AND created_at::date >= $${params.length}`;
+    }
+    if (isValidDate(to)) {
+      params.push(to);
+      whereSql += ` AND created_at::date <= $${params.length}`;
     }
+  } else {
+    params.push(String(days));
+    whereSql += ` AND created_at >= NOW() - ($${params.length} || ' days')::interval`;
+  }
 
-    if (empresa) {
-      params.push(`%${empresa}%`);
-      whereSql += ` AND cliente_empresa ILIKE $${params.length}`;
+  if (empresa) {
+    params.push(`%${empresa}%`);
+    whereSql += ` AND cliente_empresa ILIKE $${params.length}`;
+  }
+  return {
+    params,
+    whereSql,
+    periodo: {
+      days: hasRange ? null : days,
+      from: isValidDate(from) ? from : '',
+      to: isValidDate(to) ? to : '',
+      empresa
     }
+  };
+};
+
+// COTIZACIONES - Funnel (admin)
+app.get('/api/cotizaciones/funnel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { params, whereSql, periodo } = buildFunnelPeriodo(req.query);
 
     const result = await pool.query(
       `SELECT
@@ -3788,15 +7419,193 @@ app.get('/api/cotizaciones/funnel', authenticateToken, requireAdmin, async (req,
        GROUP BY 1`,
       params
     );
+    // Tiempo en cada estado = desde que se entra hasta la transicion siguiente.
+    // El estado actual de cada cotizacion sigue abierto y no entra al promedio.
+    const tiempos = await pool.query(
+      `SELECT h.estado_nuevo AS estado,
+         COUNT(*)::int AS samples,
+         AVG(EXTRACT(EPOCH FROM (h.next_at - h.created_at)) / 3600)::numeric(12,2) AS avg_hours
+       FROM (
+         SELECT cotizacion_id, estado_nuevo, created_at,
+           LEAD(created_at) OVER (PARTITION BY cotizacion_id ORDER BY created_at, id) AS next_at
+         FROM cotizacion_estado_historial
+       ) h
+       WHERE h.next_at IS NOT NULL
+         AND h.cotizacion_id IN (SELECT id FROM cotizaciones ${whereSql})
+       GROUP BY 1`,
+      params
+    );
 
-    res.json({ days: hasRange ? null : days, from: isValidDate(from) ? from : '', to: isValidDate(to) ? to : '', empresa, stages: result.rows });
+    res.json({
+      ...periodo,
+      stages: result.rows,
+      tiempos: tiempos.rows
+    });
   } catch (error) {
     console.error('Error obteniendo funnel:', error);
     res.status(500).json({ error: 'Error del servidor' });
   }
 });
 
+// COTIZACIONES - Analisis de perdidas (admin). Rechazadas del mismo periodo del funnel agrupadas
+// por motivo, marca del competidor y vendedor.
+app.get('/api/cotizaciones/perdidas', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { params, whereSql, periodo } = buildFunnelPeriodo(req.query);
+    const perdidasSql = `
+      FROM cotizaciones c
+      LEFT JOIN motivos_perdida m ON m.id = c.motivo_perdida_id
+      WHERE c.estado = 'rechazada' AND c.id IN (SELECT id FROM cotizaciones ${whereSql})`;
+
+    const porMotivo = await pool.query(
+      `SELECT c.motivo_perdida_id, COALESCE(m.nombre, 'Sin motivo') AS motivo,
+         COUNT(*)::int AS count,
+         COALESCE(SUM(c.total), 0)::numeric AS amount
+       ${perdidasSql}
+       GROUP BY 1, 2
+       ORDER BY count DESC, motivo ASC`,
+      params
+    );
+    // diferencia_promedio > 0: el competidor cotizo por sobre nuestro neto.
+    const porMarca = await pool.query(
+      `SELECT COALESCE(c.competidor_marca, 'Sin competidor') AS marca,
+         COUNT(*)::int AS count,
+         COALESCE(SUM(c.total), 0)::numeric AS amount,
+         AVG(c.competidor_precio)::numeric(12,2) AS precio_promedio,
+         AVG(c.competidor_precio - c.total)::numeric(12,2) AS diferencia_promedio
+       ${perdidasSql}
+       GROUP BY 1
+       ORDER BY count DESC, marca ASC`,
+      params
+    );
+    const porUsuario = await pool.query(
+      `SELECT COALESCE(c.usuario, 'N/A') AS usuario,
+         COUNT(*)::int AS count,
+         COALESCE(SUM(c.total), 0)::numeric AS amount
+       ${perdidasSql}
+       GROUP BY 1
+       ORDER BY count DESC, usuario ASC`,
+      params
+    );
+
+    res.json({
+      ...periodo,
+      por_motivo: porMotivo.rows,
+      por_marca: porMarca.rows,
+      por_usuario: porUsuario.rows
+    });
+  } catch (error) {
+    logError(req, error, 'cotizaciones_perdidas_failed');
+    res.status(500).json({ error: 'Error del servidor' });
+  }
+});
+
 // COTIZACIONES - Obtener todas
+// Orden permitido en el listado; el id desempata para que la paginacion sea estable.
+const COTIZACION_LIST_SORTS = {
+  created_at: 'c.created_at',
+  total: 'c.total',
+  folio: 'c.folio',
+  cliente_empresa: 'c.cliente_empresa',
+  valida_hasta: 'c.valida_hasta',
+  estado: 'c.estado'
+};
+
+// Filtros del listado de cotizaciones. Devuelve el WHERE por separado del filtro de estado
+// para poder contar por estado con el resto de los filtros aplicados.
+const buildCotizacionListFilters = (query, user) => {
+  const isAdmin = user?.role === 'admin';
+  const params = [];
+  const conditions = [];
+  const text = (value) => String(value || '').trim().slice(0, 100);
+  const addLike = (value, columns) => {
+    params.push(`%${value}%`);
+    const ref = `$${params.length}`;
+    conditions.push(`(${columns.map(column => `${column} ILIKE ${ref}`).join(' OR ')})`);
+  };
+  const itemMatch = (ref) => `EXISTS (
+    SELECT 1 FROM cotizacion_items ci
+    WHERE ci.cotizacion_id = c.id AND (ci.sku ILIKE ${ref} OR ci.mpn ILIKE ${ref} OR ci.descripcion ILIKE ${ref})
+  )`;
+
+  if (!isAdmin) {
+    params.push(user.id);
+    conditions.push(`c.usuario_id = $${params.length}`);
+  } else {
+    const usuarioId = parseInt(query.usuarioId, 10);
+    if (Number.isFinite(usuarioId)) {
+      params.push(usuarioId);
+      conditions.push(`c.usuario_id = $${params.length}`);
+    }
+    if (text(query.usuario)) addLike(text(query.usuario), ['c.usuario']);
+  }
+
+  const q = text(query.q);
+  if (q) {
+    params.push(`%${q}%`);
+    const ref = `$${params.length}`;
+    conditions.push(`(${[
+      'c.folio', 'c.cliente_nombre', 'c.cliente_empresa', 'c.cliente_final', 'c.cliente_email', 'c.cliente_telefono'
+    ].map(column => `${column} ILIKE ${ref}`).join(' OR ')} OR ${itemMatch(ref)})`);
+  }
+  if (text(query.cliente)) addLike(text(query.cliente), ['c.folio', 'c.cliente_nombre', 'c.cliente_empresa', 'c.cliente_final']);
+  if (text(query.pid)) addLike(text(query.pid), ['c.cliente_email']);
+  if (text(query.proyecto)) addLike(text(query.proyecto), ['c.cliente_telefono']);
+  if (text(query.producto)) {
+    params.push(`%${text(query.producto)}%`);
+    conditions.push(itemMatch(`$${params.length}`));
+  }
+
+  const from = normalizeDateOnly(query.from);
+  if (from) {
+    params.push(from);
+    conditions.push(`c.created_at::date >= $${params.length}`);
+  }
+  const to = normalizeDateOnly(query.to);
+  if (to) {
+    params.push(to);
+    conditions.push(`c.created_at::date <= $${params.length}`);
+  }
+  const totalMin = parseFloat(query.totalMin);
+  if (Number.isFinite(totalMin)) {
+    params.push(totalMin);
+    conditions.push(`c.total >= $${params.length}`);
+  }
+  const totalMax = parseFloat(query.totalMax);
+  if (Number.isFinite(totalMax)) {
+    params.push(totalMax);
+    conditions.push(`c.total <= $${params.length}`);
+  }
+
+  const baseConditions = [...conditions];
+  // 'pendiente' y NULL son 'revision' (estado historico).
+  const estados = [...new Set(String(query.estados || '')
+    .split(',')
+    .map(estado => estado.trim())
+    .filter(Boolean)
+    .map(normalizeCotizacionEstado))];
+  const estadoParams = [...params];
+  if (estados.length > 0) {
+    estadoParams.push(estados);
+    conditions.push(`CASE WHEN c.estado = 'pendiente' OR c.estado IS NULL THEN 'revision' ELSE c.estado END = ANY($${estadoParams.length}::text[])`);
+  }
+
+  const sortColumn = Object.hasOwn(COTIZACION_LIST_SORTS, query.sortBy)
+    ? COTIZACION_LIST_SORTS[query.sortBy]
+    : COTIZACION_LIST_SORTS.created_at;
+  const sortDir = String(query.sortDir || '').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  const toWhere = (list) => (list.length > 0 ? `WHERE ${list.join(' AND ')}` : '');
+  return {
+    whereSql: toWhere(conditions),
+    params: estadoParams,
+    baseWhereSql: toWhere(baseConditions),
+    baseParams: params,
+    orderSql: `ORDER BY ${sortColumn} ${sortDir} NULLS LAST, c.id ${sortDir}`
+  };
+};
+
+// COTIZACIONES - Listar. Filtros: q, cliente, pid, proyecto, producto, estados (csv), from/to
+// (YYYY-MM-DD), totalMin/totalMax (USD), usuarioId/usuario (solo admin), sortBy/sortDir.
 app.get('/api/cotizaciones', authenticateToken, async (req, res) => {
   try {
     const includeItems = req.query.includeItems === '1';
@@ -3807,15 +7616,14 @@ app.get('/api/cotizaciones', authenticateToken, async (req, res) => {
     const page = Number.isFinite(pageRaw) && pageRaw > 0 ? pageRaw : 1;
     const pageSize = Number.isFinite(pageSizeRaw) && pageSizeRaw > 0 ? Math.min(pageSizeRaw, 200) : 50;
 
-    const whereSql = isAdmin ? '' : 'WHERE c.usuario_id = $1';
-    const params = isAdmin ? [] : [req.user.id];
+    const { whereSql, params, baseWhereSql, baseParams, orderSql } = buildCotizacionListFilters(req.query, req.user);
 
     const attachItems = async (rows) => {
       if (!includeItems) return rows;
       const ids = rows.map(row => row.id);
       if (ids.length === 0) return rows;
       const itemsResult = await pool.query(
-        `SELECT ${isAdmin ? '*' : COTIZACION_ITEM_PUBLIC_COLUMNS} FROM cotizacion_items WHERE cotizacion_id = ANY($1::int[])`,
+        `SELECT ${isAdmin ? '*' : COTIZACION_ITEM_PUBLIC_COLUMNS} FROM cotizacion_items WHERE cotizacion_id = ANY($1::int[]) ORDER BY id`,
         [ids]
       );
       const itemsByCotizacion = itemsResult.rows.reduce((acc, item) => {
@@ -3835,20 +7643,38 @@ app.get('/api/cotizaciones', authenticateToken, async (req, res) => {
          FROM cotizaciones c
          LEFT JOIN usuarios u ON c.usuario_id = u.id
          ${whereSql}
-         ORDER BY c.created_at DESC`,
+         ${orderSql}`,
         params
       );
       const payload = await attachItems(result.rows);
       return res.json(payload);
     }
 
+    // Conteos sobre el resultado filtrado completo, no solo la pagina.
     const countResult = await pool.query(
-      `SELECT COUNT(*)::int AS total
+      `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE u.role = 'client')::int AS cliente,
+              COUNT(*) FILTER (
+                WHERE u.role = 'client' AND (
+                  COALESCE(c.cliente_final, '') <> '' OR COALESCE(c.cliente_telefono, '') <> ''
+                  OR c.fecha_ejecucion IS NOT NULL OR c.fecha_implementacion IS NOT NULL OR COALESCE(c.vms, '') <> ''
+                )
+              )::int AS registro
        FROM cotizaciones c
+       LEFT JOIN usuarios u ON c.usuario_id = u.id
        ${whereSql}`,
       params
     );
-    const total = countResult.rows[0]?.total || 0;
+    const estadoCountResult = await pool.query(
+      `SELECT CASE WHEN c.estado = 'pendiente' OR c.estado IS NULL THEN 'revision' ELSE c.estado END AS estado,
+              COUNT(*)::int AS count
+       FROM cotizaciones c
+       ${baseWhereSql}
+       GROUP BY 1`,
+      baseParams
+    );
+    const counts = countResult.rows[0] || {};
+    const total = counts.total || 0;
     const totalPages = total === 0 ? 0 : Math.ceil(total / pageSize);
     const offset = (page - 1) * pageSize;
     const pagedParams = [...params, pageSize, offset];
@@ -3857,7 +7683,7 @@ app.get('/api/cotizaciones', authenticateToken, async (req, res) => {
        FROM cotizaciones c
        LEFT JOIN usuarios u ON c.usuario_id = u.id
        ${whereSql}
-       ORDER BY c.created_at DESC
+       ${orderSql}
        LIMIT $${pagedParams.length - 1} OFFSET $${pagedParams.length}`,
       pagedParams
     );
@@ -3869,7 +7695,12 @@ app.get('/api/cotizaciones', authenticateToken, async (req, res) => {
         pageSize,
         total,
         totalPages,
-        hasNext: page < totalPages
+        hasNext: page < totalPages,
+        counts: {
+          cliente: counts.cliente || 0,
+          registro: counts.registro || 0,
+          estados: Object.fromEntries(estadoCountResult.rows.map(row => [row.estado, row.count]))
+        }
       }
     });
   } catch (error) {
@@ -3920,6 +7751,44 @@ app.post('/api/cotizaciones/pdf', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No hay items para exportar' });
     }
 
+    // Cotizaciones bajo el GP minimo no se emiten hasta que un admin las apruebe.
+    const cotizacionId = parseInt(payload?.cotizacion_id, 10);
+    let aprobada = false;
+    let folio = '';
+    let ivaTasa = null;
+    let guardada = null;
+    if (Number.isFinite(cotizacionId)) {
+      const aprobacionResult = await pool.query(
+        'SELECT usuario_id, aprobacion, folio, iva_tasa, moneda, tipo_cambio, valida_hasta FROM cotizaciones WHERE id = $1',
+        [cotizacionId]
+      );
+      const aprobacionRow = aprobacionResult.rows[0];
+      if (aprobacionRow && (req.user?.role === 'admin' || Number(aprobacionRow.usuario_id) === Number(req.user?.id))) {
+        // El folio sale de la base, no del payload, para que no se pueda imprimir uno ajeno.
+        folio = aprobacionRow.folio || '';
+        guardada = aprobacionRow;
+        if (aprobacionRow.iva_tasa !== null && aprobacionRow.iva_tasa !== undefined) {
+          ivaTasa = parseNumber(aprobacionRow.iva_tasa, IVA_TASA);
+        }
+        if (aprobacionRow.aprobacion === 'pendiente') {
+          return res.status(409).json({ error: 'Cotizacion pendiente de aprobacion de margen' });
+        }
+        if (aprobacionRow.aprobacion === 'rechazada') {
+          return res.status(409).json({ error: 'Margen rechazado: edita la cotizacion antes de emitir el PDF' });
+        }
+        aprobada = aprobacionRow.aprobacion === 'aprobada';
+      }
+    }
+    if (!aprobada) {
+      const bajoPiso = await evaluateGpPisos(pool, rawItems);
+      if (bajoPiso.length > 0) {
+        return res.status(409).json({
+          error: 'Hay lineas bajo el GP minimo: guarda la cotizacion para solicitar aprobacion',
+          bajo_piso: bajoPiso
+        });
+      }
+    }
+
     const normalizedItems = rawItems.map(item => {
       const cantidad = parseInt(item?.cantidad || item?.cant || 1, 10) || 1;
       const precioUnitario = parseNumber(item?.precio_unitario, 0);
@@ -3934,32 +7803,68 @@ app.post('/api/cotizaciones/pdf', authenticateToken, async (req, res) => {
         descripcion: String(item?.descripcion || item?.desc || ''),
         precio_unitario: Number(precioUnitario.toFixed(2)),
         precio_total: Number(precioTotal.toFixed(2)),
-        tiempo_entrega: String(item?.tiempo_entrega || item?.tiempo || '')
+        tiempo_entrega: String(item?.tiempo_entrega || item?.tiempo || ''),
+        tipo_linea: normalizeTipoLinea(item?.tipo_linea),
+        ...getLineaOpciones(item),
+        seleccionada: item?.seleccionada === true,
+        seccion: normalizeSeccion(item?.seccion)
       };
     });
 
-    const computedTotal = normalizedItems.reduce((sum, item) => sum + parseNumber(item.precio_total, 0), 0);
+    // Atributos técnicos desde el catálogo (no del payload) para imprimirlos bajo la descripción.
+    const productoIds = [...new Set(rawItems.map(item => parseInt(item?.producto_id, 10)).filter(Number.isFinite))];
+    if (productoIds.length > 0) {
+      const atributosResult = await pool.query(
+        `SELECT id, ${PRODUCTO_ATRIBUTO_CAMPOS.join(', ')} FROM productos WHERE id = ANY($1::int[])`,
+        [productoIds]
+      );
+      const atributosById = new Map(atributosResult.rows.map(row => [row.id, formatProductoAtributos(row)]));
+      rawItems.forEach((item, index) => {
+        normalizedItems[index].atributos = atributosById.get(parseInt(item?.producto_id, 10)) || '';
+      });
+    }
+
     const total = Number.isFinite(Number(payload?.total))
       ? parseNumber(payload.total, 0)
-      : Number(computedTotal.toFixed(2));
+      : sumTotalPrincipal(normalizedItems);
     const cotizacion = {
       nombre: cliente?.nombre || 'N/A',
       empresa: cliente?.empresa || 'N/A',
       pid: cliente?.pid || cliente?.email || 'N/A',
       proyecto: cliente?.proyecto || cliente?.telefono || 'N/A',
-      fecha: payload?.created_at || payload?.fecha || new Date().toISOString()
+      fecha: payload?.created_at || payload?.fecha || new Date().toISOString(),
+      // Guardadas imprimen la validez de la base; el payload puede venir desactualizado.
+      valida_hasta: (guardada ? guardada.valida_hasta : payload?.valida_hasta) || null,
+      folio
     };
     const pdfRole = String(payload?.usuario_role || req.user?.role || '').toLowerCase();
     const isClient = pdfRole === 'client';
     const isAxisProfile = pdfRole === COTIZADOR_STOCK_ADMIN_ROLE;
-    const filename = buildPdfFilename(cotizacion.fecha, cotizacion.proyecto, cotizacion.empresa);
+    const filename = buildPdfFilename(cotizacion.fecha, cotizacion.proyecto, cotizacion.empresa, folio);
+    // Cotizaciones guardadas usan la moneda y el tipo_cambio fijados en la base (el MCP no los
+    // envia); las no guardadas toman los del payload o el vigente.
+    const moneda = normalizeMoneda(guardada ? guardada.moneda : payload?.moneda) || 'USD';
+    let tipoCambio = parseNumber(guardada ? guardada.tipo_cambio : payload?.tipo_cambio, 0);
+    if (moneda !== 'USD' && tipoCambio <= 0) {
+      const vigente = await getTipoCambioVigente(pool, moneda);
+      if (!vigente) {
+        return res.status(400).json({ error: `No hay tipo de cambio vigente para ${moneda}` });
+      }
+      tipoCambio = parseNumber(vigente.valor, 1);
+    }
+    const converted = convertPdfAmounts({ items: normalizedItems, total, moneda, tipoCambio });
+    // Guardadas usan la tasa fijada; las no guardadas la resuelven por la empresa del cliente.
+    if (ivaTasa === null) ivaTasa = await resolveIvaTasa(pool, cliente?.empresa);
 
     const pdfBuffer = await generateCotizacionPdfBuffer({
       cotizacion,
-      items: normalizedItems,
-      total,
+      items: converted.items,
+      total: converted.total,
+      impuestos: calcularImpuestos(converted.total, ivaTasa, moneda),
       isClient,
-      isAxisProfile
+      isAxisProfile,
+      moneda,
+      tipoCambio
     });
 
     res.setHeader('Content-Type', 'application/pdf');
@@ -3989,10 +7894,18 @@ app.get('/api/cotizaciones/:id', authenticateToken, async (req, res) => {
       `SELECT ${isAdmin ? '*' : COTIZACION_ITEM_PUBLIC_COLUMNS} FROM cotizacion_items WHERE cotizacion_id = $1`,
       [id]
     );
+    const estadoHistorial = await pool.query(
+      `SELECT id, estado_anterior, estado_nuevo, comentario, usuario, created_at
+       FROM cotizacion_estado_historial
+       WHERE cotizacion_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [id]
+    );
     
     res.json({
       ...cotizacion.rows[0],
-      items: items.rows
+      items: items.rows,
+      estado_historial: estadoHistorial.rows
     });
   } catch (error) {
     console.error('Error obteniendo cotizaci?n:', error);
@@ -4018,13 +7931,17 @@ const startServer = async (port = PORT) => {
     }
     // Sync periódico cada SHEETS_SYNC_HOURS horas (default 12; <=0 lo desactiva).
     startSheetsSyncJob();
+    // Vencimiento de cotizaciones cada COTIZACION_EXPIRY_CHECK_HOURS horas (default 6; <=0 lo desactiva).
+    startCotizacionesExpiryJob();
+    startSeguimientoJob();
   });
   return server;
 };
 
 module.exports = {
   app,
-  startServer
+  startServer,
+  expireCotizacionesVencidas
 };
 
 
@@ -21,6 +21,7 @@ process.env.JWT_SECRET = 'stage6-tests-secret-with-minimum-32-chars';
 process.env.ALLOWED_ORIGINS = 'http://localhost:5173';
 
 const app = require('../src/app');
+const { expireCotizacionesVencidas } = require('../src/routes/legacyRoutes');
 
 const makeToken = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
 const activeSessionRow = {
@@ -204,6 +205,280 @@ describe('API security and critical endpoints', () => {
     expect(response.body[0]?.precio_cliente).toBeUndefined();
   });
 
+  test('GET /api/productos/search collapses codes like the MCP and ranks exact matches first', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    let searchCall = null;
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('COUNT(*) OVER()')) {
+        searchCall = { sql, params };
+        return Promise.resolve({
+          rows: [
+            { id: 7, sku: 'RAIL-B02', rank: 0, total_count: '3' },
+            { id: 8, sku: 'RAIL-B02-KIT', rank: 1, total_count: '3' }
+          ]
+        });
+      }
+      throw new Error(`Unhandled SQL in productos search test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/productos/search?q=rail%20b02&origen=qnap&page=2&pageSize=2')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-search');
+
+    expect(response.status).toBe(200);
+    expect(searchCall.sql).toContain('activo = true');
+    expect(searchCall.params).toEqual(['QNAP', 'RAILB02', 'rail', 'b02', 'rail b02', 2, 2]);
+    expect(response.body.data.map((p) => [p.sku, p.coincidencia])).toEqual([['RAIL-B02', 'exacta'], ['RAIL-B02-KIT', 'parcial']]);
+    expect(response.body.data[0]).not.toHaveProperty('total_count');
+    expect(response.body.meta).toEqual({ page: 2, pageSize: 2, total: 3, totalPages: 2, hasNext: false });
+  });
+
+  test('GET /api/productos/search filters by category subtree and typed attributes for clients', async () => {
+    const token = makeToken({ id: 5, usuario: 'cliente', role: 'client' });
+    let searchCall = null;
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('COUNT(*) OVER()')) {
+        searchCall = { sql, params };
+        return Promise.resolve({
+          rows: [{
+            id: 21, origen: 'QNAP', sku: 'TS-873A', precio_disty: '1000.00', categoria_id: 4,
+            bahias: 8, resolucion: null, poe_clase: null, factor_forma: 'Torre', rank: 0, total_count: '1'
+          }]
+        });
+      }
+      if (sql.includes('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios')) {
+        return Promise.resolve({ rows: [{ gp_qnap: 0.2, partner_category: 'Partner Autorizado' }] });
+      }
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in productos attribute search test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/productos/search?categoria_id=3&bahias=8&factor_forma=Torre&activo=0')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-search');
+
+    expect(response.status).toBe(200);
+    expect(searchCall.sql).toContain('activo = true');
+    expect(searchCall.sql).toContain('WITH RECURSIVE sub');
+    expect(searchCall.params).toEqual([3, 8, 'torre', 50, 0]);
+    expect(response.body.data[0]).toMatchObject({ sku: 'TS-873A', bahias: 8, factor_forma: 'Torre', categoria_id: 4 });
+    expect(response.body.data[0]).not.toHaveProperty('precio_disty');
+  });
+
+  test('GET /api/productos/:id/history returns the price changes with their sync trigger', async () => {
+    const token = makeToken({ id: 3, usuario: 'nsteck', role: 'cot_stock_admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'cot_stock_admin' }] });
+      }
+      if (sql.includes('FROM productos WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ id: 12, sku: 'SKU-H', precio_disty: '110.00' }] });
+      }
+      if (sql.includes('FROM producto_precio_historial')) {
+        return Promise.resolve({
+          rows: [
+            { id: 1, trigger_source: 'cron', precio_disty: '100.00', cambios: { precio_disty: { antes: null, despues: 100 } } },
+            { id: 2, trigger_source: 'manual', precio_disty: '110.00', cambios: { precio_disty: { antes: 100, despues: 110 } } }
+          ]
+        });
+      }
+      throw new Error(`Unhandled SQL in producto history test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/productos/12/history')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-limited-3');
+
+    expect(response.status).toBe(200);
+    expect(response.body.producto.sku).toBe('SKU-H');
+    expect(response.body.historial).toHaveLength(2);
+    expect(response.body.historial[1].cambios.precio_disty).toEqual({ antes: 100, despues: 110 });
+  });
+
+  test('POST /api/productos/sync/previews/:id/apply writes the previewed diff only while the catalog is unchanged', async () => {
+    const token = makeToken({ id: 3, usuario: 'nsteck', role: 'cot_stock_admin' });
+    const producto = {
+      origen: 'QNAP', marca: 'QNAP', sku: 'TS-464', mpn: 'TS-464-8G', descripcion: 'NAS 4 bahias',
+      precio_disty: 510, gp: 0.15, rebate_partner_autorizado: 0, rebate_partner_silver: 0, rebate_partner_gold: 0,
+      rebate_partner_multiregional: 0, tiempo_entrega: 'Stock', activo: true
+    };
+    const plan = {
+      origen: 'QNAP',
+      nuevos: [],
+      cambios: [{ fila: 3, id: 40, producto, cambios: { precio_disty: { antes: 480, despues: 510 }, activo: { antes: false, despues: true } } }],
+      desactivados: [{ id: 41, sku: 'TS-233' }],
+      rechazados: [{ fila: 5, motivo: 'Precio disty negativo (-1)' }],
+      sin_cambios: 2,
+      skipped: 1,
+      total: 5,
+      warnings: null
+    };
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'cot_stock_admin' }] });
+      }
+      if (sql.includes('INSERT INTO sync_logs')) return Promise.resolve({ rows: [{ id: 77 }] });
+      if (sql.includes('UPDATE sync_logs')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in sync preview test: ${sql}`);
+    });
+    let catalogVersion = 'otra-version';
+    const writes = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM productos_sync_previews WHERE id = $1 FOR UPDATE')) {
+        return Promise.resolve({ rows: [{ id: 6, origen: 'QNAP', plan, version: 'v1', applied_at: null }] });
+      }
+      if (sql.includes('AS version')) return Promise.resolve({ rows: [{ version: catalogVersion }] });
+      if (sql.includes('INSERT INTO productos_sync_snapshots')) {
+        writes.push(['snapshot', ...params]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('UPDATE productos SET activo = false')) {
+        writes.push(['desactivar', params[0]]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('UPDATE productos\n')) {
+        writes.push(['actualizar', params[13], params[5]]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('INSERT INTO producto_precio_historial')) {
+        writes.push(['historial', params[0], params[1], JSON.parse(params[9])]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('UPDATE productos_sync_previews SET applied_at')) {
+        writes.push(['aplicada', ...params]);
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled client SQL in sync preview test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const stale = await request(app)
+      .post('/api/productos/sync/previews/6/apply')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-limited-sync');
+    expect(stale.status).toBe(409);
+    expect(writes).toEqual([]);
+
+    catalogVersion = 'v1';
+    const response = await request(app)
+      .post('/api/productos/sync/previews/6/apply')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-limited-sync');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ origen: 'QNAP', inserted: 0, updated: 1, deactivated: 1, unchanged: 2, rejected: 1 });
+    expect(writes).toEqual([
+      ['snapshot', 77, [41, 40]],
+      ['desactivar', [41]],
+      ['actualizar', 40, 510],
+      ['historial', 40, 77, { precio_disty: { antes: 480, despues: 510 } }],
+      ['aplicada', 6, 3, 77]
+    ]);
+  });
+
+  test('POST /api/sync/logs/:id/restore rolls the origin back to the snapshot before that sync', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin' }] });
+      }
+      if (sql.includes('INSERT INTO sync_logs')) return Promise.resolve({ rows: [{ id: 90 }] });
+      if (sql.includes('UPDATE sync_logs')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in sync restore test: ${sql}`);
+    });
+    const writes = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT id, origen FROM sync_logs WHERE id = $1')) {
+        return Promise.resolve({ rows: params[0] === '12' ? [{ id: 12, origen: 'AXIS' }] : [] });
+      }
+      if (sql.includes('AS version')) return Promise.resolve({ rows: [{ version: 'v' }] });
+      if (sql.includes('FROM productos_sync_snapshots s')) {
+        writes.push(['desde', ...params]);
+        return Promise.resolve({
+          rows: [
+            { producto_id: 5, datos: { id: 5, sku: '02017-001', precio_disty: 300, activo: true } },
+            { producto_id: 6, datos: null }
+          ]
+        });
+      }
+      if (sql.includes('FROM productos WHERE id = ANY')) {
+        return Promise.resolve({ rows: [{ id: 5, precio_disty: '999.00' }, { id: 6, precio_disty: '10.00' }] });
+      }
+      if (sql.includes('INSERT INTO productos_sync_snapshots')) {
+        writes.push(['snapshot', ...params]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('UPDATE productos SET activo = false')) {
+        writes.push(['desactivar', ...params]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('jsonb_populate_record')) {
+        writes.push(['restaurar', params[0], JSON.parse(params[1]).precio_disty]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('INSERT INTO producto_precio_historial')) {
+        writes.push(['historial', params[0], params[1], JSON.parse(params[9]).precio_disty]);
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled client SQL in sync restore test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const missing = await request(app)
+      .post('/api/sync/logs/11/restore')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-restore');
+    expect(missing.status).toBe(404);
+
+    const response = await request(app)
+      .post('/api/sync/logs/12/restore')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-restore');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ origen: 'AXIS', sync_log_id: 90, restored: 1, deactivated: 1 });
+    expect(writes).toEqual([
+      ['desde', 'AXIS', 12],
+      ['snapshot', 90, [5, 6]],
+      ['restaurar', 5, 300],
+      ['historial', 5, 90, { antes: 999, despues: 300 }],
+      ['desactivar', 6]
+    ]);
+  });
+
   test('GET /api/cotizaciones returns critical data for authenticated admin', async () => {
     const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
     mockQuery.mockImplementation((sql) => {
@@ -228,4 +503,1512 @@ describe('API security and critical endpoints', () => {
     expect(Array.isArray(response.body)).toBe(true);
     expect(response.body[0]?.cliente_nombre).toBe('Cliente Demo');
   });
+
+  test('GET /api/cotizaciones filters, sorts and counts on the server', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    const listQueries = [];
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM cotizaciones c')) {
+        listQueries.push({ sql, params });
+        if (sql.includes('COUNT(*)::int AS total')) {
+          return Promise.resolve({ rows: [{ total: 3, cliente: 3, registro: 1 }] });
+        }
+        if (sql.includes('GROUP BY 1')) {
+          return Promise.resolve({ rows: [{ estado: 'enviada', count: 3 }, { estado: 'revision', count: 2 }] });
+        }
+        return Promise.resolve({ rows: [{ id: 5, folio: 'COT-2026-000005', total: 900 }] });
+      }
+      throw new Error(`Unhandled SQL in cotizacion list filter test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/cotizaciones')
+      .query({ page: 2, pageSize: 1, q: 'TS-464', estados: 'enviada', totalMin: 500, sortBy: 'total', sortDir: 'asc' })
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-list');
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta).toEqual(expect.objectContaining({ page: 2, total: 3, totalPages: 3, hasNext: true }));
+    expect(response.body.meta.counts.estados).toEqual({ enviada: 3, revision: 2 });
+    const dataQuery = listQueries.find(query => query.sql.includes('LIMIT'));
+    expect(dataQuery.sql).toContain('c.usuario_id = $1');
+    expect(dataQuery.sql).toContain('ci.sku ILIKE $2');
+    expect(dataQuery.sql).toContain('ORDER BY c.total ASC');
+    expect(dataQuery.params).toEqual([2, '%TS-464%', 500, ['enviada'], 1, 1]);
+    const estadoQuery = listQueries.find(query => query.sql.includes('GROUP BY 1'));
+    expect(estadoQuery.params).toEqual([2, '%TS-464%', 500]);
+  });
+
+  test('GET /api/cotizaciones ignores inherited sortBy keys', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    const listQueries = [];
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM cotizaciones c')) {
+        listQueries.push({ sql, params });
+        if (sql.includes('COUNT(*)::int AS total')) {
+          return Promise.resolve({ rows: [{ total: 0, cliente: 0, registro: 0 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled SQL in cotizacion list sort test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/cotizaciones')
+      .query({ sortBy: 'toString' })
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-list');
+
+    expect(response.status).toBe(200);
+    const dataQuery = listQueries.find(query => query.sql.includes('ORDER BY'));
+    expect(dataQuery.sql).toContain('ORDER BY c.created_at DESC');
+  });
+
+  test('GET /api/cotizaciones/:id/revisions hides internal item columns for owner client', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'client', empresa: 'ACME', intcomex_profile: null }] });
+      }
+      if (sql.includes('SELECT usuario_id FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ usuario_id: 2 }] });
+      }
+      if (sql.includes('FROM cotizacion_revisiones')) {
+        return Promise.resolve({
+          rows: [
+            {
+              id: 1,
+              cotizacion_id: 99,
+              revision: 1,
+              motivo: 'creacion',
+              header: { id: 99, total: 100 },
+              items: [{ id: 5, sku: 'SKU-1', cantidad: 1, precio_unitario: 100, precio_disty: 70, gp: 0.15 }],
+              total: 100
+            }
+          ]
+        });
+      }
+      throw new Error(`Unhandled SQL in revisions test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/cotizaciones/99/revisions')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-2');
+
+    expect(response.status).toBe(200);
+    expect(response.body[0]?.revision).toBe(1);
+    expect(response.body[0]?.items[0]?.sku).toBe('SKU-1');
+    expect(response.body[0]?.items[0]?.precio_disty).toBeUndefined();
+    expect(response.body[0]?.items[0]?.gp).toBeUndefined();
+  });
+
+  test('POST /api/cotizaciones expands kits with server-side pricing for client users', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled SQL in kit expansion test: ${sql}`);
+    });
+    const insertedItems = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM kit_items')) {
+        return Promise.resolve({ rows: [{ kit_id: 7, producto_id: 11, cantidad: 3 }] });
+      }
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ gp_qnap: 0.2, gp_axis: 0.2, partner_category: 'Partner Autorizado' }] });
+      }
+      if (sql.includes('SELECT * FROM productos')) {
+        return Promise.resolve({ rows: [{ id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 }] });
+      }
+      if (sql.includes('SELECT DISTINCT origen, marca FROM productos')) return Promise.resolve({ rows: [{ origen: 'QNAP' }] });
+      if (sql.includes('FROM validez_cotizacion')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_folios')) return Promise.resolve({ rows: [{ anio: 2026, ultimo: 1 }] });
+      if (sql.includes('INSERT INTO cotizaciones')) return Promise.resolve({ rows: [{ id: 55 }] });
+      if (sql.includes('INSERT INTO cotizacion_items')) {
+        insertedItems.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled client SQL in kit expansion test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    for (const cantidad of [-2, 0, 1.5, 'dos']) {
+      const invalid = await request(app)
+        .post('/api/cotizaciones')
+        .set('Authorization', `Bearer ${token}`)
+        .set('x-session-id', 'session-user-kit')
+        .send({
+          cliente: { nombre: 'Cliente', empresa: 'Empresa' },
+          items: [],
+          total: 1,
+          kits: [{ kit_id: 7, cantidad }]
+        });
+      expect(invalid.status).toBe(400);
+    }
+    expect(clientQuery).not.toHaveBeenCalled();
+
+    const response = await request(app)
+      .post('/api/cotizaciones')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-kit')
+      .send({
+        cliente: { nombre: 'Cliente', empresa: 'Empresa' },
+        items: [],
+        total: 1,
+        kits: [{ kit_id: 7, cantidad: 2, precio_unitario: 1 }]
+      });
+
+    expect(response.status).toBe(201);
+    expect(insertedItems).toHaveLength(1);
+    expect(insertedItems[0][1]).toBe(11);
+    expect(insertedItems[0][8]).toBe(6);
+    expect(insertedItems[0][9]).toBeGreaterThan(100);
+  });
+
+  test('POST /api/cotizaciones takes the default validity from the brand row before the origin row', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled SQL in validity test: ${sql}`);
+    });
+    let marcasCotizadas = [];
+    const validezInsertada = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ gp_qnap: 0.2, gp_axis: 0.2, partner_category: 'Partner Autorizado' }] });
+      }
+      if (sql.includes('SELECT * FROM productos')) {
+        return Promise.resolve({
+          rows: [
+            { id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 },
+            { id: 12, origen: 'QNAP', marca: 'Seagate', sku: 'HD-1', precio_disty: 50 }
+          ]
+        });
+      }
+      if (sql.includes('SELECT DISTINCT origen, marca FROM productos')) {
+        return Promise.resolve({ rows: marcasCotizadas });
+      }
+      if (sql.includes('FROM validez_cotizacion')) {
+        return Promise.resolve({
+          rows: [
+            { origen: 'QNAP', marca: '', dias: 10 },
+            { origen: 'QNAP', marca: 'qnap', dias: 30 },
+            { origen: 'AXIS', marca: '', dias: 5 }
+          ]
+        });
+      }
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_folios')) return Promise.resolve({ rows: [{ anio: 2026, ultimo: 1 }] });
+      if (sql.includes('INSERT INTO cotizaciones')) {
+        validezInsertada.push(params[13]);
+        return Promise.resolve({ rows: [{ id: 55 }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_items')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled client SQL in validity test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+    const crear = (productoIds) => request(app)
+      .post('/api/cotizaciones')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-validez')
+      .send({
+        cliente: { nombre: 'Cliente', empresa: 'Empresa' },
+        items: productoIds.map(id => ({ producto_id: id, cant: 1, precio_unitario: 1 })),
+        total: 1
+      });
+
+    marcasCotizadas = [{ origen: 'QNAP', marca: 'QNAP' }];
+    expect((await crear([11])).status).toBe(201);
+    // Una marca sin fila propia usa la del origen; la cotizacion toma la validez mas corta.
+    marcasCotizadas = [{ origen: 'QNAP', marca: 'QNAP' }, { origen: 'QNAP', marca: 'Seagate' }];
+    expect((await crear([11, 12])).status).toBe(201);
+    expect(validezInsertada).toEqual([30, 10]);
+  });
+
+  test('POST /api/cotizaciones prices custom lines from conceptos_adicionales for client users', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled SQL in custom lines test: ${sql}`);
+    });
+    const insertedItems = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM conceptos_adicionales')) {
+        return Promise.resolve({
+          rows: [
+            { id: 1, tipo: 'servicio', nombre: 'Instalacion', precio: 150, precio_min: null, precio_max: null, activo: true },
+            { id: 2, tipo: 'descuento', nombre: 'Descuento comercial', precio: null, precio_min: 0, precio_max: 100, activo: true }
+          ]
+        });
+      }
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ gp_qnap: 0.2, gp_axis: 0.2, partner_category: 'Partner Autorizado' }] });
+      }
+      if (sql.includes('SELECT * FROM productos')) {
+        return Promise.resolve({ rows: [{ id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 }] });
+      }
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT DISTINCT origen, marca FROM productos')) return Promise.resolve({ rows: [{ origen: 'QNAP' }] });
+      if (sql.includes('FROM validez_cotizacion')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_folios')) return Promise.resolve({ rows: [{ anio: 2026, ultimo: 5 }] });
+      if (sql.includes('INSERT INTO cotizaciones')) return Promise.resolve({ rows: [{ id: 58, total: params[4] }] });
+      if (sql.includes('INSERT INTO cotizacion_items')) {
+        insertedItems.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled client SQL in custom lines test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const send = (items) => request(app)
+      .post('/api/cotizaciones')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-conceptos')
+      .send({ cliente: { nombre: 'Cliente', empresa: 'Empresa' }, items });
+
+    const response = await send([
+      { producto_id: 11, cantidad: 1, seccion: ' Sede Santiago ' },
+      { concepto_id: 1, cantidad: 2, precio_unitario: 1, seccion: 'Sede Santiago' },
+      { concepto_id: 2, cantidad: 1, precio_unitario: 40, detalle: 'Proyecto' }
+    ]);
+
+    expect(response.status).toBe(201);
+    // Cada linea ocupa 17 parametros: [.., precio_unitario (9), precio_total (10), .., tipo_linea (12), concepto_id (13), .., seccion (16)]
+    const rows = insertedItems[0].reduce((acc, value, index) => {
+      if (index % 17 === 0) acc.push([]);
+      acc[acc.length - 1].push(value);
+      return acc;
+    }, []);
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toEqual(expect.arrayContaining(['Instalacion', 150, 300, 'servicio', 1]));
+    expect(rows[2][5]).toBe('Descuento comercial - Proyecto');
+    expect(rows[2].slice(9, 11)).toEqual([-40, -40]);
+    expect(rows[2][12]).toBe('descuento');
+    expect(rows.map(row => row[16])).toEqual(['Sede Santiago', 'Sede Santiago', null]);
+    expect(Number(response.body.cotizacion.total)).toBeCloseTo(rows[0][10] + 300 - 40, 2);
+
+    const outOfRange = await send([{ concepto_id: 2, cantidad: 1, precio_unitario: 500 }]);
+    expect(outOfRange.status).toBe(400);
+    expect(outOfRange.body.error).toContain('Descuento comercial');
+  });
+
+  test('POST /api/cotizaciones assigns the next yearly folio', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled SQL in folio test: ${sql}`);
+    });
+    let insertParams = null;
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT DISTINCT origen, marca FROM productos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM validez_cotizacion')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_folios')) return Promise.resolve({ rows: [{ anio: 2026, ultimo: 123 }] });
+      if (sql.includes('INSERT INTO cotizaciones')) {
+        insertParams = params;
+        return Promise.resolve({ rows: [{ id: 57, folio: params[16] }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_items')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM parametros_precio')) {
+        return Promise.resolve({ rows: [{ id: 3, origen: 'AXIS', inbound_freight: 1.015, ic: 0.97, interes: 0.12 }, { id: 4, origen: 'QNAP', inbound_freight: 1.011, ic: 0.95, interes: 0.12 }] });
+      }
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled client SQL in folio test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const response = await request(app)
+      .post('/api/cotizaciones')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-folio')
+      .send({
+        cliente: { nombre: 'Cliente', empresa: 'Empresa' },
+        items: [{ sku: 'MANUAL', descripcion: 'Servicio', cantidad: 1, precio_unitario: 10, precio_total: 10 }],
+        total: 10
+      });
+
+    expect(response.status).toBe(201);
+    expect(insertParams[16]).toBe('COT-2026-000123');
+    expect(insertParams.slice(17, 19)).toEqual([4, 3]);
+    expect(insertParams.slice(19, 22)).toEqual([0.19, 1.9, 11.9]);
+    expect(response.body.cotizacion.folio).toBe('COT-2026-000123');
+  });
+
+  test('GET /api/impuestos/iva returns a zero rate for exempt customers', async () => {
+    const token = makeToken({ id: 2, usuario: 'vendedor', role: 'client' });
+    const empresas = [];
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM clientes_exentos_iva')) {
+        empresas.push(params[0]);
+        return Promise.resolve({ rows: params[0] === 'Zona Franca SA' ? [{ id: 1 }] : [] });
+      }
+      throw new Error(`Unhandled SQL in IVA test: ${sql}`);
+    });
+
+    const exento = await request(app)
+      .get('/api/impuestos/iva')
+      .query({ empresa: '  Zona Franca SA ' })
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-iva');
+    expect(exento.status).toBe(200);
+    expect(exento.body).toEqual({ tasa_general: 0.19, iva_tasa: 0, exento: true });
+
+    const afecto = await request(app)
+      .get('/api/impuestos/iva')
+      .query({ empresa: 'ACME' })
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-iva');
+    expect(afecto.body.iva_tasa).toBe(0.19);
+    expect(empresas).toEqual(['Zona Franca SA', 'ACME']);
+  });
+
+  test('POST /api/pricing/preview returns the breakdown for admins and hides costs for clients', async () => {
+    const productRow = { id: 5, origen: 'QNAP', marca: 'QNAP', sku: 'TS-464', mpn: 'TS-464-8G', descripcion: 'NAS', precio_disty: 100, tiempo_entrega: '5 dias' };
+    const mockPreviewQueries = (role) => mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios')) {
+        return Promise.resolve({ rows: [{ gp: 0.15, gp_qnap: 0.15, gp_axis: 0.15, partner_category: null, role }] });
+      }
+      if (sql.includes('SELECT * FROM productos WHERE id = ANY')) return Promise.resolve({ rows: [productRow] });
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in pricing preview test: ${sql}`);
+    });
+
+    mockPreviewQueries('admin');
+    const adminResponse = await request(app)
+      .post('/api/pricing/preview')
+      .set('Authorization', `Bearer ${makeToken({ id: 1, usuario: 'admin', role: 'admin' })}`)
+      .set('x-session-id', 'session-admin-preview')
+      .send({ items: [{ producto_id: 5, cantidad: 2, gp: 0.2 }] });
+
+    expect(adminResponse.status).toBe(200);
+    const [adminLine] = adminResponse.body.items;
+    expect(adminLine.precio_unitario).toBe(148.99);
+    expect(adminLine.precio_total).toBe(297.98);
+    expect(adminLine.desglose).toMatchObject({ precio_disty: 100, flete: 1.1, ic: 5.32, interes: 12.77, costo: 119.19, gp: 0.2 });
+    expect(adminResponse.body.total).toBe(297.98);
+
+    mockPreviewQueries('client');
+    const clientResponse = await request(app)
+      .post('/api/pricing/preview')
+      .set('Authorization', `Bearer ${makeToken({ id: 2, usuario: 'client', role: 'client' })}`)
+      .set('x-session-id', 'session-client-preview')
+      .send({ items: [{ producto_id: 5, cantidad: 1, gp: 0.01, precio_disty: 1 }] });
+
+    expect(clientResponse.status).toBe(200);
+    const [clientLine] = clientResponse.body.items;
+    expect(clientLine.precio_unitario).toBe(140.23);
+    expect(clientLine).not.toHaveProperty('precio_disty');
+    expect(clientLine).not.toHaveProperty('desglose');
+    expect(clientLine).not.toHaveProperty('gp');
+  });
+
+  test('POST /api/cotizaciones/:id/clone re-prices active lines and reports inactive products', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'client', empresa: '', intcomex_profile: null }] });
+      }
+      if (sql.includes('SELECT usuario_id FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ usuario_id: 2 }] });
+      }
+      throw new Error(`Unhandled SQL in clone test: ${sql}`);
+    });
+    const insertedItems = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({
+          rows: params[0] === '9' ? [{ id: 9, cliente_nombre: 'Cliente', moneda: 'USD', usuario_id: 2 }] : []
+        });
+      }
+      if (sql.includes('FROM cotizacion_items ci')) {
+        return Promise.resolve({
+          rows: [
+            { producto_id: 11, sku: 'TS-1', cantidad: 2, producto_actual_id: 11, activo: true },
+            { producto_id: 12, sku: 'OLD-1', cantidad: 1, producto_actual_id: 12, activo: false }
+          ]
+        });
+      }
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ gp_qnap: 0.2, gp_axis: 0.2, partner_category: 'Partner Autorizado' }] });
+      }
+      if (sql.includes('SELECT * FROM productos')) {
+        return Promise.resolve({ rows: [{ id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 }] });
+      }
+      if (sql.includes('SELECT DISTINCT origen, marca FROM productos')) return Promise.resolve({ rows: [{ origen: 'QNAP' }] });
+      if (sql.includes('FROM validez_cotizacion')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_folios')) return Promise.resolve({ rows: [{ anio: 2026, ultimo: 2 }] });
+      if (sql.includes('INSERT INTO cotizaciones')) return Promise.resolve({ rows: [{ id: 56 }] });
+      if (sql.includes('INSERT INTO cotizacion_items')) {
+        insertedItems.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled client SQL in clone test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const response = await request(app)
+      .post('/api/cotizaciones/9/clone')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-clone');
+
+    expect(response.status).toBe(201);
+    expect(response.body.cotizacion.id).toBe(56);
+    expect(response.body.omitidos).toEqual([expect.objectContaining({ sku: 'OLD-1', motivo: 'inactivo' })]);
+    expect(insertedItems).toHaveLength(1);
+    expect(insertedItems[0][1]).toBe(11);
+    expect(insertedItems[0][9]).toBeGreaterThan(100);
+  });
+
+  test('POST /api/cotizaciones/:id/axis-import reprices with the quote terms and keeps matched line options', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'client', empresa: 'ACME', intcomex_profile: null }] });
+      }
+      if (sql.includes('SELECT usuario_id FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ usuario_id: 2 }] });
+      }
+      throw new Error(`Unhandled SQL in axis import test: ${sql}`);
+    });
+    const productos = [
+      { id: 11, origen: 'AXIS', marca: 'AXIS', sku: 'AX-11', mpn: '02345-001', descripcion: 'Domo', precio_disty: '150.00', activo: true },
+      { id: 12, origen: 'AXIS', marca: 'AXIS', sku: 'AX-12', mpn: 'TQ1000-E', descripcion: 'Soporte', precio_disty: '40.00', activo: true }
+    ];
+    let estado = 'aprobada';
+    const parametrosIds = [];
+    const itemUpdates = [];
+    const deletes = [];
+    const inserts = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ id: 9, usuario_id: 2, estado, parametros_precio_axis_id: 4, iva_tasa: '0.1600', total: '500.00' }] });
+      }
+      if (sql.includes('FROM productos') && sql.includes('activo = true')) {
+        return Promise.resolve({ rows: productos });
+      }
+      if (sql.includes('FROM cotizacion_revisiones') && sql.includes('COUNT(*)')) {
+        return Promise.resolve({ rows: [{ total: 2 }] });
+      }
+      if (sql.includes('FROM cotizacion_items ci')) {
+        return Promise.resolve({
+          rows: [
+            { id: 100, producto_id: 11, gp: '0.2000', precio_disty: '90.00', opcional: true, grupo_alternativa: null, seccion: 'Sala', origen: 'AXIS' },
+            { id: 101, producto_id: 13, gp: '0.2500', precio_disty: '10.00', opcional: false, grupo_alternativa: null, seccion: null, origen: 'QNAP' }
+          ]
+        });
+      }
+      if (sql.includes('FROM parametros_precio WHERE id = ANY')) {
+        parametrosIds.push(params[0]);
+        return Promise.resolve({ rows: [{ id: 4, origen: 'AXIS', inbound_freight: '1.0200', ic: '0.0200', interes: '0.0150' }] });
+      }
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT gp, gp_qnap, gp_axis, partner_category FROM usuarios')) {
+        return Promise.resolve({ rows: [{ gp: 0.3, gp_qnap: 0.3, gp_axis: 0.3, partner_category: 'Partner Autorizado' }] });
+      }
+      if (sql.includes('SELECT * FROM productos WHERE id = ANY')) {
+        return Promise.resolve({ rows: productos.filter(producto => params[0].includes(producto.id)) });
+      }
+      if (sql.includes('UPDATE cotizacion_items') && sql.includes('SET cantidad')) {
+        itemUpdates.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('DELETE FROM cotizacion_items')) {
+        deletes.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_items')) {
+        inserts.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM cotizacion_items WHERE cotizacion_id = $1')) {
+        return Promise.resolve({
+          rows: [
+            { producto_id: 11, sku: 'AX-11', gp: '0.2000', precio_unitario: '120.00', precio_total: '360.00', opcional: true, grupo_alternativa: null, seleccionada: true },
+            { producto_id: 12, sku: 'AX-12', gp: '0.2000', precio_unitario: '50.00', precio_total: '100.00', opcional: false, grupo_alternativa: null, seleccionada: false }
+          ]
+        });
+      }
+      if (sql.includes('UPDATE cotizaciones SET total')) {
+        return Promise.resolve({ rows: [{ id: 9, total: params[0] }] });
+      }
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT estado FROM cotizaciones')) return Promise.resolve({ rows: [{ estado: 'enviada' }] });
+      if (sql.includes('UPDATE cotizacion_aprobaciones')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SET aprobacion = NULL')) {
+        return Promise.resolve({ rows: [{ estado: 'enviada', aprobacion: null, aprobacion_comentario: null }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_revisiones')) return Promise.resolve({ rows: [{ id: 5, revision: 3 }] });
+      throw new Error(`Unhandled client SQL in axis import test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const body = {
+      lines: [
+        { partNumber: '02345 001', quantity: 3, rebateProject: 25 },
+        { partNumber: 'tq1000e', quantity: 2 },
+        { partNumber: 'NO-EXISTE', quantity: 1 }
+      ]
+    };
+
+    const cerrada = await request(app)
+      .post('/api/cotizaciones/9/axis-import')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-axis')
+      .send(body);
+    expect(cerrada.status).toBe(409);
+    expect(itemUpdates).toHaveLength(0);
+
+    estado = 'enviada';
+    const response = await request(app)
+      .post('/api/cotizaciones/9/axis-import')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-axis')
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(460);
+    expect(response.body.sin_coincidencia).toEqual([{ partNumber: 'NO-EXISTE', quantity: 1, rebateProject: 0 }]);
+    // Un cliente no aplica el rebate de proyecto del JSON: se informa en vez de descartarlo en silencio.
+    expect(response.body.rebates_ignorados).toEqual([{ partNumber: '02345 001', quantity: 3, rebateProject: 25 }]);
+    expect(parametrosIds).toEqual([[4]]);
+    // La linea existente conserva su costo y GP guardados; solo cambian cantidad y precio.
+    expect(itemUpdates).toHaveLength(1);
+    expect(itemUpdates[0].slice(0, 3)).toEqual([3, 90, 0.2]);
+    expect(itemUpdates[0][5]).toBe(100);
+    expect(deletes).toEqual([['9', [101]]]);
+    // El producto nuevo usa el GP que la cotizacion ya aplica a su origen, no el del usuario.
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0][1]).toBe(12);
+    expect(inserts[0][7]).toBe(0.2);
+  });
+
+  test('PUT /api/cotizaciones/:id keeps closed quotes out of margin approval and remembers the open estado', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in PUT approval test: ${sql}`);
+    });
+    let estado = 'aprobada';
+    const estadoUpdates = [];
+    const commits = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql === 'COMMIT') {
+        commits.push(estado);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT id, moneda FROM cotizaciones')) return Promise.resolve({ rows: [{ id: 9, moneda: 'USD' }] });
+      if (sql.includes('FROM cotizacion_revisiones') && sql.includes('COUNT(*)')) {
+        return Promise.resolve({ rows: [{ total: 1 }] });
+      }
+      if (sql.includes('SET cliente_nombre = COALESCE')) {
+        return Promise.resolve({ rows: [{ id: 9, estado, total: '200.00', cliente_empresa: 'ACME' }] });
+      }
+      if (sql.includes('DELETE FROM cotizacion_items') || sql.includes('INSERT INTO cotizacion_items')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SET iva_tasa = $1')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT producto_id, sku, gp, precio_unitario FROM cotizacion_items')) {
+        return Promise.resolve({ rows: [{ producto_id: 11, sku: 'TS-1', gp: '0.0500', precio_unitario: '200.00' }] });
+      }
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM gp_pisos')) {
+        return Promise.resolve({ rows: [{ origen: 'QNAP', marca: '', gp_min: '0.1200' }] });
+      }
+      if (sql.includes('FROM productos WHERE id = ANY')) {
+        return Promise.resolve({ rows: [{ id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 }] });
+      }
+      if (sql.includes('SELECT estado FROM cotizaciones')) return Promise.resolve({ rows: [{ estado }] });
+      if (sql.includes('cotizacion_aprobaciones')) return Promise.resolve({ rows: [] });
+      if (sql.includes("estado = 'pendiente_aprobacion'")) {
+        estadoUpdates.push(params);
+        return Promise.resolve({ rows: [{ estado: 'pendiente_aprobacion', aprobacion: 'pendiente', aprobacion_comentario: null }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [{ id: 1 }] });
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1') || sql.includes('SELECT * FROM cotizacion_items')) {
+        return Promise.resolve({ rows: [{ id: 9, total: '200.00' }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_revisiones')) return Promise.resolve({ rows: [{ id: 2, revision: 2 }] });
+      throw new Error(`Unhandled client SQL in PUT approval test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+    const payload = {
+      total: 200,
+      items: [{ producto_id: 11, sku: 'TS-1', cantidad: 1, gp: 0.05, precio_unitario: 200, precio_total: 200 }]
+    };
+
+    const cerrada = await request(app)
+      .put('/api/cotizaciones/9')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send(payload);
+    expect(cerrada.status).toBe(409);
+    expect(cerrada.body.error).toContain('aprobada');
+    expect(estadoUpdates).toHaveLength(0);
+    expect(commits).toHaveLength(0);
+
+    estado = 'enviada';
+    const abierta = await request(app)
+      .put('/api/cotizaciones/9')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send(payload);
+    expect(abierta.status).toBe(200);
+    expect(abierta.body.estado).toBe('pendiente_aprobacion');
+    expect(estadoUpdates).toEqual([['9', 'enviada']]);
+    expect(commits).toEqual(['enviada']);
+  });
+
+  test('GET /api/parametros-precio/vigentes takes the latest version per origin and ignores future-dated ones', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    const hoy = new Date().toISOString().slice(0, 10);
+    const manana = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+    const versiones = [
+      { id: 1, origen: 'QNAP', inbound_freight: '1.0110', vigente_desde: '2025-01-01' },
+      { id: 2, origen: 'QNAP', inbound_freight: '1.0200', vigente_desde: hoy },
+      { id: 3, origen: 'QNAP', inbound_freight: '1.0500', vigente_desde: manana },
+      { id: 4, origen: 'AXIS', inbound_freight: '1.0150', vigente_desde: '2025-03-01' }
+    ];
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      if (sql.includes('FROM parametros_precio')) {
+        expect(sql).toContain('DISTINCT ON (origen)');
+        expect(sql).toContain('WHERE vigente_desde <= CURRENT_DATE');
+        expect(sql).toContain('ORDER BY origen, vigente_desde DESC, id DESC');
+        // Emula el filtro y el orden de la consulta sobre la tabla.
+        const rows = versiones
+          .filter(row => row.vigente_desde <= hoy)
+          .sort((a, b) => a.origen.localeCompare(b.origen) || b.vigente_desde.localeCompare(a.vigente_desde) || b.id - a.id)
+          .filter((row, index, list) => index === list.findIndex(other => other.origen === row.origen));
+        return Promise.resolve({ rows });
+      }
+      throw new Error(`Unhandled SQL in parametros vigentes test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .get('/api/parametros-precio/vigentes')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6');
+
+    expect(response.status).toBe(200);
+    expect(response.body.QNAP.id).toBe(2);
+    expect(response.body.AXIS.id).toBe(4);
+  });
+
+  test('PUT /api/cotizaciones/:id evaluates margin floors with the parameter version the quote was saved with', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in PUT parametros test: ${sql}`);
+    });
+    // Con la version guardada (id 1) el costo es 100 y el precio 120 deja 16,7% de GP;
+    // con la vigente (id 2) el costo sube a 110 y el GP queda bajo el piso de 12%.
+    const guardada = { id: 1, origen: 'QNAP', inbound_freight: '1.0000', ic: '1.0000', interes: '0.0000' };
+    const vigente = { id: 2, origen: 'QNAP', inbound_freight: '1.1000', ic: '1.0000', interes: '0.0000' };
+    let parametrosQnapId = 1;
+    const versionQueries = [];
+    const estadoUpdates = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT id, moneda FROM cotizaciones')) return Promise.resolve({ rows: [{ id: 9, moneda: 'USD' }] });
+      if (sql.includes('FROM cotizacion_revisiones') && sql.includes('COUNT(*)')) {
+        return Promise.resolve({ rows: [{ total: 1 }] });
+      }
+      if (sql.includes('SET cliente_nombre = COALESCE')) {
+        return Promise.resolve({
+          rows: [{ id: 9, estado: 'enviada', total: '120.00', cliente_empresa: 'ACME', parametros_precio_qnap_id: parametrosQnapId, parametros_precio_axis_id: null }]
+        });
+      }
+      if (sql.includes('DELETE FROM cotizacion_items') || sql.includes('INSERT INTO cotizacion_items')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SET iva_tasa = $1')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT producto_id, sku, gp, precio_unitario FROM cotizacion_items')) {
+        return Promise.resolve({ rows: [{ producto_id: 11, sku: 'TS-1', gp: '0.2000', precio_unitario: '120.00' }] });
+      }
+      if (sql.includes('FROM parametros_precio WHERE id = ANY')) {
+        versionQueries.push(params[0]);
+        return Promise.resolve({ rows: params[0].includes(1) ? [guardada] : [] });
+      }
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [vigente] });
+      if (sql.includes('FROM gp_pisos')) {
+        return Promise.resolve({ rows: [{ origen: 'QNAP', marca: '', gp_min: '0.1200' }] });
+      }
+      if (sql.includes('FROM productos WHERE id = ANY')) {
+        return Promise.resolve({ rows: [{ id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 }] });
+      }
+      if (sql.includes('SELECT estado FROM cotizaciones')) return Promise.resolve({ rows: [{ estado: 'enviada' }] });
+      if (sql.includes('cotizacion_aprobaciones')) return Promise.resolve({ rows: [] });
+      if (sql.includes('SET aprobacion = NULL')) {
+        return Promise.resolve({ rows: [{ estado: 'enviada', aprobacion: null, aprobacion_comentario: null }] });
+      }
+      if (sql.includes("estado = 'pendiente_aprobacion'")) {
+        estadoUpdates.push(params);
+        return Promise.resolve({ rows: [{ estado: 'pendiente_aprobacion', aprobacion: 'pendiente', aprobacion_comentario: null }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [{ id: 1 }] });
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1') || sql.includes('SELECT * FROM cotizacion_items')) {
+        return Promise.resolve({ rows: [{ id: 9, total: '120.00' }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_revisiones')) return Promise.resolve({ rows: [{ id: 2, revision: 2 }] });
+      throw new Error(`Unhandled client SQL in PUT parametros test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+    const payload = {
+      total: 120,
+      items: [{ producto_id: 11, sku: 'TS-1', cantidad: 1, gp: 0.2, precio_unitario: 120, precio_total: 120 }]
+    };
+
+    const conVersion = await request(app)
+      .put('/api/cotizaciones/9')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send(payload);
+    expect(conVersion.status).toBe(200);
+    expect(versionQueries).toEqual([[1]]);
+    expect(conVersion.body.bajo_piso).toEqual([]);
+    expect(conVersion.body.estado).toBe('enviada');
+    expect(estadoUpdates).toHaveLength(0);
+
+    // Una cotizacion previa sin version guardada se evalua con la vigente.
+    parametrosQnapId = null;
+    const sinVersion = await request(app)
+      .put('/api/cotizaciones/9')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send(payload);
+    expect(sinVersion.status).toBe(200);
+    expect(versionQueries).toEqual([[1]]);
+    expect(sinVersion.body.bajo_piso).toHaveLength(1);
+    expect(sinVersion.body.estado).toBe('pendiente_aprobacion');
+  });
+
+  test('PATCH /api/cotizaciones/:id/estado records the transition with the previous estado', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in estado transition test: ${sql}`);
+    });
+    const transitions = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT estado, aprobacion')) {
+        return Promise.resolve({ rows: [{ estado: 'pendiente', aprobacion: null }] });
+      }
+      if (sql.includes('UPDATE cotizaciones SET estado')) {
+        return Promise.resolve({ rows: [{ id: 9, estado: params[0] }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) {
+        transitions.push(params);
+        return Promise.resolve({ rows: [{ id: 1 }] });
+      }
+      throw new Error(`Unhandled client SQL in estado transition test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const response = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'enviada', comentario: 'Enviada por correo' });
+
+    expect(response.status).toBe(200);
+    expect(transitions).toHaveLength(1);
+    expect(transitions[0].slice(0, 4)).toEqual(['9', 'revision', 'enviada', 'Enviada por correo']);
+  });
+
+  test('PATCH /api/cotizaciones/:id/estado is blocked while the margin approval is pending or rejected', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in estado aprobacion test: ${sql}`);
+    });
+    let aprobacion = 'pendiente';
+    const updates = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT estado, aprobacion')) {
+        return Promise.resolve({ rows: [{ estado: 'revision', aprobacion }] });
+      }
+      if (sql.includes('UPDATE cotizaciones SET estado')) {
+        updates.push(params);
+        return Promise.resolve({ rows: [{ id: 9, estado: params[0] }] });
+      }
+      throw new Error(`Unhandled client SQL in estado aprobacion test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const pendiente = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'enviada' });
+    expect(pendiente.status).toBe(409);
+
+    aprobacion = 'rechazada';
+    const rechazada = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'aprobada' });
+    expect(rechazada.status).toBe(409);
+    expect(rechazada.body.error).toContain('Margen rechazado');
+    expect(updates).toHaveLength(0);
+  });
+
+  test('PATCH /api/cotizaciones/:id/estado keeps an expired quote vencida until its validity is extended', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in vencida estado test: ${sql}`);
+    });
+    let vigente = false;
+    const updates = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT estado, aprobacion')) {
+        return Promise.resolve({ rows: [{ estado: 'vencida', aprobacion: null, vigente }] });
+      }
+      if (sql.includes('UPDATE cotizaciones SET estado')) {
+        updates.push(params);
+        return Promise.resolve({ rows: [{ id: 9, estado: params[0] }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) return Promise.resolve({ rows: [{ id: 1 }] });
+      throw new Error(`Unhandled client SQL in vencida estado test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const expirada = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'enviada' });
+    expect(expirada.status).toBe(409);
+    expect(updates).toHaveLength(0);
+
+    vigente = true;
+    const extendida = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'enviada' });
+    expect(extendida.status).toBe(200);
+    expect(updates[0][0]).toBe('enviada');
+  });
+
+  test('expireCotizacionesVencidas moves open quotes past valida_hasta to vencida and records the transition', async () => {
+    const queries = [];
+    mockQuery.mockImplementation((sql) => {
+      queries.push(sql);
+      if (sql.includes('UPDATE cotizaciones c') && sql.includes('INSERT INTO cotizacion_estado_historial')) {
+        return Promise.resolve({ rows: [{ cotizacion_id: 4 }, { cotizacion_id: 7 }] });
+      }
+      throw new Error(`Unhandled SQL in expiry test: ${sql}`);
+    });
+
+    await expect(expireCotizacionesVencidas()).resolves.toBe(2);
+    expect(queries).toHaveLength(1);
+    const [sql] = queries;
+    expect(sql).toContain('WHERE valida_hasta < CURRENT_DATE');
+    expect(sql).toContain("IN ('enviada', 'revision', 'pendiente')");
+    expect(sql).toContain("SET estado = 'vencida'");
+    expect(sql).toContain("SELECT id, estado_anterior, 'vencida', 'Vencimiento automatico'");
+  });
+
+  test('PATCH /api/cotizaciones/:id/estado requires a loss reason to reject', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in perdida test: ${sql}`);
+    });
+    const updates = [];
+    const transitions = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT estado, aprobacion')) {
+        return Promise.resolve({ rows: [{ estado: 'enviada', aprobacion: null }] });
+      }
+      if (sql.includes('FROM motivos_perdida')) {
+        return Promise.resolve({ rows: params[0] === 2 ? [{ id: 2, nombre: 'Competidor' }] : [] });
+      }
+      if (sql.includes('UPDATE cotizaciones SET estado')) {
+        updates.push(params);
+        return Promise.resolve({ rows: [{ id: 9, estado: params[0] }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) {
+        transitions.push(params);
+        return Promise.resolve({ rows: [{ id: 1 }] });
+      }
+      throw new Error(`Unhandled client SQL in perdida test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const missing = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'rechazada' });
+    expect(missing.status).toBe(400);
+    expect(updates).toHaveLength(0);
+
+    const response = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'rechazada', motivo_perdida_id: 2, competidor_marca: ' Hikvision ', competidor_precio: '880.5', comentario: 'Cerro con otro' });
+    expect(response.status).toBe(200);
+    expect(updates[0]).toEqual(['rechazada', '9', 2, 'Hikvision', 880.5, null, 3]);
+    expect(transitions[0][3]).toBe('Motivo: Competidor - Cerro con otro');
+  });
+
+  test('follow-up reminders are listed for the owner and rescheduling closes the open ones', async () => {
+    const token = makeToken({ id: 2, usuario: 'vendedor', role: 'client' });
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'client', empresa: '', intcomex_profile: null }] });
+      }
+      if (sql.includes('SELECT usuario_id FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ usuario_id: params[0] === '9' ? 2 : 5 }] });
+      }
+      if (sql.includes('FROM cotizacion_recordatorios r')) {
+        expect(params).toEqual([2]);
+        return Promise.resolve({ rows: [{ id: 4, cotizacion_id: 9, fecha: '2026-03-10', folio: 'COT-2026-000009' }] });
+      }
+      throw new Error(`Unhandled SQL in seguimiento test: ${sql}`);
+    });
+    const cerrados = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('UPDATE cotizaciones SET seguimiento_fecha')) {
+        return Promise.resolve({ rows: params[1] === '9' ? [{ id: 9, estado: 'enviada', seguimiento_fecha: params[0] }] : [] });
+      }
+      if (sql.includes('UPDATE cotizacion_recordatorios SET completado_at')) {
+        cerrados.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled client SQL in seguimiento test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const pendientes = await request(app)
+      .get('/api/recordatorios')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-seguimiento');
+    expect(pendientes.status).toBe(200);
+    expect(pendientes.body[0].folio).toBe('COT-2026-000009');
+
+    const ajena = await request(app)
+      .patch('/api/cotizaciones/7/seguimiento')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-seguimiento')
+      .send({ fecha: '2026-03-20' });
+    expect(ajena.status).toBe(403);
+
+    const invalida = await request(app)
+      .patch('/api/cotizaciones/9/seguimiento')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-seguimiento')
+      .send({ fecha: 'pronto' });
+    expect(invalida.status).toBe(400);
+
+    const response = await request(app)
+      .patch('/api/cotizaciones/9/seguimiento')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-client-seguimiento')
+      .send({ fecha: '2026-03-20' });
+    expect(response.status).toBe(200);
+    expect(response.body.seguimiento_fecha).toBe('2026-03-20');
+    expect(cerrados).toEqual([['9', '2026-03-20']]);
+  });
+
+  test('POST /api/cotizaciones/:id/bos links a quote to a BO not yet seen in OSO', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    const queries = [];
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      if (sql.includes('SELECT id FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: params[0] === '9' ? [{ id: 9 }] : [] });
+      }
+      if (sql.includes('INSERT INTO bo_meta (bo)')) {
+        queries.push(['bo_meta', ...params]);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_bos')) {
+        queries.push(['cotizacion_bos', ...params]);
+        return Promise.resolve({ rows: [{ cotizacion_id: 9, bo: params[1], usuario: params[3] }] });
+      }
+      throw new Error(`Unhandled SQL in BO link test: ${sql}`);
+    });
+
+    const missing = await request(app)
+      .post('/api/cotizaciones/7/bos')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-bo')
+      .send({ bo: 'BO-1001' });
+    expect(missing.status).toBe(404);
+
+    const response = await request(app)
+      .post('/api/cotizaciones/9/bos')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-bo')
+      .send({ bo: ' BO-1001 ' });
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ cotizacion_id: 9, bo: 'BO-1001', usuario: 'admin' });
+    expect(queries).toEqual([
+      ['bo_meta', 'BO-1001'],
+      ['cotizacion_bos', '9', 'BO-1001', 1, 'admin']
+    ]);
+  });
+
+  test('PATCH /api/cotizaciones/:id/estado confirms the chosen alternative and recomputes the total', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('SELECT role, empresa, intcomex_profile FROM usuarios WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ role: 'admin', empresa: '', intcomex_profile: null }] });
+      }
+      throw new Error(`Unhandled SQL in opciones test: ${sql}`);
+    });
+    const updates = [];
+    const revisiones = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('SELECT estado, aprobacion')) {
+        return Promise.resolve({ rows: [{ estado: 'enviada', aprobacion: null }] });
+      }
+      if (sql.includes('FROM cotizacion_items WHERE cotizacion_id = $1')) {
+        return Promise.resolve({
+          rows: [
+            { id: 1, opcional: false, grupo_alternativa: null, precio_total: '100.00' },
+            { id: 2, opcional: false, grupo_alternativa: 'NAS', precio_total: '500.00' },
+            { id: 3, opcional: false, grupo_alternativa: 'NAS', precio_total: '800.00' },
+            { id: 4, opcional: true, grupo_alternativa: null, precio_total: '50.00' }
+          ]
+        });
+      }
+      if (sql.includes('UPDATE cotizacion_items SET seleccionada') || sql.includes('UPDATE cotizaciones SET total')) {
+        updates.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('UPDATE cotizaciones SET estado')) {
+        return Promise.resolve({ rows: [{ id: 9, estado: params[0] }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) {
+        return Promise.resolve({ rows: [{ id: 1 }] });
+      }
+      if (sql.includes('SELECT * FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({ rows: [{ id: 9, estado: 'aprobada', total: '950.00' }] });
+      }
+      if (sql.includes('INSERT INTO cotizacion_revisiones')) {
+        revisiones.push(params);
+        return Promise.resolve({ rows: [{ id: 3, revision: 2 }] });
+      }
+      throw new Error(`Unhandled client SQL in opciones test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const missing = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'aprobada', opciones: [4] });
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toContain('NAS');
+
+    const response = await request(app)
+      .patch('/api/cotizaciones/9/estado')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-6')
+      .send({ estado: 'aprobada', opciones: [3, 4] });
+    expect(response.status).toBe(200);
+    expect(updates[0]).toEqual(['9', [3, 4]]);
+    expect(updates[1]).toEqual([950, '9']);
+    expect(revisiones).toHaveLength(1);
+    expect(revisiones[0].slice(0, 2)).toEqual(['9', 'aceptacion']);
+  });
+
+  test('GET /api/public/cotizaciones/:token serves public columns and rejects session tokens', async () => {
+    const linkToken = jwt.sign(
+      { typ: 'cotizacion_link', lid: 3, cid: 9 },
+      `${process.env.JWT_SECRET}:cotizacion_link`,
+      { expiresIn: '1h' }
+    );
+    const itemQueries = [];
+    mockQuery.mockImplementation((sql, params) => {
+      if (sql.includes('FROM cotizacion_links')) {
+        return Promise.resolve({
+          rows: params[0] === 3 ? [{ id: 3, cotizacion_id: 9, expires_at: new Date(Date.now() + 3_600_000), respuesta: null }] : []
+        });
+      }
+      if (sql.includes('FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({
+          rows: [{ id: 9, cliente_nombre: 'Cliente', estado: 'enviada', aprobacion: null, vigente: true, moneda: 'USD', total: 100 }]
+        });
+      }
+      if (sql.includes('FROM cotizacion_items')) {
+        itemQueries.push(sql);
+        return Promise.resolve({ rows: [{ id: 1, sku: 'SKU-1', cantidad: 1, precio_unitario: 100, precio_total: 100 }] });
+      }
+      if (sql.includes('FROM motivos_perdida WHERE activo = true')) {
+        return Promise.resolve({ rows: [{ id: 2, nombre: 'Precio' }] });
+      }
+      throw new Error(`Unhandled SQL in public link test: ${sql}`);
+    });
+
+    const response = await request(app).get(`/api/public/cotizaciones/${linkToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.puede_responder).toBe(true);
+    expect(response.body.motivos_perdida).toEqual([{ id: 2, nombre: 'Precio' }]);
+    expect(response.body.cotizacion).not.toHaveProperty('aprobacion');
+    expect(itemQueries[0]).not.toContain('precio_disty');
+    expect(itemQueries[0]).not.toContain('gp');
+
+    const sessionToken = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    const rejected = await request(app).get(`/api/public/cotizaciones/${sessionToken}`);
+    expect(rejected.status).toBe(410);
+  });
+
+  test('POST /api/public/cotizaciones/:token/respuesta requires an active loss reason to reject', async () => {
+    const linkToken = jwt.sign(
+      { typ: 'cotizacion_link', lid: 3, cid: 9 },
+      `${process.env.JWT_SECRET}:cotizacion_link`,
+      { expiresIn: '1h' }
+    );
+    const estadoUpdates = [];
+    const transiciones = [];
+    const clientQuery = jest.fn((sql, params) => {
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM cotizacion_links')) {
+        return Promise.resolve({
+          rows: [{ id: 3, cotizacion_id: 9, expires_at: new Date(Date.now() + 3_600_000), respuesta: null }]
+        });
+      }
+      if (sql.includes('FROM cotizaciones WHERE id = $1 FOR UPDATE')) {
+        return Promise.resolve({ rows: [{ id: 9, estado: 'enviada', aprobacion: null, vigente: true }] });
+      }
+      if (sql.includes('FROM motivos_perdida WHERE id = $1 AND activo = true')) {
+        return Promise.resolve({ rows: params[0] === 2 ? [{ id: 2, nombre: 'Precio' }] : [] });
+      }
+      if (sql.includes('UPDATE cotizaciones SET estado = $1, motivo_perdida_id = $3')) {
+        estadoUpdates.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('UPDATE cotizacion_links')) return Promise.resolve({ rows: [] });
+      if (sql.includes('INSERT INTO cotizacion_estado_historial')) {
+        transiciones.push(params);
+        return Promise.resolve({ rows: [] });
+      }
+      throw new Error(`Unhandled SQL in public rejection test: ${sql}`);
+    });
+    mockConnect.mockResolvedValue({ query: clientQuery, release: jest.fn() });
+
+    const sinMotivo = await request(app)
+      .post(`/api/public/cotizaciones/${linkToken}/respuesta`)
+      .send({ decision: 'rechazar', nombre: 'Cliente Final' });
+    expect(sinMotivo.status).toBe(400);
+    expect(sinMotivo.body.error).toBe('Motivo de perdida requerido para rechazar');
+
+    const inactivo = await request(app)
+      .post(`/api/public/cotizaciones/${linkToken}/respuesta`)
+      .send({ decision: 'rechazar', nombre: 'Cliente Final', motivo_perdida_id: 5 });
+    expect(inactivo.status).toBe(400);
+    expect(estadoUpdates).toHaveLength(0);
+
+    const response = await request(app)
+      .post(`/api/public/cotizaciones/${linkToken}/respuesta`)
+      .send({ decision: 'rechazar', nombre: 'Cliente Final', motivo_perdida_id: '2' });
+    expect(response.status).toBe(200);
+    expect(response.body.estado).toBe('rechazada');
+    expect(estadoUpdates).toEqual([['rechazada', 9, 2]]);
+    expect(transiciones[0].some(value => String(value).includes('Motivo: Precio'))).toBe(true);
+  });
+
+  test('POST /api/cotizaciones/pdf renders CLP quotes with the locked exchange rate', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM clientes_exentos_iva')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in CLP pdf test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .post('/api/cotizaciones/pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-4')
+      .send({
+        moneda: 'CLP',
+        tipo_cambio: 950,
+        cliente: { nombre: 'Cliente Demo', empresa: 'ACME' },
+        items: [{ sku: 'SKU-1', descripcion: 'Producto 1', cantidad: 2, precio_unitario: 100.5 }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/pdf');
+  });
+
+  test('POST /api/cotizaciones/pdf returns 400 for CLP without an exchange rate', async () => {
+    const token = makeToken({ id: 1, usuario: 'admin', role: 'admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM tipos_cambio')) return Promise.resolve({ rows: [] });
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in CLP pdf test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .post('/api/cotizaciones/pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-admin-5')
+      .send({ moneda: 'CLP', items: [{ sku: 'SKU-1', cantidad: 1, precio_unitario: 10 }] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('POST /api/cotizaciones/pdf uses the currency and exchange rate saved on the quote', async () => {
+    const token = makeToken({ id: 2, usuario: 'client', role: 'client' });
+    let tipoCambio = null;
+    const tipoCambioQueries = [];
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM cotizaciones WHERE id = $1')) {
+        return Promise.resolve({
+          rows: [{ usuario_id: 2, aprobacion: null, folio: 'COT-2026-000009', iva_tasa: '0.1600', moneda: 'CLP', tipo_cambio: tipoCambio }]
+        });
+      }
+      if (sql.includes('FROM tipos_cambio')) {
+        tipoCambioQueries.push(sql);
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM gp_pisos')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in saved currency pdf test: ${sql}`);
+    });
+    const payload = { cotizacion_id: 9, items: [{ sku: 'SKU-1', cantidad: 1, precio_unitario: 10 }] };
+
+    const sinTipoCambio = await request(app)
+      .post('/api/cotizaciones/pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-pdf')
+      .send(payload);
+    expect(sinTipoCambio.status).toBe(400);
+    expect(sinTipoCambio.body.error).toContain('CLP');
+
+    tipoCambio = '950.000000';
+    tipoCambioQueries.length = 0;
+    const response = await request(app)
+      .post('/api/cotizaciones/pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-user-pdf')
+      .send({ ...payload, moneda: 'USD' });
+    expect(response.status).toBe(200);
+    expect(tipoCambioQueries).toHaveLength(0);
+  });
+
+  test('POST /api/cotizaciones/pdf returns 409 when a line is under the GP floor', async () => {
+    const token = makeToken({ id: 3, usuario: 'nsteck', role: 'cot_stock_admin' });
+    mockQuery.mockImplementation((sql) => {
+      if (sql.includes('SELECT id, revoked, last_seen, device_id FROM sesiones')) {
+        return Promise.resolve({ rows: [activeSessionRow] });
+      }
+      if (sql.includes('UPDATE sesiones') && sql.includes('SET last_seen = CURRENT_TIMESTAMP')) {
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM gp_pisos')) {
+        return Promise.resolve({ rows: [{ origen: 'QNAP', marca: '', gp_min: '0.1200' }] });
+      }
+      if (sql.includes('FROM productos WHERE id = ANY')) {
+        return Promise.resolve({ rows: [{ id: 11, origen: 'QNAP', marca: 'QNAP', sku: 'TS-1', precio_disty: 100 }] });
+      }
+      if (sql.includes('FROM parametros_precio')) return Promise.resolve({ rows: [] });
+      throw new Error(`Unhandled SQL in GP floor pdf test: ${sql}`);
+    });
+
+    const response = await request(app)
+      .post('/api/cotizaciones/pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-session-id', 'session-limited-2')
+      .send({ items: [{ producto_id: 11, sku: 'TS-1', cantidad: 1, gp: 0.05, precio_unitario: 200 }] });
+
+    expect(response.status).toBe(409);
+    expect(response.body.bajo_piso).toHaveLength(1);
+  });
 });
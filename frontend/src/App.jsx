@@ -8,6 +8,7 @@ const CotizadorRoute = lazy(() => import('./features/cotizador/CotizadorRoute'))
 const HistorialRoute = lazy(() => import('./features/historial/HistorialRoute'));
 const UsuariosRoute = lazy(() => import('./features/usuarios/UsuariosRoute'));
 const OrdenesRoute = lazy(() => import('./features/ordenes/OrdenesRoute'));
+const CotizacionPublicaRoute = lazy(() => import('./features/cotizacionPublica/CotizacionPublicaRoute'));
 
 const loadingFallback = (
   <div className="min-h-screen w-full flex items-center justify-center bg-slate-50">
@@ -21,6 +22,7 @@ export default function App() {
       <Routes>
         <Route path="/" element={<Navigate to="/dashboard" replace />} />
         <Route path="/login" element={<LoginPage />} />
+        <Route path="/cotizacion/:token" element={<CotizacionPublicaRoute />} />
         <Route
           path="/dashboard"
           element={(
@@ -75,6 +75,26 @@ export const authAPI = {
   },
 };
 
+// API publica de cotizaciones (enlace para el cliente, sin sesion)
+export const publicCotizacionAPI = {
+  get: async (token) => {
+    const response = await fetch(`${API_URL}/api/public/cotizaciones/${encodeURIComponent(token)}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Error obteniendo cotización');
+    return data;
+  },
+  responder: async (token, { decision, nombre, comentario = '' }) => {
+    const response = await fetch(`${API_URL}/api/public/cotizaciones/${encodeURIComponent(token)}/respuesta`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision, nombre, comentario }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Error enviando respuesta');
+    return data;
+  },
+};
+
 // API de Productos
 export const productosAPI = {
   getAll: async () => {
@@ -101,6 +121,37 @@ export const productosAPI = {
     return response.json();
   },
 
+  // Búsqueda paginada en el servidor: { q, origen, marca, activo, categoria_id, bahias, bahias_min,
+  // resolucion, poe_clase, factor_forma, page, pageSize } -> { data, meta }
+  search: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+    });
+    const response = await fetchWithAuth(`/api/productos/search?${query.toString()}`);
+    if (!response.ok) throw new Error('Error buscando productos');
+    return response.json();
+  },
+
+  // Cruza las líneas de un JSON de Axis con el catálogo usando la misma normalización de códigos.
+  matchAxis: async (lines) => {
+    const response = await fetchWithAuth('/api/productos/match-axis', {
+      method: 'POST',
+      body: JSON.stringify({ lines }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error cruzando el JSON de Axis con el catálogo');
+    }
+    return response.json();
+  },
+
+  getHistory: async (id) => {
+    const response = await fetchWithAuth(`/api/productos/${encodeURIComponent(id)}/history`);
+    if (!response.ok) throw new Error('Error obteniendo historial del producto');
+    return response.json();
+  },
+
   getSyncStatus: async () => {
     const response = await fetchWithAuth('/api/sync/status');
     if (!response.ok) throw new Error('Error obteniendo estado de sincronización');
@@ -128,6 +179,47 @@ export const productosAPI = {
     return response.json();
   },
 
+  // Dry-run: devuelve el diff de la hoja contra el catálogo sin aplicarlo
+  previewSync: async (origen) => {
+    const response = await fetchWithAuth(`/api/productos/sync?origen=${encodeURIComponent(origen)}&dry_run=1`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const detail = typeof data.detail === 'string' ? data.detail : '';
+      throw new Error(`${data.error || 'Error generando vista previa del sync'}${detail ? `: ${detail}` : ''}`);
+    }
+    return response.json();
+  },
+
+  applySyncPreview: async (previewId) => {
+    const response = await fetchWithAuth(`/api/productos/sync/previews/${encodeURIComponent(previewId)}/apply`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error aplicando vista previa del sync');
+    }
+    return response.json();
+  },
+
+  getSyncLogs: async (origen) => {
+    const response = await fetchWithAuth(`/api/sync/logs?origen=${encodeURIComponent(origen || '')}`);
+    if (!response.ok) throw new Error('Error obteniendo historial de sincronizaciones');
+    return response.json();
+  },
+
+  restoreSync: async (syncLogId) => {
+    const response = await fetchWithAuth(`/api/sync/logs/${encodeURIComponent(syncLogId)}/restore`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error restaurando el catálogo');
+    }
+    return response.json();
+  },
+
   update: async (id, producto) => {
     const response = await fetchWithAuth(`/api/productos/${id}`, {
       method: 'PUT',
@@ -167,9 +259,17 @@ export const productosAPI = {
 
 // API de Cotizaciones
 export const cotizacionesAPI = {
-  getAll: async ({ includeItems } = {}) => {
-    const query = includeItems ? '?includeItems=1' : '';
-    const response = await fetchWithAuth(`/api/cotizaciones${query}`);
+  // Con page/pageSize responde { data, meta }; sin paginar devuelve el arreglo completo.
+  getAll: async ({ includeItems, ...filters } = {}) => {
+    const params = new URLSearchParams();
+    if (includeItems) params.set('includeItems', '1');
+    Object.entries(filters).forEach(([key, value]) => {
+      const serialized = Array.isArray(value) ? value.join(',') : value;
+      if (serialized === undefined || serialized === null || serialized === '') return;
+      params.set(key, String(serialized));
+    });
+    const query = params.toString();
+    const response = await fetchWithAuth(`/api/cotizaciones${query ? `?${query}` : ''}`);
     if (!response.ok) throw new Error('Error obteniendo cotizaciones');
     return response.json();
   },
@@ -226,10 +326,11 @@ export const cotizacionesAPI = {
       return null;
     }
   },
-  updateEstado: async (id, estado) => {
+  // perdida: { motivo_perdida_id, competidor_marca, competidor_precio }, obligatorio al rechazar.
+  updateEstado: async (id, estado, comentario = '', opciones, perdida) => {
     const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/estado`, {
       method: 'PATCH',
-      body: JSON.stringify({ estado }),
+      body: JSON.stringify({ estado, comentario, ...(opciones ? { opciones } : {}), ...(perdida || {}) }),
     });
     if (!response.ok) {
       const text = await response.text();
@@ -246,6 +347,17 @@ export const cotizacionesAPI = {
     }
     return response.json();
   },
+  updateSeguimiento: async (id, fecha) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/seguimiento`, {
+      method: 'PATCH',
+      body: JSON.stringify({ fecha }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error reprogramando seguimiento');
+    }
+    return response.json();
+  },
   update: async (id, payload) => {
     const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}`, {
       method: 'PUT',
@@ -266,6 +378,76 @@ export const cotizacionesAPI = {
     }
     return response.json();
   },
+  getRevisions: async (id) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/revisions`);
+    if (!response.ok) throw new Error('Error obteniendo revisiones');
+    return response.json();
+  },
+  // Reemplaza los productos de la cotización con un JSON de Axis; el servidor la revaloriza.
+  importAxis: async (id, lines) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/axis-import`, {
+      method: 'POST',
+      body: JSON.stringify({ lines }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error importando el JSON de Axis');
+    }
+    return response.json();
+  },
+
+  clone: async (id) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/clone`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error duplicando cotización');
+    }
+    return response.json();
+  },
+  getLinks: async (id) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/links`);
+    if (!response.ok) throw new Error('Error obteniendo enlaces');
+    return response.json();
+  },
+  createLink: async (id, dias) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/links`, {
+      method: 'POST',
+      body: JSON.stringify(dias ? { dias } : {}),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error creando enlace');
+    }
+    return response.json();
+  },
+  revokeLink: async (id, linkId) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/links/${encodeURIComponent(linkId)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error revocando enlace');
+    }
+    return response.json();
+  },
+  getAprobaciones: async (estado = 'pendiente') => {
+    const response = await fetchWithAuth(`/api/aprobaciones?estado=${encodeURIComponent(estado)}`);
+    if (!response.ok) throw new Error('Error obteniendo aprobaciones');
+    return response.json();
+  },
+  resolverAprobacion: async (id, { decision, comentario = '' }) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(id)}/aprobacion`, {
+      method: 'PATCH',
+      body: JSON.stringify({ decision, comentario }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error resolviendo aprobación');
+    }
+    return response.json();
+  },
   getFunnel: async ({ days = 30, empresa = '', from = '', to = '' } = {}) => {
     const params = new URLSearchParams();
     if (days) params.set('days', String(days));
@@ -277,6 +459,17 @@ export const cotizacionesAPI = {
     if (!response.ok) throw new Error('Error obteniendo funnel');
     return response.json();
   },
+  getPerdidas: async ({ days = 30, empresa = '', from = '', to = '' } = {}) => {
+    const params = new URLSearchParams();
+    if (days) params.set('days', String(days));
+    if (empresa) params.set('empresa', empresa);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+    const response = await fetchWithAuth(`/api/cotizaciones/perdidas${query ? `?${query}` : ''}`);
+    if (!response.ok) throw new Error('Error obteniendo análisis de pérdidas');
+    return response.json();
+  },
   downloadPdf: async (payload, filenameBase = 'cotizacion') => {
     const response = await fetchWithAuth('/api/cotizaciones/pdf', {
       method: 'POST',
@@ -533,6 +726,36 @@ export const boMetaAPI = {
   },
 };
 
+// API de vínculos Cotización <-> BO
+export const cotizacionBosAPI = {
+  getAll: async () => {
+    const response = await fetchWithAuth('/api/cotizacion-bos');
+    if (!response.ok) throw new Error('Error obteniendo vínculos cotización-BO');
+    return response.json();
+  },
+  link: async (cotizacionId, bo) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(cotizacionId)}/bos`, {
+      method: 'POST',
+      body: JSON.stringify({ bo }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error vinculando BO');
+    }
+    return response.json();
+  },
+  unlink: async (cotizacionId, bo) => {
+    const response = await fetchWithAuth(`/api/cotizaciones/${encodeURIComponent(cotizacionId)}/bos/${encodeURIComponent(bo)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error desvinculando BO');
+    }
+    return response.json();
+  },
+};
+
 // API de BO Line Meta
 export const boLineMetaAPI = {
   save: async (bo, payload) => {
@@ -562,3 +785,318 @@ export const stockAPI = {
   },
 };
 
+
+// API de Tipos de cambio
+export const tiposCambioAPI = {
+  getAll: async (moneda = '') => {
+    const query = moneda ? `?moneda=${encodeURIComponent(moneda)}` : '';
+    const response = await fetchWithAuth(`/api/tipos-cambio${query}`);
+    if (!response.ok) throw new Error('Error obteniendo tipos de cambio');
+    return response.json();
+  },
+  getVigente: async (moneda = 'CLP') => {
+    const response = await fetchWithAuth(`/api/tipos-cambio/vigente?moneda=${encodeURIComponent(moneda)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error('Error obteniendo tipo de cambio vigente');
+    return response.json();
+  },
+  save: async (payload) => {
+    const response = await fetchWithAuth('/api/tipos-cambio', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error guardando tipo de cambio');
+    }
+    return response.json();
+  },
+  remove: async (id) => {
+    const response = await fetchWithAuth(`/api/tipos-cambio/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error eliminando tipo de cambio');
+    }
+    return response.json();
+  },
+};
+
+// API de Parámetros de precio (factores de costo versionados por origen)
+export const parametrosPrecioAPI = {
+  getAll: async (origen = '') => {
+    const query = origen ? `?origen=${encodeURIComponent(origen)}` : '';
+    const response = await fetchWithAuth(`/api/parametros-precio${query}`);
+    if (!response.ok) throw new Error('Error obteniendo parámetros de precio');
+    return response.json();
+  },
+  getVigentes: async () => {
+    const response = await fetchWithAuth('/api/parametros-precio/vigentes');
+    if (!response.ok) throw new Error('Error obteniendo parámetros de precio vigentes');
+    return response.json();
+  },
+  create: async (payload) => {
+    const response = await fetchWithAuth('/api/parametros-precio', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error guardando parámetros de precio');
+    }
+    return response.json();
+  },
+};
+
+// API de Kits
+export const kitsAPI = {
+  getAll: async () => {
+    const response = await fetchWithAuth('/api/kits');
+    if (!response.ok) throw new Error('Error obteniendo kits');
+    return response.json();
+  },
+  create: async (payload) => {
+    const response = await fetchWithAuth('/api/kits', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error creando kit');
+    }
+    return response.json();
+  },
+  update: async (id, payload) => {
+    const response = await fetchWithAuth(`/api/kits/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error actualizando kit');
+    }
+    return response.json();
+  },
+  remove: async (id) => {
+    const response = await fetchWithAuth(`/api/kits/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error eliminando kit');
+    }
+    return response.json();
+  },
+};
+
+// API de servicios y cargos adicionales (lista de precios de líneas personalizadas)
+export const conceptosAdicionalesAPI = {
+  getAll: async () => {
+    const response = await fetchWithAuth('/api/conceptos-adicionales');
+    if (!response.ok) throw new Error('Error obteniendo servicios y cargos');
+    return response.json();
+  },
+  create: async (payload) => {
+    const response = await fetchWithAuth('/api/conceptos-adicionales', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error creando concepto');
+    }
+    return response.json();
+  },
+  update: async (id, payload) => {
+    const response = await fetchWithAuth(`/api/conceptos-adicionales/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error actualizando concepto');
+    }
+    return response.json();
+  },
+  remove: async (id) => {
+    const response = await fetchWithAuth(`/api/conceptos-adicionales/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error eliminando concepto');
+    }
+    return response.json();
+  },
+};
+
+
+// API de GP mínimo por origen/marca
+export const gpPisosAPI = {
+  getAll: async () => {
+    const response = await fetchWithAuth('/api/gp-pisos');
+    if (!response.ok) throw new Error('Error obteniendo GP mínimos');
+    return response.json();
+  },
+  save: async (payload) => {
+    const response = await fetchWithAuth('/api/gp-pisos', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error guardando GP mínimo');
+    }
+    return response.json();
+  },
+  remove: async (id) => {
+    const response = await fetchWithAuth(`/api/gp-pisos/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error eliminando GP mínimo');
+    }
+    return response.json();
+  },
+};
+
+// API de Validez por origen/marca (admin); la marca manda sobre el origen.
+export const validezCotizacionAPI = {
+  getAll: async () => {
+    const response = await fetchWithAuth('/api/validez-cotizacion');
+    if (!response.ok) throw new Error('Error obteniendo validez de cotizaciones');
+    return response.json();
+  },
+  save: async (payload) => {
+    const response = await fetchWithAuth('/api/validez-cotizacion', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error guardando validez');
+    }
+    return response.json();
+  },
+  remove: async (id) => {
+    const response = await fetchWithAuth(`/api/validez-cotizacion/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error eliminando validez');
+    }
+    return response.json();
+  },
+};
+
+// API de Categorías de producto (árbol plano: parent_id y ruta completa)
+export const categoriasAPI = {
+  getAll: async () => {
+    const response = await fetchWithAuth('/api/categorias');
+    if (!response.ok) throw new Error('Error obteniendo categorías');
+    return response.json();
+  },
+};
+
+// API de Motivos de pérdida (se exigen al rechazar una cotización)
+export const motivosPerdidaAPI = {
+  getAll: async ({ todos = false } = {}) => {
+    const response = await fetchWithAuth(`/api/motivos-perdida${todos ? '?todos=1' : ''}`);
+    if (!response.ok) throw new Error('Error obteniendo motivos de pérdida');
+    return response.json();
+  },
+  create: async (payload) => {
+    const response = await fetchWithAuth('/api/motivos-perdida', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error creando motivo de pérdida');
+    }
+    return response.json();
+  },
+  update: async (id, payload) => {
+    const response = await fetchWithAuth(`/api/motivos-perdida/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error actualizando motivo de pérdida');
+    }
+    return response.json();
+  },
+};
+
+// API de Recordatorios (seguimiento de cotizaciones enviadas)
+export const recordatoriosAPI = {
+  getPendientes: async () => {
+    const response = await fetchWithAuth('/api/recordatorios');
+    if (!response.ok) throw new Error('Error obteniendo recordatorios de seguimiento');
+    return response.json();
+  },
+  completar: async (id) => {
+    const response = await fetchWithAuth(`/api/recordatorios/${encodeURIComponent(id)}/completar`, {
+      method: 'PATCH',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error completando recordatorio');
+    }
+    return response.json();
+  },
+};
+
+// API de Impuestos (tasa de IVA por cliente y exenciones)
+export const impuestosAPI = {
+  getIva: async (empresa) => {
+    const response = await fetchWithAuth(`/api/impuestos/iva?empresa=${encodeURIComponent(empresa || '')}`);
+    if (!response.ok) throw new Error('Error obteniendo tasa de IVA');
+    return response.json();
+  },
+  getExentos: async () => {
+    const response = await fetchWithAuth('/api/clientes-exentos-iva');
+    if (!response.ok) throw new Error('Error obteniendo clientes exentos de IVA');
+    return response.json();
+  },
+  saveExento: async (payload) => {
+    const response = await fetchWithAuth('/api/clientes-exentos-iva', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error guardando cliente exento');
+    }
+    return response.json();
+  },
+  removeExento: async (id) => {
+    const response = await fetchWithAuth(`/api/clientes-exentos-iva/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error eliminando cliente exento');
+    }
+    return response.json();
+  },
+};
+
+// API de Precios (valorizacion del servidor con desglose por linea)
+export const pricingAPI = {
+  preview: async (items) => {
+    const response = await fetchWithAuth('/api/pricing/preview', {
+      method: 'POST',
+      body: JSON.stringify({ items }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Error calculando precios');
+    }
+    return response.json();
+  },
+};
@@ -0,0 +1,237 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { publicCotizacionAPI } from '../../api';
+import { COTIZACION_ESTADOS } from '../cotizador/cotizadorConstants';
+import { calcularImpuestos, convertFromUsd, formatDateTime, formatMoney, getIvaLabel, isItemFueraDelTotal, toDateOnlyKey } from '../cotizador/cotizadorHelpers';
+
+// Vista de solo lectura para el cliente final; no usa sesion ni CotizadorPage.
+export default function CotizacionPublicaRoute() {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [nombre, setNombre] = useState('');
+  const [comentario, setComentario] = useState('');
+  const [motivoPerdidaId, setMotivoPerdidaId] = useState('');
+  const [enviando, setEnviando] = useState(false);
+  const [mensaje, setMensaje] = useState('');
+  // ids de opcionales y alternativas que el cliente incluye al aceptar
+  const [elegidas, setElegidas] = useState([]);
+
+  const cargar = useCallback(async () => {
+    setLoading(true);
+    try {
+      setData(await publicCotizacionAPI.get(token));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    cargar();
+  }, [cargar]);
+
+  const responder = async (decision) => {
+    if (nombre.trim().length < 2) {
+      setMensaje('Ingresa tu nombre para responder.');
+      return;
+    }
+    if (decision === 'rechazar' && !motivoPerdidaId) {
+      setMensaje('Elige el motivo del rechazo.');
+      return;
+    }
+    setEnviando(true);
+    try {
+      const result = await publicCotizacionAPI.responder(token, {
+        decision,
+        nombre: nombre.trim(),
+        comentario: comentario.trim(),
+        opciones: decision === 'aceptar' ? elegidas : [],
+        motivo_perdida_id: decision === 'rechazar' ? Number(motivoPerdidaId) : undefined
+      });
+      setMensaje(result.message);
+      await cargar();
+    } catch (err) {
+      setMensaje(err.message);
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="min-h-screen w-full flex items-center justify-center bg-slate-50">
+        <div className="text-slate-600 text-sm">Cargando...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen w-full flex items-center justify-center bg-slate-50 p-4">
+        <div className="bg-white rounded-xl shadow-lg p-6 max-w-md text-center">
+          <div className="text-lg font-semibold text-slate-800">Enlace no disponible</div>
+          <div className="text-sm text-slate-600 mt-2">{error}</div>
+        </div>
+      </div>
+    );
+  }
+
+  const { cotizacion, items, link, puede_responder: puedeResponder, motivos_perdida: motivosPerdida = [] } = data;
+  const moneda = cotizacion.moneda || 'USD';
+  const toMonto = (value) => formatMoney(convertFromUsd(value, moneda, cotizacion.tipo_cambio), moneda);
+  const estado = COTIZACION_ESTADOS.find(option => option.value === cotizacion.estado);
+  const validaHasta = toDateOnlyKey(cotizacion.valida_hasta);
+  const opciones = items.filter(item => item.opcional || item.grupo_alternativa);
+  const incluidos = items.filter(item => !isItemFueraDelTotal(item));
+  const toggleOpcion = (item) => setElegidas(prev => (item.grupo_alternativa
+    ? [...prev.filter(id => !opciones.some(other => other.id === id && other.grupo_alternativa === item.grupo_alternativa)), item.id]
+    : (prev.includes(item.id) ? prev.filter(id => id !== item.id) : [...prev, item.id])));
+  const totalConOpciones = Number(cotizacion.total || 0) + opciones
+    .filter(item => !item.seleccionada && elegidas.includes(item.id))
+    .reduce((sum, item) => sum + (Number(item.precio_total) || 0), 0);
+  // Cotizaciones sin desglose guardado (enlaces antiguos) se muestran en neto como antes.
+  const conIva = cotizacion.iva_tasa !== null && cotizacion.iva_tasa !== undefined;
+  const toBruto = (neto) => (conIva ? calcularImpuestos(neto, cotizacion.iva_tasa).total_bruto : neto);
+
+  return (
+    <div className="min-h-screen w-full bg-slate-50 p-4 sm:p-8">
+      <div className="bg-white rounded-xl shadow-lg max-w-4xl mx-auto p-6">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <div className="text-xl font-semibold text-slate-800">Cotización {cotizacion.folio || `#${cotizacion.id}`}</div>
+            <div className="text-sm text-slate-600">{cotizacion.cliente_nombre}{cotizacion.cliente_empresa ? ` · ${cotizacion.cliente_empresa}` : ''}</div>
+            <div className="text-xs text-slate-500 mt-1">Emitida {formatDateTime(cotizacion.created_at)}{cotizacion.vendedor ? ` por ${cotizacion.vendedor}` : ''}</div>
+          </div>
+          <div className="text-right text-sm">
+            <div className="font-semibold text-slate-700">{estado?.label || cotizacion.estado}</div>
+            {validaHasta && <div className="text-xs text-slate-500">Válida hasta {validaHasta}</div>}
+            <div className="text-xs text-slate-500">Enlace vigente hasta {formatDateTime(link.expires_at)}</div>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto mt-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 border-b">
+                <th className="py-2 pr-2">SKU</th>
+                <th className="py-2 pr-2">Descripción</th>
+                <th className="py-2 pr-2 text-right">Cantidad</th>
+                <th className="py-2 pr-2 text-right">Precio unitario</th>
+                <th className="py-2 pr-2 text-right">Total</th>
+                <th className="py-2">Entrega</th>
+              </tr>
+            </thead>
+            <tbody>
+              {incluidos.map(item => (
+                <tr key={item.id} className="border-b last:border-0">
+                  <td className="py-2 pr-2 font-mono text-xs">{item.sku || item.mpn}</td>
+                  <td className="py-2 pr-2">{item.marca ? `${item.marca} · ` : ''}{item.descripcion}</td>
+                  <td className="py-2 pr-2 text-right">{item.cantidad}</td>
+                  <td className="py-2 pr-2 text-right">{toMonto(item.precio_unitario)}</td>
+                  <td className="py-2 pr-2 text-right">{toMonto(item.precio_total)}</td>
+                  <td className="py-2 text-xs text-slate-500">{item.tiempo_entrega || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {conIva && (
+          <div className="text-right text-sm text-slate-600 mt-4">
+            <div>Neto {toMonto(cotizacion.total)}</div>
+            <div>{getIvaLabel(cotizacion.iva_tasa)} {toMonto(cotizacion.iva_monto)}</div>
+          </div>
+        )}
+        <div className={`text-right text-lg font-semibold text-slate-800 ${conIva ? 'mt-1' : 'mt-4'}`}>Total {toMonto(toBruto(Number(cotizacion.total) || 0))}</div>
+
+        {opciones.some(item => isItemFueraDelTotal(item)) && (
+          <div className="mt-6">
+            <div className="text-sm font-semibold text-slate-700">Opcionales y alternativas (no incluidos en el total)</div>
+            {puedeResponder && (
+              <div className="text-xs text-slate-500">Marca las que quieres incluir; de cada alternativa se elige una.</div>
+            )}
+            <div className="mt-2 space-y-1 text-sm">
+              {opciones.filter(item => isItemFueraDelTotal(item)).map(item => (
+                <label key={item.id} className="flex items-center gap-2">
+                  {puedeResponder && (
+                    <input
+                      type={item.grupo_alternativa ? 'radio' : 'checkbox'}
+                      name={item.grupo_alternativa ? `alternativa-${item.grupo_alternativa}` : undefined}
+                      checked={elegidas.includes(item.id)}
+                      onChange={() => toggleOpcion(item)}
+                    />
+                  )}
+                  <span className="text-xs text-slate-500">{item.grupo_alternativa ? `Alternativa ${item.grupo_alternativa}` : 'Opcional'}</span>
+                  <span className="flex-1">{item.sku ? `${item.sku} · ` : ''}{item.descripcion} x {item.cantidad}</span>
+                  <span>{toMonto(item.precio_total)}</span>
+                </label>
+              ))}
+            </div>
+            {puedeResponder && elegidas.length > 0 && (
+              <div className="text-right text-sm font-semibold text-slate-700 mt-2">Total con lo elegido {toMonto(toBruto(totalConOpciones))}</div>
+            )}
+          </div>
+        )}
+
+        {link.respuesta && (
+          <div className="mt-6 rounded-lg bg-slate-100 p-4 text-sm text-slate-700">
+            {link.respuesta === 'aprobada' ? 'Aceptada' : 'Rechazada'} por {link.respondido_nombre} el {formatDateTime(link.respondido_at)}.
+          </div>
+        )}
+
+        {puedeResponder && (
+          <div className="mt-6 border-t pt-4 space-y-3">
+            <div className="text-sm font-semibold text-slate-700">Responder cotización</div>
+            <input
+              type="text"
+              value={nombre}
+              onChange={(e) => setNombre(e.target.value)}
+              placeholder="Tu nombre"
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+            <textarea
+              value={comentario}
+              onChange={(e) => setComentario(e.target.value)}
+              placeholder="Comentario (opcional)"
+              rows={2}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+            <select
+              aria-label="Motivo del rechazo"
+              value={motivoPerdidaId}
+              onChange={(e) => setMotivoPerdidaId(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            >
+              <option value="">Motivo del rechazo (requerido para rechazar)</option>
+              {motivosPerdida.map(motivo => (
+                <option key={motivo.id} value={motivo.id}>{motivo.nombre}</option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                disabled={enviando}
+                onClick={() => responder('aceptar')}
+                className="px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:opacity-60"
+              >
+                Aceptar
+              </button>
+              <button
+                type="button"
+                disabled={enviando}
+                onClick={() => responder('rechazar')}
+                className="px-4 py-2 rounded-lg bg-red-600 text-white text-sm font-semibold hover:bg-red-700 disabled:opacity-60"
+              >
+                Rechazar
+              </button>
+            </div>
+          </div>
+        )}
+        {mensaje && <div className="mt-3 text-sm text-slate-600">{mensaje}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { vi } from 'vitest';
+
+vi.mock('../../api', () => ({
+  publicCotizacionAPI: {
+    get: vi.fn(() => Promise.resolve({
+      cotizacion: { id: 9, cliente_nombre: 'Cliente', estado: 'enviada', moneda: 'USD', tipo_cambio: 1, total: 100 },
+      items: [{ id: 1, sku: 'SKU-1', descripcion: 'Camara', cantidad: 1, precio_unitario: 100, precio_total: 100 }],
+      link: { expires_at: '2030-01-01T00:00:00Z', respuesta: null },
+      puede_responder: true,
+      motivos_perdida: [{ id: 2, nombre: 'Precio' }]
+    })),
+    responder: vi.fn(() => Promise.resolve({ message: 'Cotizacion rechazada', estado: 'rechazada' }))
+  }
+}));
+
+import { publicCotizacionAPI } from '../../api';
+import CotizacionPublicaRoute from './CotizacionPublicaRoute';
+
+const renderRoute = () => render(
+  <MemoryRouter initialEntries={['/cotizacion/token-1']}>
+    <Routes>
+      <Route path="/cotizacion/:token" element={<CotizacionPublicaRoute />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('CotizacionPublicaRoute', () => {
+  it('renderiza la cotizacion con acciones de respuesta', async () => {
+    renderRoute();
+    expect(await screen.findByText('SKU-1')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Aceptar' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Rechazar' })).toBeInTheDocument();
+  });
+
+  it('exige un motivo de perdida para rechazar y lo envia con la respuesta', async () => {
+    renderRoute();
+    fireEvent.change(await screen.findByPlaceholderText('Tu nombre'), { target: { value: 'Cliente Final' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Rechazar' }));
+    expect(await screen.findByText('Elige el motivo del rechazo.')).toBeInTheDocument();
+    expect(publicCotizacionAPI.responder).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Motivo del rechazo'), { target: { value: '2' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Rechazar' }));
+    await waitFor(() => expect(publicCotizacionAPI.responder).toHaveBeenCalledWith('token-1', {
+      decision: 'rechazar',
+      nombre: 'Cliente Final',
+      comentario: '',
+      opciones: [],
+      motivo_perdida_id: 2
+    }));
+  });
+});
@@ -8,7 +8,7 @@ const getXLSX = () => {
   if (!_xlsxModulePromise) _xlsxModulePromise = import('xlsx');
   return _xlsxModulePromise;
 };
-import { authAPI, productosAPI, cotizacionesAPI, usuariosAPI, sesionesAPI, osoAPI, boMetaAPI, boLineMetaAPI, stockAPI } from '../../api';
+import { authAPI, productosAPI, cotizacionesAPI, usuariosAPI, sesionesAPI, osoAPI, boMetaAPI, boLineMetaAPI, stockAPI, tiposCambioAPI, parametrosPrecioAPI, kitsAPI, gpPisosAPI, validezCotizacionAPI, pricingAPI, conceptosAdicionalesAPI, impuestosAPI, motivosPerdidaAPI, recordatoriosAPI, cotizacionBosAPI, categoriasAPI } from '../../api';
 import { queryClient } from '../../app/queryClient';
 import { queryKeys } from '../../app/queryKeys';
 
@@ -21,7 +21,14 @@ import {
   MONTH_LABEL_FORMATTER,
   DEFAULT_AXIS_PARTNER,
   COTIZACION_ESTADOS,
+  COTIZACION_MONEDAS,
+  IVA_TASA_DEFAULT,
+  COTIZACION_LINEA_TIPO_LABELS,
   COTIZADOR_STOCK_ADMIN_ROLE,
+  EMPTY_HISTORIAL_FILTERS,
+  EMPTY_CONCEPTO_FORM,
+  EMPTY_CATALOG_FILTERS,
+  HISTORIAL_SORT_OPTIONS,
   COLUMN_MAP,
   VIEW_TO_ROUTE,
   ROUTE_TO_VIEW,
@@ -47,14 +54,32 @@ import {
   clearSessionForUser,
   calcularPrecioCliente,
   formatCurrency,
+  convertFromUsd,
+  formatMoney,
+  calcularImpuestos,
+  getIvaLabel,
   formatDateTime,
   formatInvoiceMonthLabel,
+  toDateOnlyKey,
   findValue,
   parseGp,
   normalizeLookupKey,
   formatStockQuantity,
   normalizeSearchText,
   buildSearchTokens,
+  diffCotizacionRevisionItems,
+  findGpPiso,
+  getAdicionalPrecioUnitario,
+  getAdicionalDescripcion,
+  getGrupoAlternativa,
+  isItemFueraDelTotal,
+  groupItemsBySeccion,
+  getSeccionesOrden,
+  moveCotizacionItem,
+  buildSeccionExcelRows,
+  formatDuracionHoras,
+  resolveAxisImport,
+  formatAtributosProducto,
   loadPdfDeps
 } from './cotizadorHelpers';
 import { CotizadorContext } from './cotizadorContext';
@@ -64,6 +89,7 @@ import ThemeToggle from '../theme/ThemeToggle';
 const DashboardView = lazy(() => import('./views/DashboardView'));
 const ConnectionsMap = lazy(() => import('./views/ConnectionsMap'));
 import LocationGate from './views/LocationGate';
+import PrecioHistorialChart from './views/PrecioHistorialChart';
 
 const NAV_ICON_PATHS = {
   home: 'M3 10.5 12 3l9 7.5M5.25 9.75V21h4.5v-6h4.5v6h4.5V9.75',
@@ -226,6 +252,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const navigate = useNavigate();
   const location = useLocation();
   const DEFAULT_PAGE_SIZE = 15;
+  const CATALOG_SEARCH_PAGE_SIZE = 20;
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [user, setUser] = useState(null);
   const userRole = normalizeRole(user?.role);
@@ -301,6 +328,10 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const [stockCatalogOrigin, setStockCatalogOrigin] = useState('all');
   const [editingId, setEditingId] = useState(null);
   const [editForm, setEditForm] = useState({});
+  const [productoHistorial, setProductoHistorial] = useState(null); // { producto, historial, loading, error }
+  const [syncPreview, setSyncPreview] = useState(null);
+  const [syncLogs, setSyncLogs] = useState([]);
+  const [syncLogsError, setSyncLogsError] = useState('');
   const [showAddForm, setShowAddForm] = useState(false);
   const [newProduct, setNewProduct] = useState({ marca: '', sku: '', mpn: '', desc: '', precio: '', gp: '15', tiempo: 'ETA por confirmar' });
   const [searchTerm, setSearchTerm] = useState('');
@@ -315,8 +346,48 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     fecha_implementacion: '',
     vms: ''
   });
+  const [cotizacionMoneda, setCotizacionMoneda] = useState('USD');
+  const [tipoCambioVigente, setTipoCambioVigente] = useState(null);
+  const [tiposCambio, setTiposCambio] = useState([]);
+  const [tiposCambioError, setTiposCambioError] = useState('');
+  const [tipoCambioForm, setTipoCambioForm] = useState({ valor: '', vigente_desde: '' });
+  const [kits, setKits] = useState([]);
+  const [kitsError, setKitsError] = useState('');
+  const [kitForm, setKitForm] = useState({ id: null, nombre: '', descripcion: '', lineas: '' });
+  const [conceptosAdicionales, setConceptosAdicionales] = useState([]);
+  const [conceptosError, setConceptosError] = useState('');
+  const [conceptoForm, setConceptoForm] = useState(EMPTY_CONCEPTO_FORM);
+  const [conceptoSeleccionado, setConceptoSeleccionado] = useState('');
+  // Líneas de servicios y cargos del carrito; el backend revalida montos contra la lista de precios.
+  const [cotizacionAdicionales, setCotizacionAdicionales] = useState([]);
+  const [opcionesElegidasById, setOpcionesElegidasById] = useState({});
+  // Secciones del carrito (sedes, edificios) en el orden en que se muestran y exportan.
+  const [cotizacionSecciones, setCotizacionSecciones] = useState([]);
+  const [nuevaSeccion, setNuevaSeccion] = useState('');
+  const dragItemIdRef = useRef(null);
+  const dragSeccionRef = useRef(null);
+  const [gpPisos, setGpPisos] = useState([]);
+  const [gpPisosError, setGpPisosError] = useState('');
+  const [gpPisoForm, setGpPisoForm] = useState({ origen: 'QNAP', marca: '', gp_min: '' });
+  const [validezReglas, setValidezReglas] = useState([]);
+  const [validezError, setValidezError] = useState('');
+  const [validezForm, setValidezForm] = useState({ origen: 'QNAP', marca: '', dias: '' });
+  // Tasa de IVA del cliente en curso (0 si esta exento) y lista de exentos para el admin.
+  const [ivaTasaCliente, setIvaTasaCliente] = useState(IVA_TASA_DEFAULT);
+  const [clientesExentosIva, setClientesExentosIva] = useState([]);
+  const [clientesExentosError, setClientesExentosError] = useState('');
+  const [clienteExentoForm, setClienteExentoForm] = useState({ empresa: '', motivo: '' });
+  const [aprobaciones, setAprobaciones] = useState([]);
+  const [aprobacionesError, setAprobacionesError] = useState('');
+  const [aprobacionComentarios, setAprobacionComentarios] = useState({});
   const [showAdminPanel, setShowAdminPanel] = useState(false);
   const [catalogSearch, setCatalogSearch] = useState('');
+  const [catalogFilters, setCatalogFilters] = useState(EMPTY_CATALOG_FILTERS);
+  const [categorias, setCategorias] = useState([]);
+  // Paginas de /api/productos/search: la tabla del admin y el buscador del carrito no filtran en memoria.
+  const [productosBusqueda, setProductosBusqueda] = useState({ rows: [], meta: { page: 1, total: 0, totalPages: 0 } });
+  const [catalogResultados, setCatalogResultados] = useState({ rows: [], meta: { page: 1, total: 0, totalPages: 0, hasNext: false }, loading: false });
+  const [catalogPage, setCatalogPage] = useState(1);
   const catalogInputRef = useRef(null);
   const [catalogDropdownStyle, setCatalogDropdownStyle] = useState(null);
   const stockExportRef = useRef(null);
@@ -394,8 +465,14 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const [funnelData, setFunnelData] = useState(null);
   const [funnelLoading, setFunnelLoading] = useState(false);
   const [funnelError, setFunnelError] = useState('');
+  const [perdidasData, setPerdidasData] = useState(null);
+  const [perdidasError, setPerdidasError] = useState('');
+  const [recordatorios, setRecordatorios] = useState([]);
+  const [recordatoriosError, setRecordatoriosError] = useState('');
   const [selectedHistorialIds, setSelectedHistorialIds] = useState(() => new Set());
   const [boByCotizacionId, setBoByCotizacionId] = useState({});
+  const [cotizacionBos, setCotizacionBos] = useState([]);
+  const [axisImportResult, setAxisImportResult] = useState(null);
   const [compraPreviewCot, setCompraPreviewCot] = useState(null);
   const [usuarios, setUsuarios] = useState([]);
   const [usuariosLoading, setUsuariosLoading] = useState(false);
@@ -411,6 +488,17 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const [sessionAutoRefresh, setSessionAutoRefresh] = useState(true);
   const [expandedUsuarioId, setExpandedUsuarioId] = useState(null);
   const [expandedHistorialId, setExpandedHistorialId] = useState(null);
+  const [revisionesByCotizacionId, setRevisionesByCotizacionId] = useState({});
+  const [revisionCompareById, setRevisionCompareById] = useState({});
+  const [estadoHistorialById, setEstadoHistorialById] = useState({});
+  const [estadoComentarioById, setEstadoComentarioById] = useState({});
+  // Motivo de pérdida y competidor que se envían al marcar la cotización como rechazada.
+  const [perdidaById, setPerdidaById] = useState({});
+  const [motivosPerdida, setMotivosPerdida] = useState([]);
+  const [motivosPerdidaError, setMotivosPerdidaError] = useState('');
+  const [nuevoMotivoPerdida, setNuevoMotivoPerdida] = useState('');
+  const [linksById, setLinksById] = useState({});
+  const [linkDiasById, setLinkDiasById] = useState({});
   const [dismissedRegistroById, setDismissedRegistroById] = useState({});
   const [empresaForm, setEmpresaForm] = useState({
     nombre: '',
@@ -616,6 +704,15 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const getOsoCustomerName = (order) =>
     (order?.customerName || getOsoMeta(order?.bo)?.customerName || 'Sin cliente').toString().trim() || 'Sin cliente';
 
+  const bosByCotizacionId = useMemo(() => cotizacionBos.reduce((acc, link) => {
+    (acc[link.cotizacion_id] = acc[link.cotizacion_id] || []).push(link);
+    return acc;
+  }, {}), [cotizacionBos]);
+  const cotizacionesByBo = useMemo(() => cotizacionBos.reduce((acc, link) => {
+    (acc[link.bo] = acc[link.bo] || []).push(link);
+    return acc;
+  }, {}), [cotizacionBos]);
+
   const filteredOsoOrders = useMemo(() => {
     const query = isAdmin ? '' : (osoFilter || '').trim().toLowerCase();
     const companyFilter = (osoCompanyFilter || '').trim().toLowerCase();
@@ -1389,20 +1486,21 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const [ownPartnerCategory, setOwnPartnerCategory] = useState(DEFAULT_AXIS_PARTNER);
   const [updatingOwnPartnerCategory, setUpdatingOwnPartnerCategory] = useState(false);
   const [updatingCotizacionPartner, setUpdatingCotizacionPartner] = useState(false);
-  const [historialFilters, setHistorialFilters] = useState({
-    fecha: '',
-    cliente: '',
-    pid: '',
-    proyecto: '',
-    producto: '',
-    estados: []
-  });
+  const [historialFilters, setHistorialFilters] = useState(EMPTY_HISTORIAL_FILTERS);
+  const [historialMeta, setHistorialMeta] = useState({ page: 1, total: 0, totalPages: 0, counts: { cliente: 0, registro: 0, estados: {} } });
+  const [historialReloadKey, setHistorialReloadKey] = useState(0);
   const [calcParams, setCalcParams] = useState({
     INBOUND_FREIGHT: CONSTANTS.INBOUND_FREIGHT,
     IC: CONSTANTS.IC,
     INT: CONSTANTS.INT,
     DEFAULT_GP: CONSTANTS.DEFAULT_GP
   });
+  const [axisCalcParams, setAxisCalcParams] = useState(AXIS_CONSTANTS);
+  const [parametrosPrecioVigentes, setParametrosPrecioVigentes] = useState({});
+  const [parametrosPrecio, setParametrosPrecio] = useState([]);
+  const [parametrosPrecioError, setParametrosPrecioError] = useState('');
+  const [parametroPrecioForm, setParametroPrecioForm] = useState({ inbound_freight: '', ic: '', interes: '', vigente_desde: '', comentario: '' });
+  const [pricingPreviewById, setPricingPreviewById] = useState({});
   const [showProjectRegistro, setShowProjectRegistro] = useState(false);
   const [projectRegistroModal, setProjectRegistroModal] = useState(null);
   const [editingCotizacionId, setEditingCotizacionId] = useState(null);
@@ -1470,13 +1568,12 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     if (currentUser.partner_category) setCotizacionPartnerCategory(currentUser.partner_category);
   };
 
-  const updateCalcParam = (key, value, isPercent = false) => {
-    const parsed = parseFloat(value);
-    setCalcParams(prev => ({
-      ...prev,
-      [key]: Number.isNaN(parsed) ? 0 : (isPercent ? parsed / 100 : parsed)
-    }));
-  };
+  // Fila de parametros_precio -> factores usados por el calculo local de respaldo.
+  const toCalcFactors = (row, fallback) => (row ? {
+    INBOUND_FREIGHT: Number(row.inbound_freight) || fallback.INBOUND_FREIGHT,
+    IC: Number(row.ic) || fallback.IC,
+    INT: Number.isFinite(Number(row.interes)) ? Number(row.interes) : fallback.INT
+  } : fallback);
 
   const calcularPrecioClienteLocal = (precioDisty, gp = 0.15) =>
     calcularPrecioCliente(precioDisty, gp, calcParams);
@@ -1490,15 +1587,48 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   };
 
   const calcularPrecioClienteAxis = (precioDisty, gp, partnerRebate, projectRebate) => {
-    const costoXUS = precioDisty * AXIS_CONSTANTS.INBOUND_FREIGHT;
-    const costoFinalXUS = costoXUS / AXIS_CONSTANTS.IC;
-    const costoXCL = costoFinalXUS * (1 + AXIS_CONSTANTS.INT);
+    const costoXUS = precioDisty * axisCalcParams.INBOUND_FREIGHT;
+    const costoFinalXUS = costoXUS / axisCalcParams.IC;
+    const costoXCL = costoFinalXUS * (1 + axisCalcParams.INT);
     const rebateTotal = (partnerRebate || 0) + (projectRebate || 0);
     const costoFinalXCL = Math.max(costoXCL - rebateTotal, 0);
     return costoFinalXCL / (1 - gp);
   };
 
+  // Linea enviada a /api/pricing/preview. Los clientes solo mandan producto y cantidad.
+  const buildPricingPreviewLine = (item) => {
+    const cantidad = Math.max(parseInt(item.cant, 10) || 1, 1);
+    if (!isAdmin) return { producto_id: item.id, cantidad };
+    const isAxis = (item.origen || 'QNAP') === 'AXIS';
+    return {
+      producto_id: item.id,
+      cantidad,
+      gp: item.gpOverride ?? (isAxis ? cotizacionGpGlobalAxis : cotizacionGpGlobalQnap),
+      precio_disty: Number(item.precio) || 0,
+      ...(isAxis ? {
+        partner_category: item.partnerCategory || cotizacionPartnerCategory,
+        rebate_proyecto: parseFloat(item.rebateProject) || 0
+      } : {})
+    };
+  };
+
+  // La cantidad no cambia el precio unitario, asi que no invalida la vista previa.
+  const getPricingPreviewSignature = (item) => {
+    const inputs = buildPricingPreviewLine(item);
+    delete inputs.cantidad;
+    return JSON.stringify(inputs);
+  };
+
+  // Precio del servidor para la linea, o null si aun no llega o quedo desactualizado.
+  const getPricingPreviewLine = (item) => {
+    const entry = pricingPreviewById[item.id];
+    if (!entry || entry.signature !== getPricingPreviewSignature(item)) return null;
+    return entry.line;
+  };
+
   const calcularPrecioClienteItem = (item) => {
+    const preview = getPricingPreviewLine(item);
+    if (preview) return Number(preview.precio_unitario) || 0;
     if (!isAdmin) {
       return Number(item.precio_cliente ?? item.precio ?? 0);
     }
@@ -1549,11 +1679,13 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     return noAccents.replace(/[^a-zA-Z0-9]+/g, '');
   };
 
-  const buildExportFilename = (dateValue, projectName, integratorName) => {
+  // Las cotizaciones guardadas usan el folio (COT-2026-000123_proyecto), igual que el backend.
+  const buildExportFilename = (dateValue, projectName, integratorName, folio = '') => {
     const dateKey = getDateKeyCompact(dateValue) || getDateKeyCompact(new Date());
     const project = sanitizeFilenamePart(projectName);
     const integrator = sanitizeFilenamePart(integratorName);
     const namePart = project || integrator || 'cotizacion';
+    if (folio) return `${folio}_${namePart}`;
     return `${dateKey || 'export'}_${namePart}_v1`;
   };
 
@@ -1704,6 +1836,29 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     setLoading(false);
   }, []);
 
+  // Fila de /api/productos (o /api/productos/search) con los precios que corresponden al rol.
+  const mapProductoRow = (p, isAdminForLoad = isAdmin) => ({
+    id: p.id,
+    origen: p.origen || 'QNAP',
+    marca: p.marca || '',
+    sku: p.sku || '',
+    mpn: p.mpn || '',
+    desc: p.descripcion || '',
+    precio: isAdminForLoad ? (parseFloat(p.precio_disty) || 0) : (parseFloat(p.precio_cliente) || 0),
+    precio_cliente: !isAdminForLoad ? (parseFloat(p.precio_cliente) || 0) : undefined,
+    gp: isAdminForLoad ? parseGp(p.gp, calcParams.DEFAULT_GP) : undefined,
+    rebate_partner_autorizado: isAdminForLoad ? (parseFloat(p.rebate_partner_autorizado) || 0) : undefined,
+    rebate_partner_silver: isAdminForLoad ? (parseFloat(p.rebate_partner_silver) || 0) : undefined,
+    rebate_partner_gold: isAdminForLoad ? (parseFloat(p.rebate_partner_gold) || 0) : undefined,
+    rebate_partner_multiregional: isAdminForLoad ? (parseFloat(p.rebate_partner_multiregional) || 0) : undefined,
+    tiempo: p.tiempo_entrega || 'ETA por confirmar',
+    categoria_id: p.categoria_id ?? null,
+    bahias: p.bahias ?? null,
+    resolucion: p.resolucion || '',
+    poe_clase: p.poe_clase || '',
+    factor_forma: p.factor_forma || ''
+  });
+
   // Cargar productos del backend
   const loadProductos = async (roleOverride) => {
     try {
@@ -1713,22 +1868,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         queryFn: () => productosAPI.getAll(),
         staleTime: 0
       });
-      const mapped = data.map(p => ({
-        id: p.id,
-        origen: p.origen || 'QNAP',
-        marca: p.marca || '',
-        sku: p.sku || '',
-        mpn: p.mpn || '',
-        desc: p.descripcion || '',
-        precio: isAdminForLoad ? (parseFloat(p.precio_disty) || 0) : (parseFloat(p.precio_cliente) || 0),
-        precio_cliente: !isAdminForLoad ? (parseFloat(p.precio_cliente) || 0) : undefined,
-        gp: isAdminForLoad ? parseGp(p.gp, calcParams.DEFAULT_GP) : undefined,
-        rebate_partner_autorizado: isAdminForLoad ? (parseFloat(p.rebate_partner_autorizado) || 0) : undefined,
-        rebate_partner_silver: isAdminForLoad ? (parseFloat(p.rebate_partner_silver) || 0) : undefined,
-        rebate_partner_gold: isAdminForLoad ? (parseFloat(p.rebate_partner_gold) || 0) : undefined,
-        rebate_partner_multiregional: isAdminForLoad ? (parseFloat(p.rebate_partner_multiregional) || 0) : undefined,
-        tiempo: p.tiempo_entrega || 'ETA por confirmar'
-      }));
+      const mapped = data.map(p => mapProductoRow(p, isAdminForLoad));
       setProductos(mapped);
       return mapped;
     } catch (error) {
@@ -1866,6 +2006,27 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     };
   }, [isLoggedIn, user]);
 
+  const historialQueryParams = useMemo(() => {
+    const [sortBy, sortDir] = (historialFilters.sort || EMPTY_HISTORIAL_FILTERS.sort).split(':');
+    return {
+      page: pageByTable.historial || 1,
+      pageSize: pageSizeByTable.historial || DEFAULT_PAGE_SIZE,
+      q: isAdmin ? globalQuery : '',
+      cliente: historialFilters.cliente.trim(),
+      pid: historialFilters.pid.trim(),
+      proyecto: historialFilters.proyecto.trim(),
+      producto: historialFilters.producto.trim(),
+      usuario: isFullAdmin ? historialFilters.usuario.trim() : '',
+      estados: historialFilters.estados,
+      from: historialFilters.desde,
+      to: historialFilters.hasta,
+      totalMin: historialFilters.totalMin,
+      totalMax: historialFilters.totalMax,
+      sortBy,
+      sortDir
+    };
+  }, [historialFilters, globalQuery, isAdmin, isFullAdmin, pageByTable.historial, pageSizeByTable.historial]);
+
   useEffect(() => {
     if (!isLoggedIn || currentView !== 'historial') return;
     let cancelled = false;
@@ -1874,22 +2035,99 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
       setHistorialError('');
       try {
         const data = await queryClient.fetchQuery({
-          queryKey: [...queryKeys.cotizaciones, 'includeItems'],
-          queryFn: () => cotizacionesAPI.getAll({ includeItems: true }),
+          queryKey: [...queryKeys.cotizaciones, 'includeItems', historialQueryParams],
+          queryFn: () => cotizacionesAPI.getAll({ includeItems: true, ...historialQueryParams }),
           staleTime: 0
         });
-        if (!cancelled) setHistorial(data);
+        if (!cancelled) {
+          setHistorial(Array.isArray(data?.data) ? data.data : []);
+          if (data?.meta) setHistorialMeta(data.meta);
+        }
       } catch (error) {
         if (!cancelled) setHistorialError('Error obteniendo historial');
       } finally {
         if (!cancelled) setHistorialLoading(false);
       }
     };
-    loadHistorial();
+    // Los filtros de texto cambian por tecla; se espera un momento antes de consultar.
+    const timer = setTimeout(loadHistorial, 250);
     return () => {
       cancelled = true;
+      clearTimeout(timer);
     };
-  }, [isLoggedIn, currentView]);
+  }, [isLoggedIn, currentView, historialQueryParams, historialReloadKey]);
+
+  // Tabla de productos del admin: busca y pagina en el servidor. Incluye inactivos, como /api/productos?origen=.
+  // Depende de productos para recargar la pagina despues de editar, importar o eliminar.
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'admin') return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await productosAPI.search({
+          q: isAdmin ? globalQuery : searchTerm.trim(),
+          origen: adminOrigin,
+          activo: 0,
+          page: pageByTable.productos || 1,
+          pageSize: pageSizeByTable.productos || DEFAULT_PAGE_SIZE
+        });
+        if (!cancelled) {
+          setProductosBusqueda({
+            rows: (data?.data || []).map(p => mapProductoRow(p)),
+            meta: data?.meta || { page: 1, total: 0, totalPages: 0 }
+          });
+        }
+      } catch (error) {
+        if (!cancelled) console.error('Error buscando productos:', error);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isLoggedIn, isFullAdmin, currentView, isAdmin, globalQuery, searchTerm, adminOrigin, pageByTable.productos, pageSizeByTable.productos, productos]);
+
+  // Buscador del carrito: el servidor ordena por coincidencia de codigo y pagina con "Ver mas".
+  useEffect(() => {
+    setCatalogPage(1);
+  }, [catalogSearch, catalogFilters, isCotizadorStockAdmin]);
+
+  useEffect(() => {
+    const texto = catalogSearch.trim();
+    const filtrosActivos = Object.values(catalogFilters).some(Boolean);
+    if (!isLoggedIn || (!texto && !filtrosActivos)) {
+      setCatalogResultados({ rows: [], meta: { page: 1, total: 0, totalPages: 0, hasNext: false }, loading: false });
+      return undefined;
+    }
+    let cancelled = false;
+    setCatalogResultados(prev => ({ ...prev, loading: true }));
+    const timer = setTimeout(async () => {
+      try {
+        const data = await productosAPI.search({
+          q: texto,
+          origen: isCotizadorStockAdmin ? 'AXIS' : '',
+          ...catalogFilters,
+          page: catalogPage,
+          pageSize: CATALOG_SEARCH_PAGE_SIZE
+        });
+        if (cancelled) return;
+        const rows = (data?.data || []).map(p => mapProductoRow(p));
+        setCatalogResultados(prev => ({
+          rows: catalogPage > 1 ? [...prev.rows, ...rows] : rows,
+          meta: data?.meta || { page: catalogPage, total: 0, totalPages: 0, hasNext: false },
+          loading: false
+        }));
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error buscando productos:', error);
+        setCatalogResultados(prev => ({ ...prev, loading: false }));
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isLoggedIn, catalogSearch, catalogFilters, isCotizadorStockAdmin, catalogPage]);
 
   useEffect(() => {
     if (!isLoggedIn || currentView !== 'stock') return;
@@ -1901,6 +2139,91 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     loadUsuarios();
   }, [isLoggedIn, isFullAdmin, currentView]);
 
+  useEffect(() => {
+    if (!isLoggedIn || cotizacionMoneda === 'USD') return;
+    let cancelled = false;
+    tiposCambioAPI.getVigente(cotizacionMoneda)
+      .then(row => { if (!cancelled) setTipoCambioVigente(row); })
+      .catch(() => { if (!cancelled) setTipoCambioVigente(null); });
+    return () => {
+      cancelled = true;
+    };
+  }, [isLoggedIn, cotizacionMoneda]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'admin') return;
+    loadTiposCambio();
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
+  // El calculo local de respaldo usa las mismas versiones vigentes que el backend.
+  useEffect(() => {
+    if (!isLoggedIn || !isAdmin) return;
+    loadParametrosPrecioVigentes();
+  }, [isLoggedIn, isAdmin]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isAdmin || currentView !== 'admin') return;
+    loadParametrosPrecio();
+  }, [isLoggedIn, isAdmin, currentView, adminOrigin]);
+
+  useEffect(() => {
+    if (!isLoggedIn || (currentView !== 'cotizador' && currentView !== 'admin')) return;
+    loadKits();
+  }, [isLoggedIn, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || currentView !== 'cotizador') return;
+    loadCategorias();
+  }, [isLoggedIn, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || (currentView !== 'cotizador' && currentView !== 'admin')) return;
+    loadConceptosAdicionales();
+  }, [isLoggedIn, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isAdmin || (currentView !== 'cotizador' && currentView !== 'admin')) return;
+    loadGpPisos();
+  }, [isLoggedIn, isAdmin, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'admin') return;
+    loadValidezReglas();
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'admin') return;
+    loadClientesExentosIva();
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'admin') return;
+    loadSyncLogs();
+  }, [isLoggedIn, isFullAdmin, currentView, adminOrigin]);
+
+  // La tasa se consulta al backend por empresa para que las exenciones se vean antes de guardar.
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await impuestosAPI.getIva(cliente.empresa?.trim() || '');
+        if (!cancelled) setIvaTasaCliente(Number(data?.iva_tasa) || 0);
+      } catch {
+        if (!cancelled) setIvaTasaCliente(IVA_TASA_DEFAULT);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isLoggedIn, cliente.empresa]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'historial') return;
+    loadAprobaciones();
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
   useEffect(() => {
     if (!isLoggedIn || (!isFullAdmin && !canViewCompras) || (currentView !== 'ordenes' && currentView !== 'compras')) return;
     loadOsoOrders();
@@ -1910,8 +2233,19 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   useEffect(() => {
     if (!isLoggedIn || !isFullAdmin || currentView !== 'historial') return;
     loadFunnel();
+    loadPerdidas();
   }, [isLoggedIn, isFullAdmin, currentView, funnelDays, funnelEmpresa, funnelFrom, funnelTo]);
 
+  useEffect(() => {
+    if (!isLoggedIn || !isAdmin || (currentView !== 'historial' && currentView !== 'admin')) return;
+    loadMotivosPerdida();
+  }, [isLoggedIn, isAdmin, isFullAdmin, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'historial') return;
+    loadCotizacionBos();
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
   useEffect(() => {
     if (!isLoggedIn || !isFullAdmin || currentView !== 'usuarios') return;
     let active = true;
@@ -2172,6 +2506,16 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     setEditForm({ ...p, gp: (p.gp * 100).toFixed(0), precio: p.precio.toString() }); 
   };
   
+  const openProductoHistorial = async (p) => {
+    setProductoHistorial({ producto: p, historial: [], loading: true, error: '' });
+    try {
+      const data = await productosAPI.getHistory(p.id);
+      setProductoHistorial({ producto: p, historial: data.historial || [], loading: false, error: '' });
+    } catch (error) {
+      setProductoHistorial({ producto: p, historial: [], loading: false, error: error.message || 'Error obteniendo historial' });
+    }
+  };
+
   const saveEdit = async () => {
     try {
       setSaving(true);
@@ -2251,12 +2595,12 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     return `${qtyText} ${STOCK_DELIVERY_SUFFIX}`;
   };
 
-  const addToCotizacion = (producto) => {
+  const addToCotizacion = (producto, cantidad = 1) => {
     const exists = cotizacion.find(x => x.id === producto.id);
-    if (exists) setCotizacion(c => c.map(x => x.id === producto.id ? { ...x, cant: x.cant + 1 } : x));
+    if (exists) setCotizacion(c => c.map(x => x.id === producto.id ? { ...x, cant: x.cant + cantidad } : x));
     else setCotizacion(c => [...c, {
       ...producto,
-      cant: 1,
+      cant: cantidad,
       partnerCategory: producto.origen === 'AXIS' ? cotizacionPartnerCategory : undefined,
       rebateProject: producto.origen === 'AXIS' ? 0 : undefined,
       gpOverride: null,
@@ -2264,6 +2608,23 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     }]);
   };
 
+  // Expande el kit con el catálogo cargado; al guardar, el backend vuelve a valorizar cada línea.
+  const addKitToCotizacion = (kit) => {
+    const byId = new Map(productos.map(p => [Number(p.id), p]));
+    const faltantes = [];
+    (kit?.items || []).forEach(item => {
+      const producto = byId.get(Number(item.producto_id));
+      if (!producto) {
+        faltantes.push(item.sku || item.mpn || item.producto_id);
+        return;
+      }
+      addToCotizacion(producto, Number(item.cantidad) || 1);
+    });
+    if (faltantes.length > 0) {
+      alert(`Productos del kit no disponibles en el catálogo: ${faltantes.join(', ')}`);
+    }
+  };
+
   const applyPartnerCategoryToAxis = (category) => {
     setCotizacionPartnerCategory(category);
     setCotizacion(items => items.map(item => (
@@ -2347,14 +2708,130 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
 
   const removeItem = (id) => setCotizacion(c => c.filter(x => x.id !== id));
   const clearCotizacion = () => {
-    if (cotizacion.length === 0) return;
+    if (cotizacion.length === 0 && cotizacionAdicionales.length === 0) return;
     if (!confirm('Limpiar todos los productos de la cotización?')) return;
     setCotizacion([]);
+    setCotizacionAdicionales([]);
+    setCotizacionSecciones([]);
+  };
+
+  const seccionGroups = useMemo(
+    () => groupItemsBySeccion(cotizacion, cotizacionSecciones),
+    [cotizacion, cotizacionSecciones]
+  );
+  // Orden de guardado y exportación: agrupado por sección.
+  const cotizacionOrdenada = useMemo(() => seccionGroups.flatMap(group => group.items), [seccionGroups]);
+
+  const addSeccion = () => {
+    const nombre = nuevaSeccion.trim().slice(0, 100);
+    if (!nombre || cotizacionSecciones.includes(nombre)) return;
+    setCotizacionSecciones(prev => [...prev, nombre]);
+    setNuevaSeccion('');
+  };
+  const removeSeccion = (nombre) => {
+    setCotizacionSecciones(prev => prev.filter(seccion => seccion !== nombre));
+    setCotizacion(prev => prev.map(item => (item.seccion === nombre ? { ...item, seccion: '' } : item)));
+  };
+  const dropOnItem = (target) => {
+    const itemId = dragItemIdRef.current;
+    dragItemIdRef.current = null;
+    if (itemId === null) return;
+    setCotizacion(prev => moveCotizacionItem(prev, itemId, { beforeId: target.id, seccion: target.seccion || '' }));
+  };
+  // Soltar una línea en un encabezado la deja al final de esa sección; soltar una sección la ubica antes.
+  const dropOnSeccion = (seccion) => {
+    const itemId = dragItemIdRef.current;
+    const draggedSeccion = dragSeccionRef.current;
+    dragItemIdRef.current = null;
+    dragSeccionRef.current = null;
+    if (itemId !== null) {
+      setCotizacion(prev => moveCotizacionItem(prev, itemId, { seccion }));
+      return;
+    }
+    if (!draggedSeccion || !seccion || draggedSeccion === seccion) return;
+    setCotizacionSecciones(prev => {
+      const rest = prev.filter(nombre => nombre !== draggedSeccion);
+      const index = rest.indexOf(seccion);
+      return [...rest.slice(0, index), draggedSeccion, ...rest.slice(index)];
+    });
+  };
+
+  const addAdicional = () => {
+    const concepto = conceptosAdicionales.find(c => String(c.id) === String(conceptoSeleccionado));
+    if (!concepto) return;
+    const precioFijo = concepto.precio === null || concepto.precio === undefined ? null : Number(concepto.precio);
+    setCotizacionAdicionales(prev => [...prev, {
+      key: `${concepto.id}-${Date.now()}`,
+      concepto_id: concepto.id,
+      tipo: concepto.tipo,
+      nombre: concepto.nombre,
+      precio: precioFijo,
+      precio_min: Number(concepto.precio_min) || 0,
+      precio_max: concepto.precio_max === null || concepto.precio_max === undefined ? null : Number(concepto.precio_max),
+      cantidad: 1,
+      monto: precioFijo ?? (Number(concepto.precio_min) || 0),
+      detalle: ''
+    }]);
+    setConceptoSeleccionado('');
+  };
+  const updateAdicional = (key, field, value) => {
+    setCotizacionAdicionales(prev => prev.map(linea => {
+      if (linea.key !== key) return linea;
+      if (field === 'cantidad') return { ...linea, cantidad: Math.max(1, parseInt(value, 10) || 1) };
+      if (field === 'monto') return { ...linea, monto: Math.max(0, Number(value) || 0) };
+      return { ...linea, [field]: value };
+    }));
   };
+  const removeAdicional = (key) => setCotizacionAdicionales(prev => prev.filter(linea => linea.key !== key));
+
   const totalCotizacion = useMemo(
-    () => cotizacion.reduce((t, i) => t + calcularPrecioClienteItem(i) * i.cant, 0),
-    [cotizacion, calcParams, cotizacionGpGlobalQnap, cotizacionGpGlobalAxis]
+    () => cotizacion.reduce((t, i) => (isItemFueraDelTotal(i) ? t : t + calcularPrecioClienteItem(i) * i.cant), 0)
+      + cotizacionAdicionales.reduce((t, linea) => t + getAdicionalPrecioUnitario(linea) * linea.cantidad, 0),
+    [cotizacion, cotizacionAdicionales, calcParams, cotizacionGpGlobalQnap, cotizacionGpGlobalAxis, pricingPreviewById]
   );
+  const impuestosCotizacion = useMemo(
+    () => calcularImpuestos(totalCotizacion, ivaTasaCliente),
+    [totalCotizacion, ivaTasaCliente]
+  );
+
+  // Valoriza el carrito en el servidor; el calculo local queda solo como respaldo mientras responde.
+  useEffect(() => {
+    if (cotizacion.length === 0) {
+      setPricingPreviewById({});
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await pricingAPI.preview(cotizacion.map(buildPricingPreviewLine));
+        if (cancelled) return;
+        const next = {};
+        cotizacion.forEach((item, index) => {
+          const line = result?.items?.[index];
+          if (line) next[item.id] = { signature: getPricingPreviewSignature(item), line };
+        });
+        setPricingPreviewById(next);
+      } catch (error) {
+        if (!cancelled) console.error('Error calculando precios:', error);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cotizacion, isAdmin, cotizacionGpGlobalQnap, cotizacionGpGlobalAxis, cotizacionPartnerCategory]);
+  // Solo aviso: el backend vuelve a evaluar los pisos al guardar y al emitir el PDF.
+  const cotizacionBajoPiso = useMemo(() => {
+    if (!isAdmin || gpPisos.length === 0) return [];
+    return cotizacion
+      .map(item => {
+        const origen = item.origen || 'QNAP';
+        const gp = item.gpOverride ?? (origen === 'AXIS' ? cotizacionGpGlobalAxis : cotizacionGpGlobalQnap);
+        const gpMin = findGpPiso(gpPisos, origen, item.marca);
+        return { item, gp, gpMin };
+      })
+      .filter(({ gp, gpMin }) => gpMin !== null && gp < gpMin);
+  }, [isAdmin, gpPisos, cotizacion, cotizacionGpGlobalQnap, cotizacionGpGlobalAxis]);
 
   // Guardar cotización
   const saveCotizacion = async () => {
@@ -2375,7 +2852,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         ...(hasRegistroProyecto ? registroProyecto : {})
       };
       const items = isAdmin
-        ? cotizacion.map(item => ({
+        ? cotizacionOrdenada.map(item => ({
             producto_id: item.id,
             marca: item.marca,
             sku: item.sku,
@@ -2386,14 +2863,28 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
             cantidad: item.cant,
             precio_unitario: calcularPrecioClienteItem(item),
             precio_total: calcularPrecioClienteItem(item) * item.cant,
-            tiempo_entrega: item.tiempo
+            tiempo_entrega: item.tiempo,
+            opcional: item.opcional === true,
+            grupo_alternativa: getGrupoAlternativa(item),
+            seccion: item.seccion || ''
           }))
-        : cotizacion.map(item => ({
+        : cotizacionOrdenada.map(item => ({
             producto_id: item.id,
-            cantidad: item.cant
+            cantidad: item.cant,
+            opcional: item.opcional === true,
+            grupo_alternativa: getGrupoAlternativa(item),
+            seccion: item.seccion || ''
           }));
+      cotizacionAdicionales.forEach(linea => {
+        items.push({
+          concepto_id: linea.concepto_id,
+          cantidad: linea.cantidad,
+          precio_unitario: linea.monto,
+          detalle: linea.detalle.trim()
+        });
+      });
 
-      await cotizacionesAPI.create({
+      const result = await cotizacionesAPI.create({
         cliente: {
           nombre: clientePayload.nombre,
           empresa: clientePayload.empresa,
@@ -2401,10 +2892,15 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
           telefono: clientePayload.proyecto
         },
         items,
-        total: totalCotizacion
+        total: totalCotizacion,
+        moneda: cotizacionMoneda
       });
 
-      alert('Cotización guardada correctamente');
+      if (result?.cotizacion?.aprobacion === 'pendiente') {
+        alert(`Cotización ${result.cotizacion?.folio || ''} guardada. Tiene ${result.bajo_piso?.length || 0} línea(s) bajo el GP mínimo y quedó pendiente de aprobación; el PDF se habilita cuando un admin la apruebe.`);
+      } else {
+        alert(result.cotizacion?.folio ? `Cotización ${result.cotizacion.folio} guardada correctamente` : 'Cotización guardada correctamente');
+      }
     } catch (error) {
       alert(error.message || 'Error al guardar cotización');
     } finally {
@@ -2434,106 +2930,546 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     }
   };
 
-  const loadOsoOrders = async () => {
+  const loadTiposCambio = async () => {
     try {
-      setOsoLoading(true);
-      setOsoError('');
-      const [data, metaRows] = await Promise.all([
-        osoAPI.getOrders(),
-        boMetaAPI.getAll()
-      ]);
-      const orders = data.orders || [];
-      const metaMap = (metaRows || []).reduce((acc, row) => {
-        if (!row?.bo) return acc;
-        const invoiceMonth = normalizeInvoiceMonthValue(row.estimated_invoice_month || row.estimatedInvoiceMonth || row.estimated_invoice_date || row.estimatedInvoiceDate || '');
-        const invoiceWeek = normalizeInvoiceWeekValue(row.estimated_invoice_week ?? row.estimatedInvoiceWeek ?? '');
-        acc[row.bo] = {
-          projectName: row.project_name || row.projectName || '',
-          poAxis: row.po_axis || row.poAxis || '',
-          estimatedInvoiceDate: row.estimated_invoice_date || row.estimatedInvoiceDate || '',
-          estimatedInvoiceMonth: invoiceMonth,
-          estimatedInvoiceWeek: invoiceWeek,
-          sAndDStatus: row.s_and_d_status || row.sAndDStatus || '',
-          invoiced: row.invoiced ?? false,
-          invoicedAt: row.invoiced_at || row.invoicedAt || '',
-          customerName: row.customer_name || row.customerName || '',
-          allocPct: row.alloc_pct ?? row.allocPct,
-          customerPO: row.customer_po || row.customerPO || '',
-          lastSeenAt: row.last_seen_at || row.lastSeenAt || '',
-          purchaseStatus: row.purchase_status || row.purchaseStatus || '',
-          purchaseDispatch: row.purchase_dispatch || row.purchaseDispatch || '',
-          purchaseShipping: row.purchase_shipping || row.purchaseShipping || '',
-          purchaseSo: row.purchase_so || row.purchaseSo || '',
-          deleted: row.deleted ?? false,
-          deletedAt: row.deleted_at || row.deletedAt || '',
-          deletedComment: row.deleted_comment || row.deletedComment || '',
-          deletedBy: row.deleted_by || row.deletedBy || null
-        };
-        return acc;
-      }, {});
-      setOsoOrders(orders);
-      setBoMeta(metaMap);
-      const existingBos = new Set(orders.map(order => order.bo));
-      const missingBos = Object.keys(metaMap).filter(bo =>
-        !existingBos.has(bo) && !metaMap[bo]?.invoiced && !metaMap[bo]?.deleted
-      );
-      setMissingBos(missingBos);
-      setShowMissingBosModal(missingBos.length > 0);
+      setTiposCambioError('');
+      const rows = await tiposCambioAPI.getAll('CLP');
+      setTiposCambio(Array.isArray(rows) ? rows : []);
     } catch (error) {
-      setOsoError(error.message || 'Error cargando ordenes');
+      setTiposCambioError(error.message || 'Error cargando tipos de cambio');
+    }
+  };
+
+  const saveTipoCambio = async () => {
+    const valor = Number(tipoCambioForm.valor);
+    if (!Number.isFinite(valor) || valor <= 0 || !tipoCambioForm.vigente_desde) {
+      alert('Ingresa un valor y una fecha de vigencia');
+      return;
+    }
+    try {
+      setSaving(true);
+      await tiposCambioAPI.save({ moneda: 'CLP', valor, vigente_desde: tipoCambioForm.vigente_desde });
+      setTipoCambioForm({ valor: '', vigente_desde: '' });
+      await loadTiposCambio();
+    } catch (error) {
+      alert(error.message || 'Error guardando tipo de cambio');
     } finally {
-      setOsoLoading(false);
+      setSaving(false);
     }
   };
 
-  useEffect(() => {
-    if (!isLoggedIn || !isFullAdmin || currentView !== 'dashboard') return;
-    let cancelled = false;
-    const loadDashboardMetrics = async () => {
-      try {
-        const data = await queryClient.fetchQuery({
-          queryKey: queryKeys.cotizaciones,
-          queryFn: () => cotizacionesAPI.getAll(),
-          staleTime: 0
-        });
-        const rows = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
-        if (!cancelled) setHistorial(rows);
-      } catch (_) {
-        if (!cancelled) setHistorial([]);
-      }
-      await Promise.all([loadUsuarios(), loadOsoOrders()]);
-    };
-    loadDashboardMetrics();
-    return () => {
-      cancelled = true;
-    };
-  }, [isLoggedIn, isFullAdmin, currentView]);
+  const deleteTipoCambio = async (id) => {
+    if (!window.confirm('¿Eliminar este tipo de cambio? Las cotizaciones guardadas conservan el suyo.')) return;
+    try {
+      setSaving(true);
+      await tiposCambioAPI.remove(id);
+      setTiposCambio(prev => prev.filter(row => row.id !== id));
+    } catch (error) {
+      alert(error.message || 'Error eliminando tipo de cambio');
+    } finally {
+      setSaving(false);
+    }
+  };
 
-  useEffect(() => {
-    if (!isLoggedIn || !isFullAdmin || currentView !== 'dashboard') return;
-    let cancelled = false;
-    productosAPI.getSyncStatus()
-      .then((data) => { if (!cancelled) setSyncStatus(data); })
-      .catch(() => { if (!cancelled) setSyncStatus(null); });
-    return () => {
-      cancelled = true;
-    };
-  }, [isLoggedIn, isFullAdmin, currentView]);
+  const loadParametrosPrecioVigentes = async () => {
+    try {
+      const vigentes = await parametrosPrecioAPI.getVigentes();
+      setParametrosPrecioVigentes(vigentes || {});
+      setCalcParams(prev => ({ ...prev, ...toCalcFactors(vigentes?.QNAP, CONSTANTS) }));
+      setAxisCalcParams(toCalcFactors(vigentes?.AXIS, AXIS_CONSTANTS));
+    } catch (error) {
+      console.error('Error cargando parámetros de precio:', error);
+    }
+  };
 
-  // Drawer móvil: cerrar con Escape y bloquear el scroll del fondo mientras está abierto.
-  useEffect(() => {
-    if (!mobileMenuOpen) return;
-    const onKeyDown = (e) => {
-      if (e.key === 'Escape') setMobileMenuOpen(false);
-    };
-    window.addEventListener('keydown', onKeyDown);
-    const prevOverflow = document.body.style.overflow;
-    document.body.style.overflow = 'hidden';
-    return () => {
-      window.removeEventListener('keydown', onKeyDown);
-      document.body.style.overflow = prevOverflow;
-    };
-  }, [mobileMenuOpen]);
+  const loadParametrosPrecio = async () => {
+    try {
+      setParametrosPrecioError('');
+      const rows = await parametrosPrecioAPI.getAll(adminOrigin);
+      setParametrosPrecio(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setParametrosPrecioError(error.message || 'Error cargando parámetros de precio');
+    }
+  };
+
+  const saveParametroPrecio = async () => {
+    const inboundFreight = Number(parametroPrecioForm.inbound_freight);
+    const ic = Number(parametroPrecioForm.ic);
+    const interes = Number(parametroPrecioForm.interes) / 100;
+    if (!Number.isFinite(inboundFreight) || inboundFreight < 1 || !Number.isFinite(ic) || ic <= 0 || ic > 1
+      || !Number.isFinite(interes) || interes < 0 || interes >= 1 || parametroPrecioForm.interes === '' || !parametroPrecioForm.vigente_desde) {
+      alert('Ingresa Inbound Freight (>= 1), IC (entre 0 y 1), INT % y la fecha de vigencia');
+      return;
+    }
+    try {
+      setSaving(true);
+      await parametrosPrecioAPI.create({
+        origen: adminOrigin,
+        inbound_freight: inboundFreight,
+        ic,
+        interes,
+        vigente_desde: parametroPrecioForm.vigente_desde,
+        comentario: parametroPrecioForm.comentario
+      });
+      setParametroPrecioForm({ inbound_freight: '', ic: '', interes: '', vigente_desde: '', comentario: '' });
+      await Promise.all([loadParametrosPrecio(), loadParametrosPrecioVigentes()]);
+    } catch (error) {
+      alert(error.message || 'Error guardando parámetros de precio');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadCategorias = async () => {
+    try {
+      const rows = await categoriasAPI.getAll();
+      setCategorias(Array.isArray(rows) ? rows : []);
+    } catch {
+      setCategorias([]);
+    }
+  };
+
+  const loadKits = async () => {
+    try {
+      setKitsError('');
+      const rows = await kitsAPI.getAll();
+      setKits(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setKitsError(error.message || 'Error cargando kits');
+    }
+  };
+
+  const loadConceptosAdicionales = async () => {
+    try {
+      setConceptosError('');
+      const rows = await conceptosAdicionalesAPI.getAll();
+      setConceptosAdicionales(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setConceptosError(error.message || 'Error cargando servicios y cargos');
+    }
+  };
+
+  const editConcepto = (concepto) => {
+    setConceptoForm({
+      id: concepto.id,
+      tipo: concepto.tipo,
+      nombre: concepto.nombre || '',
+      descripcion: concepto.descripcion || '',
+      precio: concepto.precio ?? '',
+      precio_min: concepto.precio_min ?? '',
+      precio_max: concepto.precio_max ?? '',
+      activo: concepto.activo !== false
+    });
+  };
+
+  // Precio fijo o rango: si hay precio fijo el rango se ignora.
+  const saveConcepto = async (form = conceptoForm) => {
+    if (!form.nombre.trim()) {
+      alert('Ingresa un nombre');
+      return;
+    }
+    try {
+      setSaving(true);
+      const payload = {
+        tipo: form.tipo,
+        nombre: form.nombre.trim(),
+        descripcion: form.descripcion.trim(),
+        precio: form.precio,
+        precio_min: form.precio_min,
+        precio_max: form.precio_max,
+        activo: form.activo
+      };
+      if (form.id) await conceptosAdicionalesAPI.update(form.id, payload);
+      else await conceptosAdicionalesAPI.create(payload);
+      setConceptoForm(EMPTY_CONCEPTO_FORM);
+      await loadConceptosAdicionales();
+    } catch (error) {
+      alert(error.message || 'Error guardando concepto');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleConceptoActivo = (concepto) => saveConcepto({
+    id: concepto.id,
+    tipo: concepto.tipo,
+    nombre: concepto.nombre || '',
+    descripcion: concepto.descripcion || '',
+    precio: concepto.precio ?? '',
+    precio_min: concepto.precio_min ?? '',
+    precio_max: concepto.precio_max ?? '',
+    activo: !concepto.activo
+  });
+
+  const deleteConcepto = async (id) => {
+    if (!window.confirm('¿Eliminar este concepto? Las cotizaciones guardadas no se modifican.')) return;
+    try {
+      setSaving(true);
+      await conceptosAdicionalesAPI.remove(id);
+      setConceptosAdicionales(prev => prev.filter(concepto => concepto.id !== id));
+      if (conceptoForm.id === id) setConceptoForm(EMPTY_CONCEPTO_FORM);
+    } catch (error) {
+      alert(error.message || 'Error eliminando concepto');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetKitForm = () => setKitForm({ id: null, nombre: '', descripcion: '', lineas: '' });
+
+  const editKit = (kit) => {
+    setKitForm({
+      id: kit.id,
+      nombre: kit.nombre || '',
+      descripcion: kit.descripcion || '',
+      lineas: (kit.items || []).map(item => `${item.sku || item.mpn}, ${item.cantidad}`).join('\n')
+    });
+  };
+
+  // Cada línea del formulario es "SKU o MPN, cantidad".
+  const saveKit = async () => {
+    const nombre = kitForm.nombre.trim();
+    const noEncontrados = [];
+    const items = kitForm.lineas
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [codigo, cantidadText] = line.split(',').map(part => part.trim());
+        const key = normalizeLookupKey(codigo);
+        const producto = productos.find(p => normalizeLookupKey(p.sku) === key || normalizeLookupKey(p.mpn) === key);
+        if (!producto) {
+          noEncontrados.push(codigo);
+          return null;
+        }
+        return { producto_id: producto.id, cantidad: parseInt(cantidadText, 10) || 1 };
+      })
+      .filter(Boolean);
+    if (noEncontrados.length > 0) {
+      alert(`No se encontraron en el catálogo: ${noEncontrados.join(', ')}`);
+      return;
+    }
+    if (!nombre || items.length === 0) {
+      alert('Ingresa un nombre y al menos un producto');
+      return;
+    }
+    try {
+      setSaving(true);
+      const payload = { nombre, descripcion: kitForm.descripcion.trim(), items };
+      if (kitForm.id) await kitsAPI.update(kitForm.id, payload);
+      else await kitsAPI.create(payload);
+      resetKitForm();
+      await loadKits();
+    } catch (error) {
+      alert(error.message || 'Error guardando kit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteKit = async (id) => {
+    if (!window.confirm('¿Eliminar este kit? Las cotizaciones guardadas no se modifican.')) return;
+    try {
+      setSaving(true);
+      await kitsAPI.remove(id);
+      setKits(prev => prev.filter(kit => kit.id !== id));
+      if (kitForm.id === id) resetKitForm();
+    } catch (error) {
+      alert(error.message || 'Error eliminando kit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadGpPisos = async () => {
+    try {
+      setGpPisosError('');
+      const rows = await gpPisosAPI.getAll();
+      setGpPisos(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setGpPisosError(error.message || 'Error cargando GP mínimos');
+    }
+  };
+
+  const saveGpPiso = async () => {
+    const gpMin = parseFloat(gpPisoForm.gp_min);
+    if (Number.isNaN(gpMin) || gpMin < 0 || gpMin >= 100) {
+      alert('Ingresa un GP mínimo entre 0 y 99 %');
+      return;
+    }
+    try {
+      setSaving(true);
+      await gpPisosAPI.save({ origen: gpPisoForm.origen, marca: gpPisoForm.marca.trim(), gp_min: gpMin / 100 });
+      setGpPisoForm(f => ({ ...f, marca: '', gp_min: '' }));
+      await loadGpPisos();
+    } catch (error) {
+      alert(error.message || 'Error guardando GP mínimo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadValidezReglas = async () => {
+    try {
+      setValidezError('');
+      const rows = await validezCotizacionAPI.getAll();
+      setValidezReglas(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setValidezError(error.message || 'Error cargando validez de cotizaciones');
+    }
+  };
+
+  const saveValidezRegla = async () => {
+    const dias = parseInt(validezForm.dias, 10);
+    if (!Number.isFinite(dias) || dias < 1 || dias > 365) {
+      alert('Ingresa una validez entre 1 y 365 días');
+      return;
+    }
+    try {
+      setSaving(true);
+      await validezCotizacionAPI.save({ origen: validezForm.origen, marca: validezForm.marca.trim(), dias });
+      setValidezForm(f => ({ ...f, marca: '', dias: '' }));
+      await loadValidezReglas();
+    } catch (error) {
+      alert(error.message || 'Error guardando validez');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteValidezRegla = async (id) => {
+    if (!window.confirm('¿Eliminar esta validez?')) return;
+    try {
+      setSaving(true);
+      await validezCotizacionAPI.remove(id);
+      setValidezReglas(prev => prev.filter(row => row.id !== id));
+    } catch (error) {
+      alert(error.message || 'Error eliminando validez');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteGpPiso = async (id) => {
+    if (!window.confirm('¿Eliminar este GP mínimo?')) return;
+    try {
+      setSaving(true);
+      await gpPisosAPI.remove(id);
+      setGpPisos(prev => prev.filter(row => row.id !== id));
+    } catch (error) {
+      alert(error.message || 'Error eliminando GP mínimo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadClientesExentosIva = async () => {
+    try {
+      setClientesExentosError('');
+      const rows = await impuestosAPI.getExentos();
+      setClientesExentosIva(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setClientesExentosError(error.message || 'Error cargando clientes exentos de IVA');
+    }
+  };
+
+  const loadSyncLogs = async () => {
+    try {
+      setSyncLogsError('');
+      const data = await productosAPI.getSyncLogs(adminOrigin);
+      setSyncLogs(Array.isArray(data?.logs) ? data.logs : []);
+    } catch (error) {
+      setSyncLogsError(error.message || 'Error cargando historial de sincronizaciones');
+    }
+  };
+
+  const restoreSyncLog = async (log) => {
+    const fecha = new Date(log.created_at).toLocaleString('es-CL');
+    if (!confirm(`¿Restaurar ${log.origen} al estado previo al sync del ${fecha}? Se deshacen también los syncs posteriores.`)) return;
+    try {
+      setSaving(true);
+      const result = await productosAPI.restoreSync(log.id);
+      await loadProductos();
+      await loadSyncLogs();
+      alert(`Catálogo ${result.origen} restaurado: ${result.restored} productos restaurados, ${result.deactivated} desactivados.`);
+    } catch (error) {
+      alert(error.message || 'Error restaurando el catálogo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveClienteExento = async () => {
+    const empresa = clienteExentoForm.empresa.trim();
+    if (!empresa) {
+      alert('Ingresa la empresa exenta');
+      return;
+    }
+    try {
+      setSaving(true);
+      await impuestosAPI.saveExento({ empresa, motivo: clienteExentoForm.motivo.trim() });
+      setClienteExentoForm({ empresa: '', motivo: '' });
+      await loadClientesExentosIva();
+    } catch (error) {
+      alert(error.message || 'Error guardando cliente exento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteClienteExento = async (id) => {
+    if (!window.confirm('¿Quitar la exención de IVA de este cliente?')) return;
+    try {
+      setSaving(true);
+      await impuestosAPI.removeExento(id);
+      setClientesExentosIva(prev => prev.filter(row => row.id !== id));
+    } catch (error) {
+      alert(error.message || 'Error eliminando cliente exento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadAprobaciones = async () => {
+    try {
+      setAprobacionesError('');
+      const rows = await cotizacionesAPI.getAprobaciones('pendiente');
+      setAprobaciones(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setAprobacionesError(error.message || 'Error cargando aprobaciones');
+    }
+  };
+
+  const resolverAprobacion = async (cotizacionId, decision) => {
+    const comentario = (aprobacionComentarios[cotizacionId] || '').trim();
+    if (decision === 'rechazada' && !comentario) {
+      alert('Agrega un comentario para rechazar');
+      return;
+    }
+    try {
+      setSaving(true);
+      const updated = await cotizacionesAPI.resolverAprobacion(cotizacionId, { decision, comentario });
+      setAprobaciones(prev => prev.filter(row => row.cotizacion_id !== cotizacionId));
+      setAprobacionComentarios(prev => ({ ...prev, [cotizacionId]: '' }));
+      setHistorial(prev => prev.map(cot => (
+        cot.id === cotizacionId
+          ? { ...cot, estado: updated?.estado, aprobacion: updated?.aprobacion, aprobacion_comentario: updated?.aprobacion_comentario }
+          : cot
+      )));
+    } catch (error) {
+      alert(error.message || 'Error resolviendo aprobación');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadOsoOrders = async () => {
+    try {
+      setOsoLoading(true);
+      setOsoError('');
+      const [data, metaRows, links] = await Promise.all([
+        osoAPI.getOrders(),
+        boMetaAPI.getAll(),
+        cotizacionBosAPI.getAll().catch(() => null)
+      ]);
+      if (Array.isArray(links)) setCotizacionBos(links);
+      const orders = data.orders || [];
+      const metaMap = (metaRows || []).reduce((acc, row) => {
+        if (!row?.bo) return acc;
+        const invoiceMonth = normalizeInvoiceMonthValue(row.estimated_invoice_month || row.estimatedInvoiceMonth || row.estimated_invoice_date || row.estimatedInvoiceDate || '');
+        const invoiceWeek = normalizeInvoiceWeekValue(row.estimated_invoice_week ?? row.estimatedInvoiceWeek ?? '');
+        acc[row.bo] = {
+          projectName: row.project_name || row.projectName || '',
+          poAxis: row.po_axis || row.poAxis || '',
+          estimatedInvoiceDate: row.estimated_invoice_date || row.estimatedInvoiceDate || '',
+          estimatedInvoiceMonth: invoiceMonth,
+          estimatedInvoiceWeek: invoiceWeek,
+          sAndDStatus: row.s_and_d_status || row.sAndDStatus || '',
+          invoiced: row.invoiced ?? false,
+          invoicedAt: row.invoiced_at || row.invoicedAt || '',
+          customerName: row.customer_name || row.customerName || '',
+          allocPct: row.alloc_pct ?? row.allocPct,
+          customerPO: row.customer_po || row.customerPO || '',
+          lastSeenAt: row.last_seen_at || row.lastSeenAt || '',
+          purchaseStatus: row.purchase_status || row.purchaseStatus || '',
+          purchaseDispatch: row.purchase_dispatch || row.purchaseDispatch || '',
+          purchaseShipping: row.purchase_shipping || row.purchaseShipping || '',
+          purchaseSo: row.purchase_so || row.purchaseSo || '',
+          deleted: row.deleted ?? false,
+          deletedAt: row.deleted_at || row.deletedAt || '',
+          deletedComment: row.deleted_comment || row.deletedComment || '',
+          deletedBy: row.deleted_by || row.deletedBy || null
+        };
+        return acc;
+      }, {});
+      setOsoOrders(orders);
+      setBoMeta(metaMap);
+      const existingBos = new Set(orders.map(order => order.bo));
+      const missingBos = Object.keys(metaMap).filter(bo =>
+        !existingBos.has(bo) && !metaMap[bo]?.invoiced && !metaMap[bo]?.deleted
+      );
+      setMissingBos(missingBos);
+      setShowMissingBosModal(missingBos.length > 0);
+    } catch (error) {
+      setOsoError(error.message || 'Error cargando ordenes');
+    } finally {
+      setOsoLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'dashboard') return;
+    let cancelled = false;
+    const loadDashboardMetrics = async () => {
+      try {
+        const data = await queryClient.fetchQuery({
+          queryKey: queryKeys.cotizaciones,
+          queryFn: () => cotizacionesAPI.getAll(),
+          staleTime: 0
+        });
+        const rows = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
+        if (!cancelled) setHistorial(rows);
+      } catch (_) {
+        if (!cancelled) setHistorial([]);
+      }
+      await Promise.all([loadUsuarios(), loadOsoOrders()]);
+    };
+    loadDashboardMetrics();
+    return () => {
+      cancelled = true;
+    };
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || currentView !== 'dashboard') return;
+    loadRecordatorios();
+  }, [isLoggedIn, currentView]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !isFullAdmin || currentView !== 'dashboard') return;
+    let cancelled = false;
+    productosAPI.getSyncStatus()
+      .then((data) => { if (!cancelled) setSyncStatus(data); })
+      .catch(() => { if (!cancelled) setSyncStatus(null); });
+    return () => {
+      cancelled = true;
+    };
+  }, [isLoggedIn, isFullAdmin, currentView]);
+
+  // Drawer móvil: cerrar con Escape y bloquear el scroll del fondo mientras está abierto.
+  useEffect(() => {
+    if (!mobileMenuOpen) return;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setMobileMenuOpen(false);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    const prevOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      document.body.style.overflow = prevOverflow;
+    };
+  }, [mobileMenuOpen]);
 
   useEffect(() => {
     setMobileMenuOpen(false);
@@ -2653,6 +3589,127 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     }
   };
 
+  const loadPerdidas = async ({ days = funnelDays, empresa = funnelEmpresa, from = funnelFrom, to = funnelTo } = {}) => {
+    try {
+      setPerdidasError('');
+      const data = await cotizacionesAPI.getPerdidas({ days, empresa, from, to });
+      setPerdidasData(data);
+    } catch (error) {
+      setPerdidasError(error.message || 'Error cargando análisis de pérdidas');
+    }
+  };
+
+  // El admin ve también los inactivos para poder reactivarlos; el selector usa solo los activos.
+  const loadMotivosPerdida = async () => {
+    try {
+      setMotivosPerdidaError('');
+      const rows = await motivosPerdidaAPI.getAll({ todos: isFullAdmin });
+      setMotivosPerdida(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setMotivosPerdidaError(error.message || 'Error cargando motivos de pérdida');
+    }
+  };
+
+  const createMotivoPerdida = async () => {
+    const nombre = nuevoMotivoPerdida.trim();
+    if (!nombre) return;
+    try {
+      setSaving(true);
+      await motivosPerdidaAPI.create({ nombre });
+      setNuevoMotivoPerdida('');
+      await loadMotivosPerdida();
+    } catch (error) {
+      alert(error.message || 'Error creando motivo de pérdida');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleMotivoPerdidaActivo = async (motivo) => {
+    try {
+      setSaving(true);
+      const updated = await motivosPerdidaAPI.update(motivo.id, { nombre: motivo.nombre, activo: !motivo.activo });
+      setMotivosPerdida(prev => prev.map(row => (row.id === motivo.id ? updated : row)));
+    } catch (error) {
+      alert(error.message || 'Error actualizando motivo de pérdida');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Pendientes de seguimiento del usuario (cotizaciones enviadas cuya fecha de seguimiento llegó).
+  const loadRecordatorios = async () => {
+    try {
+      setRecordatoriosError('');
+      const rows = await recordatoriosAPI.getPendientes();
+      setRecordatorios(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      setRecordatoriosError(error.message || 'Error cargando pendientes de seguimiento');
+    }
+  };
+
+  const completarRecordatorio = async (recordatorioId) => {
+    try {
+      await recordatoriosAPI.completar(recordatorioId);
+      setRecordatorios(prev => prev.filter(row => row.id !== recordatorioId));
+    } catch (error) {
+      alert(error.message || 'Error completando recordatorio');
+    }
+  };
+
+  const reprogramarSeguimiento = async (cotizacionId, fecha) => {
+    if (!fecha) return;
+    try {
+      const result = await cotizacionesAPI.updateSeguimiento(cotizacionId, fecha);
+      setHistorial(prev => prev.map(cot => (
+        cot.id === cotizacionId ? { ...cot, seguimiento_fecha: result?.seguimiento_fecha ?? fecha } : cot
+      )));
+      await loadRecordatorios();
+    } catch (error) {
+      alert(error.message || 'Error reprogramando seguimiento');
+    }
+  };
+
+  const loadCotizacionBos = async () => {
+    try {
+      const rows = await cotizacionBosAPI.getAll();
+      setCotizacionBos(Array.isArray(rows) ? rows : []);
+    } catch {
+      setCotizacionBos([]);
+    }
+  };
+
+  const linkCotizacionBo = async (cotizacionId, boValue) => {
+    const bo = String(boValue || '').trim();
+    if (!bo) return;
+    try {
+      setSaving(true);
+      await cotizacionBosAPI.link(cotizacionId, bo);
+      setBoByCotizacionId(prev => ({ ...prev, [cotizacionId]: '' }));
+      await loadCotizacionBos();
+    } catch (error) {
+      alert(error.message || 'Error vinculando BO');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unlinkCotizacionBo = async (cotizacionId, bo) => {
+    try {
+      setSaving(true);
+      await cotizacionBosAPI.unlink(cotizacionId, bo);
+      setCotizacionBos(prev => prev.filter(link => !(link.cotizacion_id === cotizacionId && link.bo === bo)));
+    } catch (error) {
+      alert(error.message || 'Error desvinculando BO');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updatePerdidaField = (cotizacionId, field, value) => {
+    setPerdidaById(prev => ({ ...prev, [cotizacionId]: { ...prev[cotizacionId], [field]: value } }));
+  };
+
   const loadActiveSessions = async ({ silent = false } = {}) => {
     try {
       if (!silent) setSessionsLoading(true);
@@ -2724,6 +3781,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
       setSaving(true);
       const result = await productosAPI.sync(origin);
       await loadProductos();
+      await loadSyncLogs();
       const summary = result?.inserted !== undefined
         ? `${origin}: ${result.inserted} nuevos, ${result.updated} actualizados, ${result.skipped} omitidos.`
         : `${origin}: Sync completado.`;
@@ -2735,22 +3793,56 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     }
   };
 
+  const previewSyncOrigin = async (origin) => {
+    try {
+      setSaving(true);
+      setSyncPreview(await productosAPI.previewSync(origin));
+    } catch (error) {
+      alert(error.message || 'Error generando vista previa del sync');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const applySyncPreview = async () => {
+    if (!syncPreview) return;
+    try {
+      setSaving(true);
+      const result = await productosAPI.applySyncPreview(syncPreview.preview_id);
+      await loadProductos();
+      await loadSyncLogs();
+      setSyncPreview(null);
+      alert(`Sync aplicado (${result.origen}): ${result.inserted} nuevos, ${result.updated} actualizados, ${result.deactivated} desactivados.`);
+    } catch (error) {
+      alert(error.message || 'Error aplicando vista previa del sync');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const exportCotizacionExcel = async () => {
     if (cotizacion.length === 0) {
       alert('No hay productos para exportar');
       return;
     }
+    const tipoCambio = cotizacionMoneda === 'USD' ? 1 : Number(tipoCambioVigente?.valor) || 0;
+    if (!tipoCambio) {
+      alert(`No hay tipo de cambio vigente para ${cotizacionMoneda}`);
+      return;
+    }
     const fechaKey = getDateKey(new Date());
     const filenameBase = buildExportFilename(new Date(), cliente.proyecto, cliente.empresa);
     const headerRows = [
       ['Nombre', cliente.nombre || 'N/A', 'Empresa', cliente.empresa || 'N/A'],
       ['PID', cliente.pid || 'N/A', 'Proyecto', cliente.proyecto || 'N/A'],
-      ['Fecha', fechaKey || '', '', ''],
+      ['Fecha', fechaKey || '', 'Moneda', cotizacionMoneda],
+      ...(cotizacionMoneda === 'USD' ? [] : [['Tipo de cambio', tipoCambio, '', '']]),
       []
     ];
     const tableHeader = ['Marca', 'Cant.', 'SKU', 'MPN', 'Descripción', 'P. Unit.', 'P. Total', 'Entrega'];
-    const tableRows = cotizacion.map(item => {
-      const pu = calcularPrecioClienteItem(item);
+    let total = 0;
+    const toRow = (item) => {
+      const pu = convertFromUsd(calcularPrecioClienteItem(item), cotizacionMoneda, tipoCambio);
       return [
         item.marca,
         item.cant,
@@ -2761,10 +3853,46 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         pu * item.cant,
         item.tiempo
       ];
+    };
+    const incluidos = cotizacionOrdenada.filter(item => !isItemFueraDelTotal(item));
+    incluidos.forEach(item => {
+      total += toRow(item)[6];
     });
-    const totalRow = ['', '', '', '', 'TOTAL', '', totalCotizacion, ''];
+    const tableRows = buildSeccionExcelRows(groupItemsBySeccion(incluidos, cotizacionSecciones), toRow);
+    const opcionRows = cotizacionOrdenada.filter(isItemFueraDelTotal).map(item => [
+      getGrupoAlternativa(item) ? `Alternativa ${getGrupoAlternativa(item)}` : 'Opcional',
+      ...toRow(item).slice(1)
+    ]);
+    cotizacionAdicionales.forEach(linea => {
+      const pu = convertFromUsd(getAdicionalPrecioUnitario(linea), cotizacionMoneda, tipoCambio);
+      total += pu * linea.cantidad;
+      tableRows.push([
+        COTIZACION_LINEA_TIPO_LABELS[linea.tipo] || '',
+        linea.cantidad,
+        '',
+        '',
+        getAdicionalDescripcion(linea),
+        pu,
+        pu * linea.cantidad,
+        ''
+      ]);
+    });
+    const impuestos = calcularImpuestos(total, ivaTasaCliente, cotizacionMoneda);
+    const totalRows = [
+      ['', '', '', '', 'NETO', '', impuestos.neto, ''],
+      ['', '', '', '', getIvaLabel(impuestos.iva_tasa).toUpperCase(), '', impuestos.iva_monto, ''],
+      ['', '', '', '', 'TOTAL', '', impuestos.total_bruto, '']
+    ];
     const XLSX = await getXLSX();
-    const ws = XLSX.utils.aoa_to_sheet([...headerRows, tableHeader, ...tableRows, [], totalRow]);
+    // Opcionales y alternativas van bajo el total porque no suman.
+    const ws = XLSX.utils.aoa_to_sheet([
+      ...headerRows,
+      tableHeader,
+      ...tableRows,
+      [],
+      ...totalRows,
+      ...(opcionRows.length > 0 ? [[], ['Opcionales y alternativas (no incluidos en el total)'], ...opcionRows] : [])
+    ]);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Cotizacion');
     XLSX.writeFile(wb, `${filenameBase}.xlsx`);
@@ -2821,10 +3949,12 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   };
 
   const buildPdfPayloadFromCurrentQuote = () => {
-    const items = cotizacion.map(item => {
+    const items = cotizacionOrdenada.map(item => {
       const cantidad = parseInt(item.cant || 1, 10) || 1;
       const precioUnitario = Number(calcularPrecioClienteItem(item) || 0);
       return {
+        producto_id: item.id,
+        ...(isAdmin ? { gp: item.gpOverride ?? ((item.origen || 'QNAP') === 'AXIS' ? cotizacionGpGlobalAxis : cotizacionGpGlobalQnap) } : {}),
         marca: item.marca || '',
         cantidad,
         sku: item.sku || '',
@@ -2832,9 +3962,22 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         descripcion: item.desc || '',
         precio_unitario: precioUnitario,
         precio_total: Number((precioUnitario * cantidad).toFixed(2)),
-        tiempo_entrega: item.tiempo || ''
+        tiempo_entrega: item.tiempo || '',
+        opcional: item.opcional === true,
+        grupo_alternativa: getGrupoAlternativa(item),
+        seccion: item.seccion || ''
       };
     });
+    cotizacionAdicionales.forEach(linea => {
+      const precioUnitario = getAdicionalPrecioUnitario(linea);
+      items.push({
+        tipo_linea: linea.tipo,
+        cantidad: linea.cantidad,
+        descripcion: getAdicionalDescripcion(linea),
+        precio_unitario: precioUnitario,
+        precio_total: Number((precioUnitario * linea.cantidad).toFixed(2))
+      });
+    });
     return {
       created_at: new Date().toISOString(),
       usuario_role: isCotizadorStockAdmin ? COTIZADOR_STOCK_ADMIN_ROLE : (isAdmin ? 'admin' : 'client'),
@@ -2845,14 +3988,19 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         proyecto: cliente.proyecto || ''
       },
       items,
-      total: Number(totalCotizacion || 0)
+      total: Number(totalCotizacion || 0),
+      moneda: cotizacionMoneda
     };
   };
 
   const buildPdfPayloadFromHistorial = (cot) => {
     const items = Array.isArray(cot?.items) ? cot.items : [];
     return {
+      cotizacion_id: cot?.id,
       created_at: cot?.created_at || new Date().toISOString(),
+      valida_hasta: toDateOnlyKey(cot?.valida_hasta) || null,
+      moneda: cot?.moneda || 'USD',
+      tipo_cambio: cot?.tipo_cambio ?? null,
       usuario_role: cot?.usuario_role || (isCotizadorStockAdmin ? COTIZADOR_STOCK_ADMIN_ROLE : (isAdmin ? 'admin' : 'client')),
       cliente: {
         nombre: cot?.cliente_nombre || '',
@@ -2867,6 +4015,8 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
           ? Number(item.precio_total)
           : Number((precioUnitario * cantidad).toFixed(2));
         return {
+          producto_id: item?.producto_id,
+          gp: item?.gp,
           marca: item?.marca || '',
           cantidad,
           sku: item?.sku || '',
@@ -2874,7 +4024,12 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
           descripcion: item?.descripcion || item?.desc || '',
           precio_unitario: precioUnitario,
           precio_total: precioTotal,
-          tiempo_entrega: item?.tiempo_entrega || item?.tiempo || ''
+          tiempo_entrega: item?.tiempo_entrega || item?.tiempo || '',
+          tipo_linea: item?.tipo_linea || 'producto',
+          opcional: item?.opcional === true,
+          grupo_alternativa: item?.grupo_alternativa || '',
+          seleccionada: item?.seleccionada === true,
+          seccion: item?.seccion || ''
         };
       }),
       total: Number(cot?.total || 0)
@@ -2901,7 +4056,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const exportHistorialPdf = async (cot) => {
     try {
       setSaving(true);
-      const filenameBase = buildExportFilename(cot?.created_at || new Date(), cot?.cliente_telefono, cot?.cliente_empresa);
+      const filenameBase = buildExportFilename(cot?.created_at || new Date(), cot?.cliente_telefono, cot?.cliente_empresa, cot?.folio);
       const payload = buildPdfPayloadFromHistorial(cot);
       await cotizacionesAPI.downloadPdf(payload, filenameBase);
     } catch (error) {
@@ -2911,30 +4066,85 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     }
   };
 
+  // Copia cliente e items en una cotizacion nueva del usuario, valorizada a precios de hoy.
+  const duplicarCotizacion = async (cot) => {
+    try {
+      setSaving(true);
+      const result = await cotizacionesAPI.clone(cot.id);
+      setHistorialReloadKey(prev => prev + 1);
+      setExpandedHistorialId(result.cotizacion.id);
+      const omitidos = Array.isArray(result.omitidos) ? result.omitidos : [];
+      const lines = [`Cotización duplicada como ${result.cotizacion.folio || `#${result.cotizacion.id}`} con precios actualizados.`];
+      if (omitidos.length > 0) {
+        lines.push('', 'Se omitieron productos inactivos o eliminados:');
+        omitidos.forEach(item => {
+          lines.push(`- ${item.sku || item.mpn || 'SKU'} ${item.descripcion || ''} (x${item.cantidad})`);
+        });
+      }
+      if (Array.isArray(result.bajo_piso) && result.bajo_piso.length > 0) {
+        lines.push('', 'Hay líneas bajo el GP mínimo: queda pendiente de aprobación.');
+      }
+      alert(lines.join('\n'));
+    } catch (error) {
+      alert(error.message || 'Error duplicando cotización');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const exportHistorialExcel = async (cot) => {
+    const moneda = cot.moneda || 'USD';
     const fechaKey = getDateKey(cot.created_at || new Date());
-    const filenameBase = buildExportFilename(cot.created_at || new Date(), cot.cliente_telefono, cot.cliente_empresa);
+    const filenameBase = buildExportFilename(cot.created_at || new Date(), cot.cliente_telefono, cot.cliente_empresa, cot.folio);
     const headerRows = [
+      ...(cot.folio ? [['Folio', cot.folio, '', '']] : []),
       ['Nombre', cot.cliente_nombre || 'N/A', 'Empresa', cot.cliente_empresa || 'N/A'],
       ['PID', cot.cliente_email || 'N/A', 'Proyecto', cot.cliente_telefono || 'N/A'],
-      ['Fecha', fechaKey || '', '', ''],
+      ['Fecha', fechaKey || '', 'Moneda', moneda],
+      ...(moneda === 'USD' ? [] : [['Tipo de cambio', Number(cot.tipo_cambio) || 0, '', '']]),
       []
     ];
     const tableHeader = ['Marca', 'Cant.', 'SKU', 'MPN', 'Descripción', 'P. Unit.', 'P. Total', 'Entrega'];
     const items = Array.isArray(cot.items) ? cot.items : [];
-    const tableRows = items.map(item => ([
-      item.marca,
-      item.cantidad,
-      item.sku,
-      item.mpn,
-      item.descripcion,
-      item.precio_unitario,
-      item.precio_total,
-      item.tiempo_entrega
-    ]));
-    const totalRow = ['', '', '', '', 'TOTAL', '', cot.total || 0, ''];
+    const toRow = (item) => {
+      const pu = moneda === 'USD' ? item.precio_unitario : convertFromUsd(item.precio_unitario, moneda, cot.tipo_cambio);
+      return [
+        item.marca,
+        item.cantidad,
+        item.sku,
+        item.mpn,
+        item.descripcion,
+        pu,
+        moneda === 'USD' ? item.precio_total : pu * (Number(item.cantidad) || 0),
+        item.tiempo_entrega
+      ];
+    };
+    const incluidos = items.filter(item => !isItemFueraDelTotal(item));
+    const tableRows = buildSeccionExcelRows(groupItemsBySeccion(incluidos, getSeccionesOrden(incluidos)), toRow);
+    const opcionRows = items.filter(isItemFueraDelTotal).map(item => [
+      getGrupoAlternativa(item) ? `Alternativa ${getGrupoAlternativa(item)}` : 'Opcional',
+      ...toRow(item).slice(1)
+    ]);
+    const total = moneda === 'USD'
+      ? (cot.total || 0)
+      : incluidos.reduce((sum, item) => sum + (Number(toRow(item)[6]) || 0), 0);
+    // La tasa es la que quedo guardada en la cotizacion, no la vigente.
+    const impuestos = calcularImpuestos(total, cot.iva_tasa ?? IVA_TASA_DEFAULT, moneda);
+    const totalRows = [
+      ['', '', '', '', 'NETO', '', impuestos.neto, ''],
+      ['', '', '', '', getIvaLabel(impuestos.iva_tasa).toUpperCase(), '', impuestos.iva_monto, ''],
+      ['', '', '', '', 'TOTAL', '', impuestos.total_bruto, '']
+    ];
     const XLSX = await getXLSX();
-    const ws = XLSX.utils.aoa_to_sheet([...headerRows, tableHeader, ...tableRows, [], totalRow]);
+    // Opcionales y alternativas van bajo el total porque no suman.
+    const ws = XLSX.utils.aoa_to_sheet([
+      ...headerRows,
+      tableHeader,
+      ...tableRows,
+      [],
+      ...totalRows,
+      ...(opcionRows.length > 0 ? [[], ['Opcionales y alternativas (no incluidos en el total)'], ...opcionRows] : [])
+    ]);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Cotizacion');
     XLSX.writeFile(wb, `${filenameBase}.xlsx`);
@@ -3047,6 +4257,92 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     }
   };
 
+  // Importa un JSON de Axis (registro o BOM actualizado). Los códigos se cruzan en el servidor.
+  // Si viene de una cotizacion guardada (metadata.id "project:<id>") que el usuario puede abrir,
+  // se ofrece reemplazar sus productos: el servidor la revaloriza con sus propios GP, categoria
+  // partner y parametros. Si no, se carga al carrito.
+  const handleAxisJsonUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    event.target.value = '';
+    let parsed;
+    try {
+      parsed = await resolveAxisImport(await file.text(), { matchAxis: productosAPI.matchAxis, productos });
+    } catch (error) {
+      alert(error.message || 'Error leyendo JSON de Axis');
+      return;
+    }
+    const { importados, sinCoincidencia, rebatesIgnorados } = parsed;
+    if (importados.length === 0) {
+      setAxisImportResult({ destino: '', agregados: 0, sinCoincidencia, rebatesIgnorados: [] });
+      return;
+    }
+
+    // Solo una cotizacion abierta (revision/enviada) admite reemplazar sus productos; si no, va al carrito.
+    let destino = null;
+    if (parsed.cotizacionId) {
+      try {
+        destino = await cotizacionesAPI.getOne(parsed.cotizacionId);
+      } catch {
+        destino = null;
+      }
+    }
+    if (destino && !['revision', 'pendiente', 'enviada'].includes(destino.estado || 'revision')) {
+      destino = null;
+    }
+    const actualizar = destino && window.confirm(
+      `El JSON corresponde a la cotización ${destino.folio || `#${destino.id}`}. ¿Reemplazar sus productos con este BOM? (Cancelar lo carga en el cotizador como cotización nueva)`
+    );
+    if (!actualizar) {
+      setCotizacion(prev => {
+        const next = [...prev];
+        importados.forEach(({ producto, cantidad, rebateProject }) => {
+          const isAxis = (producto.origen || 'QNAP') === 'AXIS';
+          const index = next.findIndex(row => row.id === producto.id);
+          if (index >= 0) {
+            next[index] = { ...next[index], cant: (next[index].cant || 1) + cantidad, rebateProject: isAxis ? rebateProject : 0 };
+          } else {
+            next.push({
+              ...producto,
+              cant: cantidad,
+              gpOverride: null,
+              gpOverrideInput: '',
+              rebateProject: isAxis ? rebateProject : 0,
+              partnerCategory: isAxis ? cotizacionPartnerCategory : undefined,
+              tiempo: getStockEntregaText(producto.mpn) || producto.tiempo
+            });
+          }
+        });
+        return next;
+      });
+      if (parsed.customer && !cliente.empresa) {
+        setCliente(c => ({ ...c, empresa: parsed.customer }));
+      }
+      setAxisImportResult({ destino: 'Cotizador', agregados: importados.length, sinCoincidencia, rebatesIgnorados });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const updated = await cotizacionesAPI.importAxis(destino.id, parsed.lines);
+      const refreshed = await cotizacionesAPI.getOne(destino.id);
+      setHistorial(prev => prev.map(c => (c.id === destino.id ? { ...c, ...refreshed } : c)));
+      if ((updated.bajo_piso || []).length > 0) {
+        alert('La cotización quedó bajo el GP mínimo y pasó a aprobación de margen.');
+      }
+      setAxisImportResult({
+        destino: destino.folio || `#${destino.id}`,
+        agregados: importados.length,
+        sinCoincidencia: updated.sin_coincidencia || sinCoincidencia,
+        rebatesIgnorados: updated.rebates_ignorados || rebatesIgnorados
+      });
+    } catch (error) {
+      alert(error.message || 'Error actualizando cotización');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const adminProductos = useMemo(
     () => productos.filter(p => (p.origen || 'QNAP') === adminOrigin),
     [productos, adminOrigin]
@@ -3091,92 +4387,15 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     return false;
   };
 
-  const filteredHistorial = useMemo(() => {
-    const fecha = historialFilters.fecha;
-    const clienteTerm = isAdmin ? '' : historialFilters.cliente.trim().toLowerCase();
-    const pidTerm = isAdmin ? '' : historialFilters.pid.trim().toLowerCase();
-    const proyectoTerm = isAdmin ? '' : historialFilters.proyecto.trim().toLowerCase();
-    const productoTerm = isAdmin ? '' : historialFilters.producto.trim().toLowerCase();
-    const estadosSeleccionados = historialFilters.estados || [];
-    const currentUserId = user?.id ?? user?.user_id ?? user?.usuario_id ?? null;
-    const currentUserName = (user?.usuario || user?.username || user?.user || '').toString().toLowerCase();
-    const isOwnCotizacion = (cot) => {
-      if (isAdmin) return true;
-      if (!user) return false;
-      const idCandidates = [
-        cot.usuario_id,
-        cot.user_id,
-        cot.created_by,
-        cot.createdBy,
-        cot.usuarioId,
-        cot.userId,
-        cot.usuario?.id,
-        cot.user?.id
-      ].filter(v => v !== undefined && v !== null);
-      if (currentUserId !== null && idCandidates.some(v => String(v) === String(currentUserId))) return true;
-      const nameCandidates = [
-        cot.usuario,
-        cot.user,
-        cot.username,
-        cot.created_by_name,
-        cot.createdByName,
-        cot.usuario?.usuario,
-        cot.user?.usuario
-      ].filter(v => v !== undefined && v !== null);
-      if (currentUserName && nameCandidates.some(v => (v || '').toString().toLowerCase() === currentUserName)) return true;
-      return false;
-    };
-    return historial.filter(cot => {
-      if (!isOwnCotizacion(cot)) return false;
-      if (estadosSeleccionados.length > 0) {
-        const estado = normalizeEstado(cot.estado);
-        if (!estadosSeleccionados.includes(estado)) return false;
-      }
-      if (fecha && getDateKey(cot.created_at) !== fecha) return false;
-      if (clienteTerm) {
-        const hayCliente = [
-          cot.cliente_nombre,
-          cot.cliente_empresa
-        ].some(v => (v || '').toLowerCase().includes(clienteTerm));
-        if (!hayCliente) return false;
-      }
-      if (pidTerm) {
-        const pidValue = (cot.cliente_email || '').toLowerCase();
-        if (!pidValue.includes(pidTerm)) return false;
-      }
-      if (proyectoTerm) {
-        const proyectoValue = (cot.cliente_telefono || '').toLowerCase();
-        if (!proyectoValue.includes(proyectoTerm)) return false;
-      }
-      if (productoTerm) {
-        const items = cot.items || [];
-        const hayProducto = items.some(item =>
-          [item.marca, item.sku, item.mpn, item.descripcion]
-            .some(v => (v || '').toLowerCase().includes(productoTerm))
-        );
-        if (!hayProducto) return false;
-      }
-      if (globalQuery) {
-        const textSources = [
-          cot.cliente_nombre,
-          cot.cliente_empresa,
-          cot.cliente_email,
-          cot.cliente_telefono,
-          ...(cot.items || []).map(item => `${item.sku || ''} ${item.mpn || ''} ${item.descripcion || ''}`)
-        ];
-        const matchesGlobal = textSources.some(v => (v || '').toString().toLowerCase().includes(globalQuery));
-        if (!matchesGlobal) return false;
-      }
-      return true;
-    });
-  }, [historial, historialFilters, isAdmin, user, globalQuery]);
 
+  // Los totales vienen del backend (todo el resultado filtrado); los pendientes de revisar
+  // dependen de lo descartado localmente y se cuentan sobre la pagina cargada.
   const historialCounts = useMemo(() => {
-    const clienteQuotes = historial.filter(cot => isClienteQuote(cot)).length;
-    const registroQuotes = historial.filter(cot => isClienteQuote(cot) && hasProjectRegistro(cot)).length;
+    const clienteQuotes = historialMeta.counts?.cliente || 0;
+    const registroQuotes = historialMeta.counts?.registro || 0;
     const registroPendientes = historial.filter(cot => isClienteQuote(cot) && hasProjectRegistro(cot) && !dismissedRegistroById[cot.id]).length;
     return { clienteQuotes, registroQuotes, registroPendientes };
-  }, [historial, dismissedRegistroById]);
+  }, [historial, historialMeta, dismissedRegistroById]);
 
   const dashboardKpis = useMemo(() => ([
     { label: 'Cotizaciones', value: historial.length, hint: 'Historial total' },
@@ -3295,21 +4514,27 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     (funnelData?.stages || []).forEach(stage => {
       stageMap.set((stage.estado || '').toLowerCase(), stage);
     });
+    const tiempoMap = new Map((funnelData?.tiempos || []).map(row => [(row.estado || '').toLowerCase(), row]));
     const buildStage = (key, label, tone) => {
       const row = stageMap.get(key) || {};
+      const tiempo = tiempoMap.get(key);
       return {
         key,
         label,
         tone,
         count: Number(row.count || 0),
-        amount: Number(row.amount || 0)
+        amount: Number(row.amount || 0),
+        avgHours: tiempo ? Number(tiempo.avg_hours) : null,
+        samples: tiempo ? Number(tiempo.samples || 0) : 0
       };
     };
     return [
       buildStage('enviada', 'Enviadas', 'text-blue-700 bg-blue-50'),
       buildStage('revision', 'En revisión', 'text-amber-700 bg-amber-50'),
       buildStage('aprobada', 'Aprobadas', 'text-emerald-700 bg-emerald-50'),
-      buildStage('rechazada', 'Rechazadas', 'text-rose-700 bg-rose-50')
+      buildStage('rechazada', 'Rechazadas', 'text-rose-700 bg-rose-50'),
+      buildStage('vencida', 'Vencidas', 'text-slate-700 bg-slate-100'),
+      buildStage('pendiente_aprobacion', 'Aprobación de margen', 'text-violet-700 bg-violet-50')
     ];
   }, [funnelData]);
 
@@ -3345,7 +4570,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const toggleSelectAllHistorialFiltered = () => {
     setSelectedHistorialIds(prev => {
       const next = new Set(prev);
-      const filteredIds = filteredHistorial.map(cot => cot.id);
+      const filteredIds = historial.map(cot => cot.id);
       const allSelected = filteredIds.length > 0 && filteredIds.every(id => next.has(id));
       if (allSelected) {
         filteredIds.forEach(id => next.delete(id));
@@ -3369,6 +4594,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
       const failed = results.filter(r => r.status === 'rejected');
       setHistorial(prev => prev.filter(cot => !ids.includes(cot.id)));
       setSelectedHistorialIds(new Set());
+      setHistorialReloadKey(prev => prev + 1);
       if (failed.length > 0) {
         const firstError = failed[0]?.reason?.message || 'Error eliminando cotizaciones';
         alert(`Se eliminaron ${ids.length - failed.length}. Fallaron ${failed.length}. ${firstError}`);
@@ -3653,34 +4879,154 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     if (!confirm(confirmMsg)) return;
     const usuariosEmpresa = usuarios.filter(u => (u.empresa || '').trim() === empresaName);
     try {
-      setUsuariosLoading(true);
-      await Promise.allSettled(
-        usuariosEmpresa.map(u => updateUsuario(u.id, { empresa: '', logo_url: '', intcomex_profile: null }))
-      );
-      setEmpresaConfigs(prev => {
-        const next = { ...prev };
-        delete next[empresaName];
-        return next;
-      });
+      setUsuariosLoading(true);
+      await Promise.allSettled(
+        usuariosEmpresa.map(u => updateUsuario(u.id, { empresa: '', logo_url: '', intcomex_profile: null }))
+      );
+      setEmpresaConfigs(prev => {
+        const next = { ...prev };
+        delete next[empresaName];
+        return next;
+      });
+    } catch (error) {
+      alert(error.message || 'Error eliminando empresa');
+    } finally {
+      setUsuariosLoading(false);
+    }
+  };
+
+  const getOpcionesCotizacion = (cot) => (cot?.items || []).filter(item => item.opcional || item.grupo_alternativa);
+  // Sin selección local se parte de lo ya confirmado en la cotización.
+  const getOpcionesElegidas = (cot) => opcionesElegidasById[cot.id]
+    ?? getOpcionesCotizacion(cot).filter(item => item.seleccionada).map(item => item.id);
+  const toggleOpcionElegida = (cot, item) => {
+    const actuales = getOpcionesElegidas(cot);
+    const next = item.grupo_alternativa
+      ? [
+          ...actuales.filter(id => !getOpcionesCotizacion(cot).some(other => other.id === id && other.grupo_alternativa === item.grupo_alternativa)),
+          item.id
+        ]
+      : (actuales.includes(item.id) ? actuales.filter(id => id !== item.id) : [...actuales, item.id]);
+    setOpcionesElegidasById(prev => ({ ...prev, [cot.id]: next }));
+  };
+
+  const updateCotizacionEstado = async (cotizacionId, estado) => {
+    const perdidaForm = perdidaById[cotizacionId] || {};
+    if (estado === 'rechazada' && !perdidaForm.motivo_perdida_id) {
+      alert('Elige el motivo de pérdida antes de rechazar');
+      return;
+    }
+    try {
+      setSaving(true);
+      const cotizacionActual = historial.find(cot => cot.id === cotizacionId);
+      const opciones = estado === 'aprobada' && cotizacionActual ? getOpcionesElegidas(cotizacionActual) : undefined;
+      const perdida = estado === 'rechazada'
+        ? {
+          motivo_perdida_id: Number(perdidaForm.motivo_perdida_id),
+          competidor_marca: (perdidaForm.competidor_marca || '').trim(),
+          competidor_precio: perdidaForm.competidor_precio === '' || perdidaForm.competidor_precio === undefined
+            ? null
+            : Number(perdidaForm.competidor_precio)
+        }
+        : undefined;
+      const result = await cotizacionesAPI.updateEstado(cotizacionId, estado, estadoComentarioById[cotizacionId] || '', opciones, perdida);
+      const newEstado = result?.estado || estado;
+      const perdidaGuardada = {
+        motivo_perdida_id: result?.motivo_perdida_id ?? null,
+        competidor_marca: result?.competidor_marca ?? null,
+        competidor_precio: result?.competidor_precio ?? null,
+        seguimiento_fecha: result?.seguimiento_fecha ?? null
+      };
+      setHistorial(prev => prev.map(cot => {
+        if (cot.id !== cotizacionId) return cot;
+        if (!opciones) return { ...cot, ...perdidaGuardada, estado: newEstado };
+        return {
+          ...cot,
+          ...perdidaGuardada,
+          estado: newEstado,
+          total: result?.total ?? cot.total,
+          items: (cot.items || []).map(item => ({ ...item, seleccionada: opciones.includes(item.id) }))
+        };
+      }));
+      setEstadoComentarioById(prev => ({ ...prev, [cotizacionId]: '' }));
+      if (perdida) setPerdidaById(prev => ({ ...prev, [cotizacionId]: {} }));
+      if (estadoHistorialById[cotizacionId]) loadEstadoHistorial(cotizacionId);
+    } catch (error) {
+      alert(error.message || 'Error actualizando estado');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadEstadoHistorial = async (cotizacionId) => {
+    setEstadoHistorialById(prev => ({ ...prev, [cotizacionId]: { loading: true, error: '', rows: [] } }));
+    try {
+      const data = await cotizacionesAPI.getOne(cotizacionId);
+      const rows = Array.isArray(data?.estado_historial) ? data.estado_historial : [];
+      setEstadoHistorialById(prev => ({ ...prev, [cotizacionId]: { loading: false, error: '', rows } }));
+    } catch (error) {
+      setEstadoHistorialById(prev => ({
+        ...prev,
+        [cotizacionId]: { loading: false, error: error.message || 'Error obteniendo historial de estados', rows: [] }
+      }));
+    }
+  };
+
+  const loadCotizacionLinks = async (cotizacionId) => {
+    setLinksById(prev => ({ ...prev, [cotizacionId]: { ...prev[cotizacionId], loading: true, error: '', rows: prev[cotizacionId]?.rows || [] } }));
+    try {
+      const rows = await cotizacionesAPI.getLinks(cotizacionId);
+      setLinksById(prev => ({ ...prev, [cotizacionId]: { ...prev[cotizacionId], loading: false, error: '', rows: Array.isArray(rows) ? rows : [] } }));
+    } catch (error) {
+      setLinksById(prev => ({
+        ...prev,
+        [cotizacionId]: { ...prev[cotizacionId], loading: false, error: error.message || 'Error obteniendo enlaces', rows: [] }
+      }));
+    }
+  };
+
+  // El token solo llega al crear el enlace; despues no se puede volver a mostrar.
+  const createCotizacionLink = async (cotizacionId) => {
+    try {
+      const dias = parseInt(linkDiasById[cotizacionId], 10) || undefined;
+      const link = await cotizacionesAPI.createLink(cotizacionId, dias);
+      const url = `${window.location.origin}/cotizacion/${link.token}`;
+      navigator.clipboard?.writeText?.(url);
+      setLinksById(prev => ({ ...prev, [cotizacionId]: { ...prev[cotizacionId], nuevoUrl: url } }));
+      await loadCotizacionLinks(cotizacionId);
+    } catch (error) {
+      alert(error.message || 'Error creando enlace');
+    }
+  };
+
+  const revokeCotizacionLink = async (cotizacionId, linkId) => {
+    if (!confirm('¿Revocar este enlace? El cliente ya no podrá abrirlo.')) return;
+    try {
+      await cotizacionesAPI.revokeLink(cotizacionId, linkId);
+      await loadCotizacionLinks(cotizacionId);
     } catch (error) {
-      alert(error.message || 'Error eliminando empresa');
-    } finally {
-      setUsuariosLoading(false);
+      alert(error.message || 'Error revocando enlace');
     }
   };
 
-  const updateCotizacionEstado = async (cotizacionId, estado) => {
+  const loadCotizacionRevisiones = async (cotizacionId) => {
+    setRevisionesByCotizacionId(prev => ({ ...prev, [cotizacionId]: { loading: true, error: '', rows: [] } }));
     try {
-      setSaving(true);
-      const result = await cotizacionesAPI.updateEstado(cotizacionId, estado);
-      const newEstado = result?.estado || estado;
-      setHistorial(prev => prev.map(cot => (
-        cot.id === cotizacionId ? { ...cot, estado: newEstado } : cot
-      )));
+      const rows = await cotizacionesAPI.getRevisions(cotizacionId);
+      const list = Array.isArray(rows) ? rows : [];
+      setRevisionesByCotizacionId(prev => ({ ...prev, [cotizacionId]: { loading: false, error: '', rows: list } }));
+      setRevisionCompareById(prev => ({
+        ...prev,
+        [cotizacionId]: {
+          from: list.length > 1 ? list[list.length - 2].revision : (list[0]?.revision ?? null),
+          to: list[list.length - 1]?.revision ?? null
+        }
+      }));
     } catch (error) {
-      alert(error.message || 'Error actualizando estado');
-    } finally {
-      setSaving(false);
+      setRevisionesByCotizacionId(prev => ({
+        ...prev,
+        [cotizacionId]: { loading: false, error: error.message || 'Error obteniendo revisiones', rows: [] }
+      }));
     }
   };
 
@@ -3695,6 +5041,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
       fecha_ejecucion: cot.fecha_ejecucion || '',
       fecha_implementacion: cot.fecha_implementacion || '',
       vms: cot.vms || '',
+      valida_hasta: toDateOnlyKey(cot.valida_hasta),
       items: (cot.items || []).map(item => ({
         id: item.id,
         producto_id: item.producto_id,
@@ -3704,7 +5051,13 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         descripcion: item.descripcion || '',
         precio_unitario: Number(item.precio_unitario) || 0,
         cantidad: Number(item.cantidad) || 1,
-        tiempo_entrega: item.tiempo_entrega || ''
+        tiempo_entrega: item.tiempo_entrega || '',
+        tipo_linea: item.tipo_linea || 'producto',
+        concepto_id: item.concepto_id ?? null,
+        opcional: item.opcional === true,
+        grupo_alternativa: item.grupo_alternativa || '',
+        seleccionada: item.seleccionada === true,
+        seccion: item.seccion || ''
       }))
     });
   };
@@ -3746,10 +5099,16 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
         cantidad: Number(item.cantidad) || 1,
         precio_unitario: Number(item.precio_unitario) || 0,
         precio_total: (Number(item.precio_unitario) || 0) * (Number(item.cantidad) || 1),
-        tiempo_entrega: item.tiempo_entrega
+        tiempo_entrega: item.tiempo_entrega,
+        tipo_linea: item.tipo_linea,
+        concepto_id: item.concepto_id,
+        opcional: item.opcional,
+        grupo_alternativa: item.grupo_alternativa,
+        seleccionada: item.seleccionada,
+        seccion: item.seccion
       }));
-      const total = items.reduce((sum, i) => sum + (Number(i.precio_total) || 0), 0);
-      await cotizacionesAPI.update(cotId, {
+      const total = items.reduce((sum, i) => (isItemFueraDelTotal(i) ? sum : sum + (Number(i.precio_total) || 0)), 0);
+      const updated = await cotizacionesAPI.update(cotId, {
         cliente: {
           nombre: editingCotizacionForm.cliente_nombre,
           empresa: editingCotizacionForm.cliente_empresa,
@@ -3758,14 +5117,29 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
           cliente_final: editingCotizacionForm.cliente_final,
           fecha_ejecucion: editingCotizacionForm.fecha_ejecucion,
           fecha_implementacion: editingCotizacionForm.fecha_implementacion,
-          vms: editingCotizacionForm.vms
+          vms: editingCotizacionForm.vms,
+          valida_hasta: editingCotizacionForm.valida_hasta
         },
         items,
         total
       });
-      setHistorial(prev => prev.map(c => (c.id === cotId ? { ...c, ...editingCotizacionForm, total, items } : c)));
+      setHistorial(prev => prev.map(c => (c.id === cotId
+        ? {
+            ...c,
+            ...editingCotizacionForm,
+            total,
+            items,
+            estado: updated?.estado ?? c.estado,
+            aprobacion: updated?.aprobacion ?? null,
+            aprobacion_comentario: updated?.aprobacion_comentario ?? null
+          }
+        : c)));
+      if (revisionesByCotizacionId[cotId]) loadCotizacionRevisiones(cotId);
+      if (isFullAdmin) loadAprobaciones();
       cancelEditCotizacion();
-      alert('Cotización actualizada');
+      alert(updated?.aprobacion === 'pendiente'
+        ? 'Cotización actualizada. Quedó pendiente de aprobación de margen.'
+        : 'Cotización actualizada');
     } catch (error) {
       alert(error.message || 'Error actualizando cotización');
     } finally {
@@ -3785,9 +5159,17 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     return hasAxis ? 'Axis' : 'QNAP';
   };
 
+  // BO del correo a compras: la escrita en el campo o, si no hay, las vinculadas en el servidor.
+  const getCompraBo = (cot) => (
+    (boByCotizacionId[cot.id] || '').trim()
+    || (bosByCotizacionId[cot.id] || []).map(link => link.bo).join(' / ')
+    || cot.id
+    || 'XXXX'
+  );
+
   const buildCompraMailto = (cot) => {
     const origenLabel = getCompraOrigenLabel(cot);
-    const bo = (boByCotizacionId[cot.id] || '').trim() || cot.id || 'XXXX';
+    const bo = getCompraBo(cot);
     const subject = `Compra ${origenLabel} - BO ${bo}`;
     const items = cot.items || [];
     const headers = ['Marca', 'Cantidad', 'SKU', 'MPN', 'Costo XUS'];
@@ -3844,7 +5226,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
 
   const buildCompraHtml = (cot) => {
     const origenLabel = getCompraOrigenLabel(cot);
-    const bo = (boByCotizacionId[cot.id] || '').trim() || cot.id || 'XXXX';
+    const bo = getCompraBo(cot);
     return [
       `<p>Juan</p>`,
       `<p>Favor tu apoyo gestionando la siguiente compra:</p>`,
@@ -4202,6 +5584,15 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                 </button>
                 <span className="text-slate-700 break-words">{order.customerName || 'Cliente N/A'}</span>
                 <span className={`whitespace-nowrap text-[11px] px-2 py-0.5 rounded-full ${statusClass}`}>{status}</span>
+                {(cotizacionesByBo[order.bo] || []).map(link => (
+                  <span
+                    key={`${order.bo}-${link.cotizacion_id}`}
+                    title={`${link.cliente_empresa || link.cliente_nombre || 'Sin cliente'} · ${link.estado || 'revision'}`}
+                    className="whitespace-nowrap text-[11px] px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700"
+                  >
+                    Cotización {link.folio || `#${link.cotizacion_id}`}
+                  </span>
+                ))}
               </div>
               {etaBadge && (
                 <span className={`whitespace-nowrap text-[11px] px-2 py-0.5 rounded-full ${etaBadge.className}`}>
@@ -4448,39 +5839,24 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   };
 
   const enviarACompras = (cot) => {
+    // La BO escrita queda vinculada a la cotizacion al enviar el correo.
+    const boEscrita = (boByCotizacionId[cot.id] || '').trim();
+    if (isFullAdmin && boEscrita && !(bosByCotizacionId[cot.id] || []).some(link => link.bo === boEscrita)) {
+      cotizacionBosAPI.link(cot.id, boEscrita).then(loadCotizacionBos).catch(() => {});
+    }
     window.location.href = buildCompraMailto(cot);
     setCompraPreviewCot(cot);
   };
 
-  const filteredProductos = useMemo(() => {
-    const localTerm = isAdmin ? '' : searchTerm.toLowerCase();
-    return adminProductos.filter(p => {
-      const localMatch =
-        p.marca.toLowerCase().includes(localTerm) ||
-        p.sku.toLowerCase().includes(localTerm) ||
-        (p.mpn || '').toLowerCase().includes(localTerm) ||
-        p.desc.toLowerCase().includes(localTerm);
-      if (!localMatch) return false;
-      if (!globalQuery) return true;
-      return [p.sku, p.mpn, p.desc, p.marca]
-        .some(v => (v || '').toLowerCase().includes(globalQuery));
-    });
-  }, [adminProductos, searchTerm, globalQuery, isAdmin]);
-
-  const filteredCatalogo = useMemo(() => {
-    const t = catalogSearch.toLowerCase();
-    return productos.filter(p =>
-      (!isCotizadorStockAdmin || (p.origen || 'QNAP') === 'AXIS') && (
-        p.marca.toLowerCase().includes(t) ||
-        p.sku.toLowerCase().includes(t) ||
-        (p.mpn || '').toLowerCase().includes(t) ||
-        p.desc.toLowerCase().includes(t)
-      ) && (
-        !globalQuery ||
-        [p.sku, p.mpn, p.desc, p.marca].some(v => (v || '').toLowerCase().includes(globalQuery))
-      )
-    );
-  }, [productos, catalogSearch, globalQuery, isCotizadorStockAdmin]);
+  // Solo arma las opciones de cada select; el filtrado lo hace /api/productos/search.
+  const catalogAtributoOptions = useMemo(() => ({
+    bahias: [...new Set(productos.map(p => p.bahias).filter(Boolean))].sort((a, b) => a - b),
+    resolucion: [...new Set(productos.map(p => p.resolucion).filter(Boolean))].sort(),
+    poe_clase: [...new Set(productos.map(p => p.poe_clase).filter(Boolean))].sort(),
+    factor_forma: [...new Set(productos.map(p => p.factor_forma).filter(Boolean))].sort()
+  }), [productos]);
+
+  const catalogFiltersActive = Object.values(catalogFilters).some(Boolean);
 
   const filteredStockCatalog = useMemo(() => {
     const tokens = buildSearchTokens(stockCatalogQuery);
@@ -4526,8 +5902,20 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     };
   };
 
-  const productosPage = useMemo(() => paginateRows(filteredProductos, 'productos'), [filteredProductos, pageByTable, pageSizeByTable]);
-  const historialPage = useMemo(() => paginateRows(filteredHistorial, 'historial'), [filteredHistorial, pageByTable, pageSizeByTable]);
+  const productosPage = useMemo(() => ({
+    page: productosBusqueda.meta.page || 1,
+    pageSize: pageSizeByTable.productos || DEFAULT_PAGE_SIZE,
+    total: productosBusqueda.meta.total || 0,
+    totalPages: Math.max(1, productosBusqueda.meta.totalPages || 0),
+    rows: productosBusqueda.rows
+  }), [productosBusqueda, pageSizeByTable]);
+  const historialPage = useMemo(() => ({
+    page: historialMeta.page || 1,
+    pageSize: pageSizeByTable.historial || DEFAULT_PAGE_SIZE,
+    total: historialMeta.total || 0,
+    totalPages: Math.max(1, historialMeta.totalPages || 0),
+    rows: historial
+  }), [historial, historialMeta, pageSizeByTable]);
   const usuariosPage = useMemo(() => paginateRows(unassignedUsuarios, 'usuarios'), [unassignedUsuarios, pageByTable, pageSizeByTable]);
   const ordenesPage = useMemo(() => paginateRows(filteredOsoOrders, 'ordenes'), [filteredOsoOrders, pageByTable, pageSizeByTable]);
 
@@ -4557,7 +5945,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   }, [osoFilter, osoStatusFilter, osoSort, osoQuickFilter, osoInvoiceMonth, osoCompanyFilter, globalQuery]);
 
   useEffect(() => {
-    if (currentView !== 'cotizador' || !catalogSearch.trim()) {
+    if (currentView !== 'cotizador' || (!catalogSearch.trim() && !catalogFiltersActive)) {
       setCatalogDropdownStyle(null);
       return;
     }
@@ -4580,7 +5968,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
       window.removeEventListener('scroll', updatePosition, true);
       window.removeEventListener('resize', updatePosition);
     };
-  }, [catalogSearch, filteredCatalogo.length, currentView]);
+  }, [catalogSearch, catalogFiltersActive, catalogResultados.rows.length, currentView]);
 
   useEffect(() => {
     setSelectedIds(prev => {
@@ -4598,11 +5986,11 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   const toggleSelectAllFiltered = () => {
     setSelectedIds(prev => {
       const next = new Set(prev);
-      const allSelected = filteredProductos.length > 0 && filteredProductos.every(p => prev.has(p.id));
+      const allSelected = productosPage.rows.length > 0 && productosPage.rows.every(p => prev.has(p.id));
       if (allSelected) {
-        filteredProductos.forEach(p => next.delete(p.id));
+        productosPage.rows.forEach(p => next.delete(p.id));
       } else {
-        filteredProductos.forEach(p => next.add(p.id));
+        productosPage.rows.forEach(p => next.add(p.id));
       }
       return next;
     });
@@ -4617,7 +6005,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     });
   };
 
-  const allFilteredSelected = filteredProductos.length > 0 && filteredProductos.every(p => selectedIds.has(p.id));
+  const allFilteredSelected = productosPage.rows.length > 0 && productosPage.rows.every(p => selectedIds.has(p.id));
 
   if (loading) {
     return (
@@ -4726,6 +6114,10 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
   // VISTA CLIENTE
   if (currentView === 'cliente') {
     const fecha = new Date().toLocaleDateString('es-CL', { year: 'numeric', month: 'long', day: 'numeric' });
+    const previewTipoCambio = cotizacionMoneda === 'USD' ? 1 : Number(tipoCambioVigente?.valor) || 0;
+    const toPreviewAmount = (value) => convertFromUsd(value, cotizacionMoneda, previewTipoCambio);
+    const previewTotal = cotizacion.reduce((sum, item) => sum + toPreviewAmount(calcularPrecioClienteItem(item)) * item.cant, 0);
+    const previewImpuestos = calcularImpuestos(previewTotal, ivaTasaCliente, cotizacionMoneda);
     return (
       <div className="min-h-screen bg-gray-100 p-4 print:bg-white">
         <div data-pdf-root="1" className="max-w-4xl mx-auto bg-white shadow-xl print:shadow-none rounded-lg overflow-hidden print-area">
@@ -4775,27 +6167,41 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                       <td className="px-2 py-2 font-mono text-xs">{item.sku}</td>
                       <td className="px-2 py-2 font-mono text-xs">{item.mpn}</td>
                       <td className="px-2 py-2">{item.desc}</td>
-                      <td className="px-2 py-2 text-right">{formatCurrency(pu)}</td>
-                      <td className="px-2 py-2 text-right font-semibold">{formatCurrency(pu * item.cant)}</td>
+                      <td className="px-2 py-2 text-right">{formatMoney(toPreviewAmount(pu), cotizacionMoneda)}</td>
+                      <td className="px-2 py-2 text-right font-semibold">{formatMoney(toPreviewAmount(pu) * item.cant, cotizacionMoneda)}</td>
                       <td className="px-2 py-2 text-center text-xs">{item.tiempo}</td>
                     </tr>
                   );
                 })}
               </tbody>
             </table>
-            <div className="mt-4 flex justify-end">
+            <div className="mt-4 flex flex-col items-end gap-1">
+              <div className="text-sm font-semibold text-gray-800">NETO: {formatMoney(previewImpuestos.neto, cotizacionMoneda)}</div>
+              <div className="text-sm font-semibold text-gray-800">
+                {previewImpuestos.iva_tasa > 0
+                  ? `${getIvaLabel(previewImpuestos.iva_tasa)}: ${formatMoney(previewImpuestos.iva_monto, cotizacionMoneda)}`
+                  : getIvaLabel(0)}
+              </div>
               <div className="bg-blue-600 text-white px-6 py-3 rounded-lg">
-                <span className="text-sm">TOTAL (No incluye IVA): </span>
-                <span className="text-xl font-bold">{formatCurrency(totalCotizacion)}</span>
+                <span className="text-sm">TOTAL: </span>
+                <span className="text-xl font-bold">{formatMoney(previewImpuestos.total_bruto, cotizacionMoneda)}</span>
               </div>
             </div>
           </div>
           <div className="p-4 bg-gray-50 border-t text-xs text-gray-600">
             <h3 className="font-bold text-gray-800 mb-2">OBSERVACIONES Y CONDICIONES:</h3>
             <ol className="list-decimal list-inside space-y-1">
-              <li>Los valores están expresados en dólares americanos. No incluye IVA.</li>
+              {cotizacionMoneda === 'CLP' ? (
+                <li>Los valores están expresados en pesos chilenos. {previewImpuestos.iva_tasa > 0 ? 'Precios unitarios netos; el IVA se detalla en el total.' : 'Cliente exento de IVA.'} Tipo de cambio: {formatMoney(previewTipoCambio, 'CLP')} por USD.</li>
+              ) : (
+                <li>Los valores están expresados en dólares americanos. {previewImpuestos.iva_tasa > 0 ? 'Precios unitarios netos; el IVA se detalla en el total.' : 'Cliente exento de IVA.'}</li>
+              )}
               <li>La cotización posee una validez de 15 días desde la fecha de emisión.</li>
-              <li>El tipo de cambio a utilizar será el dólar observado del día anterior más $5.</li>
+              {cotizacionMoneda === 'CLP' ? (
+                <li>El tipo de cambio queda fijado a la fecha de la cotización.</li>
+              ) : (
+                <li>El tipo de cambio a utilizar será el dólar observado del día anterior más $5.</li>
+              )}
               <li>Los valores son válidos considerando la compra total de la cotización.</li>
               <li>Las garantías son de acuerdo con las políticas de cada marca.</li>
               <li>Intcomex Chile otorga 24hrs para informar problemas de garantías en pantallas.</li>
@@ -4840,7 +6246,11 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
     invoiceMonthOptions,
     dashboardBilling,
     setCurrentView,
-    syncStatus
+    syncStatus,
+    recordatorios,
+    recordatoriosError,
+    completarRecordatorio,
+    reprogramarSeguimiento
   };
 
   // Modelo único de navegación: alimenta los pills de desktop, el drawer y la barra inferior móvil.
@@ -5555,6 +6965,17 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                             <option value="compras">Compras</option>
                           </select>
                         )}
+                        <input
+                          key={`email-${selectedUser.id}`}
+                          type="email"
+                          placeholder="Email (resumen diario de seguimientos)"
+                          defaultValue={selectedUser.email || ''}
+                          onBlur={e => {
+                            const email = e.target.value.trim();
+                            if (email !== (selectedUser.email || '')) updateUsuario(selectedUser.id, { email });
+                          }}
+                          className="px-2 py-1 border rounded text-xs"
+                        />
                         <div className="flex items-center gap-2">
                           <input
                             placeholder="Nueva contraseña"
@@ -5869,88 +7290,813 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                   Gestión de Productos QNAP
                 </button>
                 <button
-                  onClick={() => setAdminOrigin('AXIS')}
-                  className={`px-3 py-1.5 rounded-lg text-sm font-medium ${adminOrigin === 'AXIS' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                  onClick={() => setAdminOrigin('AXIS')}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium ${adminOrigin === 'AXIS' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  Gestión de Productos Axis
+                </button>
+                <a
+                  href="https://docs.google.com/spreadsheets/d/1cSAaO8GbWFKuboZzhQcyc2CuSD38xtQv8ELjO33G2U0/edit?gid=0#gid=0"
+                  target="_blank"
+                  rel="noreferrer"
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium bg-slate-900 text-white hover:bg-slate-800"
+                >
+                  Abrir Excel maestro
+                </a>
+                <button
+                  onClick={() => syncFromSheetsOrigin('QNAP')}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-amber-700 bg-amber-100 hover:bg-amber-200 rounded-lg text-sm font-medium disabled:opacity-50"
+                >
+                  Sync rápido QNAP
+                </button>
+                <button
+                  onClick={() => syncFromSheetsOrigin('AXIS')}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-amber-700 bg-amber-100 hover:bg-amber-200 rounded-lg text-sm font-medium disabled:opacity-50"
+                >
+                  Sync rápido AXIS
+                </button>
+                <button
+                  onClick={() => previewSyncOrigin(adminOrigin)}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-slate-700 bg-slate-100 hover:bg-slate-200 rounded-lg text-sm font-medium disabled:opacity-50"
+                >
+                  Vista previa sync {adminOrigin}
+                </button>
+              </div>
+              {syncPreview && (
+                <div className="mt-2 p-3 rounded-xl border border-slate-200 bg-white text-sm">
+                  <div className="flex items-center justify-between gap-2 flex-wrap">
+                    <div className="font-semibold text-gray-800">
+                      Vista previa {syncPreview.origen}: {syncPreview.nuevos.length} nuevos · {syncPreview.cambios.length} con cambios · {syncPreview.desactivados.length} a desactivar · {syncPreview.rechazados.length} rechazados · {syncPreview.sin_cambios} sin cambios
+                    </div>
+                    <div className="flex gap-2">
+                      <button onClick={applySyncPreview} disabled={saving} className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">Aplicar</button>
+                      <button onClick={() => setSyncPreview(null)} className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Descartar</button>
+                    </div>
+                  </div>
+                  {syncPreview.warnings && <div className="mt-2 text-xs text-amber-700">{syncPreview.warnings}</div>}
+                  <div className="mt-3 max-h-96 overflow-y-auto space-y-3 text-xs">
+                    {syncPreview.cambios.length > 0 && (
+                      <div>
+                        <div className="font-semibold text-gray-700">Con cambios</div>
+                        {syncPreview.cambios.map(row => (
+                          <div key={row.id} className="py-1 border-b">
+                            <span className="text-gray-400">Fila {row.fila}</span> <span className="font-mono">{row.producto.sku || row.producto.mpn || row.producto.descripcion}</span>
+                            {Object.entries(row.cambios).map(([campo, cambio]) => (
+                              <span key={campo} className="ml-2">
+                                <span className="text-gray-500">{campo}:</span> {String(cambio.antes ?? '—')} → {String(cambio.despues ?? '—')}
+                              </span>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {syncPreview.nuevos.length > 0 && (
+                      <div>
+                        <div className="font-semibold text-gray-700">Nuevos</div>
+                        {syncPreview.nuevos.map(row => (
+                          <div key={row.fila} className="py-1 border-b">
+                            <span className="text-gray-400">Fila {row.fila}</span> <span className="font-mono">{row.producto.sku || row.producto.mpn}</span> {row.producto.descripcion} · {formatCurrency(row.producto.precio_disty)}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {syncPreview.desactivados.length > 0 && (
+                      <div>
+                        <div className="font-semibold text-gray-700">Se desactivan (ya no están en la hoja)</div>
+                        {syncPreview.desactivados.map(row => (
+                          <div key={row.id} className="py-1 border-b">
+                            <span className="font-mono">{row.sku || row.mpn}</span> {row.descripcion}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {syncPreview.rechazados.length > 0 && (
+                      <div>
+                        <div className="font-semibold text-rose-700">Rechazados</div>
+                        {syncPreview.rechazados.map(row => (
+                          <div key={row.fila} className="py-1 border-b">
+                            <span className="text-gray-400">Fila {row.fila}</span> <span className="font-mono">{row.sku || row.mpn || row.descripcion}</span> · {row.motivo}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              {showAddForm && (
+                <div className="mt-4 p-4 bg-blue-50 rounded-xl border border-blue-200">
+                  <h3 className="font-semibold mb-3">Nuevo Producto</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3">
+                    <input placeholder="Marca" value={newProduct.marca} onChange={e => setNewProduct(p => ({ ...p, marca: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                    <input placeholder="SKU *" value={newProduct.sku} onChange={e => setNewProduct(p => ({ ...p, sku: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                    <input placeholder="MPN" value={newProduct.mpn} onChange={e => setNewProduct(p => ({ ...p, mpn: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                    <input placeholder="Descripción" value={newProduct.desc} onChange={e => setNewProduct(p => ({ ...p, desc: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                    <input type="number" placeholder="Precio Disty" value={newProduct.precio} onChange={e => setNewProduct(p => ({ ...p, precio: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                    <input placeholder="GP % (ej: 15)" value={newProduct.gp} onChange={e => setNewProduct(p => ({ ...p, gp: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                    <input placeholder="Tiempo Entrega" value={newProduct.tiempo} onChange={e => setNewProduct(p => ({ ...p, tiempo: e.target.value }))} className="px-3 py-2 border rounded-lg" />
+                  </div>
+                  <div className="flex gap-2 mt-3">
+                    <button onClick={handleAddProduct} disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                      {saving ? 'Guardando...' : 'Guardar'}
+                    </button>
+                    <button onClick={() => setShowAddForm(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">Cancelar</button>
+                  </div>
+                </div>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Sincronizaciones {adminOrigin}</h3>
+              {syncLogsError && <div className="text-xs text-red-600">{syncLogsError}</div>}
+              {syncLogs.length === 0 ? (
+                <div className="text-xs text-gray-400">Sin sincronizaciones registradas</div>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Fecha</th>
+                      <th className="px-2 py-1 text-left">Origen del sync</th>
+                      <th className="px-2 py-1 text-left">Estado</th>
+                      <th className="px-2 py-1 text-right">Nuevos</th>
+                      <th className="px-2 py-1 text-right">Actualizados</th>
+                      <th className="px-2 py-1 text-center">Acciones</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {syncLogs.map(log => (
+                      <tr key={log.id}>
+                        <td className="px-2 py-1 whitespace-nowrap">{new Date(log.created_at).toLocaleString('es-CL')}</td>
+                        <td className="px-2 py-1">{log.trigger_source || '—'}</td>
+                        <td className={`px-2 py-1 ${log.status === 'error' ? 'text-red-600' : ''}`} title={log.error || ''}>{log.status}</td>
+                        <td className="px-2 py-1 text-right">{log.inserted}</td>
+                        <td className="px-2 py-1 text-right">{log.updated}</td>
+                        <td className="px-2 py-1 text-center">
+                          {log.has_snapshot && (
+                            <button
+                              onClick={() => restoreSyncLog(log)}
+                              disabled={saving}
+                              className="px-2 py-1 text-rose-600 hover:bg-rose-50 rounded disabled:opacity-50"
+                            >
+                              Restaurar estado previo
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Parametros de calculo {adminOrigin}</h3>
+              {(() => {
+                const vigente = parametrosPrecioVigentes[adminOrigin];
+                const factores = adminOrigin === 'AXIS' ? axisCalcParams : calcParams;
+                return (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                    <div className="p-2 bg-slate-50 rounded-lg border">
+                      <div className="text-xs text-gray-500">Inbound Freight</div>
+                      <div className="mt-1 font-semibold">{factores.INBOUND_FREIGHT}</div>
+                    </div>
+                    <div className="p-2 bg-slate-50 rounded-lg border">
+                      <div className="text-xs text-gray-500">IC</div>
+                      <div className="mt-1 font-semibold">{factores.IC}</div>
+                    </div>
+                    <div className="p-2 bg-slate-50 rounded-lg border">
+                      <div className="text-xs text-gray-500">INT (%)</div>
+                      <div className="mt-1 font-semibold">{(factores.INT * 100).toFixed(2)}</div>
+                    </div>
+                    <div className="p-2 bg-slate-50 rounded-lg border">
+                      <div className="text-xs text-gray-500">Vigente desde</div>
+                      <div className="mt-1 font-semibold">{vigente ? toDateOnlyKey(vigente.vigente_desde) : 'Valores por defecto'}</div>
+                    </div>
+                  </div>
+                );
+              })()}
+              {isFullAdmin && (
+                <div className="mt-3 flex items-end gap-2 flex-wrap text-sm">
+                  <label className="text-xs text-gray-500 flex flex-col gap-1">
+                    Inbound Freight
+                    <input
+                      type="number"
+                      step="0.001"
+                      value={parametroPrecioForm.inbound_freight}
+                      onChange={e => setParametroPrecioForm(f => ({ ...f, inbound_freight: e.target.value }))}
+                      className="w-28 px-2 py-1 border rounded text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-500 flex flex-col gap-1">
+                    IC
+                    <input
+                      type="number"
+                      step="0.001"
+                      value={parametroPrecioForm.ic}
+                      onChange={e => setParametroPrecioForm(f => ({ ...f, ic: e.target.value }))}
+                      className="w-24 px-2 py-1 border rounded text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-500 flex flex-col gap-1">
+                    INT (%)
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={parametroPrecioForm.interes}
+                      onChange={e => setParametroPrecioForm(f => ({ ...f, interes: e.target.value }))}
+                      className="w-24 px-2 py-1 border rounded text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-500 flex flex-col gap-1">
+                    Vigente desde
+                    <input
+                      type="date"
+                      value={parametroPrecioForm.vigente_desde}
+                      onChange={e => setParametroPrecioForm(f => ({ ...f, vigente_desde: e.target.value }))}
+                      className="px-2 py-1 border rounded text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-500 flex flex-col gap-1 flex-1 min-w-[160px]">
+                    Comentario
+                    <input
+                      type="text"
+                      value={parametroPrecioForm.comentario}
+                      onChange={e => setParametroPrecioForm(f => ({ ...f, comentario: e.target.value }))}
+                      className="px-2 py-1 border rounded text-sm"
+                    />
+                  </label>
+                  <button
+                    onClick={saveParametroPrecio}
+                    disabled={saving}
+                    className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Guardar nueva versión
+                  </button>
+                </div>
+              )}
+              {parametrosPrecioError && <div className="mt-2 text-xs text-red-600">{parametrosPrecioError}</div>}
+              {parametrosPrecio.length > 0 ? (
+                <table className="mt-3 w-full text-xs">
+                  <thead className="text-gray-500">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Vigente desde</th>
+                      <th className="px-2 py-1 text-right">Freight</th>
+                      <th className="px-2 py-1 text-right">IC</th>
+                      <th className="px-2 py-1 text-right">INT</th>
+                      <th className="px-2 py-1 text-left">Usuario</th>
+                      <th className="px-2 py-1 text-left">Comentario</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {parametrosPrecio.map(row => (
+                      <tr key={row.id} className={parametrosPrecioVigentes[adminOrigin]?.id === row.id ? 'bg-emerald-50' : ''}>
+                        <td className="px-2 py-1">
+                          {toDateOnlyKey(row.vigente_desde)}
+                          {parametrosPrecioVigentes[adminOrigin]?.id === row.id && <span className="ml-1 text-emerald-700">(vigente)</span>}
+                        </td>
+                        <td className="px-2 py-1 text-right">{Number(row.inbound_freight)}</td>
+                        <td className="px-2 py-1 text-right">{Number(row.ic)}</td>
+                        <td className="px-2 py-1 text-right">{(Number(row.interes) * 100).toFixed(2)}%</td>
+                        <td className="px-2 py-1">{row.usuario || 'N/A'}</td>
+                        <td className="px-2 py-1">{row.comentario || ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="mt-3 text-xs text-gray-400">Sin versiones registradas</div>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Tipos de cambio (CLP por USD)</h3>
+              <div className="flex items-end gap-2 flex-wrap text-sm">
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Valor
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={tipoCambioForm.valor}
+                    onChange={e => setTipoCambioForm(f => ({ ...f, valor: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Vigente desde
+                  <input
+                    type="date"
+                    value={tipoCambioForm.vigente_desde}
+                    onChange={e => setTipoCambioForm(f => ({ ...f, vigente_desde: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <button
+                  onClick={saveTipoCambio}
+                  disabled={saving}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Guardar
+                </button>
+              </div>
+              {tiposCambioError && <div className="mt-2 text-xs text-red-600">{tiposCambioError}</div>}
+              {tiposCambio.length > 0 ? (
+                <table className="mt-3 w-full text-xs">
+                  <thead className="text-gray-500">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Vigente desde</th>
+                      <th className="px-2 py-1 text-right">Valor</th>
+                      <th className="px-2 py-1 text-left">Usuario</th>
+                      <th className="px-2 py-1" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {tiposCambio.map(row => (
+                      <tr key={row.id}>
+                        <td className="px-2 py-1">{toDateOnlyKey(row.vigente_desde)}</td>
+                        <td className="px-2 py-1 text-right">{formatMoney(row.valor, 'CLP')}</td>
+                        <td className="px-2 py-1">{row.usuario || 'N/A'}</td>
+                        <td className="px-2 py-1 text-right">
+                          <button
+                            onClick={() => deleteTipoCambio(row.id)}
+                            disabled={saving}
+                            className="text-red-600 hover:underline disabled:opacity-50"
+                          >
+                            Eliminar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="mt-3 text-xs text-gray-400">Sin tipos de cambio registrados</div>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Kits</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                <div className="space-y-2">
+                  <input
+                    type="text"
+                    placeholder="Nombre del kit"
+                    value={kitForm.nombre}
+                    onChange={e => setKitForm(f => ({ ...f, nombre: e.target.value }))}
+                    className="w-full px-2 py-1 border rounded text-sm"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Descripción"
+                    value={kitForm.descripcion}
+                    onChange={e => setKitForm(f => ({ ...f, descripcion: e.target.value }))}
+                    className="w-full px-2 py-1 border rounded text-sm"
+                  />
+                  <textarea
+                    rows={5}
+                    placeholder={'SKU o MPN, cantidad (una línea por producto)\nTS-464-8G, 1'}
+                    value={kitForm.lineas}
+                    onChange={e => setKitForm(f => ({ ...f, lineas: e.target.value }))}
+                    className="w-full px-2 py-1 border rounded text-sm font-mono"
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={saveKit}
+                      disabled={saving}
+                      className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {kitForm.id ? 'Actualizar kit' : 'Crear kit'}
+                    </button>
+                    {kitForm.id && (
+                      <button onClick={resetKitForm} className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">
+                        Cancelar
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  {kitsError && <div className="mb-2 text-xs text-red-600">{kitsError}</div>}
+                  {kits.length > 0 ? (
+                    <ul className="divide-y text-xs">
+                      {kits.map(kit => (
+                        <li key={kit.id} className="py-2">
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="font-semibold text-gray-800">{kit.nombre}</span>
+                            <span className="flex gap-2">
+                              <button onClick={() => editKit(kit)} className="text-blue-600 hover:underline">Editar</button>
+                              <button
+                                onClick={() => deleteKit(kit.id)}
+                                disabled={saving}
+                                className="text-red-600 hover:underline disabled:opacity-50"
+                              >
+                                Eliminar
+                              </button>
+                            </span>
+                          </div>
+                          {kit.descripcion && <div className="text-gray-500">{kit.descripcion}</div>}
+                          <div className="text-gray-600">
+                            {(kit.items || []).map(item => (
+                              <span key={item.producto_id} className={`mr-2 ${item.activo ? '' : 'text-red-500 line-through'}`}>
+                                {item.cantidad} x {item.sku || item.mpn}
+                              </span>
+                            ))}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <div className="text-xs text-gray-400">Sin kits definidos</div>
+                  )}
+                </div>
+              </div>
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Servicios y cargos adicionales</h3>
+              <div className="flex items-end gap-2 flex-wrap text-sm">
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Tipo
+                  <select
+                    value={conceptoForm.tipo}
+                    onChange={e => setConceptoForm(f => ({ ...f, tipo: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  >
+                    {Object.entries(COTIZACION_LINEA_TIPO_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Nombre
+                  <input
+                    type="text"
+                    value={conceptoForm.nombre}
+                    onChange={e => setConceptoForm(f => ({ ...f, nombre: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Descripción
+                  <input
+                    type="text"
+                    value={conceptoForm.descripcion}
+                    onChange={e => setConceptoForm(f => ({ ...f, descripcion: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Precio fijo (USD)
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={conceptoForm.precio}
+                    onChange={e => setConceptoForm(f => ({ ...f, precio: e.target.value }))}
+                    className="w-28 px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  o rango mín.
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={conceptoForm.precio_min}
+                    disabled={conceptoForm.precio !== ''}
+                    onChange={e => setConceptoForm(f => ({ ...f, precio_min: e.target.value }))}
+                    className="w-24 px-2 py-1 border rounded text-sm disabled:bg-gray-100"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  máx.
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={conceptoForm.precio_max}
+                    disabled={conceptoForm.precio !== ''}
+                    onChange={e => setConceptoForm(f => ({ ...f, precio_max: e.target.value }))}
+                    className="w-24 px-2 py-1 border rounded text-sm disabled:bg-gray-100"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={conceptoForm.activo}
+                    onChange={e => setConceptoForm(f => ({ ...f, activo: e.target.checked }))}
+                  />
+                  Activo
+                </label>
+                <button
+                  onClick={() => saveConcepto()}
+                  disabled={saving}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
                 >
-                  Gestión de Productos Axis
+                  {conceptoForm.id ? 'Actualizar' : 'Crear'}
                 </button>
-                <a
-                  href="https://docs.google.com/spreadsheets/d/1cSAaO8GbWFKuboZzhQcyc2CuSD38xtQv8ELjO33G2U0/edit?gid=0#gid=0"
-                  target="_blank"
-                  rel="noreferrer"
-                  className="px-3 py-1.5 rounded-lg text-sm font-medium bg-slate-900 text-white hover:bg-slate-800"
-                >
-                  Abrir Excel maestro
-                </a>
+                {conceptoForm.id && (
+                  <button onClick={() => setConceptoForm(EMPTY_CONCEPTO_FORM)} className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">
+                    Cancelar
+                  </button>
+                )}
+              </div>
+              {conceptosError && <div className="mt-2 text-xs text-red-600">{conceptosError}</div>}
+              {conceptosAdicionales.length > 0 ? (
+                <table className="mt-3 w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1">Tipo</th>
+                      <th className="py-1">Nombre</th>
+                      <th className="py-1">Precio</th>
+                      <th className="py-1">Estado</th>
+                      <th className="py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {conceptosAdicionales.map(concepto => (
+                      <tr key={concepto.id} className={concepto.activo ? '' : 'text-gray-400'}>
+                        <td className="py-1">{COTIZACION_LINEA_TIPO_LABELS[concepto.tipo]}</td>
+                        <td className="py-1">
+                          <div className="font-medium">{concepto.nombre}</div>
+                          {concepto.descripcion && <div className="text-gray-500">{concepto.descripcion}</div>}
+                        </td>
+                        <td className="py-1">
+                          {concepto.precio !== null && concepto.precio !== undefined
+                            ? formatCurrency(Number(concepto.precio))
+                            : `${formatCurrency(Number(concepto.precio_min) || 0)} - ${formatCurrency(Number(concepto.precio_max) || 0)}`}
+                        </td>
+                        <td className="py-1">
+                          <button
+                            onClick={() => toggleConceptoActivo(concepto)}
+                            disabled={saving}
+                            className="hover:underline disabled:opacity-50"
+                          >
+                            {concepto.activo ? 'Activo' : 'Inactivo'}
+                          </button>
+                        </td>
+                        <td className="py-1 text-right">
+                          <button onClick={() => editConcepto(concepto)} className="text-blue-600 hover:underline mr-2">Editar</button>
+                          <button
+                            onClick={() => deleteConcepto(concepto.id)}
+                            disabled={saving}
+                            className="text-red-600 hover:underline disabled:opacity-50"
+                          >
+                            Eliminar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="mt-2 text-xs text-gray-400">Sin conceptos definidos</div>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">GP mínimo por origen / marca</h3>
+              <div className="flex items-end gap-2 flex-wrap text-sm">
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Origen
+                  <select
+                    value={gpPisoForm.origen}
+                    onChange={e => setGpPisoForm(f => ({ ...f, origen: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  >
+                    <option value="QNAP">QNAP</option>
+                    <option value="AXIS">AXIS</option>
+                  </select>
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Marca (vacío = todo el origen)
+                  <input
+                    type="text"
+                    value={gpPisoForm.marca}
+                    onChange={e => setGpPisoForm(f => ({ ...f, marca: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  GP mínimo (%)
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={gpPisoForm.gp_min}
+                    onChange={e => setGpPisoForm(f => ({ ...f, gp_min: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
                 <button
-                  onClick={() => syncFromSheetsOrigin('QNAP')}
+                  onClick={saveGpPiso}
                   disabled={saving}
-                  className="px-3 py-1.5 text-amber-700 bg-amber-100 hover:bg-amber-200 rounded-lg text-sm font-medium disabled:opacity-50"
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
                 >
-                  Sync rápido QNAP
+                  Guardar
                 </button>
+              </div>
+              {gpPisosError && <div className="mt-2 text-xs text-red-600">{gpPisosError}</div>}
+              {gpPisos.length > 0 ? (
+                <table className="mt-3 w-full text-xs">
+                  <thead className="text-gray-500">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Origen</th>
+                      <th className="px-2 py-1 text-left">Marca</th>
+                      <th className="px-2 py-1 text-right">GP mínimo</th>
+                      <th className="px-2 py-1 text-left">Usuario</th>
+                      <th className="px-2 py-1" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {gpPisos.map(row => (
+                      <tr key={row.id}>
+                        <td className="px-2 py-1">{row.origen}</td>
+                        <td className="px-2 py-1">{row.marca || 'Todas'}</td>
+                        <td className="px-2 py-1 text-right">{(Number(row.gp_min) * 100).toFixed(1)}%</td>
+                        <td className="px-2 py-1">{row.usuario || 'N/A'}</td>
+                        <td className="px-2 py-1 text-right">
+                          <button
+                            onClick={() => deleteGpPiso(row.id)}
+                            disabled={saving}
+                            className="text-red-600 hover:underline disabled:opacity-50"
+                          >
+                            Eliminar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="mt-3 text-xs text-gray-400">Sin GP mínimos: las cotizaciones no requieren aprobación</div>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Validez por origen / marca</h3>
+              <div className="flex items-end gap-2 flex-wrap text-sm">
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Origen
+                  <select
+                    value={validezForm.origen}
+                    onChange={e => setValidezForm(f => ({ ...f, origen: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  >
+                    <option value="QNAP">QNAP</option>
+                    <option value="AXIS">AXIS</option>
+                  </select>
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Marca (vacío = todo el origen)
+                  <input
+                    type="text"
+                    value={validezForm.marca}
+                    onChange={e => setValidezForm(f => ({ ...f, marca: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Días de validez
+                  <input
+                    type="number"
+                    min="1"
+                    max="365"
+                    value={validezForm.dias}
+                    onChange={e => setValidezForm(f => ({ ...f, dias: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
+                  />
+                </label>
                 <button
-                  onClick={() => syncFromSheetsOrigin('AXIS')}
+                  onClick={saveValidezRegla}
                   disabled={saving}
-                  className="px-3 py-1.5 text-amber-700 bg-amber-100 hover:bg-amber-200 rounded-lg text-sm font-medium disabled:opacity-50"
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
                 >
-                  Sync rápido AXIS
+                  Guardar
                 </button>
               </div>
-              {showAddForm && (
-                <div className="mt-4 p-4 bg-blue-50 rounded-xl border border-blue-200">
-                  <h3 className="font-semibold mb-3">Nuevo Producto</h3>
-                  <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3">
-                    <input placeholder="Marca" value={newProduct.marca} onChange={e => setNewProduct(p => ({ ...p, marca: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                    <input placeholder="SKU *" value={newProduct.sku} onChange={e => setNewProduct(p => ({ ...p, sku: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                    <input placeholder="MPN" value={newProduct.mpn} onChange={e => setNewProduct(p => ({ ...p, mpn: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                    <input placeholder="Descripción" value={newProduct.desc} onChange={e => setNewProduct(p => ({ ...p, desc: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                    <input type="number" placeholder="Precio Disty" value={newProduct.precio} onChange={e => setNewProduct(p => ({ ...p, precio: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                    <input placeholder="GP % (ej: 15)" value={newProduct.gp} onChange={e => setNewProduct(p => ({ ...p, gp: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                    <input placeholder="Tiempo Entrega" value={newProduct.tiempo} onChange={e => setNewProduct(p => ({ ...p, tiempo: e.target.value }))} className="px-3 py-2 border rounded-lg" />
-                  </div>
-                  <div className="flex gap-2 mt-3">
-                    <button onClick={handleAddProduct} disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
-                      {saving ? 'Guardando...' : 'Guardar'}
-                    </button>
-                    <button onClick={() => setShowAddForm(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">Cancelar</button>
-                  </div>
-                </div>
+              {validezError && <div className="mt-2 text-xs text-red-600">{validezError}</div>}
+              {validezReglas.length > 0 ? (
+                <table className="mt-3 w-full text-xs">
+                  <thead className="text-gray-500">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Origen</th>
+                      <th className="px-2 py-1 text-left">Marca</th>
+                      <th className="px-2 py-1 text-right">Días</th>
+                      <th className="px-2 py-1 text-left">Usuario</th>
+                      <th className="px-2 py-1" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {validezReglas.map(row => (
+                      <tr key={row.id}>
+                        <td className="px-2 py-1">{row.origen}</td>
+                        <td className="px-2 py-1">{row.marca || 'Todas'}</td>
+                        <td className="px-2 py-1 text-right">{row.dias}</td>
+                        <td className="px-2 py-1">{row.usuario || 'N/A'}</td>
+                        <td className="px-2 py-1 text-right">
+                          <button
+                            onClick={() => deleteValidezRegla(row.id)}
+                            disabled={saving}
+                            className="text-red-600 hover:underline disabled:opacity-50"
+                          >
+                            Eliminar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="mt-3 text-xs text-gray-400">Sin reglas: rige la validez configurada por origen en el servidor</div>
               )}
             </div>
             <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
-              <h3 className="text-sm font-semibold text-gray-700 mb-2">Parametros de calculo</h3>
-              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3 text-sm">
-                <div className="p-2 bg-slate-50 rounded-lg border">
-                  <label className="text-xs text-gray-500">Inbound Freight</label>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Clientes exentos de IVA</h3>
+              <div className="flex items-end gap-2 flex-wrap text-sm">
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Empresa
                   <input
-                    type="number"
-                    step="0.001"
-                    value={adminOrigin === 'AXIS' ? AXIS_CONSTANTS.INBOUND_FREIGHT : (Number.isFinite(calcParams.INBOUND_FREIGHT) ? calcParams.INBOUND_FREIGHT : '')}
-                    onChange={e => updateCalcParam('INBOUND_FREIGHT', e.target.value)}
-                    className="mt-1 w-full px-2 py-1 border rounded text-sm"
+                    type="text"
+                    value={clienteExentoForm.empresa}
+                    onChange={e => setClienteExentoForm(f => ({ ...f, empresa: e.target.value }))}
+                    className="px-2 py-1 border rounded text-sm"
                   />
-                </div>
-                <div className="p-2 bg-slate-50 rounded-lg border">
-                  <label className="text-xs text-gray-500">IC</label>
+                </label>
+                <label className="text-xs text-gray-500 flex flex-col gap-1 flex-1 min-w-[200px]">
+                  Motivo
                   <input
-                    type="number"
-                    step="0.001"
-                    value={adminOrigin === 'AXIS' ? AXIS_CONSTANTS.IC : (Number.isFinite(calcParams.IC) ? calcParams.IC : '')}
-                    onChange={e => updateCalcParam('IC', e.target.value)}
-                    className="mt-1 w-full px-2 py-1 border rounded text-sm"
+                    type="text"
+                    value={clienteExentoForm.motivo}
+                    onChange={e => setClienteExentoForm(f => ({ ...f, motivo: e.target.value }))}
+                    placeholder="Zona franca, exportación..."
+                    className="px-2 py-1 border rounded text-sm"
                   />
-                </div>
-                <div className="p-2 bg-slate-50 rounded-lg border">
-                  <label className="text-xs text-gray-500">INT (%)</label>
+                </label>
+                <button
+                  onClick={saveClienteExento}
+                  disabled={saving}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Guardar
+                </button>
+              </div>
+              {clientesExentosError && <div className="mt-2 text-xs text-red-600">{clientesExentosError}</div>}
+              {clientesExentosIva.length > 0 ? (
+                <table className="mt-3 w-full text-xs">
+                  <thead className="text-gray-500">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Empresa</th>
+                      <th className="px-2 py-1 text-left">Motivo</th>
+                      <th className="px-2 py-1 text-left">Usuario</th>
+                      <th className="px-2 py-1" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {clientesExentosIva.map(row => (
+                      <tr key={row.id}>
+                        <td className="px-2 py-1">{row.empresa}</td>
+                        <td className="px-2 py-1">{row.motivo || '-'}</td>
+                        <td className="px-2 py-1">{row.usuario || 'N/A'}</td>
+                        <td className="px-2 py-1 text-right">
+                          <button
+                            onClick={() => deleteClienteExento(row.id)}
+                            disabled={saving}
+                            className="text-red-600 hover:underline disabled:opacity-50"
+                          >
+                            Eliminar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="mt-3 text-xs text-gray-400">Sin exenciones: todas las cotizaciones llevan IVA</div>
+              )}
+            </div>
+            <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Motivos de pérdida</h3>
+              <div className="flex items-end gap-2 flex-wrap text-sm">
+                <label className="text-xs text-gray-500 flex flex-col gap-1">
+                  Nuevo motivo
                   <input
-                    type="number"
-                    step="0.1"
-                    value={adminOrigin === 'AXIS' ? (AXIS_CONSTANTS.INT * 100) : (Number.isFinite(calcParams.INT) ? (calcParams.INT * 100) : '')}
-                    onChange={e => updateCalcParam('INT', e.target.value, true)}
-                    className="mt-1 w-full px-2 py-1 border rounded text-sm"
+                    type="text"
+                    value={nuevoMotivoPerdida}
+                    onChange={e => setNuevoMotivoPerdida(e.target.value)}
+                    className="px-2 py-1 border rounded text-sm"
                   />
-                </div>
+                </label>
+                <button
+                  onClick={createMotivoPerdida}
+                  disabled={saving || !nuevoMotivoPerdida.trim()}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Agregar
+                </button>
+              </div>
+              {motivosPerdidaError && <div className="mt-2 text-xs text-red-600">{motivosPerdidaError}</div>}
+              <div className="mt-3 flex flex-wrap gap-2 text-xs">
+                {motivosPerdida.map(motivo => (
+                  <button
+                    key={motivo.id}
+                    onClick={() => toggleMotivoPerdidaActivo(motivo)}
+                    disabled={saving}
+                    className={`px-2 py-1 rounded-full border disabled:opacity-50 ${motivo.activo ? 'bg-white text-slate-700' : 'bg-slate-100 text-slate-400 line-through'}`}
+                    title={motivo.activo ? 'Desactivar' : 'Reactivar'}
+                  >
+                    {motivo.nombre}
+                  </button>
+                ))}
               </div>
             </div>
             <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 overflow-hidden">
@@ -6030,6 +8176,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                             <td className="px-3 py-2 text-right font-semibold text-blue-600">{formatCurrency(calcularPrecioAdmin(p))}</td>
                             <td className="px-3 py-2 text-center">
                               <button onClick={() => startEdit(p)} className="px-2 py-1 text-blue-600 hover:bg-blue-50 rounded text-xs">Editar</button>
+                              <button onClick={() => openProductoHistorial(p)} className="px-2 py-1 text-slate-600 hover:bg-slate-100 rounded text-xs">Historial</button>
                             </td>
                           </>
                         )}
@@ -6041,12 +8188,12 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
               <div className="p-3 border-t flex items-center justify-between flex-wrap gap-2">
                 <div className="text-xs text-gray-500 flex items-center gap-2">
                   <span>{selectedIds.size > 0 ? `${selectedIds.size} seleccionados` : 'Sin seleccionados'}</span>
-                  {filteredProductos.length > 0 && (
+                  {productosPage.rows.length > 0 && (
                     <button
                       onClick={toggleSelectAllFiltered}
                       className="text-xs text-blue-600 hover:text-blue-800"
                     >
-                      Seleccionar todo
+                      Seleccionar página
                     </button>
                   )}
                 </div>
@@ -6080,11 +8227,108 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                 </div>
               </div>
             </div>
+            {productoHistorial && (
+              <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+                <div className="flex items-center justify-between gap-2">
+                  <h3 className="text-sm font-semibold text-gray-700">
+                    Historial de precio · {productoHistorial.producto.sku || productoHistorial.producto.mpn} {productoHistorial.producto.desc ? `· ${productoHistorial.producto.desc}` : ''}
+                  </h3>
+                  <button onClick={() => setProductoHistorial(null)} className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded text-xs">Cerrar</button>
+                </div>
+                {productoHistorial.loading ? (
+                  <div className="mt-3 text-xs text-gray-400">Cargando historial...</div>
+                ) : productoHistorial.error ? (
+                  <div className="mt-3 text-xs text-red-600">{productoHistorial.error}</div>
+                ) : (
+                  <>
+                    <div className="mt-3">
+                      <PrecioHistorialChart historial={productoHistorial.historial} formatCurrency={formatCurrency} />
+                    </div>
+                    {productoHistorial.historial.length > 0 && (
+                      <table className="mt-3 w-full text-xs">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-2 py-1 text-left">Fecha</th>
+                            <th className="px-2 py-1 text-left">Sync</th>
+                            <th className="px-2 py-1 text-left">Cambios</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y">
+                          {[...productoHistorial.historial].reverse().map(row => (
+                            <tr key={row.id}>
+                              <td className="px-2 py-1 whitespace-nowrap">{new Date(row.created_at).toLocaleString('es-CL')}</td>
+                              <td className="px-2 py-1">{row.trigger_source || '—'}</td>
+                              <td className="px-2 py-1">
+                                {Object.entries(row.cambios || {}).map(([campo, cambio]) => (
+                                  <div key={campo}>
+                                    <span className="text-gray-500">{campo}:</span> {cambio.antes ?? '—'} → {cambio.despues ?? '—'}
+                                  </div>
+                                ))}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
           </div>
         )}
 
         {currentView === 'historial' && (
           <div className="space-y-4 view-enter">
+            {isFullAdmin && (aprobaciones.length > 0 || aprobacionesError) && (
+              <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+                <h2 className="text-lg font-semibold text-gray-800">Aprobaciones de margen pendientes ({aprobaciones.length})</h2>
+                {aprobacionesError && <div className="mt-2 text-sm text-rose-600">{aprobacionesError}</div>}
+                <div className="mt-3 divide-y text-sm">
+                  {aprobaciones.map(row => (
+                    <div key={row.id} className="py-2 flex flex-col md:flex-row md:items-center gap-2">
+                      <div className="flex-1">
+                        <div className="font-semibold text-gray-800">
+                          {row.folio || `#${row.cotizacion_id}`} · {row.cliente_empresa || 'N/A'} · {row.cliente_telefono || 'N/A'}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {row.vendedor || row.solicitado_por || 'N/A'} · {formatDateTime(row.created_at)} · {formatCurrency(Number(row.total) || 0)}
+                        </div>
+                        <div className="text-xs text-violet-700">
+                          {(row.lineas || []).map(linea => (
+                            <span key={`${row.id}-${linea.producto_id}`} className="mr-3">
+                              {linea.sku || linea.producto_id}: {(Number(linea.gp) * 100).toFixed(1)}% (mín. {(Number(linea.gp_min) * 100).toFixed(1)}%)
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                      <input
+                        type="text"
+                        placeholder="Comentario"
+                        value={aprobacionComentarios[row.cotizacion_id] || ''}
+                        onChange={e => setAprobacionComentarios(prev => ({ ...prev, [row.cotizacion_id]: e.target.value }))}
+                        className="px-2 py-1 border rounded text-xs md:w-56"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => resolverAprobacion(row.cotizacion_id, 'aprobada')}
+                          disabled={saving}
+                          className="px-2 py-1 text-xs bg-emerald-600 text-white rounded hover:bg-emerald-700 disabled:opacity-50"
+                        >
+                          Aprobar
+                        </button>
+                        <button
+                          onClick={() => resolverAprobacion(row.cotizacion_id, 'rechazada')}
+                          disabled={saving}
+                          className="px-2 py-1 text-xs bg-rose-600 text-white rounded hover:bg-rose-700 disabled:opacity-50"
+                        >
+                          Rechazar
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
             {isAdmin && (
               <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
                 <div className="flex items-center justify-between flex-wrap gap-3">
@@ -6150,7 +8394,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                 {funnelLoading ? (
                   <div className="mt-4 text-sm text-gray-500">Cargando funnel...</div>
                 ) : (
-                  <div className="mt-4 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-3">
+                  <div className="mt-4 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-6 gap-3">
                     {funnelStages.map(stage => (
                       <div key={stage.key} className="rounded-xl border border-white/70 bg-white/70 p-3">
                         <div className={`inline-flex items-center px-2 py-1 rounded-full text-[11px] font-semibold ${stage.tone}`}>
@@ -6160,6 +8404,56 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                         <div className="text-xs text-slate-500">Cotizaciones</div>
                         <div className="mt-2 text-sm font-semibold text-slate-800">{formatCurrency(stage.amount)}</div>
                         <div className="text-[11px] text-slate-400">Monto total</div>
+                        <div className="mt-2 text-sm font-semibold text-slate-800">
+                          {stage.avgHours === null ? 'N/A' : formatDuracionHoras(stage.avgHours)}
+                        </div>
+                        <div className="text-[11px] text-slate-400">
+                          Tiempo promedio en la etapa{stage.samples ? ` (${stage.samples})` : ''}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+            {isFullAdmin && (perdidasData || perdidasError) && (
+              <div className="glass-card rounded-2xl shadow-[0_20px_40px_-32px_rgba(15,23,42,0.4)] border border-white/70 p-4">
+                <h2 className="text-lg font-semibold text-gray-800">Análisis de pérdidas</h2>
+                <p className="text-xs text-gray-500">Cotizaciones rechazadas en el mismo periodo del funnel</p>
+                {perdidasError && <div className="mt-2 text-sm text-rose-600">{perdidasError}</div>}
+                {perdidasData && (
+                  <div className="mt-3 grid grid-cols-1 lg:grid-cols-3 gap-3 text-xs">
+                    {[
+                      { key: 'por_motivo', title: 'Por motivo', label: row => row.motivo },
+                      { key: 'por_marca', title: 'Por marca del competidor', label: row => row.marca },
+                      { key: 'por_usuario', title: 'Por vendedor', label: row => row.usuario }
+                    ].map(grupo => (
+                      <div key={grupo.key} className="rounded-xl border border-white/70 bg-white/70 p-3">
+                        <div className="font-semibold text-slate-700 mb-1">{grupo.title}</div>
+                        {(perdidasData[grupo.key] || []).length === 0 ? (
+                          <div className="text-gray-400">Sin cotizaciones rechazadas</div>
+                        ) : (
+                          <table className="w-full">
+                            <tbody className="divide-y">
+                              {perdidasData[grupo.key].map(row => (
+                                <tr key={grupo.label(row)}>
+                                  <td className="py-1 pr-2">{grupo.label(row)}</td>
+                                  <td className="py-1 pr-2 text-right">{row.count}</td>
+                                  <td className="py-1 text-right font-semibold">{formatCurrency(Number(row.amount) || 0)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                        {grupo.key === 'por_marca' && (perdidasData.por_marca || []).some(row => row.diferencia_promedio !== null) && (
+                          <div className="mt-2 text-[11px] text-gray-500">
+                            {perdidasData.por_marca.filter(row => row.diferencia_promedio !== null).map(row => (
+                              <div key={row.marca}>
+                                {row.marca}: {Number(row.diferencia_promedio) < 0 ? 'más barato' : 'más caro'} por {formatCurrency(Math.abs(Number(row.diferencia_promedio)))} en promedio
+                              </div>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -6205,15 +8499,60 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                 )}
                 <input
                   type="date"
-                  value={historialFilters.fecha}
-                  onChange={e => setHistorialFilters(f => ({ ...f, fecha: e.target.value }))}
+                  aria-label="Desde"
+                  title="Desde"
+                  value={historialFilters.desde}
+                  onChange={e => setHistorialFilters(f => ({ ...f, desde: e.target.value }))}
+                  className="px-3 py-2 border rounded-lg text-sm"
+                />
+                <input
+                  type="date"
+                  aria-label="Hasta"
+                  title="Hasta"
+                  value={historialFilters.hasta}
+                  onChange={e => setHistorialFilters(f => ({ ...f, hasta: e.target.value }))}
+                  className="px-3 py-2 border rounded-lg text-sm"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Monto desde (USD)"
+                  value={historialFilters.totalMin}
+                  onChange={e => setHistorialFilters(f => ({ ...f, totalMin: e.target.value }))}
                   className="px-3 py-2 border rounded-lg text-sm"
                 />
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Monto hasta (USD)"
+                  value={historialFilters.totalMax}
+                  onChange={e => setHistorialFilters(f => ({ ...f, totalMax: e.target.value }))}
+                  className="px-3 py-2 border rounded-lg text-sm"
+                />
+                {isFullAdmin && (
+                  <input
+                    type="text"
+                    placeholder="Vendedor..."
+                    value={historialFilters.usuario}
+                    onChange={e => setHistorialFilters(f => ({ ...f, usuario: e.target.value }))}
+                    className="px-3 py-2 border rounded-lg text-sm"
+                  />
+                )}
+                <select
+                  aria-label="Ordenar"
+                  value={historialFilters.sort}
+                  onChange={e => setHistorialFilters(f => ({ ...f, sort: e.target.value }))}
+                  className="px-3 py-2 border rounded-lg text-sm"
+                >
+                  {HISTORIAL_SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
                 {!isAdmin && (
                   <>
                     <input
                       type="text"
-                      placeholder="Buscar cliente..."
+                      placeholder="Buscar cliente o folio..."
                       value={historialFilters.cliente}
                       onChange={e => setHistorialFilters(f => ({ ...f, cliente: e.target.value }))}
                       className="px-3 py-2 border rounded-lg text-sm"
@@ -6242,7 +8581,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                   </>
                 )}
                 <button
-                  onClick={() => setHistorialFilters({ fecha: '', cliente: '', pid: '', proyecto: '', producto: '', estados: [] })}
+                  onClick={() => setHistorialFilters(EMPTY_HISTORIAL_FILTERS)}
                   className="px-3 py-2 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 text-sm"
                 >
                   Limpiar filtros
@@ -6259,6 +8598,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                       />
                       <span className="font-semibold">{option.short}</span>
                       <span>{option.label}</span>
+                      <span className="text-gray-400">({historialMeta.counts?.estados?.[option.value] || 0})</span>
                     </label>
                   ))}
                 </div>
@@ -6279,10 +8619,11 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                         <th className="px-3 py-2 text-center">
                           <input
                             type="checkbox"
-                            checked={filteredHistorial.length > 0 && filteredHistorial.every(cot => selectedHistorialIds.has(cot.id))}
+                            checked={historial.length > 0 && historial.every(cot => selectedHistorialIds.has(cot.id))}
                             onChange={toggleSelectAllHistorialFiltered}
                           />
                         </th>
+                        <th className="px-3 py-2 text-left">Folio</th>
                         <th className="px-3 py-2 text-left">Fecha</th>
                         <th className="px-3 py-2 text-left">Proyecto</th>
                         <th className="px-3 py-2 text-left">Empresa</th>
@@ -6322,6 +8663,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                                 onChange={() => toggleSelectHistorial(cot.id)}
                               />
                             </td>
+                            <td className="px-3 py-2 text-xs font-mono text-gray-700 whitespace-nowrap">{cot.folio || `#${cot.id}`}</td>
                             <td className="px-3 py-2 text-xs text-gray-600">{getDateKey(cot.created_at) || 'N/A'}</td>
                             <td className="px-3 py-2">{cot.cliente_telefono || 'N/A'}</td>
                             <td className="px-3 py-2">{cot.cliente_empresa || 'N/A'}</td>
@@ -6342,43 +8684,163 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                           </tr>
                           {isExpanded && (
                             <tr className="bg-white">
-                              <td colSpan={6} className="px-4 py-3 border-t">
+                              <td colSpan={7} className="px-4 py-3 border-t">
                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
                                   <div>
                                     <div className="text-xs text-gray-500">Proyecto</div>
                                     <div className="font-semibold text-gray-800">{cot.cliente_telefono || 'N/A'}</div>
                                   </div>
+                                  <div>
+                                    <div className="text-xs text-gray-500">Válida hasta</div>
+                                    <div className={`font-semibold ${normalizeEstado(cot.estado) === 'vencida' ? 'text-red-600' : 'text-gray-800'}`}>
+                                      {toDateOnlyKey(cot.valida_hasta) || 'Sin fecha'}
+                                      {normalizeEstado(cot.estado) === 'vencida' && ' (vencida)'}
+                                    </div>
+                                  </div>
+                                  <div>
+                                    <div className="text-xs text-gray-500">Moneda</div>
+                                    <div className="font-semibold text-gray-800">
+                                      {cot.moneda || 'USD'}
+                                      {(cot.moneda || 'USD') !== 'USD' && (
+                                        <span className="ml-2 text-xs font-normal text-gray-500">
+                                          TC {formatMoney(cot.tipo_cambio, cot.moneda)} · Total {formatMoney(convertFromUsd(cot.total, cot.moneda, cot.tipo_cambio), cot.moneda)}
+                                        </span>
+                                      )}
+                                    </div>
+                                  </div>
+                                  {cot.total_bruto !== null && cot.total_bruto !== undefined && (
+                                    <div>
+                                      <div className="text-xs text-gray-500">Impuestos</div>
+                                      <div className="font-semibold text-gray-800">
+                                        Neto {formatCurrency(Number(cot.total) || 0)} · {getIvaLabel(cot.iva_tasa)} {formatCurrency(Number(cot.iva_monto) || 0)} · Total {formatCurrency(Number(cot.total_bruto) || 0)}
+                                      </div>
+                                    </div>
+                                  )}
+                                  {cot.aprobacion && (
+                                    <div>
+                                      <div className="text-xs text-gray-500">Aprobación de margen</div>
+                                      <div className={`font-semibold ${cot.aprobacion === 'aprobada' ? 'text-green-700' : cot.aprobacion === 'rechazada' ? 'text-red-600' : 'text-violet-700'}`}>
+                                        {cot.aprobacion === 'aprobada' ? 'Aprobada' : cot.aprobacion === 'rechazada' ? 'Rechazada' : 'Pendiente'}
+                                      </div>
+                                      {cot.aprobacion_comentario && (
+                                        <div className="text-xs text-gray-600">{cot.aprobacion_comentario}</div>
+                                      )}
+                                    </div>
+                                  )}
                                   {isAdmin && (
                                     <div>
                                       <div className="text-xs text-gray-500">Estado</div>
-                                      <div className="flex flex-wrap gap-1 mt-1">
-                                        {COTIZACION_ESTADOS.map(option => {
-                                          const isActive = normalizeEstado(cot.estado) === option.value;
-                                          const isRechazada = option.value === 'rechazada';
-                                          const isAceptada = option.value === 'aprobada';
-                                          const baseClass = isActive
-                                            ? 'bg-blue-600 text-white'
-                                            : 'bg-slate-100 text-slate-700 hover:bg-slate-200';
-                                          const toneClass = isRechazada
-                                            ? 'text-red-700 font-semibold'
-                                            : isAceptada
-                                              ? 'text-green-700 font-semibold'
-                                              : '';
-                                          return (
-                                            <button
-                                              key={option.value}
-                                              onClick={(e) => {
-                                                e.stopPropagation();
-                                                updateCotizacionEstado(cot.id, option.value);
-                                              }}
-                                              className={`px-2 py-0.5 text-[11px] rounded ${baseClass} ${toneClass}`}
-                                              title={option.label}
-                                            >
-                                              {option.short}
-                                            </button>
-                                          );
-                                        })}
-                                      </div>
+                                      {cot.aprobacion === 'pendiente' ? (
+                                        <div className="mt-1 text-xs font-semibold text-violet-700">Pendiente de aprobación de margen</div>
+                                      ) : (
+                                        <div className="flex flex-wrap gap-1 mt-1">
+                                          {COTIZACION_ESTADOS.filter(option => !option.automatic).map(option => {
+                                            const isActive = normalizeEstado(cot.estado) === option.value;
+                                            const isRechazada = option.value === 'rechazada';
+                                            const isAceptada = option.value === 'aprobada';
+                                            const baseClass = isActive
+                                              ? 'bg-blue-600 text-white'
+                                              : 'bg-slate-100 text-slate-700 hover:bg-slate-200';
+                                            const toneClass = isRechazada
+                                              ? 'text-red-700 font-semibold'
+                                              : isAceptada
+                                                ? 'text-green-700 font-semibold'
+                                                : '';
+                                            return (
+                                              <button
+                                                key={option.value}
+                                                onClick={(e) => {
+                                                  e.stopPropagation();
+                                                  updateCotizacionEstado(cot.id, option.value);
+                                                }}
+                                                className={`px-2 py-0.5 text-[11px] rounded ${baseClass} ${toneClass}`}
+                                                title={option.label}
+                                              >
+                                                {option.short}
+                                              </button>
+                                            );
+                                          })}
+                                        </div>
+                                      )}
+                                      {cot.aprobacion !== 'pendiente' && (
+                                        <input
+                                          type="text"
+                                          placeholder="Comentario del cambio (opcional)"
+                                          value={estadoComentarioById[cot.id] || ''}
+                                          onClick={(e) => e.stopPropagation()}
+                                          onChange={e => setEstadoComentarioById(prev => ({ ...prev, [cot.id]: e.target.value }))}
+                                          className="mt-1 w-full px-2 py-1 border rounded text-xs"
+                                        />
+                                      )}
+                                      {normalizeEstado(cot.estado) === 'enviada' && (
+                                        <label className="mt-1 flex items-center gap-2 text-[11px] text-gray-600" onClick={(e) => e.stopPropagation()}>
+                                          Seguimiento
+                                          <input
+                                            type="date"
+                                            value={toDateOnlyKey(cot.seguimiento_fecha)}
+                                            onChange={e => reprogramarSeguimiento(cot.id, e.target.value)}
+                                            className="px-2 py-0.5 border rounded text-xs"
+                                          />
+                                        </label>
+                                      )}
+                                      {normalizeEstado(cot.estado) === 'rechazada' && cot.motivo_perdida_id && (
+                                        <div className="mt-1 text-[11px] text-red-700">
+                                          Perdida: {motivosPerdida.find(motivo => motivo.id === cot.motivo_perdida_id)?.nombre || 'Motivo'}
+                                          {cot.competidor_marca ? ` · ${cot.competidor_marca}` : ''}
+                                          {cot.competidor_precio !== null && cot.competidor_precio !== undefined
+                                            ? ` · ${formatCurrency(Number(cot.competidor_precio) || 0)}`
+                                            : ''}
+                                        </div>
+                                      )}
+                                      {cot.aprobacion !== 'pendiente' && normalizeEstado(cot.estado) !== 'rechazada' && (
+                                        <div className="mt-1 grid grid-cols-3 gap-1" onClick={(e) => e.stopPropagation()}>
+                                          <select
+                                            value={perdidaById[cot.id]?.motivo_perdida_id || ''}
+                                            onChange={e => updatePerdidaField(cot.id, 'motivo_perdida_id', e.target.value)}
+                                            className="px-1 py-1 border rounded text-xs"
+                                            title="Obligatorio para marcar X"
+                                          >
+                                            <option value="">Motivo si se rechaza</option>
+                                            {motivosPerdida.filter(motivo => motivo.activo).map(motivo => (
+                                              <option key={motivo.id} value={motivo.id}>{motivo.nombre}</option>
+                                            ))}
+                                          </select>
+                                          <input
+                                            type="text"
+                                            placeholder="Marca competidor"
+                                            value={perdidaById[cot.id]?.competidor_marca || ''}
+                                            onChange={e => updatePerdidaField(cot.id, 'competidor_marca', e.target.value)}
+                                            className="px-2 py-1 border rounded text-xs"
+                                          />
+                                          <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            placeholder="Precio competidor (USD)"
+                                            value={perdidaById[cot.id]?.competidor_precio ?? ''}
+                                            onChange={e => updatePerdidaField(cot.id, 'competidor_precio', e.target.value)}
+                                            className="px-2 py-1 border rounded text-xs"
+                                          />
+                                        </div>
+                                      )}
+                                      {cot.aprobacion !== 'pendiente' && getOpcionesCotizacion(cot).length > 0 && (
+                                        <div className="mt-1 text-[11px] text-gray-600" onClick={(e) => e.stopPropagation()}>
+                                          <div className="text-gray-500">Opciones elegidas por el cliente (se confirman al marcar A)</div>
+                                          {getOpcionesCotizacion(cot).map(item => (
+                                            <label key={item.id} className="flex items-center gap-1">
+                                              <input
+                                                type={item.grupo_alternativa ? 'radio' : 'checkbox'}
+                                                name={item.grupo_alternativa ? `alternativa-${cot.id}-${item.grupo_alternativa}` : undefined}
+                                                checked={getOpcionesElegidas(cot).includes(item.id)}
+                                                onChange={() => toggleOpcionElegida(cot, item)}
+                                              />
+                                              <span className="truncate">
+                                                {item.grupo_alternativa ? `Alternativa ${item.grupo_alternativa}` : 'Opcional'}: {item.sku || item.descripcion} ({formatCurrency(Number(item.precio_total) || 0)})
+                                              </span>
+                                            </label>
+                                          ))}
+                                        </div>
+                                      )}
                                     </div>
                                   )}
                                   {isAdmin && (
@@ -6435,6 +8897,13 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                                             placeholder="Proyecto"
                                             className="px-2 py-1 border rounded"
                                           />
+                                          <input
+                                            type="date"
+                                            value={editingCotizacionForm.valida_hasta}
+                                            onChange={e => setEditingCotizacionForm(f => ({ ...f, valida_hasta: e.target.value }))}
+                                            title="Válida hasta"
+                                            className="px-2 py-1 border rounded"
+                                          />
                                         </div>
                                       )}
                                     </div>
@@ -6444,7 +8913,9 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                                     <div className="mt-1 flex flex-wrap gap-2">
                                       <button
                                         onClick={(e) => { e.stopPropagation(); exportHistorialPdf(cot); }}
-                                        className="px-2 py-1 text-xs bg-slate-700 text-white rounded hover:bg-slate-800"
+                                        disabled={cot.aprobacion === 'pendiente' || cot.aprobacion === 'rechazada'}
+                                        title={cot.aprobacion === 'pendiente' || cot.aprobacion === 'rechazada' ? 'Requiere aprobación de margen' : 'Descargar PDF'}
+                                        className="px-2 py-1 text-xs bg-slate-700 text-white rounded hover:bg-slate-800 disabled:opacity-50"
                                       >
                                         PDF
                                       </button>
@@ -6462,20 +8933,61 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                                           Exportar a Axis
                                         </button>
                                       )}
+                                      <button
+                                        onClick={(e) => { e.stopPropagation(); duplicarCotizacion(cot); }}
+                                        disabled={saving}
+                                        title="Crear una cotización nueva con los mismos datos y precios de hoy"
+                                        className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                                      >
+                                        Duplicar
+                                      </button>
                                     </div>
                                   </div>
                                   {isAdmin && (
                                     <div>
                                       <div className="text-xs text-gray-500">Compras</div>
+                                      {(bosByCotizacionId[cot.id] || []).length > 0 && (
+                                        <div className="mt-1 flex flex-wrap gap-1" onClick={(e) => e.stopPropagation()}>
+                                          {bosByCotizacionId[cot.id].map(link => (
+                                            <span
+                                              key={link.bo}
+                                              title={link.invoiced ? `Facturada${link.invoiced_at ? ` el ${toDateOnlyKey(link.invoiced_at)}` : ''}` : 'Sin facturar'}
+                                              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[11px] ${link.invoiced ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-100 text-slate-700'}`}
+                                            >
+                                              BO {link.bo}{link.invoiced ? ' · facturada' : ''}
+                                              {isFullAdmin && (
+                                                <button
+                                                  onClick={() => unlinkCotizacionBo(cot.id, link.bo)}
+                                                  disabled={saving}
+                                                  className="text-slate-400 hover:text-red-600"
+                                                  title="Desvincular BO"
+                                                >
+                                                  ×
+                                                </button>
+                                              )}
+                                            </span>
+                                          ))}
+                                        </div>
+                                      )}
                                       {normalizeEstado(cot.estado) === 'aprobada' ? (
                                         <div className="mt-1 flex items-center gap-2">
                                           <input
                                             type="text"
                                             value={boByCotizacionId[cot.id] || ''}
+                                            onClick={(e) => e.stopPropagation()}
                                             onChange={e => setBoByCotizacionId(prev => ({ ...prev, [cot.id]: e.target.value }))}
                                             placeholder="BO"
                                             className="w-24 px-2 py-1 border rounded text-xs"
                                           />
+                                          {isFullAdmin && (
+                                            <button
+                                              onClick={(e) => { e.stopPropagation(); linkCotizacionBo(cot.id, boByCotizacionId[cot.id]); }}
+                                              disabled={saving || !(boByCotizacionId[cot.id] || '').trim()}
+                                              className="inline-flex px-2 py-1 text-xs bg-slate-200 text-slate-700 rounded hover:bg-slate-300 disabled:opacity-50"
+                                            >
+                                              Vincular
+                                            </button>
+                                          )}
                                           <button
                                             onClick={(e) => { e.stopPropagation(); enviarACompras(cot); }}
                                             className="inline-flex px-2 py-1 text-xs bg-emerald-600 text-white rounded hover:bg-emerald-700"
@@ -6533,6 +9045,11 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                                       <div className="space-y-1 text-xs text-gray-600">
                                         {cot.items.map(item => (
                                           <div key={`${cot.id}-${item.id}`} className="truncate">
+                                            {(item.opcional || item.grupo_alternativa) && (
+                                              <span className={`mr-1 ${item.seleccionada ? 'text-green-700' : 'text-amber-700'}`}>
+                                                [{item.grupo_alternativa ? `Alternativa ${item.grupo_alternativa}` : 'Opcional'}{item.seleccionada ? ' elegida' : ''}]
+                                              </span>
+                                            )}
                                             {(item.sku || item.mpn || 'SKU')} - {item.descripcion || 'Sin descripción'}
                                           </div>
                                         ))}
@@ -6541,6 +9058,213 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                                       <span className="text-xs text-gray-400">Sin productos</span>
                                     )}
                                   </div>
+                                  <div className="md:col-span-2">
+                                    <div className="flex items-center justify-between">
+                                      <div className="text-xs text-gray-500">Revisiones</div>
+                                      <button
+                                        onClick={(e) => { e.stopPropagation(); loadCotizacionRevisiones(cot.id); }}
+                                        className="px-2 py-1 text-xs bg-slate-100 text-slate-700 rounded hover:bg-slate-200"
+                                      >
+                                        {revisionesByCotizacionId[cot.id] ? 'Actualizar' : 'Ver revisiones'}
+                                      </button>
+                                    </div>
+                                    {(() => {
+                                      const revisionState = revisionesByCotizacionId[cot.id];
+                                      if (!revisionState) return null;
+                                      if (revisionState.loading) {
+                                        return <div className="mt-1 text-xs text-gray-400">Cargando revisiones...</div>;
+                                      }
+                                      if (revisionState.error) {
+                                        return <div className="mt-1 text-xs text-red-600">{revisionState.error}</div>;
+                                      }
+                                      if (revisionState.rows.length === 0) {
+                                        return <div className="mt-1 text-xs text-gray-400">Sin revisiones registradas</div>;
+                                      }
+                                      const compare = revisionCompareById[cot.id] || {};
+                                      const fromRevision = revisionState.rows.find(rev => rev.revision === compare.from);
+                                      const toRevision = revisionState.rows.find(rev => rev.revision === compare.to);
+                                      const diff = fromRevision && toRevision
+                                        ? diffCotizacionRevisionItems(fromRevision.items, toRevision.items)
+                                        : null;
+                                      const hasChanges = diff && (diff.added.length + diff.removed.length + diff.changed.length) > 0;
+                                      const renderRevisionOption = (rev) => (
+                                        <option key={rev.id} value={rev.revision}>
+                                          v{rev.revision} · {formatDateTime(rev.created_at)}{rev.usuario ? ` · ${rev.usuario}` : ''}
+                                        </option>
+                                      );
+                                      return (
+                                        <div className="mt-2 space-y-2 text-xs text-gray-600" onClick={(e) => e.stopPropagation()}>
+                                          <div className="flex flex-wrap items-center gap-2">
+                                            <label htmlFor={`revision-from-${cot.id}`}>Desde</label>
+                                            <select
+                                              id={`revision-from-${cot.id}`}
+                                              value={compare.from ?? ''}
+                                              onChange={e => setRevisionCompareById(prev => ({ ...prev, [cot.id]: { ...compare, from: Number(e.target.value) } }))}
+                                              className="px-2 py-1 border rounded"
+                                            >
+                                              {revisionState.rows.map(renderRevisionOption)}
+                                            </select>
+                                            <label htmlFor={`revision-to-${cot.id}`}>Hasta</label>
+                                            <select
+                                              id={`revision-to-${cot.id}`}
+                                              value={compare.to ?? ''}
+                                              onChange={e => setRevisionCompareById(prev => ({ ...prev, [cot.id]: { ...compare, to: Number(e.target.value) } }))}
+                                              className="px-2 py-1 border rounded"
+                                            >
+                                              {revisionState.rows.map(renderRevisionOption)}
+                                            </select>
+                                            {fromRevision && toRevision && (
+                                              <span className="text-gray-500">
+                                                Total: {formatCurrency(Number(fromRevision.total) || 0)} → {formatCurrency(Number(toRevision.total) || 0)}
+                                              </span>
+                                            )}
+                                          </div>
+                                          {!hasChanges ? (
+                                            <div className="text-gray-400">Sin cambios en las líneas</div>
+                                          ) : (
+                                            <div className="space-y-1">
+                                              {diff.added.map((item, idx) => (
+                                                <div key={`add-${idx}`} className="text-emerald-700 truncate">
+                                                  + {(item.sku || item.mpn || 'SKU')} - {item.descripcion || 'Sin descripción'} ({item.cantidad} x {formatCurrency(Number(item.precio_unitario) || 0)})
+                                                </div>
+                                              ))}
+                                              {diff.removed.map((item, idx) => (
+                                                <div key={`del-${idx}`} className="text-red-600 truncate line-through">
+                                                  - {(item.sku || item.mpn || 'SKU')} - {item.descripcion || 'Sin descripción'} ({item.cantidad} x {formatCurrency(Number(item.precio_unitario) || 0)})
+                                                </div>
+                                              ))}
+                                              {diff.changed.map((change, idx) => (
+                                                <div key={`chg-${idx}`} className="text-amber-700 truncate">
+                                                  ~ {(change.item.sku || change.item.mpn || 'SKU')} - {change.item.descripcion || 'Sin descripción'}
+                                                  {change.cantidadAntes !== change.cantidadDespues && ` · Cant. ${change.cantidadAntes} → ${change.cantidadDespues}`}
+                                                  {change.precioAntes !== change.precioDespues && ` · P. Unit. ${formatCurrency(change.precioAntes)} → ${formatCurrency(change.precioDespues)}`}
+                                                </div>
+                                              ))}
+                                            </div>
+                                          )}
+                                        </div>
+                                      );
+                                    })()}
+                                  </div>
+                                  <div className="md:col-span-2">
+                                    <div className="flex items-center justify-between">
+                                      <div className="text-xs text-gray-500">Historial de estados</div>
+                                      <button
+                                        onClick={(e) => { e.stopPropagation(); loadEstadoHistorial(cot.id); }}
+                                        className="px-2 py-1 text-xs bg-slate-100 text-slate-700 rounded hover:bg-slate-200"
+                                      >
+                                        {estadoHistorialById[cot.id] ? 'Actualizar' : 'Ver historial'}
+                                      </button>
+                                    </div>
+                                    {(() => {
+                                      const historialState = estadoHistorialById[cot.id];
+                                      if (!historialState) return null;
+                                      if (historialState.loading) {
+                                        return <div className="mt-1 text-xs text-gray-400">Cargando historial...</div>;
+                                      }
+                                      if (historialState.error) {
+                                        return <div className="mt-1 text-xs text-red-600">{historialState.error}</div>;
+                                      }
+                                      if (historialState.rows.length === 0) {
+                                        return <div className="mt-1 text-xs text-gray-400">Sin cambios de estado registrados</div>;
+                                      }
+                                      const estadoLabel = (value) => COTIZACION_ESTADOS.find(option => option.value === value)?.label || value;
+                                      return (
+                                        <ol className="mt-2 border-l border-slate-200 pl-3 space-y-1 text-xs text-gray-600">
+                                          {historialState.rows.map(row => (
+                                            <li key={row.id}>
+                                              <span className="text-gray-400">{formatDateTime(row.created_at)}</span>
+                                              {' · '}
+                                              {row.estado_anterior ? `${estadoLabel(row.estado_anterior)} → ` : 'Creada en '}
+                                              <span className="font-semibold text-gray-800">{estadoLabel(row.estado_nuevo)}</span>
+                                              {' · '}
+                                              {row.usuario || 'Sistema'}
+                                              {row.comentario && <span className="text-gray-500"> · {row.comentario}</span>}
+                                            </li>
+                                          ))}
+                                        </ol>
+                                      );
+                                    })()}
+                                  </div>
+                                  <div className="md:col-span-2">
+                                    <div className="flex flex-wrap items-center justify-between gap-2">
+                                      <div className="text-xs text-gray-500">Enlace para el cliente</div>
+                                      <div className="flex items-center gap-2">
+                                        <input
+                                          type="number"
+                                          min="1"
+                                          max="60"
+                                          value={linkDiasById[cot.id] ?? ''}
+                                          onClick={(e) => e.stopPropagation()}
+                                          onChange={(e) => setLinkDiasById(prev => ({ ...prev, [cot.id]: e.target.value }))}
+                                          placeholder="Días"
+                                          className="w-16 px-2 py-1 text-xs border rounded"
+                                        />
+                                        <button
+                                          onClick={(e) => { e.stopPropagation(); createCotizacionLink(cot.id); }}
+                                          disabled={['pendiente', 'rechazada'].includes(cot.aprobacion)}
+                                          className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                                        >
+                                          Crear enlace
+                                        </button>
+                                        <button
+                                          onClick={(e) => { e.stopPropagation(); loadCotizacionLinks(cot.id); }}
+                                          className="px-2 py-1 text-xs bg-slate-100 text-slate-700 rounded hover:bg-slate-200"
+                                        >
+                                          {linksById[cot.id] ? 'Actualizar' : 'Ver enlaces'}
+                                        </button>
+                                      </div>
+                                    </div>
+                                    {(() => {
+                                      const linksState = linksById[cot.id];
+                                      if (!linksState) return null;
+                                      return (
+                                        <div className="mt-2 space-y-1 text-xs text-gray-600">
+                                          {linksState.nuevoUrl && (
+                                            <div className="rounded bg-blue-50 p-2">
+                                              <div className="text-blue-800">Enlace copiado al portapapeles. Solo se muestra esta vez:</div>
+                                              <input
+                                                readOnly
+                                                value={linksState.nuevoUrl}
+                                                onClick={(e) => { e.stopPropagation(); e.target.select(); }}
+                                                className="mt-1 w-full px-2 py-1 border rounded font-mono text-[11px]"
+                                              />
+                                            </div>
+                                          )}
+                                          {linksState.loading && <div className="text-gray-400">Cargando enlaces...</div>}
+                                          {linksState.error && <div className="text-red-600">{linksState.error}</div>}
+                                          {!linksState.loading && !linksState.error && linksState.rows.length === 0 && (
+                                            <div className="text-gray-400">Sin enlaces creados</div>
+                                          )}
+                                          {linksState.rows.map(link => {
+                                            const expirado = new Date(link.expires_at).getTime() < Date.now();
+                                            const estadoLink = link.revoked_at
+                                              ? 'Revocado'
+                                              : link.respuesta
+                                                ? `${link.respuesta === 'aprobada' ? 'Aceptada' : 'Rechazada'} por ${link.respondido_nombre} (IP ${link.respondido_ip || 'N/A'}) el ${formatDateTime(link.respondido_at)}`
+                                                : expirado ? 'Expirado' : 'Activo';
+                                            return (
+                                              <div key={link.id} className="flex items-center justify-between gap-2">
+                                                <span>
+                                                  <span className="text-gray-400">{formatDateTime(link.created_at)}</span>
+                                                  {' · '}vence {formatDateTime(link.expires_at)}
+                                                  {' · '}<span className="font-semibold text-gray-800">{estadoLink}</span>
+                                                </span>
+                                                {!link.revoked_at && !expirado && (
+                                                  <button
+                                                    onClick={(e) => { e.stopPropagation(); revokeCotizacionLink(cot.id, link.id); }}
+                                                    className="px-2 py-0.5 text-xs text-red-600 hover:underline"
+                                                  >
+                                                    Revocar
+                                                  </button>
+                                                )}
+                                              </div>
+                                            );
+                                          })}
+                                        </div>
+                                      );
+                                    })()}
+                                  </div>
                                 </div>
                               </td>
                             </tr>
@@ -7717,6 +10441,21 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                 >
                   Agregar productos
                 </button>
+                {kits.length > 0 && (
+                  <select
+                    value=""
+                    onChange={e => {
+                      const kit = kits.find(k => String(k.id) === e.target.value);
+                      if (kit) addKitToCotizacion(kit);
+                    }}
+                    className="px-3 py-2 text-sm border rounded-xl bg-white text-slate-700"
+                  >
+                    <option value="">Agregar kit...</option>
+                    {kits.map(kit => (
+                      <option key={kit.id} value={kit.id}>{kit.nombre} ({kit.items?.length || 0} productos)</option>
+                    ))}
+                  </select>
+                )}
                 {isAdmin && (
                   <>
                     <label
@@ -7732,10 +10471,51 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                       onChange={handleProjectUpload}
                       className="hidden"
                     />
+                    <label
+                      htmlFor="axis-json-upload"
+                      className="px-3 py-2 text-sm border rounded-xl bg-white text-slate-700 hover:bg-white/80 cursor-pointer"
+                    >
+                      Importar JSON Axis
+                    </label>
+                    <input
+                      id="axis-json-upload"
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={handleAxisJsonUpload}
+                      className="hidden"
+                    />
                   </>
                 )}
               </div>
             </div>
+          {axisImportResult && (
+            <div className="mb-4 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+              <div className="flex items-start justify-between gap-2">
+                <div className="font-semibold">
+                  {axisImportResult.agregados > 0
+                    ? `JSON Axis importado en ${axisImportResult.destino}: ${axisImportResult.agregados} producto(s).`
+                    : 'Ningún producto del JSON Axis coincide con el catálogo.'}
+                  {axisImportResult.sinCoincidencia.length > 0 && ` Sin coincidencia: ${axisImportResult.sinCoincidencia.length}.`}
+                  {axisImportResult.rebatesIgnorados.length > 0 && ` Rebates de proyecto no aplicados: ${axisImportResult.rebatesIgnorados.length} (solo un admin puede aplicarlos).`}
+                </div>
+                <button onClick={() => setAxisImportResult(null)} className="text-amber-700 hover:text-amber-900">Cerrar</button>
+              </div>
+              {axisImportResult.sinCoincidencia.length > 0 && (
+                <ul className="mt-1 list-disc pl-4">
+                  {axisImportResult.sinCoincidencia.map((line, index) => (
+                    <li key={`${line.partNumber}-${index}`}>{line.partNumber} × {line.quantity}</li>
+                  ))}
+                </ul>
+              )}
+              {axisImportResult.rebatesIgnorados.length > 0 && (
+                <ul className="mt-1 list-disc pl-4">
+                  {axisImportResult.rebatesIgnorados.map((line, index) => (
+                    <li key={`rebate-${line.partNumber}-${index}`}>{line.partNumber}: rebate {formatCurrency(line.rebateProject)} por unidad sin aplicar</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
           <div className="grid grid-cols-1 lg:grid-cols-12 gap-4">
             <div className="lg:col-span-8 space-y-4">
             <div className="glass-card rounded-2xl shadow-[0_18px_36px_-28px_rgba(15,23,42,0.35)] border border-white/70 overflow-hidden">
@@ -7859,6 +10639,25 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                       </>
                     );
                   })()}
+                  <label className={fieldLabelClass}>
+                    Moneda
+                    <select
+                      value={cotizacionMoneda}
+                      onChange={e => setCotizacionMoneda(e.target.value)}
+                      className={fieldInputClass}
+                    >
+                      {COTIZACION_MONEDAS.map(moneda => (
+                        <option key={moneda} value={moneda}>{moneda}</option>
+                      ))}
+                    </select>
+                    {cotizacionMoneda !== 'USD' && (
+                      <span className={`text-[11px] ${tipoCambioVigente ? 'text-gray-500' : 'text-red-600'}`}>
+                        {tipoCambioVigente
+                          ? `Tipo de cambio vigente: ${formatMoney(tipoCambioVigente.valor, cotizacionMoneda)} (desde ${toDateOnlyKey(tipoCambioVigente.vigente_desde)})`
+                          : `No hay tipo de cambio vigente para ${cotizacionMoneda}`}
+                      </span>
+                    )}
+                  </label>
                 </div>
               </div>
             </div>
@@ -7954,11 +10753,88 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                   id="catalog-search" ref={catalogInputRef}
                   className={`${isClient ? 'px-3 py-2 text-sm' : 'px-2 py-1 text-xs'} w-full border rounded`}
                 />
-                {catalogSearch.trim() !== '' && catalogDropdownStyle && createPortal(
+                {(categorias.length > 0 || Object.values(catalogAtributoOptions).some(options => options.length > 0)) && (
+                  <div className="mt-2 flex flex-wrap gap-2 text-[11px]">
+                    {categorias.length > 0 && (
+                      <select
+                        aria-label="Categoría"
+                        value={catalogFilters.categoria_id}
+                        onChange={e => setCatalogFilters(f => ({ ...f, categoria_id: e.target.value }))}
+                        className="px-2 py-1 border rounded"
+                      >
+                        <option value="">Todas las categorías</option>
+                        {categorias.map(c => (
+                          <option key={c.id} value={c.id}>{c.ruta}</option>
+                        ))}
+                      </select>
+                    )}
+                    {catalogAtributoOptions.bahias.length > 0 && (
+                      <select
+                        aria-label="Bahías"
+                        value={catalogFilters.bahias}
+                        onChange={e => setCatalogFilters(f => ({ ...f, bahias: e.target.value }))}
+                        className="px-2 py-1 border rounded"
+                      >
+                        <option value="">Bahías</option>
+                        {catalogAtributoOptions.bahias.map(n => (
+                          <option key={n} value={String(n)}>{n} bahías</option>
+                        ))}
+                      </select>
+                    )}
+                    {catalogAtributoOptions.resolucion.length > 0 && (
+                      <select
+                        aria-label="Resolución"
+                        value={catalogFilters.resolucion}
+                        onChange={e => setCatalogFilters(f => ({ ...f, resolucion: e.target.value }))}
+                        className="px-2 py-1 border rounded"
+                      >
+                        <option value="">Resolución</option>
+                        {catalogAtributoOptions.resolucion.map(v => (
+                          <option key={v} value={v}>{v}</option>
+                        ))}
+                      </select>
+                    )}
+                    {catalogAtributoOptions.poe_clase.length > 0 && (
+                      <select
+                        aria-label="Clase PoE"
+                        value={catalogFilters.poe_clase}
+                        onChange={e => setCatalogFilters(f => ({ ...f, poe_clase: e.target.value }))}
+                        className="px-2 py-1 border rounded"
+                      >
+                        <option value="">Clase PoE</option>
+                        {catalogAtributoOptions.poe_clase.map(v => (
+                          <option key={v} value={v}>{v}</option>
+                        ))}
+                      </select>
+                    )}
+                    {catalogAtributoOptions.factor_forma.length > 0 && (
+                      <select
+                        aria-label="Factor de forma"
+                        value={catalogFilters.factor_forma}
+                        onChange={e => setCatalogFilters(f => ({ ...f, factor_forma: e.target.value }))}
+                        className="px-2 py-1 border rounded"
+                      >
+                        <option value="">Factor de forma</option>
+                        {catalogAtributoOptions.factor_forma.map(v => (
+                          <option key={v} value={v}>{v}</option>
+                        ))}
+                      </select>
+                    )}
+                    {catalogFiltersActive && (
+                      <button
+                        onClick={() => setCatalogFilters(EMPTY_CATALOG_FILTERS)}
+                        className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded"
+                      >
+                        Limpiar filtros
+                      </button>
+                    )}
+                  </div>
+                )}
+                {(catalogSearch.trim() !== '' || catalogFiltersActive) && catalogDropdownStyle && createPortal(
                   <div style={catalogDropdownStyle} className="bg-white border rounded-lg shadow-lg max-h-64 overflow-y-auto">
-                    {filteredCatalogo.length === 0 ? (
-                      <div className="p-3 text-sm text-gray-500">Sin resultados.</div>
-                    ) : filteredCatalogo.map(p => (
+                    {catalogResultados.rows.length === 0 ? (
+                      <div className="p-3 text-sm text-gray-500">{catalogResultados.loading ? 'Buscando...' : 'Sin resultados.'}</div>
+                    ) : catalogResultados.rows.map(p => (
                       <button
                         key={p.id}
                         onClick={() => { addToCotizacion(p); setCatalogSearch(''); }}
@@ -7968,132 +10844,328 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                           <span className="text-xs font-medium text-blue-600 bg-blue-100 px-2 py-0.5 rounded">{p.marca}</span>
                           <p className="text-xs font-medium text-gray-800 truncate">{p.desc}</p>
                           <p className="text-[11px] text-gray-500">SKU: {p.sku}</p>
+                          {formatAtributosProducto(p) && <p className="text-[11px] text-gray-500">{formatAtributosProducto(p)}</p>}
                           <p className="text-xs font-semibold text-blue-600">{formatCurrency(calcularPrecioCatalogo(p))}</p>
                         </div>
                         <span className="ml-2 text-xs text-blue-600">Agregar</span>
                       </button>
                     ))}
+                    {catalogResultados.meta.hasNext && (
+                      <button
+                        onClick={() => setCatalogPage(page => page + 1)}
+                        disabled={catalogResultados.loading}
+                        className="w-full p-2 text-xs text-blue-600 hover:bg-blue-50 border-t disabled:opacity-50"
+                      >
+                        {catalogResultados.loading ? 'Buscando...' : `Ver más (${catalogResultados.rows.length} de ${catalogResultados.meta.total})`}
+                      </button>
+                    )}
                   </div>,
                   document.body
                 )}
               </div>
+              <div className="px-2 py-1 border-b flex items-center gap-2 flex-wrap">
+                <label className="text-[11px] text-gray-500">Secciones</label>
+                <input
+                  type="text"
+                  value={nuevaSeccion}
+                  onChange={e => setNuevaSeccion(e.target.value)}
+                  onKeyDown={e => { if (e.key === 'Enter') addSeccion(); }}
+                  placeholder="Ej: Sede Santiago"
+                  maxLength={100}
+                  className="w-40 px-2 py-0.5 border rounded text-[11px]"
+                />
+                <button
+                  onClick={addSeccion}
+                  disabled={!nuevaSeccion.trim()}
+                  className="px-2 py-0.5 bg-slate-100 text-slate-700 rounded text-[11px] hover:bg-slate-200 disabled:opacity-50"
+                >
+                  Agregar sección
+                </button>
+                {cotizacionSecciones.length > 0 && (
+                  <span className="text-[10px] text-gray-400">Arrastra líneas y secciones para reordenar</span>
+                )}
+              </div>
               <div>
                 {cotizacion.length === 0 ? (
                   <div className="p-6 text-center text-gray-500">
                     <span className="text-sm text-gray-500">Carrito</span>
                     <p className="mt-2 text-sm">No hay productos. Busca por SKU, MPN o modelo.</p>
                   </div>
-                ) : cotizacion.map((item, index) => {
-                  const pu = calcularPrecioClienteItem(item);
-                  const isAxis = (item.origen || 'QNAP') === 'AXIS';
-                  const baseGp = isAxis ? cotizacionGpGlobalAxis : cotizacionGpGlobalQnap;
-                  const partnerRebate = isAxis ? getAxisPartnerRebate(item, item.partnerCategory || cotizacionPartnerCategory) : 0;
-                  const projectRebate = isAxis ? (parseFloat(item.rebateProject) || 0) : 0;
-                  const rebateTotal = partnerRebate + projectRebate;
-                  const costoXUS = item.precio * AXIS_CONSTANTS.INBOUND_FREIGHT;
-                  const costoFinalXUS = costoXUS / AXIS_CONSTANTS.IC;
-                  const costoXCL = costoFinalXUS * (1 + AXIS_CONSTANTS.INT);
-                  const costoTotalXCL = Math.max(costoXCL - rebateTotal, 0);
-                  const descuentoPorcentualAxis = item.precio > 0 ? (rebateTotal / item.precio) * 100 : 0;
-                  return (
-                    <div key={item.id} className={`p-2 border-b ${index % 2 === 0 ? 'bg-white' : 'bg-blue-50'}`}>
-                      <div className="flex justify-between items-start mb-1">
-                        <div className="flex-1 min-w-0">
-                          {isAdmin ? (
-                            <>
-                              <span className="text-[11px] text-blue-600">{item.marca}</span>
-                              <p className="text-xs font-medium truncate">{item.desc}</p>
-                            </>
-                          ) : (
-                            <p className="text-xs font-medium truncate">Modelo: {item.desc}</p>
+                ) : seccionGroups.map(group => (
+                  <div key={`seccion-${group.seccion}`}>
+                    {cotizacionSecciones.length > 0 && (
+                      <div
+                        draggable={Boolean(group.seccion)}
+                        onDragStart={() => { dragSeccionRef.current = group.seccion; }}
+                        onDragOver={e => e.preventDefault()}
+                        onDrop={() => dropOnSeccion(group.seccion)}
+                        className={`px-2 py-1 flex items-center justify-between bg-indigo-50 border-b text-xs ${group.seccion ? 'cursor-move' : ''}`}
+                      >
+                        <span className="font-semibold text-indigo-900">{group.seccion || 'Sin sección'}</span>
+                        <span className="flex items-center gap-2">
+                          <span className="text-indigo-900">
+                            Subtotal {formatCurrency(group.items.reduce((sum, item) => (
+                              isItemFueraDelTotal(item) ? sum : sum + calcularPrecioClienteItem(item) * item.cant
+                            ), 0))}
+                          </span>
+                          {group.seccion && (
+                            <button onClick={() => removeSeccion(group.seccion)} className="text-red-500 hover:underline text-[11px]">Quitar sección</button>
                           )}
-                          <p className="text-[11px] text-gray-500">SKU: {item.sku} | MPN: {item.mpn || 'N/A'} | {item.tiempo}</p>
-                        </div>
-                        <button onClick={() => removeItem(item.id)} className="text-red-500 hover:bg-red-50 px-2 py-0.5 rounded text-[11px]">Quitar</button>
+                        </span>
                       </div>
-                      <div className="flex flex-wrap items-center gap-2 mt-1">
-                        <label className="text-[11px] text-gray-500">Cant:</label>
-                        <input type="number" min="1" value={item.cant} onChange={e => updateItem(item.id, 'cant', e.target.value)} className="w-12 px-2 py-0.5 border rounded text-xs text-center" />
-                        {isAdmin && (
-                          <>
-                            <label className="text-[11px] text-gray-500">Margen</label>
+                    )}
+                    {group.items.length === 0 && (
+                      <div
+                        onDragOver={e => e.preventDefault()}
+                        onDrop={() => dropOnSeccion(group.seccion)}
+                        className="p-2 text-[11px] text-gray-400 border-b"
+                      >
+                        Arrastra productos aquí
+                      </div>
+                    )}
+                    {group.items.map((item, index) => {
+                      const pu = calcularPrecioClienteItem(item);
+                      const desglose = isAdmin ? getPricingPreviewLine(item)?.desglose : null;
+                      const isAxis = (item.origen || 'QNAP') === 'AXIS';
+                      const baseGp = isAxis ? cotizacionGpGlobalAxis : cotizacionGpGlobalQnap;
+                      const partnerRebate = isAxis
+                        ? (desglose ? desglose.rebate_partner : getAxisPartnerRebate(item, item.partnerCategory || cotizacionPartnerCategory))
+                        : 0;
+                      const projectRebate = isAxis ? (parseFloat(item.rebateProject) || 0) : 0;
+                      const rebateTotal = partnerRebate + projectRebate;
+                      const costoXUS = desglose ? desglose.precio_disty + desglose.flete : item.precio * axisCalcParams.INBOUND_FREIGHT;
+                      const costoFinalXUS = costoXUS / axisCalcParams.IC;
+                      const costoXCL = costoFinalXUS * (1 + axisCalcParams.INT);
+                      const costoTotalXCL = desglose ? desglose.costo : Math.max(costoXCL - rebateTotal, 0);
+                      const descuentoPorcentualAxis = item.precio > 0 ? (rebateTotal / item.precio) * 100 : 0;
+                      return (
+                        <div
+                          key={item.id}
+                          draggable
+                          onDragStart={() => { dragItemIdRef.current = item.id; }}
+                          onDragOver={e => e.preventDefault()}
+                          onDrop={e => { e.stopPropagation(); dropOnItem(item); }}
+                          className={`p-2 border-b ${index % 2 === 0 ? 'bg-white' : 'bg-blue-50'}`}
+                        >
+                          <div className="flex justify-between items-start mb-1">
+                            <div className="flex-1 min-w-0">
+                              {isAdmin ? (
+                                <>
+                                  <span className="text-[11px] text-blue-600">{item.marca}</span>
+                                  <p className="text-xs font-medium truncate">{item.desc}</p>
+                                </>
+                              ) : (
+                                <p className="text-xs font-medium truncate">Modelo: {item.desc}</p>
+                              )}
+                              <p className="text-[11px] text-gray-500">SKU: {item.sku} | MPN: {item.mpn || 'N/A'} | {item.tiempo}</p>
+                            </div>
+                            <button onClick={() => removeItem(item.id)} className="text-red-500 hover:bg-red-50 px-2 py-0.5 rounded text-[11px]">Quitar</button>
+                          </div>
+                          <div className="flex flex-wrap items-center gap-2 mt-1">
+                            <label className="text-[11px] text-gray-500">Cant:</label>
+                            <input type="number" min="1" value={item.cant} onChange={e => updateItem(item.id, 'cant', e.target.value)} className="w-12 px-2 py-0.5 border rounded text-xs text-center" />
+                            <label className="text-[11px] text-gray-500 flex items-center gap-1" title="No suma al total; el cliente decide si lo incluye">
+                              <input
+                                type="checkbox"
+                                checked={item.opcional === true && !getGrupoAlternativa(item)}
+                                disabled={Boolean(getGrupoAlternativa(item))}
+                                onChange={e => updateItem(item.id, 'opcional', e.target.checked)}
+                              />
+                              Opcional
+                            </label>
+                            <label className="text-[11px] text-gray-500" title="Líneas con el mismo grupo son alternativas excluyentes">Alternativa</label>
                             <input
-                              type="number"
-                              value={
-                                item.gpOverrideInput !== undefined
-                                  ? item.gpOverrideInput
-                                  : (item.gpOverride === null || item.gpOverride === undefined
-                                    ? ''
-                                    : (Math.round(item.gpOverride * 10000) / 100).toString())
-                              }
-                              onChange={e => updateItem(item.id, 'gpOverride', e.target.value)}
-                              placeholder={(baseGp * 100).toFixed(2)}
+                              type="text"
+                              value={item.grupoAlternativa || ''}
+                              onChange={e => updateItem(item.id, 'grupoAlternativa', e.target.value)}
+                              placeholder="Grupo"
+                              maxLength={50}
                               className="w-16 px-2 py-0.5 border rounded text-[11px]"
                             />
-                            <label className="text-[11px] text-gray-500">Entrega</label>
+                            {cotizacionSecciones.length > 0 && (
+                              <select
+                                value={item.seccion || ''}
+                                onChange={e => updateItem(item.id, 'seccion', e.target.value)}
+                                className="px-2 py-0.5 border rounded text-[11px]"
+                              >
+                                <option value="">Sin sección</option>
+                                {cotizacionSecciones.map(seccion => (
+                                  <option key={seccion} value={seccion}>{seccion}</option>
+                                ))}
+                              </select>
+                            )}
+                            {isAdmin && (
+                              <>
+                                <label className="text-[11px] text-gray-500">Margen</label>
+                                <input
+                                  type="number"
+                                  value={
+                                    item.gpOverrideInput !== undefined
+                                      ? item.gpOverrideInput
+                                      : (item.gpOverride === null || item.gpOverride === undefined
+                                        ? ''
+                                        : (Math.round(item.gpOverride * 10000) / 100).toString())
+                                  }
+                                  onChange={e => updateItem(item.id, 'gpOverride', e.target.value)}
+                                  placeholder={(baseGp * 100).toFixed(2)}
+                                  className="w-16 px-2 py-0.5 border rounded text-[11px]"
+                                />
+                                <label className="text-[11px] text-gray-500">Entrega</label>
+                                <input
+                                  type="text"
+                                  value={item.tiempo || ''}
+                                  onChange={e => updateItem(item.id, 'tiempo', e.target.value)}
+                                  className="w-36 px-2 py-0.5 border rounded text-[11px]"
+                                />
+                              </>
+                            )}
+                            {isAdmin && isAxis && (
+                              <>
+                                <label className="text-[11px] text-gray-500">Partner</label>
+                                <select
+                                  value={item.partnerCategory || DEFAULT_AXIS_PARTNER}
+                                  onChange={e => updateItem(item.id, 'partnerCategory', e.target.value)}
+                                  className="px-2 py-0.5 border rounded text-[11px]"
+                                >
+                                  <option>Partner Autorizado</option>
+                                  <option>Partner Silver</option>
+                                  <option>Partner Gold</option>
+                                  <option>Partner Multiregional</option>
+                                </select>
+                              </>
+                            )}
+                            {isAdmin && isAxis && (
+                              <>
+                                <label className="text-[11px] text-gray-500">Rebate</label>
+                                <input
+                                  type="number"
+                                  value={item.rebateProject ?? 0}
+                                  onChange={e => updateItem(item.id, 'rebateProject', e.target.value)}
+                                  className="w-16 px-2 py-0.5 border rounded text-[11px]"
+                                />
+                              </>
+                            )}
+                            <div className="flex-1 text-right">
+                              <p className="text-[11px] text-gray-500">{formatCurrency(pu)} x {item.cant}</p>
+                              <p className="text-xs font-semibold text-blue-600">{formatCurrency(pu * item.cant)}</p>
+                              {isItemFueraDelTotal(item) && (
+                                <p className="text-[10px] text-amber-700">No suma al total</p>
+                              )}
+                            </div>
+                          </div>
+                          {isAdmin && isAxis && (
+                            <div className="mt-1 flex flex-wrap gap-3 text-[11px] text-gray-500">
+                                <span>Partner: {formatCurrency(partnerRebate)}</span>
+                                <span>Rebate Total: <span className="font-semibold text-gray-800">{formatCurrency(rebateTotal)}</span></span>
+                                <span>Descuento porcentual Axis: <span className="font-semibold text-gray-800">{descuentoPorcentualAxis.toFixed(2)}%</span></span>
+                                <span>Costo XUS: <span className="font-semibold text-gray-800">{formatCurrency(costoXUS)}</span></span>
+                                <span>Costo Final XCL: <span className="font-semibold text-gray-800">{formatCurrency(costoTotalXCL)}</span></span>
+                              </div>
+                            )}
+                          {showAdminPanel && isAdmin && (
+                            <div className="mt-2 p-2 bg-gray-50 rounded border text-xs">
+                              <div className="grid grid-cols-1 gap-2">
+                                <div>
+                                  <label className="text-gray-500">Precio Disty:</label>
+                                  <input type="number" value={item.precio} onChange={e => updateItem(item.id, 'precio', e.target.value)} className="w-full mt-1 px-2 py-1 border rounded" />
+                                </div>
+                              </div>
+                              {desglose ? (
+                                <div className="mt-1 text-gray-500">
+                                  Flete: {formatCurrency(desglose.flete)} | IC: {formatCurrency(desglose.ic)} | Interés: {formatCurrency(desglose.interes)}
+                                  {' '}| Costo: {formatCurrency(desglose.costo)} | GP: {(desglose.gp * 100).toFixed(2)}%
+                                </div>
+                              ) : (
+                                <div className="mt-1 text-gray-500">Freight: {(isAxis ? axisCalcParams : calcParams).INBOUND_FREIGHT} | IC: {(isAxis ? axisCalcParams : calcParams).IC} | INT: {((isAxis ? axisCalcParams : calcParams).INT * 100).toFixed(0)}%</div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+              {(conceptosAdicionales.some(concepto => concepto.activo) || cotizacionAdicionales.length > 0) && (
+                <div className="p-3 border-t">
+                  <div className="flex items-center justify-between gap-2 flex-wrap">
+                    <span className="text-sm font-semibold text-gray-700">Servicios y otros cargos</span>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={conceptoSeleccionado}
+                        onChange={e => setConceptoSeleccionado(e.target.value)}
+                        className="px-2 py-1 border rounded text-xs"
+                      >
+                        <option value="">Selecciona un concepto</option>
+                        {conceptosAdicionales.filter(concepto => concepto.activo).map(concepto => (
+                          <option key={concepto.id} value={concepto.id}>
+                            {COTIZACION_LINEA_TIPO_LABELS[concepto.tipo]}: {concepto.nombre}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={addAdicional}
+                        disabled={!conceptoSeleccionado}
+                        className="px-2 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Agregar
+                      </button>
+                    </div>
+                  </div>
+                  {conceptosError && <div className="mt-1 text-xs text-red-600">{conceptosError}</div>}
+                  {cotizacionAdicionales.map(linea => {
+                    const pu = getAdicionalPrecioUnitario(linea);
+                    return (
+                      <div key={linea.key} className="mt-2 p-2 bg-gray-50 rounded border text-xs">
+                        <div className="flex items-center justify-between gap-2">
+                          <span>
+                            <span className="text-[11px] font-medium text-blue-600 bg-blue-100 px-2 py-0.5 rounded mr-1">{COTIZACION_LINEA_TIPO_LABELS[linea.tipo]}</span>
+                            <span className="font-medium text-gray-800">{linea.nombre}</span>
+                          </span>
+                          <button onClick={() => removeAdicional(linea.key)} className="text-red-600 hover:underline">Quitar</button>
+                        </div>
+                        <div className="mt-1 flex items-end gap-2 flex-wrap">
+                          <label className="flex flex-col gap-1 text-gray-500">
+                            Cant.
                             <input
-                              type="text"
-                              value={item.tiempo || ''}
-                              onChange={e => updateItem(item.id, 'tiempo', e.target.value)}
-                              className="w-36 px-2 py-0.5 border rounded text-[11px]"
+                              type="number"
+                              min="1"
+                              value={linea.cantidad}
+                              onChange={e => updateAdicional(linea.key, 'cantidad', e.target.value)}
+                              className="w-16 px-2 py-1 border rounded"
                             />
-                          </>
-                        )}
-                        {isAdmin && isAxis && (
-                          <>
-                            <label className="text-[11px] text-gray-500">Partner</label>
-                            <select
-                              value={item.partnerCategory || DEFAULT_AXIS_PARTNER}
-                              onChange={e => updateItem(item.id, 'partnerCategory', e.target.value)}
-                              className="px-2 py-0.5 border rounded text-[11px]"
-                            >
-                              <option>Partner Autorizado</option>
-                              <option>Partner Silver</option>
-                              <option>Partner Gold</option>
-                              <option>Partner Multiregional</option>
-                            </select>
-                          </>
-                        )}
-                        {isAdmin && isAxis && (
-                          <>
-                            <label className="text-[11px] text-gray-500">Rebate</label>
+                          </label>
+                          <label className="flex flex-col gap-1 text-gray-500">
+                            {linea.precio !== null
+                              ? 'Monto (fijo)'
+                              : `Monto (${formatCurrency(linea.precio_min)} - ${formatCurrency(linea.precio_max)})`}
                             <input
                               type="number"
-                              value={item.rebateProject ?? 0}
-                              onChange={e => updateItem(item.id, 'rebateProject', e.target.value)}
-                              className="w-16 px-2 py-0.5 border rounded text-[11px]"
+                              step="0.01"
+                              min={linea.precio_min}
+                              max={linea.precio_max ?? undefined}
+                              value={linea.monto}
+                              disabled={linea.precio !== null}
+                              onChange={e => updateAdicional(linea.key, 'monto', e.target.value)}
+                              className="w-28 px-2 py-1 border rounded disabled:bg-gray-100"
                             />
-                          </>
-                        )}
-                        <div className="flex-1 text-right">
-                          <p className="text-[11px] text-gray-500">{formatCurrency(pu)} x {item.cant}</p>
-                          <p className="text-xs font-semibold text-blue-600">{formatCurrency(pu * item.cant)}</p>
+                          </label>
+                          <label className="flex flex-col gap-1 text-gray-500 flex-1 min-w-[8rem]">
+                            Detalle
+                            <input
+                              type="text"
+                              value={linea.detalle}
+                              onChange={e => updateAdicional(linea.key, 'detalle', e.target.value)}
+                              className="w-full px-2 py-1 border rounded"
+                            />
+                          </label>
+                          <span className={`font-semibold ${pu < 0 ? 'text-red-600' : 'text-blue-600'}`}>{formatCurrency(pu * linea.cantidad)}</span>
                         </div>
                       </div>
-                      {isAdmin && isAxis && (
-                        <div className="mt-1 flex flex-wrap gap-3 text-[11px] text-gray-500">
-                            <span>Partner: {formatCurrency(partnerRebate)}</span>
-                            <span>Rebate Total: <span className="font-semibold text-gray-800">{formatCurrency(rebateTotal)}</span></span>
-                            <span>Descuento porcentual Axis: <span className="font-semibold text-gray-800">{descuentoPorcentualAxis.toFixed(2)}%</span></span>
-                            <span>Costo XUS: <span className="font-semibold text-gray-800">{formatCurrency(costoXUS)}</span></span>
-                            <span>Costo Final XCL: <span className="font-semibold text-gray-800">{formatCurrency(costoTotalXCL)}</span></span>
-                          </div>
-                        )}
-                      {showAdminPanel && isAdmin && (
-                        <div className="mt-2 p-2 bg-gray-50 rounded border text-xs">
-                          <div className="grid grid-cols-1 gap-2">
-                            <div>
-                              <label className="text-gray-500">Precio Disty:</label>
-                              <input type="number" value={item.precio} onChange={e => updateItem(item.id, 'precio', e.target.value)} className="w-full mt-1 px-2 py-1 border rounded" />
-                            </div>
-                          </div>
-                          <div className="mt-1 text-gray-500">Freight: {calcParams.INBOUND_FREIGHT} | IC: {calcParams.IC} | INT: {(calcParams.INT * 100).toFixed(0)}%</div>
-                        </div>
-                      )}
-                    </div>
-                  );
-                })}
-              </div>
+                    );
+                  })}
+                </div>
+              )}
             </div>
             </div>
             <div className="lg:col-span-4 space-y-4">
@@ -8106,10 +11178,39 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                     <span className="text-sm text-gray-500">Ítems</span>
                     <span className="text-sm font-semibold">{cotizacion.length}</span>
                   </div>
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-500">Neto</span>
+                    <span className="text-sm font-semibold">{formatCurrency(impuestosCotizacion.neto)}</span>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-500">{getIvaLabel(impuestosCotizacion.iva_tasa)}</span>
+                    <span className="text-sm font-semibold">{formatCurrency(impuestosCotizacion.iva_monto)}</span>
+                  </div>
                   <div className="flex items-center justify-between">
                     <span className="text-sm text-gray-500">Total</span>
-                    <span className="text-xl font-bold text-blue-600">{formatCurrency(totalCotizacion)}</span>
+                    <span className="text-xl font-bold text-blue-600">{formatCurrency(impuestosCotizacion.total_bruto)}</span>
                   </div>
+                  {cotizacionMoneda !== 'USD' && tipoCambioVigente && (
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-gray-500">Total {cotizacionMoneda}</span>
+                      <span className="text-sm font-semibold">
+                        {formatMoney(
+                          calcularImpuestos(convertFromUsd(totalCotizacion, cotizacionMoneda, tipoCambioVigente.valor), ivaTasaCliente, cotizacionMoneda).total_bruto,
+                          cotizacionMoneda
+                        )}
+                      </span>
+                    </div>
+                  )}
+                  {cotizacionBajoPiso.length > 0 && (
+                    <div className="p-2 rounded-lg border border-violet-200 bg-violet-50 text-xs text-violet-800">
+                      <div className="font-semibold">Bajo el GP mínimo: requiere aprobación</div>
+                      {cotizacionBajoPiso.map(({ item, gp, gpMin }) => (
+                        <div key={item.id}>
+                          {item.sku || item.mpn}: {(gp * 100).toFixed(1)}% (mín. {(gpMin * 100).toFixed(1)}%)
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <div className="space-y-2">
                     {isAdmin && (
                       <button
@@ -8299,7 +11400,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                   <p><span className="font-semibold">Para:</span> juan.parral@intcomex.com</p>
                   <p>
                     <span className="font-semibold">Asunto:</span>{' '}
-                    Compra {getCompraOrigenLabel(compraPreviewCot)} - BO {(boByCotizacionId[compraPreviewCot.id] || '').trim() || compraPreviewCot.id || 'XXXX'}
+                    Compra {getCompraOrigenLabel(compraPreviewCot)} - BO {getCompraBo(compraPreviewCot)}
                   </p>
                 </div>
                 <div
@@ -8314,7 +11415,7 @@ export default function CotizadorPage({ routeView = 'cotizador' }) {
                     Copiar tabla HTML
                   </button>
                   <button
-                    onClick={() => navigator.clipboard.writeText(`Compra ${getCompraOrigenLabel(compraPreviewCot)} - BO ${(boByCotizacionId[compraPreviewCot.id] || '').trim() || compraPreviewCot.id || 'XXXX'}`)}
+                    onClick={() => navigator.clipboard.writeText(`Compra ${getCompraOrigenLabel(compraPreviewCot)} - BO ${getCompraBo(compraPreviewCot)}`)}
                     className="px-3 py-1.5 bg-slate-200 text-slate-800 rounded hover:bg-slate-300 text-sm"
                   >
                     Copiar asunto
@@ -4,6 +4,17 @@
 export const CONSTANTS = { INBOUND_FREIGHT: 1.011, IC: 0.95, INT: 0.12, DEFAULT_GP: 0.15 };
 export const AXIS_CONSTANTS = { INBOUND_FREIGHT: 1.015, IC: 0.97, INT: 0.12 };
 export const CURRENCY_FORMATTER = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+export const CLP_FORMATTER = new Intl.NumberFormat('es-CL', { style: 'currency', currency: 'CLP', maximumFractionDigits: 0 });
+export const COTIZACION_MONEDAS = ['USD', 'CLP'];
+// Tasa general mientras /api/impuestos/iva no responde; la vigente la define el backend (IVA_TASA).
+export const IVA_TASA_DEFAULT = 0.19;
+// Tipos de línea personalizada; deben coincidir con COTIZACION_LINEA_TIPOS del backend.
+export const COTIZACION_LINEA_TIPO_LABELS = {
+  servicio: 'Servicio',
+  mano_obra: 'Mano de obra',
+  flete: 'Flete',
+  descuento: 'Descuento'
+};
 export const STOCK_DELIVERY_SUFFIX = 'unidades disponible en entrega inmediata, salvo venta previa';
 
 export const SESSION_STORAGE_KEY = 'activeSessionsByUser';
@@ -17,7 +28,55 @@ export const COTIZACION_ESTADOS = [
   { value: 'enviada', label: 'Cotización Enviada', short: 'E' },
   { value: 'revision', label: 'Cotización en Revisión', short: 'R' },
   { value: 'rechazada', label: 'Cotización Rechazada', short: 'X' },
-  { value: 'aprobada', label: 'Cotización Aceptada', short: 'A' }
+  { value: 'aprobada', label: 'Cotización Aceptada', short: 'A' },
+  { value: 'vencida', label: 'Cotización Vencida', short: 'V' },
+  // Lo asigna el backend cuando hay líneas bajo el GP mínimo; no se elige a mano.
+  { value: 'pendiente_aprobacion', label: 'Pendiente de Aprobación de Margen', short: 'PA', automatic: true }
+];
+
+// Filtros del Historial; se envian al backend (GET /api/cotizaciones) y no se filtran en el navegador.
+export const EMPTY_HISTORIAL_FILTERS = {
+  desde: '',
+  hasta: '',
+  cliente: '',
+  pid: '',
+  proyecto: '',
+  producto: '',
+  usuario: '',
+  totalMin: '',
+  totalMax: '',
+  estados: [],
+  sort: 'created_at:desc'
+};
+
+export const EMPTY_CONCEPTO_FORM = {
+  id: null,
+  tipo: 'servicio',
+  nombre: '',
+  descripcion: '',
+  precio: '',
+  precio_min: '',
+  precio_max: '',
+  activo: true
+};
+
+// Filtros del buscador del carrito; cada clave es un parametro de /api/productos/search.
+export const EMPTY_CATALOG_FILTERS = {
+  categoria_id: '',
+  bahias: '',
+  resolucion: '',
+  poe_clase: '',
+  factor_forma: ''
+};
+
+export const HISTORIAL_SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Más recientes' },
+  { value: 'created_at:asc', label: 'Más antiguas' },
+  { value: 'total:desc', label: 'Mayor monto' },
+  { value: 'total:asc', label: 'Menor monto' },
+  { value: 'folio:desc', label: 'Folio' },
+  { value: 'cliente_empresa:asc', label: 'Empresa (A-Z)' },
+  { value: 'valida_hasta:asc', label: 'Vencen primero' }
 ];
 
 export const COTIZADOR_STOCK_ADMIN_ROLE = 'cot_stock_admin';
@@ -3,6 +3,7 @@
 import {
   CONSTANTS,
   CURRENCY_FORMATTER,
+  CLP_FORMATTER,
   MONTH_LABEL_FORMATTER,
   COTIZADOR_STOCK_ADMIN_ROLE,
   SESSION_STORAGE_KEY,
@@ -185,6 +186,29 @@ export const calcularPrecioCliente = (precioDisty, gp = 0.15, params = CONSTANTS
 
 export const formatCurrency = (v) => CURRENCY_FORMATTER.format(v);
 
+// Los montos se manejan en USD; CLP se obtiene con el tipo de cambio y sin decimales.
+export const convertFromUsd = (value, moneda = 'USD', tipoCambio = 1) => {
+  const amount = Number(value) || 0;
+  if (moneda !== 'CLP') return amount;
+  return Math.round(amount * (Number(tipoCambio) || 0));
+};
+
+export const formatMoney = (value, moneda = 'USD') =>
+  (moneda === 'CLP' ? CLP_FORMATTER : CURRENCY_FORMATTER).format(Number(value) || 0);
+
+// Mismo desglose que calcularImpuestos del backend: IVA sobre el neto total, en CLP sin decimales.
+export const calcularImpuestos = (neto, tasa, moneda = 'USD') => {
+  const decimales = moneda === 'CLP' ? 0 : 2;
+  const netoValue = Number((Number(neto) || 0).toFixed(decimales));
+  const ivaTasa = Number(tasa) || 0;
+  const ivaMonto = Number((netoValue * ivaTasa).toFixed(decimales));
+  return { neto: netoValue, iva_tasa: ivaTasa, iva_monto: ivaMonto, total_bruto: Number((netoValue + ivaMonto).toFixed(decimales)) };
+};
+
+export const getIvaLabel = (tasa) => (
+  Number(tasa) > 0 ? `IVA ${Number((Number(tasa) * 100).toFixed(2))}%` : 'Exento de IVA'
+);
+
 export const formatDateTime = (value) => {
   if (!value) return 'N/A';
   const date = new Date(value);
@@ -192,6 +216,23 @@ export const formatDateTime = (value) => {
   return date.toLocaleString();
 };
 
+// Columnas DATE del backend llegan serializadas como ISO; solo interesa el YYYY-MM-DD.
+export const toDateOnlyKey = (value) => {
+  const key = String(value || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(key) ? key : '';
+};
+
+// Duración en horas (promedio del funnel) a texto corto: "3 d 4 h", "5 h", "< 1 h".
+export const formatDuracionHoras = (hours) => {
+  const value = Number(hours);
+  if (!Number.isFinite(value) || value < 0) return 'N/A';
+  if (value < 1) return '< 1 h';
+  const dias = Math.floor(value / 24);
+  const horas = Math.round(value % 24);
+  if (dias === 0) return `${horas} h`;
+  return horas ? `${dias} d ${horas} h` : `${dias} d`;
+};
+
 export const formatInvoiceMonthLabel = (monthKey) => {
   if (!/^\d{4}-\d{2}$/.test(String(monthKey || ''))) return monthKey || 'Sin mes';
   const [year, month] = String(monthKey).split('-').map(Number);
@@ -235,6 +276,180 @@ export const buildSearchTokens = (value) =>
     .split(/\s+/)
     .filter(Boolean);
 
+// Las líneas se emparejan por producto_id (o SKU/MPN/descripción si no tiene);
+// si una misma clave se repite se empareja por orden de aparición.
+const getRevisionItemKeys = (items) => {
+  const seen = {};
+  return (Array.isArray(items) ? items : []).map(item => {
+    const base = item?.producto_id
+      ? `id:${item.producto_id}`
+      : `txt:${normalizeLookupKey(item?.sku)}|${normalizeLookupKey(item?.mpn)}|${normalizeLookupKey(item?.descripcion)}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return { key: `${base}#${seen[base]}`, item };
+  });
+};
+
+export const diffCotizacionRevisionItems = (fromItems, toItems) => {
+  const before = new Map(getRevisionItemKeys(fromItems).map(entry => [entry.key, entry.item]));
+  const after = getRevisionItemKeys(toItems);
+  const added = [];
+  const changed = [];
+  after.forEach(({ key, item }) => {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push(item);
+      return;
+    }
+    before.delete(key);
+    const cantidadAntes = Number(prev.cantidad) || 0;
+    const cantidadDespues = Number(item.cantidad) || 0;
+    const precioAntes = Number(prev.precio_unitario) || 0;
+    const precioDespues = Number(item.precio_unitario) || 0;
+    if (cantidadAntes !== cantidadDespues || precioAntes !== precioDespues) {
+      changed.push({ item, cantidadAntes, cantidadDespues, precioAntes, precioDespues });
+    }
+  });
+  return { added, removed: [...before.values()], changed };
+};
+
+// Mismo criterio que el backend: el piso de la marca gana sobre el general del origen.
+export const findGpPiso = (pisos, origen, marca) => {
+  const marcaKey = normalizeLookupKey(marca);
+  const delOrigen = (Array.isArray(pisos) ? pisos : []).filter(piso => piso.origen === (origen || 'QNAP'));
+  const piso = (marcaKey && delOrigen.find(p => normalizeLookupKey(p.marca) === marcaKey))
+    || delOrigen.find(p => !normalizeLookupKey(p.marca));
+  return piso ? Number(piso.gp_min) : null;
+};
+
+// Opcionales y alternativas (mismo grupo = excluyentes) no suman al total hasta que el cliente elige.
+export const getGrupoAlternativa = (item) => String(item?.grupoAlternativa ?? item?.grupo_alternativa ?? '').trim();
+export const isItemFueraDelTotal = (item) =>
+  (Boolean(getGrupoAlternativa(item)) || item?.opcional === true) && item?.seleccionada !== true;
+
+// Agrupa las líneas por sección (sede, edificio) en el orden de `secciones`; las líneas sin sección van
+// primero salvo que `secciones` incluya '' y las secciones que solo vienen en las líneas se agregan en
+// orden de aparición.
+export const groupItemsBySeccion = (items, secciones = []) => {
+  const lista = Array.isArray(items) ? items : [];
+  const orden = secciones.includes('') ? [...secciones] : ['', ...secciones];
+  lista.forEach(item => {
+    const seccion = String(item?.seccion || '').trim();
+    if (!orden.includes(seccion)) orden.push(seccion);
+  });
+  return orden
+    .map(seccion => ({ seccion, items: lista.filter(item => String(item?.seccion || '').trim() === seccion) }))
+    .filter(group => group.items.length > 0 || (group.seccion && secciones.includes(group.seccion)));
+};
+
+// Orden de secciones de una cotización guardada, '' incluida: el de primera aparición, igual que el PDF.
+export const getSeccionesOrden = (items) => [
+  ...new Set((Array.isArray(items) ? items : []).map(item => String(item?.seccion || '').trim()))
+];
+
+// Mueve la línea arrastrada antes de `beforeId` (o al final) y la deja en `seccion`.
+export const moveCotizacionItem = (items, itemId, { beforeId = null, seccion = '' } = {}) => {
+  const moving = items.find(item => item.id === itemId);
+  if (!moving || itemId === beforeId) return items;
+  const rest = items.filter(item => item.id !== itemId);
+  const index = beforeId === null ? -1 : rest.findIndex(item => item.id === beforeId);
+  const moved = { ...moving, seccion };
+  if (index < 0) return [...rest, moved];
+  return [...rest.slice(0, index), moved, ...rest.slice(index)];
+};
+
+// Filas de Excel por sección: encabezado, líneas y subtotal en la columna P. Total.
+export const buildSeccionExcelRows = (groups, toRow) => {
+  const conSecciones = groups.some(group => group.seccion);
+  return groups.flatMap(group => {
+    const rows = group.items.map(toRow);
+    if (!conSecciones) return rows;
+    const nombre = group.seccion || 'Sin sección';
+    const subtotal = rows.reduce((sum, row) => sum + (Number(row[6]) || 0), 0);
+    return [[nombre], ...rows, ['', '', '', '', `Subtotal ${nombre}`, '', subtotal, '']];
+  });
+};
+
+// Los descuentos se guardan como monto positivo en el carrito y restan del total.
+export const getAdicionalPrecioUnitario = (linea) => {
+  const monto = Number(linea?.monto) || 0;
+  return linea?.tipo === 'descuento' ? -monto : monto;
+};
+
+export const getAdicionalDescripcion = (linea) => {
+  const detalle = String(linea?.detalle || '').trim();
+  return detalle ? `${linea.nombre} - ${detalle}` : linea?.nombre || '';
+};
+
+// Atributos técnicos de un producto en una línea: "8 bahías · 4MP · PoE Clase 3 · Domo".
+export const formatAtributosProducto = (producto) => [
+  producto?.bahias ? `${producto.bahias} bahías` : '',
+  producto?.resolucion || '',
+  producto?.poe_clase ? `PoE ${producto.poe_clase}` : '',
+  producto?.factor_forma || ''
+].filter(Boolean).join(' · ');
+
+// Lee el JSON de Axis Site Designer (mismo formato que exporta buildAxisPayload). Las lineas
+// registradas pueden traer el rebate de proyecto por unidad (rebateProject/projectRebate/rebate).
+// metadata.id "project:<n>" identifica la cotizacion n cuando el JSON salio del historial.
+export const parseAxisJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('El archivo no es un JSON válido');
+  }
+  if (!data || !Array.isArray(data.products)) {
+    throw new Error('El JSON no tiene el formato de Axis (falta "products")');
+  }
+  const projectMatch = /^project:(\d+)$/.exec(String(data.metadata?.id || '').trim());
+  const lines = data.products
+    .map(product => {
+      const rebate = parseFloat(product?.rebateProject ?? product?.projectRebate ?? product?.rebate);
+      return {
+        partNumber: String(product?.partNumber || '').trim(),
+        quantity: Math.max(parseInt(product?.quantity, 10) || 1, 1),
+        rebateProject: Number.isFinite(rebate) && rebate > 0 ? rebate : 0
+      };
+    })
+    .filter(line => line.partNumber);
+  return {
+    cotizacionId: projectMatch ? Number(projectMatch[1]) : null,
+    customer: String(data.metadata?.customer || '').trim(),
+    lines
+  };
+};
+
+// Importación de un JSON de Axis al carrito: lee el archivo y cruza sus líneas en el servidor
+// (matchAxis = productosAPI.matchAxis, con la normalización de códigos de la búsqueda). Agrupa
+// por producto del catálogo cargado; lo que no cruza queda en sinCoincidencia. rebatesIgnorados son
+// las líneas cuyo rebate de proyecto el servidor no aplica para el rol del usuario.
+export const resolveAxisImport = async (text, { matchAxis, productos }) => {
+  const parsed = parseAxisJson(text);
+  if (parsed.lines.length === 0) return { ...parsed, importados: [], sinCoincidencia: [], rebatesIgnorados: [] };
+  const {
+    data = [],
+    sin_coincidencia: sinCoincidencia = [],
+    rebates_ignorados: rebatesIgnorados = []
+  } = await matchAxis(parsed.lines);
+  const productoById = new Map((productos || []).map(producto => [producto.id, producto]));
+  const importados = [];
+  const sinCatalogo = [];
+  data.forEach(({ producto_id: productoId, ...line }) => {
+    const producto = productoById.get(productoId);
+    if (!producto) {
+      sinCatalogo.push(line);
+      return;
+    }
+    const existing = importados.find(item => item.producto.id === productoId);
+    if (existing) {
+      existing.cantidad += line.quantity;
+      return;
+    }
+    importados.push({ producto, cantidad: line.quantity, rebateProject: line.rebateProject });
+  });
+  return { ...parsed, importados, sinCoincidencia: [...sinCoincidencia, ...sinCatalogo], rebatesIgnorados };
+};
+
 let pdfDepsPromise = null;
 export const loadPdfDeps = () => {
   if (window?.html2canvas && window?.jspdf?.jsPDF) {
@@ -0,0 +1,250 @@
+import { vi } from 'vitest';
+import {
+  buildSeccionExcelRows,
+  diffCotizacionRevisionItems,
+  getSeccionesOrden,
+  groupItemsBySeccion,
+  moveCotizacionItem,
+  parseAxisJson,
+  resolveAxisImport
+} from './cotizadorHelpers';
+
+const axisJson = (data) => JSON.stringify(data);
+
+describe('parseAxisJson', () => {
+  it('rechaza archivos que no son JSON', () => {
+    expect(() => parseAxisJson('no es json')).toThrow('El archivo no es un JSON válido');
+  });
+
+  it('rechaza JSON sin lista de productos', () => {
+    expect(() => parseAxisJson(axisJson({ metadata: {} }))).toThrow('falta "products"');
+    expect(() => parseAxisJson('null')).toThrow('falta "products"');
+  });
+
+  it('detecta la cotización de origen solo con metadata.id project:<id>', () => {
+    expect(parseAxisJson(axisJson({ metadata: { id: 'project:42' }, products: [] })).cotizacionId).toBe(42);
+    expect(parseAxisJson(axisJson({ metadata: { id: ' project:7 ' }, products: [] })).cotizacionId).toBe(7);
+    expect(parseAxisJson(axisJson({ metadata: { id: 'project:2026-10-19' }, products: [] })).cotizacionId).toBeNull();
+    expect(parseAxisJson(axisJson({ products: [] })).cotizacionId).toBeNull();
+  });
+
+  it('normaliza cantidades y rebates de cada línea', () => {
+    const parsed = parseAxisJson(axisJson({
+      metadata: { customer: ' ACME ' },
+      products: [
+        { partNumber: ' 02345-001 ', quantity: '3', rebateProject: '12.5' },
+        { partNumber: 'TQ1000-E', quantity: 0, projectRebate: -4 },
+        { partNumber: 'P3265-LVE', quantity: 'dos', rebate: 'x' },
+        { partNumber: '', quantity: 5 },
+        { quantity: 1 }
+      ]
+    }));
+    expect(parsed.customer).toBe('ACME');
+    expect(parsed.lines).toEqual([
+      { partNumber: '02345-001', quantity: 3, rebateProject: 12.5 },
+      { partNumber: 'TQ1000-E', quantity: 1, rebateProject: 0 },
+      { partNumber: 'P3265-LVE', quantity: 1, rebateProject: 0 }
+    ]);
+  });
+});
+
+describe('resolveAxisImport', () => {
+  const productos = [
+    { id: 11, origen: 'AXIS', mpn: '02345-001', sku: 'AX-11' },
+    { id: 12, origen: 'AXIS', mpn: 'TQ1000-E', sku: 'AX-12' }
+  ];
+
+  it('cruza las líneas en el servidor y agrupa por producto', async () => {
+    const matchAxis = vi.fn().mockResolvedValue({
+      data: [
+        { partNumber: '02345 001', quantity: 2, rebateProject: 10, producto_id: 11 },
+        { partNumber: 'tq1000e', quantity: 1, rebateProject: 0, producto_id: 12 },
+        { partNumber: '02345001', quantity: 3, rebateProject: 10, producto_id: 11 },
+        { partNumber: 'M3085-V', quantity: 1, rebateProject: 0, producto_id: 99 }
+      ],
+      sin_coincidencia: [{ partNumber: 'NO-EXISTE', quantity: 4, rebateProject: 0 }],
+      rebates_ignorados: [{ partNumber: 'P3265-LVE', quantity: 1, rebateProject: 8 }]
+    });
+    const text = axisJson({
+      metadata: { id: 'project:9', customer: 'ACME' },
+      products: [
+        { partNumber: '02345 001', quantity: 2, rebateProject: 10 },
+        { partNumber: 'tq1000e', quantity: 1 },
+        { partNumber: '02345001', quantity: 3, rebateProject: 10 },
+        { partNumber: 'M3085-V', quantity: 1 },
+        { partNumber: 'NO-EXISTE', quantity: 4 }
+      ]
+    });
+
+    const result = await resolveAxisImport(text, { matchAxis, productos });
+
+    expect(matchAxis).toHaveBeenCalledWith(result.lines);
+    expect(result.cotizacionId).toBe(9);
+    expect(result.importados).toEqual([
+      { producto: productos[0], cantidad: 5, rebateProject: 10 },
+      { producto: productos[1], cantidad: 1, rebateProject: 0 }
+    ]);
+    // M3085-V cruzó en el servidor pero no está en el catálogo cargado en el navegador.
+    expect(result.sinCoincidencia.map(line => line.partNumber)).toEqual(['NO-EXISTE', 'M3085-V']);
+    expect(result.rebatesIgnorados).toEqual([{ partNumber: 'P3265-LVE', quantity: 1, rebateProject: 8 }]);
+  });
+
+  it('no consulta el servidor si el JSON no trae líneas', async () => {
+    const matchAxis = vi.fn();
+    const result = await resolveAxisImport(axisJson({ products: [{ partNumber: '' }] }), { matchAxis, productos });
+    expect(matchAxis).not.toHaveBeenCalled();
+    expect(result.importados).toEqual([]);
+  });
+
+  it('propaga los errores de lectura sin llamar al servidor', async () => {
+    const matchAxis = vi.fn();
+    await expect(resolveAxisImport('{', { matchAxis, productos })).rejects.toThrow('JSON válido');
+    expect(matchAxis).not.toHaveBeenCalled();
+  });
+});
+
+describe('diffCotizacionRevisionItems', () => {
+  it('detecta líneas agregadas y eliminadas por producto_id', () => {
+    const antes = [
+      { producto_id: 1, sku: 'TS-1', cantidad: 1, precio_unitario: 100 },
+      { producto_id: 2, sku: 'TS-2', cantidad: 2, precio_unitario: 50 }
+    ];
+    const despues = [
+      { producto_id: 2, sku: 'TS-2', cantidad: 2, precio_unitario: 50 },
+      { producto_id: 3, sku: 'TS-3', cantidad: 1, precio_unitario: 80 }
+    ];
+    const diff = diffCotizacionRevisionItems(antes, despues);
+    expect(diff.added).toEqual([despues[1]]);
+    expect(diff.removed).toEqual([antes[0]]);
+    expect(diff.changed).toEqual([]);
+  });
+
+  it('informa cambios de cantidad y de precio con los valores antes y después', () => {
+    const diff = diffCotizacionRevisionItems(
+      [
+        { producto_id: 1, cantidad: 1, precio_unitario: 100 },
+        { producto_id: 2, cantidad: '3', precio_unitario: '50.00' }
+      ],
+      [
+        { producto_id: 1, cantidad: 4, precio_unitario: 100 },
+        { producto_id: 2, cantidad: 3, precio_unitario: 45 }
+      ]
+    );
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.changed.map(({ item, ...cambio }) => ({ producto_id: item.producto_id, ...cambio }))).toEqual([
+      { producto_id: 1, cantidadAntes: 1, cantidadDespues: 4, precioAntes: 100, precioDespues: 100 },
+      { producto_id: 2, cantidadAntes: 3, cantidadDespues: 3, precioAntes: 50, precioDespues: 45 }
+    ]);
+  });
+
+  it('empareja líneas sin producto por SKU, MPN y descripción sin distinguir mayúsculas', () => {
+    const diff = diffCotizacionRevisionItems(
+      [{ sku: 'SRV-1', mpn: '', descripcion: 'Instalación', cantidad: 1, precio_unitario: 200 }],
+      [{ sku: 'srv-1 ', mpn: null, descripcion: 'instalación', cantidad: 1, precio_unitario: 250 }]
+    );
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0]).toMatchObject({ precioAntes: 200, precioDespues: 250 });
+  });
+
+  it('empareja SKUs repetidos por orden de aparición', () => {
+    const antes = [
+      { producto_id: 5, sku: 'HD-1', cantidad: 2, precio_unitario: 40 },
+      { producto_id: 5, sku: 'HD-1', cantidad: 4, precio_unitario: 40 }
+    ];
+    // Solo cambia la segunda aparición; una tercera es una línea nueva.
+    const despues = [
+      { producto_id: 5, sku: 'HD-1', cantidad: 2, precio_unitario: 40 },
+      { producto_id: 5, sku: 'HD-1', cantidad: 6, precio_unitario: 40 },
+      { producto_id: 5, sku: 'HD-1', cantidad: 1, precio_unitario: 40 }
+    ];
+    const diff = diffCotizacionRevisionItems(antes, despues);
+    expect(diff.added).toEqual([despues[2]]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0]).toMatchObject({ item: despues[1], cantidadAntes: 4, cantidadDespues: 6 });
+
+    const quitada = diffCotizacionRevisionItems(antes, [antes[0]]);
+    expect(quitada.removed).toEqual([antes[1]]);
+    expect(quitada.added).toEqual([]);
+  });
+});
+
+describe('secciones de la cotización', () => {
+  const items = [
+    { id: 1, sku: 'A', seccion: 'Bodega' },
+    { id: 2, sku: 'B', seccion: '' },
+    { id: 3, sku: 'C', seccion: 'Oficina' },
+    { id: 4, sku: 'D', seccion: 'Bodega' },
+    { id: 5, sku: 'E', seccion: 'Anexo' }
+  ];
+  const ids = (groups) => groups.map(group => [group.seccion, group.items.map(item => item.id)]);
+
+  it('agrupa en el orden de las secciones con las líneas sin sección primero', () => {
+    expect(ids(groupItemsBySeccion(items, ['Oficina', 'Bodega', 'Vacía']))).toEqual([
+      ['', [2]],
+      ['Oficina', [3]],
+      ['Bodega', [1, 4]],
+      ['Vacía', []],
+      ['Anexo', [5]]
+    ]);
+  });
+
+  it('respeta la posición de las líneas sin sección cuando el orden la incluye', () => {
+    const guardadas = [
+      { id: 1, seccion: 'Bodega' },
+      { id: 2, seccion: 'Oficina' },
+      { id: 3, seccion: '' },
+      { id: 4, seccion: 'Bodega' }
+    ];
+    expect(getSeccionesOrden(guardadas)).toEqual(['Bodega', 'Oficina', '']);
+    expect(ids(groupItemsBySeccion(guardadas, getSeccionesOrden(guardadas)))).toEqual([
+      ['Bodega', [1, 4]],
+      ['Oficina', [2]],
+      ['', [3]]
+    ]);
+  });
+
+  it('mueve una línea antes de otra y la cambia de sección', () => {
+    const moved = moveCotizacionItem(items, 5, { beforeId: 1, seccion: 'Bodega' });
+    expect(moved.map(item => item.id)).toEqual([5, 1, 2, 3, 4]);
+    expect(moved[0].seccion).toBe('Bodega');
+    expect(ids(groupItemsBySeccion(moved, ['Bodega', 'Oficina']))).toEqual([
+      ['', [2]],
+      ['Bodega', [5, 1, 4]],
+      ['Oficina', [3]]
+    ]);
+  });
+
+  it('deja la línea al final de la sección si no hay destino y no cambia nada si se suelta sobre sí misma', () => {
+    const moved = moveCotizacionItem(items, 1, { seccion: 'Oficina' });
+    expect(moved.map(item => item.id)).toEqual([2, 3, 4, 5, 1]);
+    expect(moved[4].seccion).toBe('Oficina');
+    expect(moveCotizacionItem(items, 3, { beforeId: 3, seccion: '' })).toBe(items);
+    expect(moveCotizacionItem(items, 99, { seccion: 'Bodega' })).toBe(items);
+  });
+
+  it('arma filas de Excel con encabezado y subtotal por sección', () => {
+    const toRow = (item) => ['QNAP', item.cantidad, item.sku, '', item.sku, item.precio, item.total, ''];
+    const groups = [
+      { seccion: '', items: [{ sku: 'A', cantidad: 1, precio: 10, total: 10 }] },
+      { seccion: 'Bodega', items: [{ sku: 'B', cantidad: 2, precio: 5, total: 10 }, { sku: 'C', cantidad: 1, precio: 7.5, total: 7.5 }] }
+    ];
+    expect(buildSeccionExcelRows(groups, toRow)).toEqual([
+      ['Sin sección'],
+      toRow(groups[0].items[0]),
+      ['', '', '', '', 'Subtotal Sin sección', '', 10, ''],
+      ['Bodega'],
+      toRow(groups[1].items[0]),
+      toRow(groups[1].items[1]),
+      ['', '', '', '', 'Subtotal Bodega', '', 17.5, '']
+    ]);
+  });
+
+  it('sin secciones devuelve solo las líneas', () => {
+    const toRow = (item) => [item.sku];
+    expect(buildSeccionExcelRows([{ seccion: '', items: [{ sku: 'A' }, { sku: 'B' }] }], toRow)).toEqual([['A'], ['B']]);
+  });
+});
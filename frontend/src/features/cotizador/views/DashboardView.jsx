@@ -1,6 +1,6 @@
 import React from 'react';
 import { useCotizador } from '../cotizadorContext';
-import { formatCurrency } from '../cotizadorHelpers';
+import { formatCurrency, toDateOnlyKey } from '../cotizadorHelpers';
 
 export default function DashboardView() {
   const {
@@ -13,7 +13,11 @@ export default function DashboardView() {
     invoiceMonthOptions,
     dashboardBilling,
     setCurrentView,
-    syncStatus
+    syncStatus,
+    recordatorios,
+    recordatoriosError,
+    completarRecordatorio,
+    reprogramarSeguimiento
   } = useCotizador();
 
   const formatSyncAge = (createdAt) => {
@@ -49,6 +53,45 @@ export default function DashboardView() {
           </div>
         ))}
       </div>
+      {(recordatorios.length > 0 || recordatoriosError) && (
+        <div className="glass-card rounded-2xl border border-white/70 dark:border-white/10 p-4 shadow-[0_16px_30px_-24px_rgba(15,23,42,0.4)]">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h2 className="text-lg font-semibold text-gray-800 dark:text-slate-100">Pendientes de seguimiento</h2>
+            <span className="text-xs text-slate-500 dark:text-slate-400">Cotizaciones enviadas sin respuesta del cliente</span>
+          </div>
+          {recordatoriosError && <div className="mt-2 text-sm text-rose-600">{recordatoriosError}</div>}
+          <div className="mt-3 divide-y divide-slate-100 dark:divide-slate-800">
+            {recordatorios.map((row) => (
+              <div key={row.id} className="py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium text-slate-800 dark:text-slate-100 truncate">
+                    {row.folio || `#${row.cotizacion_id}`} · {row.cliente_empresa || row.cliente_nombre || 'Sin cliente'}
+                  </div>
+                  <div className="text-xs text-slate-500 dark:text-slate-400">
+                    Seguimiento {toDateOnlyKey(row.fecha)} · {formatCurrency(Number(row.total) || 0)} neto
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="date"
+                    aria-label="Reprogramar seguimiento"
+                    title="Reprogramar seguimiento"
+                    value={toDateOnlyKey(row.seguimiento_fecha)}
+                    onChange={(e) => reprogramarSeguimiento(row.cotizacion_id, e.target.value)}
+                    className="px-2 py-1 border border-slate-200 dark:border-slate-700 rounded-lg text-xs text-slate-700 dark:text-slate-200 bg-white dark:bg-slate-900/60"
+                  />
+                  <button
+                    onClick={() => completarRecordatorio(row.id)}
+                    className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-xs hover:bg-slate-800 dark:bg-slate-100 dark:text-slate-900 dark:hover:bg-white"
+                  >
+                    Hecho
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
       {isAdmin && syncStatus?.syncs?.length > 0 && (
         <div className="glass-card rounded-2xl border border-white/70 dark:border-white/10 p-3 shadow-[0_16px_30px_-24px_rgba(15,23,42,0.4)]">
           <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600 dark:text-slate-400">
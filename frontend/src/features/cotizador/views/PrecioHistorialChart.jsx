@@ -0,0 +1,52 @@
+const WIDTH = 560;
+const HEIGHT = 180;
+const PAD_X = 48;
+const PAD_Y = 20;
+
+// Línea del precio disty en el tiempo a partir de producto_precio_historial (una fila por cambio
+// detectado en el sync). Escalonada: el precio vale hasta el siguiente cambio, y el último
+// tramo se extiende hasta hoy.
+export default function PrecioHistorialChart({ historial, formatCurrency }) {
+  const puntos = (historial || [])
+    .map(row => ({ t: new Date(row.created_at).getTime(), precio: Number(row.precio_disty) }))
+    .filter(p => Number.isFinite(p.t) && Number.isFinite(p.precio));
+
+  if (puntos.length === 0) {
+    return <div className="text-xs text-gray-400">Sin cambios registrados por el sync.</div>;
+  }
+
+  const tMin = puntos[0].t;
+  const tMax = Math.max(Date.now(), puntos[puntos.length - 1].t + 1);
+  const precios = puntos.map(p => p.precio);
+  const pMin = Math.min(...precios);
+  const pMax = Math.max(...precios);
+  const rango = pMax - pMin || Math.max(pMax * 0.1, 1);
+  const x = (t) => PAD_X + ((t - tMin) / (tMax - tMin)) * (WIDTH - PAD_X * 2);
+  const y = (precio) => HEIGHT - PAD_Y - ((precio - pMin) / rango) * (HEIGHT - PAD_Y * 2);
+
+  const path = puntos
+    .map((p, idx) => {
+      const siguiente = puntos[idx + 1]?.t ?? tMax;
+      return `${idx === 0 ? 'M' : 'L'}${x(p.t)},${y(p.precio)} L${x(siguiente)},${y(p.precio)}`;
+    })
+    .join(' ');
+  const fecha = (t) => new Date(t).toLocaleDateString('es-CL');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Precio disty en el tiempo">
+      <line x1={PAD_X} y1={HEIGHT - PAD_Y} x2={WIDTH - PAD_X} y2={HEIGHT - PAD_Y} stroke="#cbd5e1" />
+      <text x={PAD_X - 6} y={y(pMax) + 4} textAnchor="end" fontSize="10" fill="#64748b">{formatCurrency(pMax)}</text>
+      {pMin !== pMax && (
+        <text x={PAD_X - 6} y={y(pMin) + 4} textAnchor="end" fontSize="10" fill="#64748b">{formatCurrency(pMin)}</text>
+      )}
+      <text x={PAD_X} y={HEIGHT - 4} fontSize="10" fill="#64748b">{fecha(tMin)}</text>
+      <text x={WIDTH - PAD_X} y={HEIGHT - 4} textAnchor="end" fontSize="10" fill="#64748b">{fecha(tMax)}</text>
+      <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+      {puntos.map((p, idx) => (
+        <circle key={idx} cx={x(p.t)} cy={y(p.precio)} r="3" fill="#2563eb">
+          <title>{`${fecha(p.t)}: ${formatCurrency(p.precio)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
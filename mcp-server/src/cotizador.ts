@@ -2,7 +2,8 @@
 //
 // Responsabilidades: login con la cuenta de servicio, cache del JWT, re-login
 // ante 401, reintentos con backoff en 429/5xx, y cache en memoria del catalogo
-// y del stock (que vienen completos, sin endpoint de busqueda).
+// y del stock (que vienen completos). La exploracion por texto usa
+// /api/productos/search, que pagina y ordena en el servidor.
 //
 // Regla dura: ni el password ni el token salen nunca en logs ni en errores.
 
@@ -217,7 +218,8 @@ const normalizar = (valor: unknown) => String(valor ?? '').trim().toUpperCase();
 
 export const getCatalogo = async (): Promise<Producto[]> => {
   if (catalogoCache.datos && Date.now() < catalogoCache.expira) return catalogoCache.datos;
-  // No hay endpoint de busqueda: /api/productos devuelve el catalogo completo.
+  // Catalogo completo: la resolucion tolerante de SKUs necesita ver todos los
+  // candidatos para no elegir uno a ciegas.
   const filas = await peticion<Producto[]>('/api/productos');
   const productos = Array.isArray(filas) ? filas : [];
   catalogoCache.datos = productos;
@@ -340,13 +342,56 @@ export const buscarProductoTolerante = (
   return { producto: null, tipo: null, candidatos: porDescripcion.slice(0, MAX_CANDIDATOS) };
 };
 
+export interface PaginaBusqueda {
+  productos: (Producto & { coincidencia: TipoCoincidencia | null })[];
+  total: number;
+}
+
+/**
+ * Busqueda paginada en el servidor (GET /api/productos/search). Misma
+ * normalizacion de codigos que clavear, pero sin traer el catalogo entero.
+ */
+export const buscarProductosServidor = async (
+  texto: string,
+  opciones: { origen?: string; limite?: number } = {}
+): Promise<PaginaBusqueda> => {
+  const query = new URLSearchParams({ q: texto, pageSize: String(opciones.limite ?? 20) });
+  if (opciones.origen) query.set('origen', opciones.origen);
+  const respuesta = await peticion<{
+    data: PaginaBusqueda['productos'];
+    meta: { total: number };
+  }>(`/api/productos/search?${query.toString()}`);
+  return {
+    productos: Array.isArray(respuesta?.data) ? respuesta.data : [],
+    total: Number(respuesta?.meta?.total) || 0
+  };
+};
+
 /** Compatibilidad: devuelve solo el producto cuando la busqueda es concluyente. */
 export const buscarProducto = (catalogo: Producto[], sku: string): Producto | null =>
   buscarProductoTolerante(catalogo, sku).producto;
 
+export interface LineaPrecio {
+  producto_id: number;
+  cantidad: number;
+  precio_unitario: number;
+  precio_total: number;
+}
+
+/**
+ * Valoriza lineas con POST /api/pricing/preview, la misma formula que usa el
+ * backend al guardar. Asi la simulacion nunca discrepa del total grabado.
+ */
+export const previsualizarPrecios = (items: Array<{ producto_id: number; cantidad: number }>) =>
+  peticion<{ moneda: string; items: LineaPrecio[]; total: number }>('/api/pricing/preview', {
+    method: 'POST',
+    body: { items }
+  });
+
 /**
  * Resuelve una lista de {sku, cantidad} contra el catalogo y el stock.
  * Los SKU que no existen se devuelven aparte, sin abortar la operacion.
+ * Los precios salen de la vista previa del backend, no del catalogo cacheado.
  */
 export const resolverItems = async (
   items: Array<{ sku: string; cantidad: number }>
@@ -392,9 +437,19 @@ export const resolverItems = async (
   }
 
   const lineas = [...porProducto.values()];
+  if (lineas.length === 0) return { lineas, noResueltos, total: 0 };
+
+  const preview = await previsualizarPrecios(
+    lineas.map((l) => ({ producto_id: Number(l.producto.id), cantidad: l.cantidad }))
+  );
+  lineas.forEach((linea, indice) => {
+    const precio = preview.items?.[indice];
+    if (!precio) return;
+    linea.precio_unitario = Number(precio.precio_unitario) || 0;
+    linea.precio_total = Number(precio.precio_total) || 0;
+  });
 
-  const total = Number(lineas.reduce((suma, l) => suma + l.precio_total, 0).toFixed(2));
-  return { lineas, noResueltos, total };
+  return { lineas, noResueltos, total: Number(preview.total) || 0 };
 };
 
 // ------------------------------------------------------------ cotizaciones
@@ -418,8 +473,8 @@ export interface DatosCliente {
 export const crearCotizacion = async (
   cliente: DatosCliente,
   lineas: LineaResuelta[]
-): Promise<{ id: number; total: number }> => {
-  const respuesta = await peticion<{ cotizacion?: { id: number; total: string | number } }>(
+): Promise<{ id: number; folio: string | null; total: number }> => {
+  const respuesta = await peticion<{ cotizacion?: { id: number; folio?: string | null; total: string | number } }>(
     '/api/cotizaciones',
     {
       method: 'POST',
@@ -431,11 +486,12 @@ export const crearCotizacion = async (
   );
   const cot = respuesta?.cotizacion;
   if (!cot?.id) throw new CotizadorError('El backend no devolvio el id de la cotizacion.');
-  return { id: Number(cot.id), total: Number(cot.total) || 0 };
+  return { id: Number(cot.id), folio: cot.folio ?? null, total: Number(cot.total) || 0 };
 };
 
 export interface CotizacionGuardada {
   id: number;
+  folio?: string | null;
   cliente_nombre: string | null;
   cliente_empresa: string | null;
   cliente_email: string | null;
@@ -459,6 +515,8 @@ export const generarPdf = async (cotizacion: CotizacionGuardada): Promise<Buffer
     method: 'POST',
     binario: true,
     body: {
+      // Con el id el backend valida la aprobacion de margen en vez de re-evaluar las lineas.
+      cotizacion_id: cotizacion.id,
       cliente: {
         nombre: cotizacion.cliente_nombre,
         empresa: cotizacion.cliente_empresa,
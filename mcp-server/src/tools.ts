@@ -9,6 +9,7 @@ import {
   getEstadoStock,
   textoEntrega,
   buscarProductoTolerante,
+  buscarProductosServidor,
   resolverItems,
   type LineaResuelta,
   type SkuNoResuelto
@@ -173,21 +174,13 @@ export const registrarTools = (server: McpServer): void => {
       })
     },
     async ({ texto, origen, limite }) => {
-      const catalogo = await getCatalogo();
-      const busqueda = String(texto || '').trim().toLowerCase();
-
-      const filtrados = catalogo.filter((p) => {
-        if (origen && String(p.origen || '').toUpperCase() !== origen) return false;
-        if (!busqueda) return true;
-        return [p.sku, p.mpn, p.marca, p.descripcion]
-          .map((campo) => String(campo || '').toLowerCase())
-          .some((campo) => campo.includes(busqueda));
+      // El servidor filtra, ordena (codigo exacto, parcial, descripcion) y pagina.
+      const { productos: pagina, total } = await buscarProductosServidor(String(texto || '').trim(), {
+        origen,
+        limite
       });
-
-      const pagina = filtrados.slice(0, limite);
       const datos = {
-        total_catalogo: catalogo.length,
-        coincidencias: filtrados.length,
+        coincidencias: total,
         mostrados: pagina.length,
         productos: pagina.map((p) => ({
           sku: p.sku,
@@ -196,19 +189,16 @@ export const registrarTools = (server: McpServer): void => {
           origen: p.origen,
           descripcion: p.descripcion,
           precio_cliente: p.precio_cliente,
-          tiempo_entrega: p.tiempo_entrega
+          tiempo_entrega: p.tiempo_entrega,
+          coincidencia: p.coincidencia
         }))
       };
 
-      if (catalogo.length === 0) {
-        return respuesta(
-          'El catalogo esta vacio: el backend no devolvio ningun producto activo.',
-          datos
-        );
-      }
       if (pagina.length === 0) {
         return respuesta(
-          `Sin coincidencias para "${texto}". El catalogo tiene ${catalogo.length} productos activos.`,
+          texto
+            ? `Sin coincidencias para "${texto}" en el catalogo activo.`
+            : 'El catalogo esta vacio: el backend no devolvio ningun producto activo.',
           datos
         );
       }
@@ -218,7 +208,7 @@ export const registrarTools = (server: McpServer): void => {
           `| ${p.sku} | ${p.mpn} | ${p.marca} | ${p.descripcion.slice(0, 40)} | ${USD(p.precio_cliente)} |`
       );
       const texto_salida = [
-        `**${filtrados.length}** coincidencias de ${catalogo.length} productos (mostrando ${pagina.length}):`,
+        `**${total}** coincidencias en el catalogo activo (mostrando ${pagina.length}):`,
         '',
         '| SKU | MPN | Marca | Descripcion | Precio |',
         '|---|---|---|---|---|',
@@ -284,16 +274,17 @@ export const registrarTools = (server: McpServer): void => {
         );
       }
 
-      const { id, total: totalBackend } = await crearCotizacion(datos_cliente, lineas);
+      const { id, folio, total: totalBackend } = await crearCotizacion(datos_cliente, lineas);
 
       const texto =
-        `### Cotizacion **#${id}** guardada\n\n${tablaLineas(lineas)}\n\n` +
-        `**Total segun el backend: ${USD(totalBackend)}** (estimado local: ${USD(total)})` +
+        `### Cotizacion **${folio ?? `#${id}`}** guardada (id ${id})\n\n${tablaLineas(lineas)}\n\n` +
+        `**Total segun el backend: ${USD(totalBackend)}** (vista previa: ${USD(total)})` +
         bloqueNoResueltos(noResueltos);
 
       return respuesta(texto, {
         guardado: true,
         cotizacion_id: id,
+        folio,
         total: totalBackend,
         total_estimado_local: total,
         no_resueltos: noResueltos
@@ -313,13 +304,13 @@ export const registrarTools = (server: McpServer): void => {
     async ({ cotizacion_id }) => {
       const cotizacion = await getCotizacion(cotizacion_id);
       const pdf = await generarPdf(cotizacion);
-      const nombre = `cotizacion-${cotizacion_id}.pdf`;
+      const nombre = `${cotizacion.folio ?? `cotizacion-${cotizacion_id}`}.pdf`;
 
       return {
         content: [
           {
             type: 'text' as const,
-            text: `PDF de la cotizacion #${cotizacion_id} generado (${(pdf.length / 1024).toFixed(1)} KB), archivo \`${nombre}\`.`
+            text: `PDF de la cotizacion ${cotizacion.folio ?? `#${cotizacion_id}`} generado (${(pdf.length / 1024).toFixed(1)} KB), archivo \`${nombre}\`.`
           },
           {
             type: 'resource' as const,